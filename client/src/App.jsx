@@ -14,6 +14,7 @@ import MissionPlanning from './pages/MissionPlanning';
 import Lifetime from './pages/Lifetime';
 import ClosestApproach from './pages/ClosestApproach';
 import RiskThresholds from './pages/RiskThresholds';
+import ManeuverPlans from './pages/ManeuverPlans';
 import TopBar from './components/TopBar';
 import Footer from './components/Footer';
 import { ToastProvider } from './components/ui/Toast';
@@ -44,6 +45,7 @@ function App() {
                 <Route path="/lifetime" element={<Lifetime />} />
                 <Route path="/closest-approach" element={<ClosestApproach />} />
                 <Route path="/risk-thresholds" element={<RiskThresholds />} />
+                <Route path="/maneuver-plans" element={<ManeuverPlans />} />
               </Routes>
             </main>
             <Footer />
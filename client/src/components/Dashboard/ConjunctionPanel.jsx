@@ -1,5 +1,9 @@
-import { useState, memo } from 'react';
+import { useState, useEffect, memo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine
+} from 'recharts';
 import { useHighRiskConjunctions } from '../../hooks/useQueries';
+import { conjunctionApi, maneuverPlanApi } from '../../services/api';
 
 const getRiskBadgeStyles = (riskLevel) => {
   switch (riskLevel) {
@@ -32,9 +36,142 @@ const formatTimeToClosestApproach = (toca) => {
   return `${minutes}m`;
 };
 
+const PC_METHOD_OPTIONS = [
+  { value: 'foster', label: 'Foster (2D integration)' },
+  { value: 'chan', label: 'Chan (series)' },
+  { value: 'alfano', label: 'Alfano (error function)' },
+  { value: 'montecarlo', label: 'Monte Carlo (sampled)' }
+];
+
+// Avoidance burn for one object of the conjunction, which can be kept as a draft maneuver plan
+const AvoidanceManeuverSection = ({ conjunctionId }) => {
+  const [result, setResult] = useState(null);
+  const [planning, setPlanning] = useState(false);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  const runPlanner = async () => {
+    try {
+      setPlanning(true);
+      setError(null);
+      setSaved(false);
+      const response = await conjunctionApi.planAvoidanceManeuver(conjunctionId);
+      setResult(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to plan an avoidance maneuver');
+      console.error(err);
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  const handleSaveAsPlan = async () => {
+    const option = result.recommended;
+    try {
+      setSaving(true);
+      await maneuverPlanApi.create({
+        noradCatId: result.maneuveringObject.noradCatId,
+        name: `${result.maneuveringObject.name || `SAT-${result.maneuveringObject.noradCatId}`} avoidance of ${result.otherObject.name || `SAT-${result.otherObject.noradCatId}`}`,
+        source: 'avoidance-planner',
+        conjunctionId: result.conjunction.id,
+        maneuver: {
+          type: 'impulsive',
+          description: `${option.direction} ${option.sign} burn`,
+          burnTime: option.burnTime,
+          deltaVRTN: option.deltaVRTN
+        },
+        prediction: {
+          timeOfClosestApproach: option.timeOfClosestApproach,
+          missDistanceKm: option.missDistanceKm,
+          probabilityOfCollision: option.probabilityOfCollision,
+          nominalProbabilityOfCollision: result.nominal.probabilityOfCollision,
+          targetPc: result.targetPc,
+          pcMethod: result.pcMethod,
+          propagator: result.propagator
+        }
+      });
+      setSaved(true);
+    } catch (err) {
+      console.error('Error saving maneuver plan:', err);
+      alert('Saving maneuver plan failed: ' + (err.response?.data?.error || err.message || 'Unknown error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const option = result?.recommended;
+
+  return (
+    <div className="glass-card p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-orbitron text-sm font-semibold text-white">
+          Avoidance Maneuver
+        </h3>
+        <button
+          onClick={runPlanner}
+          disabled={planning}
+          className="px-3 py-1 text-xs bg-neon-cyan/20 hover:bg-neon-cyan/30 text-neon-cyan rounded border border-neon-cyan/30 disabled:opacity-50"
+        >
+          {planning ? 'Planning...' : result ? 'Plan again' : 'Plan burn'}
+        </button>
+      </div>
+
+      {error ? (
+        <p className="text-alert-red text-sm">{error}</p>
+      ) : !result ? (
+        <p className="text-white/50 text-xs">
+          Searches burn times and RTN directions for the smallest delta-V that brings Pc below the target.
+        </p>
+      ) : !result.maneuverRequired ? (
+        <p className="text-white/70 text-sm">
+          No maneuver needed: Pc {result.nominal.probabilityOfCollision.toExponential(2)} is already below the target {result.targetPc.toExponential(0)}.
+        </p>
+      ) : !option ? (
+        <p className="text-solar-amber text-sm">
+          No burn up to {result.maxDeltaV} m/s reaches the target Pc without a new high-risk approach
+          ({result.feasibleCount} of {result.options.length} options reached the target).
+        </p>
+      ) : (
+        <div className="space-y-3 text-sm">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <span className="text-white/50 text-xs">{result.maneuveringObject.name} burns</span>
+              <p className="text-white">{new Date(option.burnTime).toLocaleString()}</p>
+            </div>
+            <div>
+              <span className="text-white/50 text-xs">Delta-V ({option.direction} {option.sign})</span>
+              <p className="font-orbitron text-neon-cyan">{option.deltaV.toFixed(4)} m/s</p>
+            </div>
+            <div>
+              <span className="text-white/50 text-xs">Post-maneuver miss distance</span>
+              <p className="font-orbitron text-white">{option.missDistanceKm.toFixed(3)} km</p>
+            </div>
+            <div>
+              <span className="text-white/50 text-xs">Post-maneuver Pc</span>
+              <p className="font-orbitron text-white">
+                {option.probabilityOfCollision.toExponential(2)}
+                <span className="text-white/40 text-xs"> from {result.nominal.probabilityOfCollision.toExponential(2)}</span>
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={handleSaveAsPlan}
+            disabled={saving || saved}
+            className="px-3 py-1 text-xs bg-neon-cyan/20 hover:bg-neon-cyan/30 text-neon-cyan rounded border border-neon-cyan/30 disabled:opacity-50"
+          >
+            {saved ? 'Saved as draft plan' : saving ? 'Saving...' : 'Save as plan'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Modal component for detailed collision analysis
 const CollisionAnalysisModal = ({ conjunction, onClose }) => {
   const [analysis, setAnalysis] = useState(null);
+  const [pcMethod, setPcMethod] = useState('foster');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -44,7 +181,8 @@ const CollisionAnalysisModal = ({ conjunction, onClose }) => {
         setLoading(true);
         const response = await conjunctionApi.getDetailedAnalysis(
           conjunction.satA,
-          conjunction.satB
+          conjunction.satB,
+          { method: pcMethod }
         );
         if (response.data.success) {
           setAnalysis(response.data.data);
@@ -62,7 +200,7 @@ const CollisionAnalysisModal = ({ conjunction, onClose }) => {
     if (conjunction?.satA && conjunction?.satB) {
       fetchAnalysis();
     }
-  }, [conjunction]);
+  }, [conjunction, pcMethod]);
 
   if (!conjunction) return null;
 
@@ -127,9 +265,29 @@ const CollisionAnalysisModal = ({ conjunction, onClose }) => {
                   style={{ width: `${Math.min(100, Math.log10(analysis.probabilityOfCollision + 1e-10) * -20 + 60)}%` }}
                 ></div>
               </div>
-              <div className="text-xs text-white/50">
-                NASA/Caltech Squared Miss Distance Method
+              <div className="flex items-center justify-between text-xs text-white/50">
+                <span>{pcMethod === 'montecarlo' ? 'Sampled through the encounter' : '2D encounter-plane method'}</span>
+                <select
+                  value={pcMethod}
+                  onChange={(e) => setPcMethod(e.target.value)}
+                  className="bg-space-dark border border-glass-border rounded px-2 py-1 text-white text-xs"
+                >
+                  {PC_METHOD_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
               </div>
+              {analysis.pcMethod?.method === 'montecarlo' && (
+                <div className="mt-2 text-xs text-white/50">
+                  {(analysis.pcMethod.parameters.confidenceLevel * 100).toFixed(0)}% interval{' '}
+                  {analysis.pcMethod.parameters.confidenceInterval.lower.toExponential(2)} –{' '}
+                  {analysis.pcMethod.parameters.confidenceInterval.upper.toExponential(2)} from{' '}
+                  {analysis.pcMethod.parameters.samples.toLocaleString()} samples (seed {analysis.pcMethod.parameters.seed})
+                  {!analysis.pcMethod.parameters.converged && (
+                    <span className="text-solar-amber"> · target error not reached</span>
+                  )}
+                </div>
+              )}
             </div>
 
             {/* Miss Distance */}
@@ -159,6 +317,85 @@ const CollisionAnalysisModal = ({ conjunction, onClose }) => {
               </p>
             </div>
 
+            {analysis.conjunction.id && (
+              <AvoidanceManeuverSection conjunctionId={analysis.conjunction.id} />
+            )}
+
+            {/* Covariance Sensitivity */}
+            {analysis.covarianceSensitivity && (
+              <div className="glass-card p-4">
+                <div className="flex items-center justify-between mb-3">
+                  <h3 className="font-orbitron text-sm font-semibold text-white">
+                    Covariance Sensitivity
+                  </h3>
+                  {analysis.covarianceSensitivity.dilutionRegion && (
+                    <span className={`px-2 py-0.5 rounded text-xs font-bold text-black ${
+                      analysis.covarianceSensitivity.dilutedBelowThreshold ? 'bg-alert-red' : 'bg-solar-amber'
+                    }`}>
+                      Dilution region
+                    </span>
+                  )}
+                </div>
+                <div className="h-48">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart
+                      data={analysis.covarianceSensitivity.curve.map(point => ({
+                        scale: point.scale,
+                        pc: Math.max(point.probabilityOfCollision, 1e-20)
+                      }))}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                      <XAxis
+                        dataKey="scale"
+                        type="number"
+                        scale="log"
+                        domain={['dataMin', 'dataMax']}
+                        stroke="#9CA3AF"
+                        tickFormatter={(v) => `${v}×`}
+                        ticks={[0.01, 0.1, 1, 10, 100]}
+                      />
+                      <YAxis
+                        type="number"
+                        scale="log"
+                        domain={['auto', 'auto']}
+                        stroke="#9CA3AF"
+                        tickFormatter={(v) => v.toExponential(0)}
+                        allowDataOverflow
+                      />
+                      <Tooltip
+                        contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+                        labelStyle={{ color: '#F9FAFB' }}
+                        labelFormatter={(v) => `Covariance × ${Number(v).toPrecision(3)}`}
+                        formatter={(value) => [value.toExponential(3), 'Pc']}
+                      />
+                      <ReferenceLine x={1} stroke="#22D3EE" strokeDasharray="4 4" />
+                      <Line type="monotone" dataKey="pc" stroke="#F59E0B" dot={false} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+                <div className="grid grid-cols-2 gap-4 mt-3 text-sm">
+                  <div>
+                    <span className="text-white/50 text-xs">Maximum Pc (size and orientation)</span>
+                    <p className="font-orbitron text-alert-red">
+                      {analysis.covarianceSensitivity.maximumProbability.probabilityOfCollision.toExponential(2)}
+                    </p>
+                  </div>
+                  <div>
+                    <span className="text-white/50 text-xs">Pc-maximising covariance scale</span>
+                    <p className="font-orbitron text-neon-cyan">
+                      {analysis.covarianceSensitivity.maximumOverScale.scale.toPrecision(3)}×
+                    </p>
+                  </div>
+                </div>
+                {analysis.covarianceSensitivity.dilutedBelowThreshold && (
+                  <p className="mt-2 text-xs text-alert-red">
+                    Pc is low only because the covariance is large; a smaller covariance would put it above{' '}
+                    {analysis.covarianceSensitivity.reportingThreshold.toExponential(0)}.
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Uncertainty Ellipsoids */}
             {analysis.uncertaintyData?.combined && (
               <div className="glass-card p-4">
@@ -7,6 +7,7 @@ const navItems = [
   { path: '/lifetime', label: 'Lifetime' },
   { path: '/closest-approach', label: 'Approach' },
   { path: '/simulation', label: 'Sim' },
+  { path: '/maneuver-plans', label: 'Plans' },
   { path: '/analytics', label: 'Analytics' },
   { path: '/reentry', label: 'Reentry' },
   { path: '/ml-prediction', label: 'ML' },
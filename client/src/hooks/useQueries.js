@@ -64,7 +64,8 @@ export const useSatellitePositions = (limit = 300) => {
   return useQuery({
     queryKey: queryKeys.satellites.positions(limit),
     queryFn: async () => {
-      const response = await satelliteApi.getPositions(limit);
+      // The globe scene is scaled in thousands of km
+      const response = await satelliteApi.getPositions(limit, { units: 'Mm' });
       return response.data;
     },
     staleTime: 1000 * 30, // 30 seconds - positions change frequently
@@ -1,11 +1,23 @@
 import { useState } from 'react';
-import { useQuery, useMutation } from '@tanstack/react-query';
-import api from '../services/api';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import api, { watchlistApi } from '../services/api';
+
+const DEFAULT_ASSET_FORM = {
+  noradCatId: '',
+  radialKm: 2,
+  transverseKm: 25,
+  normalKm: 25,
+  horizonHours: 168,
+  cadenceMinutes: 60
+};
 
 const ClosestApproach = () => {
   const [satelliteId, setSatelliteId] = useState('');
   const [threshold, setThreshold] = useState(10);
   const [searchResult, setSearchResult] = useState(null);
+  const [assetForm, setAssetForm] = useState(DEFAULT_ASSET_FORM);
+  const [selectedAsset, setSelectedAsset] = useState(null);
+  const queryClient = useQueryClient();
 
   const { data: alerts, isLoading: alertsLoading, refetch } = useQuery({
     queryKey: ['closestApproachAlerts'],
@@ -29,6 +41,63 @@ const ClosestApproach = () => {
     }
   });
 
+  const { data: watchlist, isLoading: watchlistLoading } = useQuery({
+    queryKey: ['watchlist'],
+    queryFn: () => watchlistApi.getAll().then(r => r.data.data || []),
+    refetchInterval: 60000
+  });
+
+  const { data: assetEvents, isLoading: assetEventsLoading } = useQuery({
+    queryKey: ['watchlistEvents', selectedAsset],
+    queryFn: () => watchlistApi.getEvents(selectedAsset).then(r => r.data.data || []),
+    enabled: !!selectedAsset
+  });
+
+  const refreshWatchlist = () => {
+    queryClient.invalidateQueries({ queryKey: ['watchlist'] });
+    queryClient.invalidateQueries({ queryKey: ['watchlistEvents'] });
+  };
+
+  const showWatchlistError = (action) => (err) => {
+    alert(`${action} failed: ` + (err.response?.data?.error || err.message || 'Unknown error'));
+  };
+
+  const addAssetMutation = useMutation({
+    mutationFn: (form) => watchlistApi.add({
+      noradCatId: parseInt(form.noradCatId, 10),
+      screeningVolume: {
+        radialKm: parseFloat(form.radialKm),
+        transverseKm: parseFloat(form.transverseKm),
+        normalKm: parseFloat(form.normalKm)
+      },
+      horizonHours: parseFloat(form.horizonHours),
+      cadenceMinutes: parseFloat(form.cadenceMinutes)
+    }),
+    onSuccess: (res) => {
+      setAssetForm(DEFAULT_ASSET_FORM);
+      setSelectedAsset(res.data.data.noradCatId);
+      refreshWatchlist();
+    },
+    onError: showWatchlistError('Adding asset')
+  });
+
+  const removeAssetMutation = useMutation({
+    mutationFn: (noradCatId) => watchlistApi.remove(noradCatId),
+    onSuccess: (res) => {
+      if (res.data.data.noradCatId === selectedAsset) setSelectedAsset(null);
+      refreshWatchlist();
+    },
+    onError: showWatchlistError('Removing asset')
+  });
+
+  const screenAssetMutation = useMutation({
+    mutationFn: (noradCatId) => watchlistApi.screenNow(noradCatId),
+    onSuccess: refreshWatchlist,
+    onError: showWatchlistError('Screening')
+  });
+
+  const updateAssetForm = (field) => (e) => setAssetForm({ ...assetForm, [field]: e.target.value });
+
   const handleSearch = async () => {
     if (!satelliteId) return;
     try {
@@ -160,6 +229,133 @@ const ClosestApproach = () => {
         </div>
       </div>
 
+      <div className="bg-deep-space/50 rounded-xl p-6 border border-glass-border">
+        <h2 className="text-xl font-semibold text-white mb-4">Protected Asset Watchlist</h2>
+        <div className="grid grid-cols-2 md:grid-cols-7 gap-3 items-end mb-6">
+          <div>
+            <label className="block text-sm text-white/70 mb-2">NORAD Cat ID</label>
+            <input
+              type="number"
+              value={assetForm.noradCatId}
+              onChange={updateAssetForm('noradCatId')}
+              placeholder="Asset"
+              className="w-full bg-space-dark border border-glass-border rounded-lg px-3 py-2 text-white"
+            />
+          </div>
+          {[
+            ['radialKm', 'Radial (km)'],
+            ['transverseKm', 'In-track (km)'],
+            ['normalKm', 'Cross-track (km)'],
+            ['horizonHours', 'Horizon (h)'],
+            ['cadenceMinutes', 'Cadence (min)']
+          ].map(([field, label]) => (
+            <div key={field}>
+              <label className="block text-sm text-white/70 mb-2">{label}</label>
+              <input
+                type="number"
+                min="0"
+                value={assetForm[field]}
+                onChange={updateAssetForm(field)}
+                className="w-full bg-space-dark border border-glass-border rounded-lg px-3 py-2 text-white"
+              />
+            </div>
+          ))}
+          <button
+            onClick={() => addAssetMutation.mutate(assetForm)}
+            disabled={!assetForm.noradCatId || addAssetMutation.isPending}
+            className="bg-neon-cyan/20 hover:bg-neon-cyan/30 text-neon-cyan py-2 rounded-lg border border-neon-cyan/30 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {addAssetMutation.isPending ? 'Adding...' : 'Add Asset'}
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="space-y-3">
+            {watchlistLoading ? (
+              <div className="text-white/50">Loading...</div>
+            ) : watchlist && watchlist.length > 0 ? (
+              watchlist.map(asset => (
+                <div
+                  key={asset.noradCatId}
+                  onClick={() => setSelectedAsset(asset.noradCatId)}
+                  className={`p-4 bg-space-dark rounded-lg border cursor-pointer ${
+                    selectedAsset === asset.noradCatId ? 'border-neon-cyan/50' : 'border-glass-border'
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <span className="text-white font-medium">{asset.name || `SAT-${asset.noradCatId}`}</span>
+                      <span className="text-white/50 text-sm ml-2">#{asset.noradCatId}</span>
+                      {!asset.enabled && <span className="text-white/50 text-xs ml-2">PAUSED</span>}
+                    </div>
+                    <span className="text-neon-cyan font-mono">{asset.upcomingEvents} upcoming</span>
+                  </div>
+                  <div className="text-white/50 text-sm mt-1 font-mono">
+                    R {asset.screeningVolume?.radialKm} × T {asset.screeningVolume?.transverseKm} × N {asset.screeningVolume?.normalKm} km
+                    {' · '}{asset.horizonHours} h horizon · every {asset.cadenceMinutes} min
+                  </div>
+                  <div className="text-white/50 text-xs mt-1">
+                    Last: {asset.lastScreenedAt ? new Date(asset.lastScreenedAt).toLocaleString() : 'never'}
+                    {' · '}Next: {asset.nextScreeningAt ? new Date(asset.nextScreeningAt).toLocaleString() : 'N/A'}
+                    {asset.lastScreening?.error && <span className="text-red-400 ml-2">{asset.lastScreening.error}</span>}
+                  </div>
+                  <div className="flex gap-2 mt-3">
+                    <button
+                      onClick={(e) => { e.stopPropagation(); screenAssetMutation.mutate(asset.noradCatId); }}
+                      disabled={screenAssetMutation.isPending}
+                      className="px-3 py-1 text-xs bg-cosmic-blue/20 hover:bg-cosmic-blue/30 text-cosmic-blue rounded border border-cosmic-blue/30 disabled:opacity-50"
+                    >
+                      {screenAssetMutation.isPending && screenAssetMutation.variables === asset.noradCatId ? 'Screening...' : 'Screen Now'}
+                    </button>
+                    <button
+                      onClick={(e) => { e.stopPropagation(); removeAssetMutation.mutate(asset.noradCatId); }}
+                      disabled={removeAssetMutation.isPending}
+                      className="px-3 py-1 text-xs bg-red-400/10 hover:bg-red-400/20 text-red-400 rounded border border-red-400/30 disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))
+            ) : (
+              <div className="text-white/50">No protected assets - add one by NORAD ID to screen it against the catalog</div>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-white font-medium mb-3">
+              Upcoming Events{selectedAsset ? ` for #${selectedAsset}` : ''}
+            </h3>
+            {!selectedAsset ? (
+              <div className="text-white/50">Select an asset to see its upcoming events</div>
+            ) : assetEventsLoading ? (
+              <div className="text-white/50">Loading...</div>
+            ) : assetEvents && assetEvents.length > 0 ? (
+              <div className="space-y-2">
+                {assetEvents.map(event => (
+                  <div key={event.eventId} className="flex items-center justify-between p-3 bg-space-dark rounded-lg border border-glass-border">
+                    <div>
+                      <div className="text-white text-sm">{event.counterpart.name}</div>
+                      <div className="text-white/50 text-xs">
+                        TCA: {new Date(event.timeOfClosestApproach).toLocaleString()}
+                      </div>
+                    </div>
+                    <div className="text-right">
+                      <div className="text-neon-cyan font-mono">{event.missDistance?.toFixed(2)} km</div>
+                      <div className="text-white/50 text-xs font-mono">
+                        Pc {event.probabilityOfCollision ? event.probabilityOfCollision.toExponential(2) : '0'}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="text-white/50">No upcoming events inside this asset's screening volume</div>
+            )}
+          </div>
+        </div>
+      </div>
+
       <div className="bg-deep-space/50 rounded-xl p-6 border border-glass-border">
         <h2 className="text-xl font-semibold text-white mb-4">Active Closest Approach Alerts</h2>
         {alertsLoading ? (
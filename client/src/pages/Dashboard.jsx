@@ -124,7 +124,7 @@ const Dashboard = () => {
     if (!sat || !sat.noradCatId) return null;
     try {
       const { satelliteApi } = await import('../services/api');
-      const orbitRes = await satelliteApi.getOrbit(sat.noradCatId);
+      const orbitRes = await satelliteApi.getOrbit(sat.noradCatId, { units: 'Mm' });
       return orbitRes.data.data || null;
     } catch (err) {
       console.error('Error fetching orbit:', err);
@@ -0,0 +1,279 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { maneuverPlanApi } from '../services/api';
+
+const STATUS_FILTERS = ['all', 'draft', 'proposed', 'approved', 'executed', 'cancelled'];
+
+// Button label for each status a plan can move to
+const TRANSITION_LABELS = {
+  proposed: 'Propose',
+  approved: 'Approve',
+  draft: 'Return to Draft',
+  executed: 'Mark Executed',
+  cancelled: 'Cancel'
+};
+
+const getStatusColor = (status) => {
+  switch (status) {
+    case 'proposed': return 'text-yellow-400 bg-yellow-400/10 border-yellow-400/30';
+    case 'approved': return 'text-neon-cyan bg-neon-cyan/10 border-neon-cyan/30';
+    case 'executed': return 'text-green-400 bg-green-400/10 border-green-400/30';
+    case 'cancelled': return 'text-white/40 bg-white/5 border-white/10';
+    default: return 'text-white/70 bg-white/10 border-white/20';
+  }
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const formatKm = (value) => (value === null || value === undefined ? '—' : `${(value * 1000).toFixed(1)} m`);
+
+const ManeuverPlans = () => {
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [selectedPlanId, setSelectedPlanId] = useState(null);
+  const [reviewer, setReviewer] = useState('');
+  const [note, setNote] = useState('');
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['maneuverPlans', statusFilter],
+    queryFn: () => maneuverPlanApi.getAll(statusFilter === 'all' ? {} : { status: statusFilter }).then(r => r.data),
+    refetchInterval: 60000
+  });
+
+  const plans = data?.data || [];
+  const transitions = data?.transitions || {};
+  const selectedPlan = plans.find(plan => plan._id === selectedPlanId);
+
+  const refreshPlans = () => queryClient.invalidateQueries({ queryKey: ['maneuverPlans'] });
+
+  const showPlanError = (action) => (err) => {
+    alert(`${action} failed: ` + (err.response?.data?.error || err.message || 'Unknown error'));
+  };
+
+  const statusMutation = useMutation({
+    mutationFn: ({ id, status }) => maneuverPlanApi.setStatus(id, status, {
+      by: reviewer || undefined,
+      note: note || undefined
+    }),
+    onSuccess: () => {
+      setNote('');
+      refreshPlans();
+    },
+    onError: showPlanError('Status change')
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => maneuverPlanApi.remove(id),
+    onSuccess: () => {
+      setSelectedPlanId(null);
+      refreshPlans();
+    },
+    onError: showPlanError('Deleting plan')
+  });
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-3xl font-orbitron font-bold text-white">Maneuver Plans</h1>
+        <span className="text-neon-cyan text-sm">Review, Approval &amp; Execution</span>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {STATUS_FILTERS.map(status => (
+          <button
+            key={status}
+            onClick={() => setStatusFilter(status)}
+            className={`px-4 py-2 rounded-lg border text-sm transition-all ${
+              statusFilter === status
+                ? 'bg-neon-cyan/20 border-neon-cyan/50 text-neon-cyan'
+                : 'bg-deep-space/50 border-glass-border text-white/70 hover:bg-white/5'
+            }`}
+          >
+            {status.toUpperCase()}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-deep-space/50 rounded-xl p-6 border border-glass-border">
+          <h2 className="text-xl font-semibold text-white mb-4">Plans</h2>
+          {isLoading ? (
+            <div className="text-white/50">Loading...</div>
+          ) : plans.length > 0 ? (
+            <div className="space-y-3">
+              {plans.map(plan => (
+                <div
+                  key={plan._id}
+                  onClick={() => setSelectedPlanId(plan._id)}
+                  className={`p-4 bg-space-dark rounded-lg border cursor-pointer ${
+                    selectedPlanId === plan._id ? 'border-neon-cyan/50' : 'border-glass-border'
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <span className="text-white font-medium">{plan.name}</span>
+                      <span className="text-white/50 text-sm ml-2">#{plan.noradCatId}</span>
+                    </div>
+                    <span className={`px-2 py-1 rounded text-xs border ${getStatusColor(plan.status)}`}>
+                      {plan.status.toUpperCase()}
+                    </span>
+                  </div>
+                  <div className="text-white/50 text-sm mt-1 font-mono">
+                    ΔV {plan.maneuver?.deltaV?.toFixed(3)} m/s · fuel {plan.fuel?.fuelMassKg?.toFixed(2)} kg
+                    {plan.maneuver?.burnTime && ` · burn ${formatDate(plan.maneuver.burnTime)}`}
+                  </div>
+                  {plan.conjunction?.counterpart && (
+                    <div className="text-white/50 text-xs mt-1">
+                      Conjunction with #{plan.conjunction.counterpart} at {formatDate(plan.conjunction.timeOfClosestApproach)}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-white/50">No maneuver plans - save one from the Simulation page or the avoidance planner in a conjunction's collision analysis</div>
+          )}
+        </div>
+
+        <div className="bg-deep-space/50 rounded-xl p-6 border border-glass-border">
+          <h2 className="text-xl font-semibold text-white mb-4">Plan Details</h2>
+          {!selectedPlan ? (
+            <div className="text-white/50">Select a plan to review it</div>
+          ) : (
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-3 text-sm">
+                <div>
+                  <div className="text-white/50">Maneuver</div>
+                  <div className="text-white">{selectedPlan.maneuver?.type} · {selectedPlan.source}</div>
+                </div>
+                <div>
+                  <div className="text-white/50">Delta-V</div>
+                  <div className="text-neon-cyan font-mono">{selectedPlan.maneuver?.deltaV?.toFixed(4)} m/s</div>
+                </div>
+                {selectedPlan.maneuver?.deltaVRTN && (
+                  <div className="col-span-2">
+                    <div className="text-white/50">RTN components</div>
+                    <div className="text-white font-mono">
+                      R {selectedPlan.maneuver.deltaVRTN.radial?.toFixed(4)} · T {selectedPlan.maneuver.deltaVRTN.transverse?.toFixed(4)} · N {selectedPlan.maneuver.deltaVRTN.normal?.toFixed(4)} m/s
+                    </div>
+                  </div>
+                )}
+                <div>
+                  <div className="text-white/50">Fuel estimate</div>
+                  <div className="text-white font-mono">
+                    {selectedPlan.fuel?.fuelMassKg?.toFixed(3)} kg of {selectedPlan.fuel?.spacecraftMassKg} kg
+                  </div>
+                </div>
+                <div>
+                  <div className="text-white/50">Expected Δa</div>
+                  <div className="text-white font-mono">{formatKm(selectedPlan.expected?.semiMajorAxisChangeKm)}</div>
+                </div>
+                {selectedPlan.prediction?.probabilityOfCollision != null && (
+                  <div className="col-span-2">
+                    <div className="text-white/50">Predicted by the planner</div>
+                    <div className="text-white font-mono">
+                      Pc {selectedPlan.prediction.probabilityOfCollision.toExponential(2)}
+                      {selectedPlan.prediction.nominalProbabilityOfCollision != null &&
+                        ` (from ${selectedPlan.prediction.nominalProbabilityOfCollision.toExponential(2)})`}
+                      {selectedPlan.prediction.missDistanceKm != null && ` · miss ${formatKm(selectedPlan.prediction.missDistanceKm)}`}
+                    </div>
+                  </div>
+                )}
+                {selectedPlan.approval?.approvedBy && (
+                  <div className="col-span-2">
+                    <div className="text-white/50">Approved</div>
+                    <div className="text-white">
+                      {selectedPlan.approval.approvedBy} on {formatDate(selectedPlan.approval.approvedAt)}
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {selectedPlan.execution?.executedAt && (
+                <div className="p-3 bg-space-dark rounded-lg border border-glass-border text-sm">
+                  <div className="text-white font-medium mb-1">Execution</div>
+                  <div className="text-white/70">
+                    {formatDate(selectedPlan.execution.executedAt)}
+                    {selectedPlan.execution.detectedBy === 'element-set' ? ' (detected in element sets)' : ' (reported by operator)'}
+                  </div>
+                  {selectedPlan.execution.elementSet ? (
+                    <div className="text-white/70 font-mono mt-1">
+                      Element set {formatDate(selectedPlan.execution.elementSet.epoch)}
+                      {' · '}observed Δa {formatKm(selectedPlan.execution.observed?.semiMajorAxisChangeKm)}
+                      {selectedPlan.execution.performanceRatio != null &&
+                        ` · ${(selectedPlan.execution.performanceRatio * 100).toFixed(0)}% of plan`}
+                    </div>
+                  ) : (
+                    <div className="text-white/50 mt-1">Waiting for an element set after the burn</div>
+                  )}
+                </div>
+              )}
+
+              <div>
+                <div className="text-white/50 text-sm mb-2">History</div>
+                <div className="space-y-1">
+                  {(selectedPlan.history || []).map((entry, i) => (
+                    <div key={i} className="text-xs text-white/70">
+                      <span className="font-mono">{formatDate(entry.at)}</span>
+                      {' · '}{entry.status}
+                      {entry.by && ` by ${entry.by}`}
+                      {entry.note && <span className="text-white/50"> — {entry.note}</span>}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {(transitions[selectedPlan.status] || []).length > 0 && (
+                <div className="space-y-3 pt-4 border-t border-glass-border">
+                  <div className="grid grid-cols-2 gap-3">
+                    <input
+                      type="text"
+                      value={reviewer}
+                      onChange={(e) => setReviewer(e.target.value)}
+                      placeholder="Your name"
+                      className="bg-space-dark border border-glass-border rounded-lg px-3 py-2 text-white text-sm"
+                    />
+                    <input
+                      type="text"
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      placeholder="Note or reason"
+                      className="bg-space-dark border border-glass-border rounded-lg px-3 py-2 text-white text-sm"
+                    />
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {transitions[selectedPlan.status].map(status => (
+                      <button
+                        key={status}
+                        onClick={() => statusMutation.mutate({ id: selectedPlan._id, status })}
+                        disabled={statusMutation.isPending || (status === 'approved' && !reviewer)}
+                        className={`px-3 py-1 text-xs rounded border disabled:opacity-50 ${
+                          status === 'cancelled'
+                            ? 'bg-red-400/10 hover:bg-red-400/20 text-red-400 border-red-400/30'
+                            : 'bg-neon-cyan/20 hover:bg-neon-cyan/30 text-neon-cyan border-neon-cyan/30'
+                        }`}
+                      >
+                        {TRANSITION_LABELS[status] || status}
+                      </button>
+                    ))}
+                    {selectedPlan.status === 'draft' && (
+                      <button
+                        onClick={() => deleteMutation.mutate(selectedPlan._id)}
+                        disabled={deleteMutation.isPending}
+                        className="px-3 py-1 text-xs bg-white/5 hover:bg-white/10 text-white/60 rounded border border-white/10 disabled:opacity-50"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ManeuverPlans;
@@ -1,7 +1,12 @@
 import { useState, useEffect, useCallback } from 'react';
-import { satelliteApi, riskApi } from '../services/api';
+import { satelliteApi, riskApi, maneuverPlanApi, conjunctionApi } from '../services/api';
 import LaunchWindowAnalyzer from '../components/LaunchWindowAnalyzer';
 
+// Largest delta-V the maneuver plan API accepts (server MAX_DELTA_V_MS), in km/s like scenario.deltaV
+const MAX_PLAN_DELTA_V_KMS = 5;
+
+const getScenarioDeltaV = (scenario) => scenario.deltaV?.total ?? scenario.deltaV ?? 0;
+
 const Simulation = () => {
   const [satellites, setSatellites] = useState([]);
   const [selectedSatellite, setSelectedSatellite] = useState(null);
@@ -15,6 +20,11 @@ const Simulation = () => {
   const [customScenarios, setCustomScenarios] = useState([]); // Custom scenarios with persistence
   const [showAddScenario, setShowAddScenario] = useState(false);
   const [newScenario, setNewScenario] = useState({ altitude: 400, inclination: 0, name: '' });
+  const [savedPlanScenarios, setSavedPlanScenarios] = useState([]); // Scenario IDs saved as maneuver plans
+  const [strategy, setStrategy] = useState('impulsive'); // 'impulsive', 'low-thrust' or 'both'
+  const [propulsion, setPropulsion] = useState({ thrustN: 0.08, ispSeconds: 1600, massKg: 1000 });
+  const [satelliteConjunctions, setSatelliteConjunctions] = useState([]); // Upcoming conjunctions of the selected satellite
+  const [triggerConjunctionId, setTriggerConjunctionId] = useState(''); // Conjunction saved plans respond to
 
   // Load custom scenarios from localStorage on mount
   useEffect(() => {
@@ -84,7 +94,8 @@ const Simulation = () => {
       
       setAnalyzing(true);
       try {
-        const response = await riskApi.getManeuverOptions(selectedSatellite.noradCatId);
+        const params = strategy === 'impulsive' ? {} : { strategy, ...propulsion };
+        const response = await riskApi.getManeuverOptions(selectedSatellite.noradCatId, params);
         setManeuverAnalysis(response.data.data);
       } catch (err) {
         console.error('Error fetching maneuver analysis:', err);
@@ -95,6 +106,30 @@ const Simulation = () => {
     };
 
     fetchManeuverAnalysis();
+  }, [selectedSatellite, strategy, propulsion]);
+
+  // Upcoming conjunctions of the selected satellite; the nearest is the default plan trigger
+  useEffect(() => {
+    const fetchConjunctions = async () => {
+      setSatelliteConjunctions([]);
+      setTriggerConjunctionId('');
+      if (!selectedSatellite) return;
+
+      try {
+        const response = await conjunctionApi.getAll(500);
+        const now = Date.now();
+        const upcoming = (response.data.data || [])
+          .filter(conj => (conj.satA === selectedSatellite.noradCatId || conj.satB === selectedSatellite.noradCatId) &&
+            new Date(conj.timeOfClosestApproach).getTime() > now)
+          .sort((a, b) => new Date(a.timeOfClosestApproach) - new Date(b.timeOfClosestApproach));
+        setSatelliteConjunctions(upcoming);
+        setTriggerConjunctionId(upcoming[0]?.id || '');
+      } catch (err) {
+        console.error('Error fetching conjunctions:', err);
+      }
+    };
+
+    fetchConjunctions();
   }, [selectedSatellite]);
 
   const runSimulation = useCallback(async () => {
@@ -120,6 +155,7 @@ const Simulation = () => {
     setAltitude(sat.orbitalAltitude || 400);
     setInclination(sat.inclination || 0);
     setSimulationResult(null);
+    setSavedPlanScenarios([]);
     // Don't clear custom scenarios - they are filtered by satellite ID
   };
 
@@ -161,6 +197,33 @@ const Simulation = () => {
     setCustomScenarios(customScenarios.filter(s => s.id !== id));
   };
 
+  // Keep a scenario as a draft maneuver plan for review and approval
+  const handleSaveAsPlan = async (scenario) => {
+    if (!selectedSatellite) return;
+
+    const deltaVKms = getScenarioDeltaV(scenario);
+    try {
+      await maneuverPlanApi.create({
+        noradCatId: selectedSatellite.noradCatId,
+        name: scenario.name,
+        source: scenario.isCustom ? 'custom-scenario' : 'maneuver-options',
+        conjunctionId: triggerConjunctionId || undefined,
+        maneuver: {
+          type: 'orbit-change',
+          description: scenario.description,
+          scenarioId: scenario.id,
+          deltaV: deltaVKms * 1000,
+          targetAltitude: scenario.newAltitude ?? scenario.altitude,
+          targetInclination: scenario.newInclination ?? scenario.inclination
+        }
+      });
+      setSavedPlanScenarios([...savedPlanScenarios, scenario.id]);
+    } catch (err) {
+      console.error('Error saving maneuver plan:', err);
+      alert('Saving maneuver plan failed: ' + (err.response?.data?.error || err.message || 'Unknown error'));
+    }
+  };
+
   // NEW: Combine predefined and custom scenarios for display
   const getAllScenarios = () => {
     const predefined = maneuverAnalysis?.scenarios || [];
@@ -455,17 +518,74 @@ const Simulation = () => {
                     <h2 className="font-orbitron text-lg font-semibold text-white">
                       MANEUVER OPTIONS COMPARISON
                     </h2>
-                    <button
-                      onClick={() => setShowAddScenario(true)}
-                      className="px-4 py-2 bg-neon-cyan/20 text-neon-cyan border border-neon-cyan/30 rounded-lg hover:bg-neon-cyan/30 transition-colors flex items-center gap-2"
-                    >
-                      <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                      </svg>
-                      Add Custom Scenario
-                    </button>
+                    <div className="flex items-center gap-3">
+                      <select
+                        value={strategy}
+                        onChange={(e) => setStrategy(e.target.value)}
+                        className="bg-space-dark border border-glass-border rounded-lg px-3 py-2 text-white text-sm"
+                      >
+                        <option value="impulsive">Impulsive burns</option>
+                        <option value="low-thrust">Low-thrust spiral</option>
+                        <option value="both">Both strategies</option>
+                      </select>
+                      <button
+                        onClick={() => setShowAddScenario(true)}
+                        className="px-4 py-2 bg-neon-cyan/20 text-neon-cyan border border-neon-cyan/30 rounded-lg hover:bg-neon-cyan/30 transition-colors flex items-center gap-2"
+                      >
+                        <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                        </svg>
+                        Add Custom Scenario
+                      </button>
+                    </div>
                   </div>
 
+                  {strategy !== 'impulsive' && (
+                    <div className="grid grid-cols-3 gap-3 mb-6">
+                      {[
+                        { key: 'thrustN', label: 'Thrust (N)', step: 0.01 },
+                        { key: 'ispSeconds', label: 'Isp (s)', step: 100 },
+                        { key: 'massKg', label: 'Spacecraft mass (kg)', step: 50 }
+                      ].map(field => (
+                        <label key={field.key} className="text-white/50 text-xs">
+                          {field.label}
+                          <input
+                            type="number"
+                            min="0"
+                            step={field.step}
+                            value={propulsion[field.key]}
+                            onChange={(e) => {
+                              const value = parseFloat(e.target.value);
+                              if (value > 0) setPropulsion({ ...propulsion, [field.key]: value });
+                            }}
+                            className="mt-1 w-full bg-space-dark border border-glass-border rounded-lg px-3 py-2 text-white text-sm font-mono"
+                          />
+                        </label>
+                      ))}
+                    </div>
+                  )}
+
+                  {satelliteConjunctions.length > 0 && (
+                    <label className="flex items-center gap-3 mb-4 text-white/50 text-xs">
+                      Plans respond to
+                      <select
+                        value={triggerConjunctionId}
+                        onChange={(e) => setTriggerConjunctionId(e.target.value)}
+                        className="bg-space-dark border border-glass-border rounded-lg px-3 py-2 text-white text-sm"
+                      >
+                        <option value="">No conjunction</option>
+                        {satelliteConjunctions.map(conj => {
+                          const counterpart = conj.satA === selectedSatellite.noradCatId ? conj.satBName : conj.satAName;
+                          return (
+                            <option key={conj.id} value={conj.id}>
+                              {counterpart} · {new Date(conj.timeOfClosestApproach).toLocaleString()} · {conj.minDistanceKm?.toFixed(2)} km
+                            </option>
+                          );
+                        })}
+                      </select>
+                    </label>
+                  )}
+
                   {analyzing ? (
                     <div className="flex items-center justify-center py-12">
                       <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-neon-cyan"></div>
@@ -508,6 +628,12 @@ const Simulation = () => {
                                         {scenario.isCustom && <span className="ml-2 text-xs text-purple-400">(Custom)</span>}
                                       </p>
                                       <p className="text-xs text-white/40">{scenario.description || 'Custom scenario'}</p>
+                                      {scenario.transfer?.strategy === 'low-thrust' && (
+                                        <p className="text-xs text-solar-amber/80 font-mono">
+                                          {scenario.transfer.durationDays.toFixed(1)} d · {Math.round(scenario.transfer.revolutions)} rev
+                                          {' · '}~{scenario.transfer.exposure.expectedConjunctions.toFixed(1)} approaches &lt;{scenario.transfer.exposure.screeningDistanceKm} km
+                                        </p>
+                                      )}
                                     </div>
                                   </div>
                                 </td>
@@ -553,7 +679,15 @@ const Simulation = () => {
                                     </span>
                                   </div>
                                 </td>
-                                <td className="py-3 px-2 text-right">
+                                <td className="py-3 px-2 text-right whitespace-nowrap">
+                                  <button
+                                    onClick={() => handleSaveAsPlan(scenario)}
+                                    disabled={savedPlanScenarios.includes(scenario.id) || !getScenarioDeltaV(scenario) || getScenarioDeltaV(scenario) > MAX_PLAN_DELTA_V_KMS}
+                                    title={getScenarioDeltaV(scenario) > MAX_PLAN_DELTA_V_KMS ? `Maneuver plans are limited to ${MAX_PLAN_DELTA_V_KMS} km/s of delta-V` : undefined}
+                                    className="mr-3 text-xs text-neon-cyan/70 hover:text-neon-cyan disabled:text-white/30 disabled:cursor-not-allowed transition-colors"
+                                  >
+                                    {savedPlanScenarios.includes(scenario.id) ? 'Saved' : 'Save as plan'}
+                                  </button>
                                   {scenario.isCustom && (
                                     <button
                                       onClick={() => handleRemoveCustomScenario(scenario.id)}
@@ -38,16 +38,45 @@ api.interceptors.response.use(
 
 // Maintain backward compatibility - return axios promises directly
 export const satelliteApi = {
-  getAll: (limit = 300) => api.get(`/satellites?limit=${Math.min(limit, 1000)}`),
+  getAll: (limit = 300, filters = {}) => {
+    const queryParams = new URLSearchParams({ ...filters, limit: Math.min(limit, 1000) }).toString();
+    return api.get(`/satellites?${queryParams}`);
+  },
   getById: (id) => api.get(`/satellites/${id}`),
-  getPositions: (limit = 300) => api.get(`/satellites/positions?limit=${Math.min(limit, 500)}`),
-  getOrbit: (id) => api.get(`/satellites/orbit/${id}`),
+  getPositions: (limit = 300, params = {}) => {
+    const queryParams = new URLSearchParams({ ...params, limit: Math.min(limit, 500) }).toString();
+    return api.get(`/satellites/positions?${queryParams}`);
+  },
+  getOrbit: (id, params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    return api.get(`/satellites/orbit/${id}${queryParams ? `?${queryParams}` : ''}`);
+  },
+  getHistory: (id, params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    return api.get(`/satellites/${id}/history${queryParams ? `?${queryParams}` : ''}`);
+  },
+  getGroundTrack: (id, params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    return api.get(`/satellites/${id}/ground-track${queryParams ? `?${queryParams}` : ''}`);
+  },
+  propagate: (id, request) => api.post(`/satellites/${id}/propagate`, request),
+  getHardBodyRadius: (id) => api.get(`/satellites/${id}/hard-body-radius`),
+  setHardBodyRadius: (id, radius, notes) => api.put(`/satellites/${id}/hard-body-radius`, { radius, notes }),
+  clearHardBodyRadius: (id) => api.delete(`/satellites/${id}/hard-body-radius`),
   search: (query, limit = 20) => {
     if (!query || query.length < 2) return Promise.resolve({ data: [] });
     return api.get(`/satellites/search?q=${encodeURIComponent(query)}&limit=${Math.min(limit, 100)}`);
   },
   getStatistics: () => api.get('/satellites/statistics'),
-  refreshTLE: () => api.post('/satellites/refresh')
+  refreshTLE: (sources) => api.post('/satellites/refresh', sources ? { sources } : {}),
+  getSources: () => api.get('/satellites/sources'),
+  refreshSatcat: (source) => api.post('/satellites/satcat/refresh', source ? { source } : {}),
+  importCatalog: (file, { format = 'auto', dryRun = false } = {}) => {
+    const queryParams = new URLSearchParams({ format, dryRun, fileName: file.name || '' }).toString();
+    return api.post(`/satellites/import?${queryParams}`, file, {
+      headers: { 'Content-Type': 'text/plain' }
+    });
+  }
 };
 
 export const riskApi = {
@@ -60,7 +89,10 @@ export const riskApi = {
   getDensity: () => api.get('/risk/density'),
   simulate: (data) => api.post('/risk/simulate', data),
   // Maneuver analysis
-  getManeuverOptions: (noradCatId) => api.get(`/risk/maneuvers/${noradCatId}`),
+  getManeuverOptions: (noradCatId, params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    return api.get(`/risk/maneuvers/${noradCatId}${queryParams ? `?${queryParams}` : ''}`);
+  },
   compareManeuvers: (data) => api.post('/risk/maneuvers/compare', data),
   // Historical risk trends
   getTrends: (params = {}) => {
@@ -95,7 +127,17 @@ export const conjunctionApi = {
   getHighRisk: (level = 'high') => api.get(`/conjunctions/high?level=${level}`),
   getStatistics: () => api.get('/conjunctions/statistics'),
   runDetection: () => api.post('/conjunctions/run'),
-  getDetailedAnalysis: (satA, satB) => api.get(`/conjunctions/analysis/${satA}/${satB}`)
+  screenHypothetical: (object, window, thresholdKm) => api.post('/conjunctions/screen', { object, window, thresholdKm }),
+  getDetailedAnalysis: (satA, satB, params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    return api.get(`/conjunctions/analysis/${satA}/${satB}${queryParams ? `?${queryParams}` : ''}`);
+  },
+  getEventTimeline: (eventId) => api.get(`/conjunctions/events/${encodeURIComponent(eventId)}/timeline`),
+  downloadCDM: (id, format = 'kvn') => api.get(`/conjunctions/${id}/cdm?format=${format}`, { responseType: 'blob' }),
+  ingestCDM: (file, format) => api.post(`/conjunctions/cdm${format ? `?format=${format}` : ''}`, file, {
+    headers: { 'Content-Type': 'text/plain' }
+  }),
+  planAvoidanceManeuver: (id, options = {}) => api.post(`/conjunctions/${id}/avoidance-maneuver`, options)
 };
 
 export const alertApi = {
@@ -191,4 +233,37 @@ export const kesslerApi = {
   getRiskAnalysis: () => api.get('/kessler/risk-analysis')
 };
 
+export const ephemerisApi = {
+  upload: (noradCatId, file, format) => {
+    const queryParams = new URLSearchParams({ fileName: file.name || '', ...(format ? { format } : {}) }).toString();
+    return api.post(`/ephemeris/${noradCatId}?${queryParams}`, file, {
+      headers: { 'Content-Type': 'text/plain' }
+    });
+  },
+  list: (noradCatId) => api.get(`/ephemeris/${noradCatId}`),
+  getState: (noradCatId, time) => api.get(`/ephemeris/${noradCatId}/state${time ? `?time=${encodeURIComponent(time)}` : ''}`),
+  remove: (noradCatId, ephemerisId) => api.delete(`/ephemeris/${noradCatId}/${ephemerisId}`)
+};
+
+export const watchlistApi = {
+  getAll: () => api.get('/watchlist'),
+  add: (asset) => api.post('/watchlist', asset),
+  update: (noradCatId, changes) => api.put(`/watchlist/${noradCatId}`, changes),
+  remove: (noradCatId) => api.delete(`/watchlist/${noradCatId}`),
+  getEvents: (noradCatId) => api.get(`/watchlist/${noradCatId}/events`),
+  screenNow: (noradCatId) => api.post(`/watchlist/${noradCatId}/screen`)
+};
+
+export const maneuverPlanApi = {
+  getAll: (params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    return api.get(`/maneuver-plans${queryParams ? `?${queryParams}` : ''}`);
+  },
+  get: (id) => api.get(`/maneuver-plans/${id}`),
+  create: (plan) => api.post('/maneuver-plans', plan),
+  update: (id, changes) => api.put(`/maneuver-plans/${id}`, changes),
+  setStatus: (id, status, details = {}) => api.post(`/maneuver-plans/${id}/status`, { status, ...details }),
+  remove: (id) => api.delete(`/maneuver-plans/${id}`)
+};
+
 export default api;
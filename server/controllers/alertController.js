@@ -7,12 +7,13 @@ const { asyncHandler } = require('../middleware/errorHandler');
  * Get all alerts with filtering and pagination
  */
 const getAlerts = asyncHandler(async (req, res) => {
-  const { status, priority, riskLevel, limit, skip, sortBy, sortOrder } = req.query;
+  const { status, priority, riskLevel, assetNoradCatId, limit, skip, sortBy, sortOrder } = req.query;
   
   const result = await alertService.getAlerts({
     status,
     priority,
     riskLevel,
+    assetNoradCatId: assetNoradCatId ? parseInt(assetNoradCatId) : undefined,
     limit: limit ? parseInt(limit) : 50,
     skip: skip ? parseInt(skip) : 0,
     sortBy: sortBy || 'createdAt',
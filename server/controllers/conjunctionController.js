@@ -5,15 +5,36 @@ const {
   getConjunctionStatistics
 } = require('../services/conjunctionEngine');
 const collisionProbabilityEngine = require('../services/collisionProbabilityEngine');
+const { getEventTimeline: getConjunctionEventTimeline } = require('../services/conjunctionEventService');
+const cdmService = require('../services/cdmService');
+const { screenHypotheticalObject } = require('../services/hypotheticalScreeningService');
+const { planAvoidanceManeuver: planManeuver } = require('../services/avoidanceManeuverPlanner');
+const { CDM_FORMATS } = require('../services/cdmMessage');
+const { PC_METHODS, isPcMethod } = require('../services/pcMethods');
+const monteCarloPc = require('../services/monteCarloPc');
 const Satellite = require('../models/Satellite');
+const { convertState, describeReference } = require('../utils/frames');
+
+// Express the TEME states at TCA in the requested frame; RTN is centred on the primary
+const convertStates = (analysis, frameOptions, primaryKey) => {
+  if (!analysis) return { stateA: null, stateB: null };
+  const tca = new Date(analysis.timeOfClosestApproach);
+  const primary = frameOptions.frame === 'RTN' ? analysis[primaryKey] : null;
+  const convert = (state) => ({
+    ...convertState(state, tca, { ...frameOptions, primary }),
+    altitude: state.altitude
+  });
+  return { stateA: convert(analysis.stateA), stateB: convert(analysis.stateB) };
+};
 
 const runDetection = async (req, res) => {
   try {
-    const result = await runConjunctionDetection();
+    const { conjunctions, screening } = await runConjunctionDetection();
     res.json({
       success: true,
-      data: result,
-      message: `Found ${result.length} conjunction events`
+      data: conjunctions,
+      screening,
+      message: `Found ${conjunctions.length} conjunction events`
     });
   } catch (error) {
     console.error('Conjunction detection error:', error);
@@ -80,6 +101,48 @@ const getDetailedAnalysis = async (req, res) => {
     const { satA, satB } = req.params;
     const noradCatIdA = parseInt(satA);
     const noradCatIdB = parseInt(satB);
+    const frameOptions = req.frameOptions;
+    const primaryId = frameOptions.primary || noradCatIdA;
+    const method = req.query.method ? String(req.query.method).toLowerCase() : collisionProbabilityEngine.CONFIG.PC_METHOD;
+    
+    if (primaryId !== noradCatIdA && primaryId !== noradCatIdB) {
+      return res.status(400).json({
+        success: false,
+        error: 'primary must be one of the two satellites in the conjunction'
+      });
+    }
+    
+    if (!isPcMethod(method)) {
+      return res.status(400).json({
+        success: false,
+        error: `method must be one of: ${PC_METHODS.join(', ')}`
+      });
+    }
+    
+    // Monte Carlo sampling controls; the same seed reproduces the same estimate.
+    // Without maxSamples the request gets the smaller interactive budget.
+    const monteCarlo = { maxSamples: monteCarloPc.CONFIG.INTERACTIVE_MAX_SAMPLES };
+    if (req.query.seed !== undefined) {
+      monteCarlo.seed = parseInt(req.query.seed, 10);
+      if (!Number.isInteger(monteCarlo.seed) || monteCarlo.seed < 0) {
+        return res.status(400).json({ success: false, error: 'seed must be a non-negative integer' });
+      }
+    }
+    if (req.query.relativeError !== undefined) {
+      monteCarlo.targetRelativeError = parseFloat(req.query.relativeError);
+      if (!(monteCarlo.targetRelativeError > 0 && monteCarlo.targetRelativeError < 1)) {
+        return res.status(400).json({ success: false, error: 'relativeError must be between 0 and 1' });
+      }
+    }
+    if (req.query.maxSamples !== undefined) {
+      monteCarlo.maxSamples = parseInt(req.query.maxSamples, 10);
+      if (!(monteCarlo.maxSamples > 0 && monteCarlo.maxSamples <= monteCarloPc.CONFIG.MAX_SAMPLES)) {
+        return res.status(400).json({
+          success: false,
+          error: `maxSamples must be between 1 and ${monteCarloPc.CONFIG.MAX_SAMPLES}`
+        });
+      }
+    }
     
     // Get satellite data
     const satAData = await Satellite.findOne({ noradCatId: noradCatIdA }).lean();
@@ -112,7 +175,9 @@ const getDetailedAnalysis = async (req, res) => {
     const collisionAnalysis = await collisionProbabilityEngine.analyzeConjunction(
       satAData,
       satBData,
-      conjunction.timeOfClosestApproach
+      conjunction.timeOfClosestApproach,
+      null,
+      { pcMethod: method, monteCarlo, sensitivity: true }
     );
     
     res.json({
@@ -127,14 +192,27 @@ const getDetailedAnalysis = async (req, res) => {
           closestApproachDistance: conjunction.closestApproachDistance,
           timeOfClosestApproach: conjunction.timeOfClosestApproach,
           relativeVelocity: conjunction.relativeVelocity,
+          relativePositionRTN: conjunction.relativePositionRTN || null,
+          eventId: conjunction.eventId || null,
           riskLevel: conjunction.riskLevel
         },
         probabilityOfCollision: collisionAnalysis?.probabilityOfCollision || 0,
         probabilityFormatted: collisionAnalysis ? 
           collisionProbabilityEngine.formatProbability(collisionAnalysis.probabilityOfCollision) : '0',
+        pcMethod: collisionAnalysis?.pcMethod || null,
+        covarianceSensitivity: collisionAnalysis?.covarianceSensitivity || null,
+        hardBodyRadius: collisionAnalysis?.hardBodyRadius || null,
         uncertaintyData: collisionAnalysis?.uncertaintyData || null,
-        stateA: collisionAnalysis?.stateA || null,
-        stateB: collisionAnalysis?.stateB || null
+        reference: describeReference(frameOptions.frame, frameOptions.units, {
+          epoch: collisionAnalysis?.timeOfClosestApproach || conjunction.timeOfClosestApproach,
+          ...(frameOptions.frame === 'RTN' ? { primary: primaryId } : {}),
+          distances: 'km',
+          covariance: { frame: 'RTN', units: 'm^2' },
+          uncertaintyPositions: { frame: 'TEME', units: 'km' }
+        }),
+        ...convertStates(collisionAnalysis, frameOptions, primaryId === noradCatIdA ? 'stateA' : 'stateB'),
+        stateSources: collisionAnalysis?.stateSources || null,
+        covarianceSources: collisionAnalysis?.covarianceSources || null
       }
     });
   } catch (error) {
@@ -146,8 +224,146 @@ const getDetailedAnalysis = async (req, res) => {
   }
 };
 
+// Screening history of one conjunction event
+const getEventTimeline = async (req, res) => {
+  try {
+    const timeline = await getConjunctionEventTimeline(req.params.eventId);
+    
+    if (!timeline) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conjunction event not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: timeline
+    });
+  } catch (error) {
+    console.error('Get conjunction event timeline error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Export a stored conjunction as a CCSDS CDM (KVN or XML)
+const exportCDM = async (req, res) => {
+  try {
+    const format = (req.query.format || 'kvn').toLowerCase();
+    
+    if (!CDM_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${CDM_FORMATS.join(', ')}`
+      });
+    }
+    
+    const { content, contentType, fileName } = await cdmService.exportConjunctionCDM(req.params.id, format);
+    
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(content);
+  } catch (error) {
+    console.error('Export CDM error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Ingest a CDM received from another operator into the event history
+const ingestCDM = async (req, res) => {
+  try {
+    const { format } = req.query;
+    
+    if (format && !CDM_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${CDM_FORMATS.join(', ')}`
+      });
+    }
+    if (typeof req.body !== 'string' || req.body.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Request body must contain the CDM'
+      });
+    }
+    
+    const result = await cdmService.ingestCDM(req.body, { format });
+    
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Ingest CDM error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Screen a hypothetical object (candidate or post-maneuver orbit) without storing results
+const screenHypothetical = async (req, res) => {
+  try {
+    const { object, window, thresholdKm } = req.body || {};
+    
+    const result = await screenHypotheticalObject({ object, window, thresholdKm });
+    
+    res.json({
+      success: true,
+      data: result,
+      stored: false
+    });
+  } catch (error) {
+    console.error('Hypothetical screening error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Design the smallest burn that brings a conjunction's Pc below a target
+const planAvoidanceManeuver = async (req, res) => {
+  try {
+    const { maneuveringObject, burnWindow, targetPc, maxDeltaV, pcMethod, propagator, rescreen } = req.body || {};
+    
+    const plan = await planManeuver(req.params.id, {
+      maneuveringObject,
+      burnWindow,
+      targetPc,
+      maxDeltaV,
+      pcMethod,
+      propagator,
+      rescreen
+    });
+    
+    res.json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    console.error('Avoidance maneuver planning error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   runDetection,
+  screenHypothetical,
+  planAvoidanceManeuver,
+  getEventTimeline,
+  exportCDM,
+  ingestCDM,
   getAll,
   getHighRisk,
   getStatistics,
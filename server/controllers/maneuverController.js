@@ -1,18 +1,34 @@
 const Satellite = require('../models/Satellite');
-const { analyzeManeuverOptions, compareScenarios } = require('../services/maneuvers');
+const { analyzeManeuverOptions, compareScenarios, MANEUVER_STRATEGIES } = require('../services/maneuvers');
 
 /**
  * Get all maneuver options for a satellite with Delta-V calculations
+ * Query: strategy (impulsive, low-thrust or both); for low-thrust, thrustN, ispSeconds, massKg
  */
 const getManeuverOptions = async (req, res) => {
   try {
     const { noradCatId } = req.params;
+    const { strategy = 'impulsive' } = req.query;
     
     if (!noradCatId) {
       return res.status(400).json({ success: false, error: 'Satellite ID required' });
     }
 
-    const result = await analyzeManeuverOptions(noradCatId);
+    if (!MANEUVER_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ success: false, error: `strategy must be one of: ${MANEUVER_STRATEGIES.join(', ')}` });
+    }
+
+    const propulsion = {};
+    for (const field of ['thrustN', 'ispSeconds', 'massKg']) {
+      if (req.query[field] === undefined) continue;
+      const value = parseFloat(req.query[field]);
+      if (isNaN(value) || value <= 0) {
+        return res.status(400).json({ success: false, error: `${field} must be a positive number` });
+      }
+      propulsion[field] = value;
+    }
+
+    const result = await analyzeManeuverOptions(noradCatId, { strategy, propulsion });
     
     res.json({
       success: true,
@@ -62,7 +62,12 @@ const getClusterPositions = async (req, res) => {
     const satellites = await Satellite.find({}).limit(100);
     const positions = await calculateClusterPositions(satellites);
     
-    res.json({ success: true, count: positions.length, data: positions });
+    res.json({
+      success: true,
+      count: positions.length,
+      reference: { frame: 'TEME', units: { position: 'km', altitude: 'km' } },
+      data: positions
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
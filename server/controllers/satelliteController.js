@@ -1,11 +1,80 @@
 const Satellite = require('../models/Satellite');
-const { propagateSatellite, getOrbitalPositions, calculateOrbitalParameters } = require('../services/orbitEngine');
+const {
+  propagateSatellite,
+  getGroundTrack,
+  getOrbitalPeriodMinutes,
+  GROUND_TRACK_LIMITS,
+  ORBIT_SAMPLING,
+  getOrbitalPositions,
+  calculateOrbitalParameters
+} = require('../services/orbitEngine');
 const { fetchAndStoreTLE } = require('../services/tleFetcher');
+const { getElementSetHistory } = require('../services/tleHistoryService');
+const { getCatalogSourceStatus } = require('../services/catalogSources');
+const { ingestSatcat } = require('../services/satcatIngestor');
+const { importCatalogFile } = require('../services/catalogImporter');
+const {
+  getHardBodyRadius: resolveSatelliteHardBodyRadius,
+  setHardBodyRadiusOverride,
+  clearHardBodyRadiusOverride
+} = require('../services/hardBodyRadiusService');
+const { convertState, describeReference } = require('../utils/frames');
+const numericalPropagator = require('../services/numericalPropagator');
+
+// RTN output is relative to a primary object, which has to be loaded first
+const loadPrimary = async (frameOptions) => {
+  if (frameOptions.frame !== 'RTN') return { primary: null };
+  if (!frameOptions.primary) {
+    return { status: 400, error: 'frame=RTN requires a primary NORAD catalog ID' };
+  }
+  const primary = await Satellite.findOne({ noradCatId: frameOptions.primary }).lean();
+  if (!primary) {
+    return { status: 404, error: 'Primary satellite not found' };
+  }
+  return { primary };
+};
+
+const propagateState = (sat, time) => {
+  const tleLine1 = sat.tleLine1 || (sat.tle && sat.tle.line1);
+  const tleLine2 = sat.tleLine2 || (sat.tle && sat.tle.line2);
+  const pos = propagateSatellite(tleLine1, tleLine2, time);
+  return pos ? { position: { x: pos.x, y: pos.y, z: pos.z }, velocity: pos.velocity } : null;
+};
+
+// Build a Satellite query from the SATCAT metadata filters
+const buildSatelliteFilter = (query) => {
+  const filter = {};
+  const list = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+  if (query.objectType) filter.objectType = { $in: list(query.objectType).map(v => v.toUpperCase()) };
+  if (query.owner) filter.owner = { $in: list(query.owner).map(v => v.toUpperCase()) };
+  if (query.country) filter.country = { $in: list(query.country).map(v => v.toUpperCase()) };
+  if (query.rcsSize) filter.rcsSize = { $in: list(query.rcsSize).map(v => v.toUpperCase()) };
+  if (query.launchSite) filter.launchSite = { $in: list(query.launchSite).map(v => v.toUpperCase()) };
+
+  if (query.launchedAfter || query.launchedBefore) {
+    // launchDate is stored as YYYY-MM-DD, so string comparison orders correctly
+    filter.launchDate = {};
+    if (query.launchedAfter) filter.launchDate.$gte = query.launchedAfter;
+    if (query.launchedBefore) filter.launchDate.$lte = query.launchedBefore;
+  }
+
+  if (query.decayed === 'true') filter.decayDate = { $ne: null };
+  if (query.decayed === 'false') filter.decayDate = null;
+
+  if (query.decayedAfter || query.decayedBefore) {
+    filter.decayDate = {};
+    if (query.decayedAfter) filter.decayDate.$gte = new Date(query.decayedAfter);
+    if (query.decayedBefore) filter.decayDate.$lte = new Date(query.decayedBefore);
+  }
+
+  return filter;
+};
 
 const getAllSatellites = async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 300;
-    const satellites = await Satellite.find({})
+    const satellites = await Satellite.find(buildSatelliteFilter(req.query))
       .sort({ orbitalAltitude: 1 })
       .limit(limit);
     
@@ -57,30 +126,60 @@ const getSatelliteById = async (req, res) => {
 const getSatellitePositions = async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 300;
+    const frameOptions = req.frameOptions;
+    const { primary, status, error } = await loadPrimary(frameOptions);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
     const satellites = await Satellite.find({}).limit(limit);
+    const now = new Date();
+    const primaryState = primary ? propagateState(primary, now) : null;
+    if (primary && !primaryState) {
+      return res.status(400).json({ success: false, error: 'Primary satellite could not be propagated' });
+    }
     
     const positions = satellites.map(sat => {
       const tleLine1 = sat.tleLine1 || (sat.tle && sat.tle.line1);
       const tleLine2 = sat.tleLine2 || (sat.tle && sat.tle.line2);
       
-      const pos = propagateSatellite(tleLine1, tleLine2);
+      const pos = propagateSatellite(tleLine1, tleLine2, now);
       if (pos) {
+        const converted = convertState(
+          { position: { x: pos.x, y: pos.y, z: pos.z }, velocity: pos.velocity },
+          now,
+          { ...frameOptions, primary: primaryState }
+        );
         return {
           noradCatId: sat.noradCatId,
           name: sat.name,
-          x: pos.x / 1000,
-          y: pos.y / 1000,
-          z: pos.z / 1000,
+          ...(converted.position ? {
+            x: converted.position.x,
+            y: converted.position.y,
+            z: converted.position.z,
+            vx: converted.velocity.x,
+            vy: converted.velocity.y,
+            vz: converted.velocity.z
+          } : {}),
           latitude: pos.latitude,
           longitude: pos.longitude,
-          altitude: sat.orbitalAltitude || 0,
+          altitude: pos.altitude,
           riskScore: sat.riskScore || 0
         };
       }
       return null;
     }).filter(p => p !== null);
 
-    res.json({ success: true, count: positions.length, data: positions });
+    res.json({
+      success: true,
+      count: positions.length,
+      reference: describeReference(frameOptions.frame, frameOptions.units, {
+        epoch: now,
+        ...(primary ? { primary: primary.noradCatId } : {}),
+        subpoint: { latitude: 'deg', longitude: 'deg', altitude: 'km' }
+      }),
+      data: positions
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -94,17 +193,228 @@ const getSatelliteOrbit = async (req, res) => {
       return res.status(404).json({ success: false, error: 'Satellite not found' });
     }
 
+    const frameOptions = req.frameOptions;
+    const { primary, status, error } = await loadPrimary(frameOptions);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
     const tleLine1 = satellite.tleLine1 || (satellite.tle && satellite.tle.line1);
     const tleLine2 = satellite.tleLine2 || (satellite.tle && satellite.tle.line2);
     
-    const orbitPath = getOrbitalPositions(tleLine1, tleLine2);
+    const { revolutions, start, step } = req.query;
+    const orbitPath = getOrbitalPositions(tleLine1, tleLine2, ORBIT_SAMPLING.DEFAULT_POINTS_PER_REVOLUTION, {
+      start: start ? new Date(start) : new Date(),
+      revolutions: revolutions ? parseFloat(revolutions) : 1,
+      stepSeconds: step ? parseFloat(step) : null
+    });
+
+    const points = [];
+    for (const point of orbitPath) {
+      const primaryState = primary ? propagateState(primary, point.time) : null;
+      if (primary && !primaryState) continue;
+      const converted = convertState(
+        { position: { x: point.x, y: point.y, z: point.z } },
+        point.time,
+        { ...frameOptions, primary: primaryState }
+      );
+      points.push(converted.position ? { ...converted.position, time: point.time } : { ...converted, time: point.time });
+    }
+
+    res.json({
+      success: true,
+      count: points.length,
+      periodMinutes: getOrbitalPeriodMinutes(tleLine1, tleLine2),
+      reference: describeReference(frameOptions.frame, frameOptions.units, primary ? { primary: primary.noradCatId } : {}),
+      data: points
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+const getSatelliteGroundTrack = async (req, res) => {
+  try {
+    const satellite = await Satellite.findOne({ noradCatId: req.params.id });
+
+    if (!satellite) {
+      return res.status(404).json({ success: false, error: 'Satellite not found' });
+    }
+
+    const tleLine1 = satellite.tleLine1 || (satellite.tle && satellite.tle.line1);
+    const tleLine2 = satellite.tleLine2 || (satellite.tle && satellite.tle.line2);
+    if (!tleLine1 || !tleLine2) {
+      return res.status(400).json({ success: false, error: 'Satellite has no element set to propagate' });
+    }
+
+    const { start, end, step } = req.query;
+    const startDate = start ? new Date(start) : new Date();
+    // One revolution by default
+    const endDate = end
+      ? new Date(end)
+      : new Date(startDate.getTime() + getOrbitalPeriodMinutes(tleLine1, tleLine2) * 60 * 1000);
+    const stepSeconds = step ? parseFloat(step) : GROUND_TRACK_LIMITS.DEFAULT_STEP_SECONDS;
+
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      return res.status(400).json({ success: false, error: 'Invalid start or end date' });
+    }
+    if (startDate >= endDate) {
+      return res.status(400).json({ success: false, error: 'start must be before end' });
+    }
+    if (isNaN(stepSeconds) || stepSeconds < GROUND_TRACK_LIMITS.MIN_STEP_SECONDS || stepSeconds > GROUND_TRACK_LIMITS.MAX_STEP_SECONDS) {
+      return res.status(400).json({
+        success: false,
+        error: `step must be between ${GROUND_TRACK_LIMITS.MIN_STEP_SECONDS} and ${GROUND_TRACK_LIMITS.MAX_STEP_SECONDS} seconds`
+      });
+    }
+    if (endDate - startDate > GROUND_TRACK_LIMITS.MAX_SPAN_HOURS * 3600 * 1000) {
+      return res.status(400).json({ success: false, error: `Span must not exceed ${GROUND_TRACK_LIMITS.MAX_SPAN_HOURS} hours` });
+    }
+    if ((endDate - startDate) / (stepSeconds * 1000) > GROUND_TRACK_LIMITS.MAX_POINTS) {
+      return res.status(400).json({ success: false, error: `Request would return more than ${GROUND_TRACK_LIMITS.MAX_POINTS} points; increase step` });
+    }
+
+    const points = getGroundTrack(tleLine1, tleLine2, startDate, endDate, stepSeconds);
+
+    res.json({
+      success: true,
+      count: points.length,
+      data: {
+        noradCatId: satellite.noradCatId,
+        name: satellite.name,
+        start: startDate,
+        end: endDate,
+        stepSeconds,
+        points
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+const getSatelliteHistory = async (req, res) => {
+  try {
+    const noradCatId = parseInt(req.params.id);
+    const { start, end, limit } = req.query;
+
+    const startDate = start ? new Date(start) : null;
+    const endDate = end ? new Date(end) : null;
+
+    if ((startDate && isNaN(startDate.getTime())) || (endDate && isNaN(endDate.getTime()))) {
+      return res.status(400).json({ success: false, error: 'Invalid start or end date' });
+    }
+
+    if (startDate && endDate && startDate > endDate) {
+      return res.status(400).json({ success: false, error: 'start must be before end' });
+    }
+
+    const history = await getElementSetHistory(noradCatId, {
+      start: startDate,
+      end: endDate,
+      limit: parseInt(limit) || undefined
+    });
 
-    res.json({ success: true, data: orbitPath });
+    res.json({
+      success: true,
+      count: history.length,
+      data: {
+        noradCatId,
+        start: startDate,
+        end: endDate,
+        elementSets: history
+      }
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 };
 
+// Special-perturbations propagation from the current element set, with optional burns.
+// Runs on the request thread, so the span and step count are held to the REQUEST_ limits.
+const propagateNumerically = async (req, res) => {
+  try {
+    const noradCatId = parseInt(req.params.id);
+    const { start, end, times, stepSeconds, massKg, forces = {}, burns, tolerance } = req.body || {};
+
+    const sat = await Satellite.findOne({ noradCatId }).lean();
+    if (!sat) {
+      return res.status(404).json({ success: false, error: 'Satellite not found' });
+    }
+    if (!(sat.tleLine1 || sat.tle?.line1)) {
+      return res.status(400).json({ success: false, error: 'No TLE data available' });
+    }
+
+    const startDate = start ? new Date(start) : new Date();
+    if (isNaN(startDate.getTime())) {
+      return res.status(400).json({ success: false, error: 'start must be a valid date' });
+    }
+    const initial = numericalPropagator.stateFromElements(sat, startDate);
+    if (!initial) {
+      return res.status(400).json({ success: false, error: 'The element set cannot be propagated to start' });
+    }
+
+    // Without drag parameters the element set's B* stands in for them
+    const bstarDrag = numericalPropagator.dragFromElements(sat);
+    const result = numericalPropagator.propagate(
+      { ...initial, massKg },
+      {
+        end,
+        times,
+        stepSeconds,
+        burns,
+        tolerance,
+        forces: { ...forces, drag: forces.drag === undefined ? bstarDrag || false : forces.drag },
+        maxDurationDays: numericalPropagator.CONFIG.REQUEST_MAX_DURATION_DAYS,
+        maxSteps: numericalPropagator.CONFIG.REQUEST_MAX_STEPS
+      }
+    );
+
+    res.json({
+      success: true,
+      count: result.states.length,
+      data: {
+        noradCatId,
+        name: sat.name,
+        frame: 'TEME',
+        initial,
+        ...result
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+// Hard-body radius used for Pc and what it was derived from
+const getHardBodyRadius = async (req, res) => {
+  try {
+    const data = await resolveSatelliteHardBodyRadius(parseInt(req.params.id));
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+// Operator-supplied radius that takes precedence over the RCS and object-type lookup
+const setHardBodyRadius = async (req, res) => {
+  try {
+    const data = await setHardBodyRadiusOverride(parseInt(req.params.id), req.body || {});
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+const clearHardBodyRadius = async (req, res) => {
+  try {
+    const data = await clearHardBodyRadiusOverride(parseInt(req.params.id));
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
 const searchSatellites = async (req, res) => {
   try {
     const { q, limit = 20 } = req.query;
@@ -127,13 +437,64 @@ const searchSatellites = async (req, res) => {
 
 const refreshTLE = async (req, res) => {
   try {
-    const result = await fetchAndStoreTLE();
+    const { sources } = req.body || {};
+    if (sources !== undefined && !Array.isArray(sources)) {
+      return res.status(400).json({ success: false, error: 'sources must be an array of source names' });
+    }
+
+    const result = await fetchAndStoreTLE({ sources });
     res.json({ success: true, message: 'TLE data refreshed', ...result });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 };
 
+const refreshSatcat = async (req, res) => {
+  try {
+    const { source } = req.body || {};
+    if (source && !['celestrak', 'local'].includes(source)) {
+      return res.status(400).json({ success: false, error: 'source must be celestrak or local' });
+    }
+
+    const result = await ingestSatcat({ source });
+    res.json({ success: true, message: 'SATCAT metadata refreshed', ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Body is the raw file (text) or, for JSON uploads, the already parsed OMM array
+const importCatalog = async (req, res) => {
+  try {
+    const data = req.body;
+    const isEmpty = typeof data === 'string'
+      ? data.trim().length === 0
+      : !data || (typeof data === 'object' && Object.keys(data).length === 0);
+
+    if (isEmpty) {
+      return res.status(400).json({ success: false, error: 'Request body must contain the catalog file' });
+    }
+
+    const report = await importCatalogFile(data, {
+      format: req.query.format,
+      fileName: req.query.fileName || req.get('X-File-Name'),
+      dryRun: req.query.dryRun === 'true'
+    });
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+const getCatalogSources = async (req, res) => {
+  try {
+    res.json({ success: true, data: getCatalogSourceStatus() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
 const getStatistics = async (req, res) => {
   try {
     const total = await Satellite.countDocuments();
@@ -165,7 +526,16 @@ module.exports = {
   getSatelliteById,
   getSatellitePositions,
   getSatelliteOrbit,
+  getSatelliteHistory,
+  getSatelliteGroundTrack,
+  propagateNumerically,
+  getHardBodyRadius,
+  setHardBodyRadius,
+  clearHardBodyRadius,
   searchSatellites,
   refreshTLE,
+  refreshSatcat,
+  importCatalog,
+  getCatalogSources,
   getStatistics
 };
@@ -0,0 +1,32 @@
+const { resolveOutputFrame, OUTPUT_FRAMES, UNITS } = require('../utils/frames');
+
+/**
+ * Validate the frame, units and primary query parameters shared by the position
+ * endpoints and normalise them onto req.frameOptions
+ */
+const validateFrameQuery = (req, res, next) => {
+  const { frame = 'TEME', units = 'km', primary } = req.query;
+
+  const resolved = resolveOutputFrame(frame);
+  if (!resolved) {
+    return res.status(400).json({
+      success: false,
+      error: `frame must be one of ${Object.keys(OUTPUT_FRAMES).join(', ')}`
+    });
+  }
+  if (!UNITS[units]) {
+    return res.status(400).json({ success: false, error: `units must be one of ${Object.keys(UNITS).join(', ')}` });
+  }
+  if (primary !== undefined && isNaN(parseInt(primary))) {
+    return res.status(400).json({ success: false, error: 'primary must be a NORAD catalog ID' });
+  }
+
+  req.frameOptions = {
+    frame: resolved,
+    units,
+    primary: primary !== undefined ? parseInt(primary) : null
+  };
+  next();
+};
+
+module.exports = { validateFrameQuery };
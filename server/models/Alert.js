@@ -13,7 +13,21 @@ const alertSchema = new mongoose.Schema({
   conjunctionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Conjunction',
-    required: true,
+    required: function() {
+      return !this.eventId;
+    },
+    index: true
+  },
+  
+  // Conjunction event the alert is about (watchlist alerts are raised per event)
+  eventId: {
+    type: String,
+    index: true
+  },
+  
+  // Protected asset whose screening raised the alert
+  assetNoradCatId: {
+    type: Number,
     index: true
   },
   
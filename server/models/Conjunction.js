@@ -23,6 +23,23 @@ const conjunctionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Position of satellite2 in satellite1's RTN frame at the refined TCA (km)
+  relativePositionRTN: {
+    radial: Number,
+    transverse: Number,
+    normal: Number
+  },
+  // ConjunctionEvent holding the screening history of this approach
+  eventId: {
+    type: String,
+    index: true
+  },
+  // How the TCA was refined from the screening samples
+  tcaRefinement: {
+    method: { type: String, enum: ['brent', 'golden-section'] },
+    iterations: Number,
+    converged: Boolean
+  },
   riskLevel: {
     type: String,
     enum: ['low', 'medium', 'high', 'critical'],
@@ -37,6 +54,19 @@ const conjunctionSchema = new mongoose.Schema({
     type: String,
     default: '0'
   },
+  // Pc method and the parameters it ran with (hard-body radius, plane sigmas, nodes or terms;
+  // seed, samples and confidence interval for Monte Carlo)
+  pcMethod: {
+    method: { type: String, enum: ['foster', 'chan', 'alfano', 'montecarlo'] },
+    parameters: mongoose.Schema.Types.Mixed
+  },
+  // Combined hard-body radius (m) used for Pc, and each object's radius and its source
+  // ('operator', 'rcs', 'rcs-size', 'object-type' or 'default')
+  hardBodyRadius: {
+    radius: Number,
+    satellite1: { radius: Number, source: String },
+    satellite2: { radius: Number, source: String }
+  },
   // Uncertainty data for visualization
   uncertaintyData: {
     // Combined covariance matrix (flattened 9-element array)
@@ -67,6 +97,27 @@ const conjunctionSchema = new mongoose.Schema({
       semiVertical: Number
     }
   },
+  // Element set quality of both objects; lowQuality flags stale or suspicious orbits
+  dataQuality: {
+    satellite1Score: Number,
+    satellite2Score: Number,
+    weight: Number,
+    flags: [String],
+    lowQuality: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // 'ephemeris' when an operator OEM was used instead of SGP4
+  stateSources: {
+    satellite1: { type: String, enum: ['sgp4', 'ephemeris'], default: 'sgp4' },
+    satellite2: { type: String, enum: ['sgp4', 'ephemeris'], default: 'sgp4' }
+  },
+  // 'cdm' when a covariance received from another operator replaced the default
+  covarianceSources: {
+    satellite1: { type: String, enum: ['default', 'ephemeris', 'cdm'] },
+    satellite2: { type: String, enum: ['default', 'ephemeris', 'cdm'] }
+  },
   // Hard body radii used in calculation
   primaryRadius: {
     type: Number,
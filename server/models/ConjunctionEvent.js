@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+// RTN position covariance of each object at TCA, row-major 3x3 (m²)
+const covariancePairSchema = new mongoose.Schema({
+  satellite1: {
+    type: [Number],
+    default: undefined
+  },
+  satellite2: {
+    type: [Number],
+    default: undefined
+  }
+}, { _id: false });
+
+// One screening run's (or received CDM's) view of the event
+const screeningUpdateSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['screening', 'cdm'],
+    default: 'screening'
+  },
+  screenedAt: {
+    type: Date,
+    required: true
+  },
+  timeOfClosestApproach: {
+    type: Date,
+    required: true
+  },
+  missDistance: {
+    type: Number,
+    required: true
+  },
+  relativeVelocity: Number,
+  // Position of satellite2 in satellite1's RTN frame at TCA (km)
+  relativePositionRTN: {
+    radial: Number,
+    transverse: Number,
+    normal: Number
+  },
+  probabilityOfCollision: {
+    type: Number,
+    default: 0
+  },
+  // Method that produced the Pc: a pcMethods name for screenings, the CDM's
+  // COLLISION_PROBABILITY_METHOD for received CDMs
+  pcMethod: {
+    method: String,
+    parameters: mongoose.Schema.Types.Mixed
+  },
+  riskLevel: String,
+  // Epochs of the element sets the update was computed from
+  elementSetEpochs: {
+    satellite1: Date,
+    satellite2: Date
+  },
+  stateSources: {
+    satellite1: { type: String, enum: ['sgp4', 'ephemeris'] },
+    satellite2: { type: String, enum: ['sgp4', 'ephemeris'] }
+  },
+  lowQuality: {
+    type: Boolean,
+    default: false
+  },
+  // Message the update was read from, for CDM updates
+  cdm: {
+    messageId: String,
+    originator: String,
+    creationDate: Date
+  },
+  covariance: covariancePairSchema
+}, { _id: false });
+
+// A single close approach of a pair, tracked across screening runs
+const conjunctionEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  satellite1: {
+    type: Number,
+    required: true
+  },
+  satellite2: {
+    type: Number,
+    required: true
+  },
+  // Latest TCA estimate, used to match new screening results to the event
+  timeOfClosestApproach: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  // Earliest and latest TCA seen across updates
+  tcaWindow: {
+    start: Date,
+    end: Date
+  },
+  status: {
+    type: String,
+    enum: ['active', 'passed'],
+    default: 'active',
+    index: true
+  },
+  latest: {
+    missDistance: Number,
+    probabilityOfCollision: Number,
+    riskLevel: String,
+    screenedAt: Date
+  },
+  // Protected assets whose screening volume the approach entered
+  watchlistAssets: {
+    type: [Number],
+    default: [],
+    index: true
+  },
+  // Covariance from the latest CDM received for the event; used in place of the
+  // default covariance whenever the event's Pc is computed
+  externalCovariance: {
+    satellite1: {
+      type: [Number],
+      default: undefined
+    },
+    satellite2: {
+      type: [Number],
+      default: undefined
+    },
+    messageId: String,
+    originator: String,
+    receivedAt: Date
+  },
+  // Ordered oldest first
+  updates: {
+    type: [screeningUpdateSchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+conjunctionEventSchema.index({ satellite1: 1, satellite2: 1, timeOfClosestApproach: 1 });
+conjunctionEventSchema.index({ status: 1, 'latest.probabilityOfCollision': -1 });
+conjunctionEventSchema.index({ 'updates.cdm.originator': 1, 'updates.cdm.messageId': 1 });
+
+module.exports = mongoose.model('ConjunctionEvent', conjunctionEventSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// One document per OEM segment uploaded by an operator for one of its objects
+const stateSchema = new mongoose.Schema({
+  epoch: { type: Date, required: true },
+  // Position (km) and velocity (km/s) in refFrame
+  position: { type: [Number], required: true },
+  velocity: { type: [Number], required: true }
+}, { _id: false });
+
+const covarianceSchema = new mongoose.Schema({
+  epoch: { type: Date, required: true },
+  refFrame: String,
+  // Lower triangle of the 6x6 position/velocity covariance (km², km²/s, km²/s²)
+  lowerTriangle: { type: [Number], required: true }
+}, { _id: false });
+
+const ephemerisSchema = new mongoose.Schema({
+  noradCatId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  objectName: String,
+  objectId: String,
+  originator: String,
+  centerName: {
+    type: String,
+    default: 'EARTH'
+  },
+  refFrame: {
+    type: String,
+    required: true
+  },
+  timeSystem: {
+    type: String,
+    default: 'UTC'
+  },
+  // Usable span (UTC); interpolation is only trusted inside it
+  startTime: {
+    type: Date,
+    required: true
+  },
+  stopTime: {
+    type: Date,
+    required: true
+  },
+  interpolation: {
+    type: String,
+    enum: ['LAGRANGE', 'HERMITE'],
+    default: 'LAGRANGE'
+  },
+  interpolationDegree: {
+    type: Number,
+    default: 7
+  },
+  states: {
+    type: [stateSchema],
+    default: []
+  },
+  covariances: {
+    type: [covarianceSchema],
+    default: []
+  },
+  fileName: String,
+  creationDate: Date,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ephemerisSchema.index({ noradCatId: 1, startTime: 1, stopTime: 1 });
+ephemerisSchema.index({ noradCatId: 1, uploadedAt: -1 });
+
+module.exports = mongoose.model('Ephemeris', ephemerisSchema);
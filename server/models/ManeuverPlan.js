@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+// Element set that bounds a burn, copied from TleHistory so the plan keeps it if history is pruned
+const elementSetSchema = new mongoose.Schema({
+  tleHistoryId: mongoose.Schema.Types.ObjectId,
+  epoch: Date,
+  elementSetNum: Number,
+  tleLine1: String,
+  tleLine2: String,
+  meanMotion: Number,
+  inclination: Number
+}, { _id: false });
+
+// A maneuver taken from analysis to execution: draft -> proposed -> approved -> executed,
+// or cancelled before it is executed
+const maneuverPlanSchema = new mongoose.Schema({
+  noradCatId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  name: String,
+  status: {
+    type: String,
+    enum: ['draft', 'proposed', 'approved', 'executed', 'cancelled'],
+    default: 'draft',
+    index: true
+  },
+  // Where the maneuver came from
+  source: {
+    type: String,
+    enum: ['avoidance-planner', 'maneuver-options', 'custom-scenario', 'manual'],
+    default: 'manual'
+  },
+  // Conjunction that triggered the plan, as it stood when the plan was made
+  conjunction: {
+    conjunctionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conjunction'
+    },
+    eventId: String,
+    counterpart: Number,
+    timeOfClosestApproach: Date,
+    missDistanceKm: Number,
+    probabilityOfCollision: Number
+  },
+  maneuver: {
+    type: {
+      type: String,
+      enum: ['impulsive', 'orbit-change'],
+      default: 'impulsive'
+    },
+    description: String,
+    scenarioId: String,
+    burnTime: Date,
+    // Total delta-V (m/s)
+    deltaV: {
+      type: Number,
+      required: true
+    },
+    // Components in the RTN frame at the burn (m/s)
+    deltaVRTN: {
+      radial: Number,
+      transverse: Number,
+      normal: Number
+    },
+    targetAltitude: Number,
+    targetInclination: Number
+  },
+  fuel: {
+    spacecraftMassKg: Number,
+    fuelMassKg: Number,
+    massRatio: Number
+  },
+  // Element change the maneuver should produce
+  expected: {
+    semiMajorAxisChangeKm: Number,
+    inclinationChangeDeg: Number
+  },
+  // Predicted outcome from the planner, e.g. post-maneuver miss distance and Pc
+  prediction: mongoose.Schema.Types.Mixed,
+  notes: String,
+  createdBy: String,
+  proposedBy: String,
+  proposedAt: Date,
+  approval: {
+    approvedBy: String,
+    approvedAt: Date,
+    note: String
+  },
+  cancellation: {
+    cancelledBy: String,
+    cancelledAt: Date,
+    reason: String
+  },
+  execution: {
+    executedAt: Date,
+    // 'operator' when marked executed through the API, 'element-set' when a new TLE showed it
+    detectedBy: {
+      type: String,
+      enum: ['operator', 'element-set']
+    },
+    preBurnElementSet: elementSetSchema,
+    elementSet: elementSetSchema,
+    // Observed change between the two element sets, net of the drift the pre-burn set predicts
+    observed: {
+      semiMajorAxisChangeKm: Number,
+      inclinationChangeDeg: Number
+    },
+    // Observed over expected semi-major axis change
+    performanceRatio: Number,
+    linkedAt: Date
+  },
+  // Every status change, oldest first
+  history: [{
+    _id: false,
+    status: String,
+    by: String,
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+maneuverPlanSchema.index({ status: 1, 'maneuver.burnTime': 1 });
+maneuverPlanSchema.index({ 'conjunction.conjunctionId': 1 });
+
+module.exports = mongoose.model('ManeuverPlan', maneuverPlanSchema);
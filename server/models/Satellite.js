@@ -30,6 +30,10 @@ const satelliteSchema = new mongoose.Schema({
   },
   epochYear: Number,
   epochDay: Number,
+  epoch: {
+    type: Date,
+    index: true
+  },
   meanMotionDot: Number,
   meanMotionDdot: Number,
   bstar: Number,
@@ -58,10 +62,55 @@ const satelliteSchema = new mongoose.Schema({
     max: 1,
     index: true
   },
+  // SATCAT metadata
+  objectType: {
+    type: String,
+    enum: ['PAYLOAD', 'ROCKET BODY', 'DEBRIS', 'UNKNOWN'],
+    default: 'UNKNOWN',
+    index: true
+  },
+  owner: {
+    type: String,
+    default: null,
+    index: true
+  },
+  country: {
+    type: String,
+    default: null
+  },
+  // Radar cross-section in m², and the Space-Track size class
+  rcs: {
+    type: Number,
+    default: null
+  },
+  rcsSize: {
+    type: String,
+    enum: ['SMALL', 'MEDIUM', 'LARGE', null],
+    default: null
+  },
+  // Operator-supplied hard-body radius in m; used for Pc ahead of the RCS and object-type lookup
+  hardBodyRadius: {
+    radius: Number,
+    notes: String,
+    updatedAt: Date
+  },
+  operationalStatus: {
+    type: String,
+    default: null
+  },
   launchDate: {
     type: String,
     default: null
   },
+  launchSite: {
+    type: String,
+    default: null
+  },
+  decayDate: {
+    type: Date,
+    default: null
+  },
+  satcatUpdated: Date,
   description: {
     type: String,
     default: null
@@ -71,6 +120,32 @@ const satelliteSchema = new mongoose.Schema({
     default: Date.now,
     index: true
   },
+  // Catalog source that supplied the current element set
+  provenance: {
+    source: String,
+    type: { type: String },
+    format: String,
+    label: String,
+    retrievedAt: Date
+  },
+  // Every source that reported this object in the latest refresh
+  sources: {
+    type: [String],
+    default: []
+  },
+  // Element set quality (0-1) from epoch age, B* plausibility and continuity with the previous set
+  quality: {
+    score: { type: Number, min: 0, max: 1 },
+    flags: { type: [String], default: undefined },
+    components: {
+      epochAge: Number,
+      bstar: Number,
+      continuity: Number
+    },
+    epochAgeDays: Number,
+    residualKm: Number,
+    assessedAt: Date
+  },
   // Support for nested tle object
   tle: {
     line1: String,
@@ -91,6 +166,7 @@ const satelliteSchema = new mongoose.Schema({
 satelliteSchema.index({ orbitalAltitude: 1, riskScore: -1 });
 satelliteSchema.index({ riskScore: -1, orbitalAltitude: 1 });
 satelliteSchema.index({ name: 'text' }); // For full-text search
+satelliteSchema.index({ 'quality.score': 1 });
 
 // Virtual to get tleLine1 from either format
 satelliteSchema.virtual('getTleLine1').get(function() {
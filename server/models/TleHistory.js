@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One document per distinct element set (epoch + element set number) per object
+const tleHistorySchema = new mongoose.Schema({
+  noradCatId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  epoch: {
+    type: Date,
+    required: true
+  },
+  elementSetNum: {
+    type: Number,
+    default: 0
+  },
+  name: String,
+  tleLine1: {
+    type: String,
+    required: true
+  },
+  tleLine2: {
+    type: String,
+    required: true
+  },
+  // Mean elements at epoch, kept so history queries need no re-parsing
+  meanMotion: Number,
+  meanMotionDot: Number,
+  meanMotionDdot: Number,
+  bstar: Number,
+  eccentricity: Number,
+  inclination: Number,
+  raan: Number,
+  argumentOfPerigee: Number,
+  meanAnomaly: Number,
+  orbitNumber: Number,
+  orbitalAltitude: Number,
+  // Catalog source that supplied the element set (e.g. 'celestrak-active')
+  source: {
+    type: String,
+    default: 'unknown'
+  },
+  ingestedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tleHistorySchema.index({ noradCatId: 1, epoch: 1, elementSetNum: 1 }, { unique: true });
+tleHistorySchema.index({ noradCatId: 1, epoch: -1 });
+
+module.exports = mongoose.model('TleHistory', tleHistorySchema);
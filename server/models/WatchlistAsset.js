@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A protected asset, screened against the whole catalog on its own schedule
+const watchlistAssetSchema = new mongoose.Schema({
+  noradCatId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: String,
+  // Semi-axes of the screening ellipsoid in the asset's RTN frame (km)
+  screeningVolume: {
+    radialKm: { type: Number, default: 2 },
+    transverseKm: { type: Number, default: 25 },
+    normalKm: { type: Number, default: 25 }
+  },
+  // How far ahead each screening looks
+  horizonHours: {
+    type: Number,
+    default: 168
+  },
+  // Time between screenings
+  cadenceMinutes: {
+    type: Number,
+    default: 60
+  },
+  // An approach inside the volume raises an alert when either is reached
+  alertThresholds: {
+    probabilityOfCollision: { type: Number, default: 1e-4 },
+    missDistanceKm: { type: Number, default: 1 }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  notes: String,
+  lastScreenedAt: Date,
+  nextScreeningAt: {
+    type: Date,
+    index: true
+  },
+  // Outcome of the latest screening
+  lastScreening: {
+    approaches: Number,
+    alerts: Number,
+    durationMs: Number,
+    error: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+watchlistAssetSchema.index({ enabled: 1, nextScreeningAt: 1 });
+
+module.exports = mongoose.model('WatchlistAsset', watchlistAssetSchema);
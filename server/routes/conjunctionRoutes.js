@@ -1,12 +1,19 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const {
   runDetection,
+  screenHypothetical,
   getAll,
   getHighRisk,
   getStatistics,
-  getDetailedAnalysis
+  getDetailedAnalysis,
+  getEventTimeline,
+  exportCDM,
+  ingestCDM,
+  planAvoidanceManeuver
 } = require('../controllers/conjunctionController');
+const { validateFrameQuery } = require('../middleware/frameQuery');
 
 // Validation helpers
 const validateConjunctionQuery = (req, res, next) => {
@@ -23,13 +30,42 @@ const validateConjunctionQuery = (req, res, next) => {
   next();
 };
 
+const validateConjunctionId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'Invalid conjunction ID' });
+  }
+  
+  next();
+};
+
+// CDMs arrive as raw KVN or XML text
+const cdmFileParser = express.text({
+  type: ['text/*', 'application/xml', 'application/octet-stream'],
+  limit: '1mb'
+});
+
 // Routes with validation
 router.post('/run', runDetection);
+
+// Screen a hypothetical object against the catalog; nothing is stored
+router.post('/screen', screenHypothetical);
+
 router.get('/', validateConjunctionQuery, getAll);
 router.get('/high', validateConjunctionQuery, getHighRisk);
 router.get('/stats', getStatistics);
 
+// Screening history of one close approach
+router.get('/events/:eventId/timeline', getEventTimeline);
+
+// CCSDS CDM exchange with other operators
+router.post('/cdm', cdmFileParser, ingestCDM);
+
 // Detailed analysis route - must be before /:id to avoid conflicts
-router.get('/analysis/:satA/:satB', getDetailedAnalysis);
+router.get('/analysis/:satA/:satB', validateFrameQuery, getDetailedAnalysis);
+
+router.get('/:id/cdm', validateConjunctionId, exportCDM);
+
+// Collision avoidance burn design for a stored conjunction
+router.post('/:id/avoidance-maneuver', validateConjunctionId, planAvoidanceManeuver);
 
 module.exports = router;
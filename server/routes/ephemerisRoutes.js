@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const {
+  ingestOEM,
+  listEphemerides,
+  deleteEphemeris,
+  findCoveringEphemeris,
+  interpolateState,
+  getCovarianceRTN
+} = require('../services/ephemerisService');
+const { OEM_FORMATS } = require('../services/oemParser');
+const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// OEM files arrive as raw KVN or XML text
+const oemFileParser = express.text({
+  type: ['text/*', 'application/xml', 'application/octet-stream'],
+  limit: '50mb'
+});
+
+const parseNoradCatId = (value) => {
+  const noradCatId = parseInt(value, 10);
+  if (isNaN(noradCatId) || noradCatId <= 0) {
+    throw new ValidationError('Invalid NORAD catalog ID');
+  }
+  return noradCatId;
+};
+
+/**
+ * POST /api/ephemeris/:noradCatId
+ * Upload a CCSDS OEM (KVN or XML) for an object, one stored ephemeris per segment
+ * Query: format (kvn|xml, auto-detected by default), fileName
+ */
+router.post('/:noradCatId', oemFileParser, asyncHandler(async (req, res) => {
+  const noradCatId = parseNoradCatId(req.params.noradCatId);
+  const { format, fileName } = req.query;
+
+  if (format && !OEM_FORMATS.includes(format)) {
+    throw new ValidationError(`format must be one of: ${OEM_FORMATS.join(', ')}`);
+  }
+  if (typeof req.body !== 'string' || req.body.trim().length === 0) {
+    throw new ValidationError('Request body must contain the OEM file');
+  }
+
+  const result = await ingestOEM(noradCatId, req.body, {
+    format,
+    fileName: fileName || req.get('X-File-Name') || null
+  });
+
+  res.status(201).json({
+    success: true,
+    data: result,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/ephemeris/:noradCatId
+ * List stored ephemeris segments for an object
+ */
+router.get('/:noradCatId', asyncHandler(async (req, res) => {
+  const noradCatId = parseNoradCatId(req.params.noradCatId);
+  const segments = await listEphemerides(noradCatId);
+
+  res.json({
+    success: true,
+    count: segments.length,
+    data: segments,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/ephemeris/:noradCatId/state?time=
+ * Interpolated TEME state (km, km/s) and RTN position covariance (m²) at a time
+ */
+router.get('/:noradCatId/state', asyncHandler(async (req, res) => {
+  const noradCatId = parseNoradCatId(req.params.noradCatId);
+  const time = req.query.time ? new Date(req.query.time) : new Date();
+  if (isNaN(time.getTime())) {
+    throw new ValidationError('time must be an ISO 8601 date');
+  }
+
+  const ephemeris = await findCoveringEphemeris(noradCatId, time);
+  const state = ephemeris ? interpolateState(ephemeris, time) : null;
+  if (!state) {
+    throw new NotFoundError('Ephemeris covering the requested time', noradCatId);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      noradCatId,
+      ephemerisId: ephemeris._id,
+      time,
+      frame: 'TEME',
+      position: state.position,
+      velocity: state.velocity,
+      covarianceRTN: getCovarianceRTN(ephemeris, time, state)
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * DELETE /api/ephemeris/:noradCatId/:ephemerisId
+ * Remove one stored ephemeris segment
+ */
+router.delete('/:noradCatId/:ephemerisId', asyncHandler(async (req, res) => {
+  const noradCatId = parseNoradCatId(req.params.noradCatId);
+  const result = await deleteEphemeris(noradCatId, req.params.ephemerisId);
+
+  res.json({
+    success: true,
+    data: result,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
@@ -5,10 +5,12 @@ const {
   getAllLifetimePredictions,
   getLifetimeStatistics,
   getLifetimeAlerts,
-  compareSatelliteLifetimes
+  compareSatelliteLifetimes,
+  LIFETIME_METHODS,
+  DEFAULT_LIFETIME_METHOD
 } = require('../services/lifetimeEstimator');
 
-const { asyncHandler } = require('../middleware/errorHandler');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
 
 /**
  * GET /api/lifetime/
@@ -62,10 +64,18 @@ router.get('/alerts', asyncHandler(async (req, res) => {
 /**
  * GET /api/lifetime/:noradCatId
  * Get remaining functional lifetime prediction for a specific satellite
+ * Query params:
+ *   - method: one of LIFETIME_METHODS (default: DEFAULT_LIFETIME_METHOD)
  */
 router.get('/:noradCatId', asyncHandler(async (req, res) => {
   const { noradCatId } = req.params;
-  const result = await getLifetimePrediction(parseInt(noradCatId));
+  const { method = DEFAULT_LIFETIME_METHOD } = req.query;
+
+  if (!LIFETIME_METHODS.includes(method)) {
+    throw new ValidationError(`method must be one of: ${LIFETIME_METHODS.join(', ')}`);
+  }
+
+  const result = await getLifetimePrediction(parseInt(noradCatId), { method });
   
   res.json({
     success: true,
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listPlans,
+  getPlan,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  transitionPlan,
+  STATUSES,
+  TRANSITIONS
+} = require('../services/maneuverPlanService');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+
+const parseOptionalNoradCatId = (value) => {
+  if (value === undefined) return undefined;
+  const noradCatId = parseInt(value, 10);
+  if (isNaN(noradCatId) || noradCatId <= 0) {
+    throw new ValidationError('Invalid NORAD catalog ID');
+  }
+  return noradCatId;
+};
+
+/**
+ * GET /api/maneuver-plans
+ * List plans, most recently updated first
+ * Query: status, noradCatId, conjunctionId, limit
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { status, conjunctionId } = req.query;
+  const plans = await listPlans({
+    status,
+    conjunctionId,
+    noradCatId: parseOptionalNoradCatId(req.query.noradCatId),
+    limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined
+  });
+  res.json({
+    success: true,
+    data: plans,
+    count: plans.length,
+    statuses: STATUSES,
+    transitions: TRANSITIONS,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * POST /api/maneuver-plans
+ * Create a draft plan
+ * Body: { noradCatId, name, source, conjunctionId, spacecraftMassKg, notes, createdBy, prediction,
+ *   maneuver: { type, description, scenarioId, burnTime, deltaV (m/s),
+ *     deltaVRTN: { radial, transverse, normal } (m/s), targetAltitude, targetInclination } }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const { noradCatId, ...fields } = req.body || {};
+  const plan = await createPlan({ ...fields, noradCatId: parseOptionalNoradCatId(noradCatId) });
+  res.status(201).json({
+    success: true,
+    data: plan,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/maneuver-plans/:id
+ * Get one plan with its status history and execution link
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const plan = await getPlan(req.params.id);
+  res.json({
+    success: true,
+    data: plan,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * PUT /api/maneuver-plans/:id
+ * Edit a draft's maneuver, spacecraft mass, name, notes or prediction
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+  const plan = await updatePlan(req.params.id, req.body || {});
+  res.json({
+    success: true,
+    data: plan,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * POST /api/maneuver-plans/:id/status
+ * Move a plan on: propose, approve, return to draft, mark executed or cancel
+ * Body: { status, by, note, executedAt }
+ */
+router.post('/:id/status', asyncHandler(async (req, res) => {
+  const plan = await transitionPlan(req.params.id, req.body || {});
+  res.json({
+    success: true,
+    data: plan,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * DELETE /api/maneuver-plans/:id
+ * Delete a draft plan. Any other plan is kept (409); cancel it through the status endpoint
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const result = await deletePlan(req.params.id);
+  res.json({
+    success: true,
+    data: result,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const satelliteController = require('../controllers/satelliteController');
+const { IMPORT_FORMATS } = require('../services/catalogImporter');
+const { ORBIT_SAMPLING } = require('../services/orbitEngine');
+const { validateFrameQuery } = require('../middleware/frameQuery');
 
 // Input validation helpers
 const validateSatelliteId = (req, res, next) => {
@@ -11,6 +14,67 @@ const validateSatelliteId = (req, res, next) => {
   next();
 };
 
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const validateSatcatFilters = (req, res, next) => {
+  const { objectType, rcsSize, launchedAfter, launchedBefore, decayed, decayedAfter, decayedBefore } = req.query;
+  const objectTypes = ['PAYLOAD', 'ROCKET BODY', 'DEBRIS', 'UNKNOWN'];
+  const rcsSizes = ['SMALL', 'MEDIUM', 'LARGE'];
+
+  if (objectType && !String(objectType).split(',').every(t => objectTypes.includes(t.trim().toUpperCase()))) {
+    return res.status(400).json({ success: false, error: `objectType must be one of ${objectTypes.join(', ')}` });
+  }
+  if (rcsSize && !String(rcsSize).split(',').every(s => rcsSizes.includes(s.trim().toUpperCase()))) {
+    return res.status(400).json({ success: false, error: `rcsSize must be one of ${rcsSizes.join(', ')}` });
+  }
+  for (const [name, value] of Object.entries({ launchedAfter, launchedBefore, decayedAfter, decayedBefore })) {
+    if (value && !DATE_PATTERN.test(value)) {
+      return res.status(400).json({ success: false, error: `${name} must be a YYYY-MM-DD date` });
+    }
+  }
+  if (decayed && !['true', 'false'].includes(decayed)) {
+    return res.status(400).json({ success: false, error: 'decayed must be true or false' });
+  }
+  next();
+};
+
+const validateOrbitQuery = (req, res, next) => {
+  const { revolutions, start, step } = req.query;
+  if (revolutions !== undefined) {
+    const value = parseFloat(revolutions);
+    if (isNaN(value) || value <= 0 || value > ORBIT_SAMPLING.MAX_REVOLUTIONS) {
+      return res.status(400).json({ success: false, error: `revolutions must be between 0 and ${ORBIT_SAMPLING.MAX_REVOLUTIONS}` });
+    }
+  }
+  if (start !== undefined && isNaN(new Date(start).getTime())) {
+    return res.status(400).json({ success: false, error: 'start must be an ISO 8601 date' });
+  }
+  if (step !== undefined) {
+    const value = parseFloat(step);
+    if (isNaN(value) || value < 1 || value > 86400) {
+      return res.status(400).json({ success: false, error: 'step must be between 1 and 86400 seconds' });
+    }
+  }
+  next();
+};
+
+const validateImportOptions = (req, res, next) => {
+  const { format, dryRun } = req.query;
+  if (format && !['auto', ...IMPORT_FORMATS].includes(format)) {
+    return res.status(400).json({ success: false, error: `format must be one of auto, ${IMPORT_FORMATS.join(', ')}` });
+  }
+  if (dryRun && !['true', 'false'].includes(dryRun)) {
+    return res.status(400).json({ success: false, error: 'dryRun must be true or false' });
+  }
+  next();
+};
+
+// Catalog files are uploaded as the raw request body; JSON is already parsed by the app
+const catalogFileParser = express.text({
+  type: ['text/*', 'application/xml', 'application/octet-stream'],
+  limit: '50mb'
+});
+
 const validateSearchQuery = (req, res, next) => {
   const { q, limit } = req.query;
   if (!q || q.trim().length < 2) {
@@ -23,12 +87,21 @@ const validateSearchQuery = (req, res, next) => {
 };
 
 // Route middleware with validation
-router.get('/positions', satelliteController.getSatellitePositions);
-router.get('/orbit/:id', validateSatelliteId, satelliteController.getSatelliteOrbit);
+router.get('/positions', validateFrameQuery, satelliteController.getSatellitePositions);
+router.get('/orbit/:id', validateSatelliteId, validateOrbitQuery, validateFrameQuery, satelliteController.getSatelliteOrbit);
 router.get('/search', validateSearchQuery, satelliteController.searchSatellites);
 router.get('/statistics', satelliteController.getStatistics);
+router.get('/sources', satelliteController.getCatalogSources);
+router.get('/:id/history', validateSatelliteId, satelliteController.getSatelliteHistory);
+router.get('/:id/ground-track', validateSatelliteId, satelliteController.getSatelliteGroundTrack);
+router.post('/:id/propagate', validateSatelliteId, satelliteController.propagateNumerically);
+router.get('/:id/hard-body-radius', validateSatelliteId, satelliteController.getHardBodyRadius);
+router.put('/:id/hard-body-radius', validateSatelliteId, satelliteController.setHardBodyRadius);
+router.delete('/:id/hard-body-radius', validateSatelliteId, satelliteController.clearHardBodyRadius);
 router.get('/:id', validateSatelliteId, satelliteController.getSatelliteById);
-router.get('/', satelliteController.getAllSatellites);
+router.get('/', validateSatcatFilters, satelliteController.getAllSatellites);
 router.post('/refresh', satelliteController.refreshTLE);
+router.post('/satcat/refresh', satelliteController.refreshSatcat);
+router.post('/import', validateImportOptions, catalogFileParser, satelliteController.importCatalog);
 
 module.exports = router;
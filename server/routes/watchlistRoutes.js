@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listAssets,
+  getAsset,
+  addAsset,
+  updateAsset,
+  removeAsset,
+  getUpcomingEvents,
+  screenAssetNow,
+  CONFIG
+} = require('../services/watchlistService');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+
+const parseNoradCatId = (value) => {
+  const noradCatId = parseInt(value, 10);
+  if (isNaN(noradCatId) || noradCatId <= 0) {
+    throw new ValidationError('Invalid NORAD catalog ID');
+  }
+  return noradCatId;
+};
+
+/**
+ * GET /api/watchlist
+ * List protected assets with their number of upcoming events
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const assets = await listAssets();
+  res.json({
+    success: true,
+    data: assets,
+    count: assets.length,
+    limits: {
+      maxHorizonHours: CONFIG.MAX_HORIZON_HOURS,
+      minCadenceMinutes: CONFIG.MIN_CADENCE_MINUTES,
+      maxVolumeAxisKm: CONFIG.MAX_VOLUME_AXIS_KM
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * POST /api/watchlist
+ * Add a protected asset
+ * Body: { noradCatId, name, screeningVolume: { radialKm, transverseKm, normalKm },
+ *   horizonHours, cadenceMinutes, alertThresholds: { probabilityOfCollision, missDistanceKm },
+ *   enabled, notes }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const { noradCatId, ...fields } = req.body || {};
+  const asset = await addAsset(parseNoradCatId(noradCatId), fields);
+  res.status(201).json({
+    success: true,
+    data: asset,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/watchlist/:noradCatId
+ * Get one protected asset
+ */
+router.get('/:noradCatId', asyncHandler(async (req, res) => {
+  const asset = await getAsset(parseNoradCatId(req.params.noradCatId));
+  res.json({
+    success: true,
+    data: asset,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * PUT /api/watchlist/:noradCatId
+ * Change an asset's screening volume, horizon, cadence, alert thresholds or state
+ */
+router.put('/:noradCatId', asyncHandler(async (req, res) => {
+  const asset = await updateAsset(parseNoradCatId(req.params.noradCatId), req.body || {});
+  res.json({
+    success: true,
+    data: asset,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * DELETE /api/watchlist/:noradCatId
+ * Remove a protected asset
+ */
+router.delete('/:noradCatId', asyncHandler(async (req, res) => {
+  const result = await removeAsset(parseNoradCatId(req.params.noradCatId));
+  res.json({
+    success: true,
+    data: result,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * GET /api/watchlist/:noradCatId/events
+ * Upcoming conjunction events of an asset, soonest first
+ */
+router.get('/:noradCatId/events', asyncHandler(async (req, res) => {
+  const noradCatId = parseNoradCatId(req.params.noradCatId);
+  await getAsset(noradCatId);
+  const events = await getUpcomingEvents(noradCatId);
+  res.json({
+    success: true,
+    data: events,
+    count: events.length,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * POST /api/watchlist/:noradCatId/screen
+ * Screen an asset now instead of waiting for its next scheduled run
+ */
+router.post('/:noradCatId/screen', asyncHandler(async (req, res) => {
+  const result = await screenAssetNow(parseNoradCatId(req.params.noradCatId));
+  res.json({
+    success: true,
+    data: result,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
@@ -20,12 +20,19 @@ const missionPlanningRoutes = require('./routes/missionPlanningRoutes');
 const lifetimeRoutes = require('./routes/lifetimeRoutes');
 const closestApproachRoutes = require('./routes/closestApproachRoutes');
 const riskThresholdRoutes = require('./routes/riskThresholdRoutes');
+const ephemerisRoutes = require('./routes/ephemerisRoutes');
+const watchlistRoutes = require('./routes/watchlistRoutes');
+const maneuverPlanRoutes = require('./routes/maneuverPlanRoutes');
 const { fetchAndStoreTLE } = require('./services/tleFetcher');
+const { loadCatalogSources } = require('./services/catalogSources');
+const { ingestSatcat } = require('./services/satcatIngestor');
 const { calculateAllRiskScores, calculateAllRiskScoresWithConjunctions } = require('./services/riskEngine');
 const { runConjunctionDetection, getHighRiskConjunctions } = require('./services/conjunctionEngine');
 const { processNewConjunctions } = require('./services/alertService');
 const { runEscalationCheck, setWebSocketServer } = require('./services/alertService');
 const { processReentryAlerts } = require('./services/reentryAlertService');
+const { runDueScreenings } = require('./services/watchlistService');
+const { linkExecutedManeuvers } = require('./services/maneuverPlanService');
 const Satellite = require('./models/Satellite');
 
 // Import resilience utilities
@@ -100,6 +107,9 @@ app.use('/api/mission-planning', missionPlanningRoutes);
 app.use('/api/lifetime', lifetimeRoutes);
 app.use('/api/closest-approach', closestApproachRoutes);
 app.use('/api/risk-thresholds', riskThresholdRoutes);
+app.use('/api/ephemeris', ephemerisRoutes);
+app.use('/api/watchlist', watchlistRoutes);
+app.use('/api/maneuver-plans', maneuverPlanRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -166,6 +176,13 @@ cron.schedule('0 0 * * *', async () => {
   } catch (error) {
     logger.error('Daily TLE update failed', { job: 'tle-update', error: error.message });
   }
+
+  // SATCAT enrichment runs after the element sets so new objects get metadata too
+  try {
+    await ingestSatcat();
+  } catch (error) {
+    logger.error('SATCAT enrichment failed', { job: 'tle-update', error: error.message });
+  }
 });
 
 // Conjunction detection every 6 hours
@@ -187,6 +204,28 @@ cron.schedule('0 */6 * * *', async () => {
   }
 });
 
+// Refresh from watched local catalog directories when files change
+if (process.env.CATALOG_LOCAL_WATCH !== 'false') {
+  loadCatalogSources()
+    .filter(provider => typeof provider.watch === 'function')
+    .forEach(provider => {
+      try {
+        provider.watch(async (fileName) => {
+          logger.info(`Catalog file changed in ${provider.name}, refreshing...`, { job: 'catalog-watch', file: fileName });
+          try {
+            await fetchAndStoreTLE({ sources: [provider.name] });
+            await calculateAllRiskScores();
+          } catch (error) {
+            logger.error('Local catalog refresh failed', { job: 'catalog-watch', error: error.message });
+          }
+        });
+        logger.info(`Watching catalog source ${provider.name}`, { job: 'catalog-watch' });
+      } catch (error) {
+        logger.error(`Could not watch catalog source ${provider.name}`, { job: 'catalog-watch', error: error.message });
+      }
+    });
+}
+
 // Reentry prediction check every 4 hours
 cron.schedule('0 */4 * * *', async () => {
   logger.info('Starting scheduled reentry prediction check...', { job: 'reentry-check' });
@@ -208,6 +247,30 @@ cron.schedule('* * * * *', async () => {
   }
 });
 
+// Watchlist screening: each protected asset is screened when its cadence comes due
+cron.schedule('* * * * *', async () => {
+  try {
+    const result = await runDueScreenings();
+    if (result) {
+      logger.info(`Screened ${result.assets.length} watchlist assets`, { job: 'watchlist-screening' });
+    }
+  } catch (error) {
+    logger.error('Watchlist screening failed', { job: 'watchlist-screening', error: error.message });
+  }
+});
+
+// Link approved and executed maneuver plans to the element sets received after their burns
+cron.schedule('30 * * * *', async () => {
+  try {
+    const result = await linkExecutedManeuvers();
+    if (result.linked > 0) {
+      logger.info(`Linked ${result.linked} of ${result.checked} maneuver plans to post-burn element sets`, { job: 'maneuver-execution' });
+    }
+  } catch (error) {
+    logger.error('Maneuver execution check failed', { job: 'maneuver-execution', error: error.message });
+  }
+});
+
 // Apply global error handler
 app.use(errorHandler);
 app.use(notFoundHandler);
@@ -59,6 +59,8 @@ const broadcastAlert = (alert, eventType = 'alert_created') => {
       status: alert.status,
       priority: alert.priority,
       riskLevel: alert.conjunction.riskLevel,
+      eventId: alert.eventId,
+      assetNoradCatId: alert.assetNoradCatId,
       satellites: alert.satellites,
       conjunction: {
         closestApproachDistance: alert.conjunction.closestApproachDistance,
@@ -141,6 +143,15 @@ const createAlertFromConjunction = async (conjunction, satA, satB) => {
     priority
   });
   
+  dispatchNewAlert(alert);
+  
+  return alert;
+};
+
+/**
+ * Broadcast a newly created alert and send its webhook notifications
+ */
+const dispatchNewAlert = (alert) => {
   // Broadcast alert via WebSocket
   broadcastAlert(alert, 'alert_created');
   
@@ -148,6 +159,75 @@ const createAlertFromConjunction = async (conjunction, satA, satB) => {
   sendAlertNotifications(alert, 'alert_created').catch(err => {
     logger.error('Failed to send webhook notifications', { error: err.message });
   });
+};
+
+/**
+ * Create an alert for a close approach found by a protected asset's screening.
+ * One open alert is kept per conjunction event and asset.
+ * @param {Object} conjunction - Conjunction engine result with its eventId
+ * @param {Object} asset - Watchlist asset the approach was screened for
+ */
+const createWatchlistAlert = async (conjunction, asset) => {
+  const existingAlert = await Alert.findOne({
+    eventId: conjunction.eventId,
+    assetNoradCatId: asset.noradCatId,
+    status: { $in: ['new', 'acknowledged', 'escalated'] }
+  });
+  
+  if (existingAlert) {
+    logger.debug(`Alert already exists for event ${conjunction.eventId} of asset ${asset.noradCatId}`);
+    return existingAlert;
+  }
+  
+  // The asset is listed first; the engine's 'moderate' maps onto the alert scale's 'medium'
+  const assetIsA = conjunction.satA === asset.noradCatId;
+  const riskLevel = conjunction.riskLevel === 'moderate' ? 'medium' : conjunction.riskLevel;
+  const priority = getPriority(riskLevel, conjunction.minDistanceKm);
+  
+  const alert = new Alert({
+    alertId: await Alert.generateAlertId(),
+    eventId: conjunction.eventId,
+    assetNoradCatId: asset.noradCatId,
+    satellites: {
+      satA: {
+        noradCatId: asset.noradCatId,
+        name: assetIsA ? conjunction.satAName : conjunction.satBName
+      },
+      satB: {
+        noradCatId: assetIsA ? conjunction.satB : conjunction.satA,
+        name: assetIsA ? conjunction.satBName : conjunction.satAName
+      }
+    },
+    conjunction: {
+      closestApproachDistance: conjunction.minDistanceKm,
+      timeOfClosestApproach: conjunction.timeOfClosestApproach,
+      relativeVelocity: conjunction.relativeVelocity,
+      riskLevel
+    },
+    status: 'new',
+    priority,
+    escalation: {
+      currentLevel: 0,
+      maxLevel: 3,
+      escalationHistory: []
+    },
+    metadata: {
+      source: 'watchlist-screening',
+      version: '1.0',
+      tags: [`asset:${asset.noradCatId}`]
+    }
+  });
+  
+  await alert.save();
+  
+  logger.info(`Created new alert ${alert.alertId} for watchlist asset ${asset.noradCatId}`, {
+    alertId: alert.alertId,
+    eventId: conjunction.eventId,
+    riskLevel,
+    priority
+  });
+  
+  dispatchNewAlert(alert);
   
   return alert;
 };
@@ -281,6 +361,7 @@ const getAlerts = async (options = {}) => {
     status,
     priority,
     riskLevel,
+    assetNoradCatId,
     limit = 50,
     skip = 0,
     sortBy = 'createdAt',
@@ -305,6 +386,10 @@ const getAlerts = async (options = {}) => {
     query['conjunction.riskLevel'] = riskLevel;
   }
   
+  if (assetNoradCatId) {
+    query.assetNoradCatId = assetNoradCatId;
+  }
+  
   const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
   
   const alerts = await Alert.find(query)
@@ -459,6 +544,7 @@ const getAlertStatistics = async () => {
 module.exports = {
   setWebSocketServer,
   createAlertFromConjunction,
+  createWatchlistAlert,
   acknowledgeAlert,
   escalateAlert,
   resolveAlert,
@@ -0,0 +1,571 @@
+/**
+ * Collision Avoidance Maneuver Planner
+ * Designs an impulsive burn for one object of a stored conjunction.
+ *
+ * Burn times are spread across the requested window and, at each, along-track,
+ * radial and cross-track burns of both signs are searched for the smallest delta-V
+ * that brings Pc below the target. Each candidate is evaluated by refining the
+ * post-maneuver TCA against the other object and recomputing the miss distance and
+ * Pc with the original covariances.
+ *
+ * The post-maneuver trajectory is the object's own SGP4 or ephemeris trajectory
+ * plus the difference the burn makes to an orbit from the burn state, so errors
+ * common to both cancel. That difference comes from a two-body orbit, or with the
+ * numerical propagator from trajectories with zonal harmonics and drag: the search
+ * scales unit burns along R, T and N, and each option found is then propagated
+ * with its own burn and evaluated again. The chosen burn is then
+ * re-screened against the catalog as a fitted element set, so a fix that creates a
+ * new high-Pc close approach is passed over for the next-smallest option.
+ */
+
+const Conjunction = require('../models/Conjunction');
+const Satellite = require('../models/Satellite');
+const collisionProbabilityEngine = require('./collisionProbabilityEngine');
+const hardBodyRadiusService = require('./hardBodyRadiusService');
+const { loadCoveringEphemerides } = require('./ephemerisService');
+const { findExternalCovariance } = require('./conjunctionEventService');
+const tcaRefinement = require('./tcaRefinement');
+const numericalPropagator = require('./numericalPropagator');
+const { propagateTwoBody } = require('./monteCarloPc');
+const { screenHypotheticalObject } = require('./hypotheticalScreeningService');
+const { rtnBasis } = require('../utils/frames');
+const { logger } = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const CONFIG = {
+  // Below the moderate threshold the conjunction is rated low risk
+  DEFAULT_TARGET_PC: collisionProbabilityEngine.CONFIG.Pc_THRESHOLDS.MODERATE,
+  // Delta-V search (m/s): log-spaced levels, then bisection below the first that works
+  MIN_DELTA_V: 0.001,
+  DEFAULT_MAX_DELTA_V: 1,
+  MAX_DELTA_V_LIMIT: 10,
+  DELTA_V_LEVELS: 31,
+  BISECTION_STEPS: 12,
+  BURN_TIMES: 9,
+  // Default burn window: from this long before TCA (or now) until MIN_LEAD_MINUTES before it
+  DEFAULT_WINDOW_HOURS: 24,
+  MIN_LEAD_MINUTES: 10,
+  // Sampled Pc is too slow to run for every candidate
+  SEARCH_PC_METHODS: ['foster', 'chan', 'alfano'],
+  FALLBACK_PC_METHOD: 'foster',
+  DEFAULT_RESCREEN_HOURS: 48,
+  DEFAULT_RESCREEN_THRESHOLD_KM: 5,
+  MAX_RESCREENED_OPTIONS: 3,
+  // A re-screened approach this close in time to the original TCA is the same encounter
+  MATCH_WINDOW_MINUTES: 15,
+  // Model of the burn's effect; 'numerical' is slower but includes geopotential and drag
+  PROPAGATORS: ['two-body', 'numerical'],
+  DEFAULT_PROPAGATOR: 'two-body',
+  // Unit burn (m/s) whose numerical response is scaled during the search
+  SENSITIVITY_DELTA_V: 0.1,
+  // A found burn that misses the target when propagated on its own is grown by
+  // 1%, 2%, 4%... this many times
+  VERIFY_ATTEMPTS: 4,
+  VERIFY_GROWTH: 0.01
+};
+
+const DIRECTIONS = [
+  { direction: 'along-track', axis: 'T', sign: 1 },
+  { direction: 'along-track', axis: 'T', sign: -1 },
+  { direction: 'radial', axis: 'R', sign: 1 },
+  { direction: 'radial', axis: 'R', sign: -1 },
+  { direction: 'cross-track', axis: 'N', sign: 1 },
+  { direction: 'cross-track', axis: 'N', sign: -1 }
+];
+
+const readNumber = (value, field, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!isFinite(number)) {
+    throw new ValidationError(`${field} must be a number`);
+  }
+  return number;
+};
+
+const readDate = (value, field, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+const difference = (a, b) => ({
+  position: { x: a.position.x - b.position.x, y: a.position.y - b.position.y, z: a.position.z - b.position.z },
+  velocity: { x: a.velocity.x - b.velocity.x, y: a.velocity.y - b.velocity.y, z: a.velocity.z - b.velocity.z }
+});
+
+/**
+ * Change a burn makes to a two-body orbit from the burn state
+ * @returns {Function} time (ms) → { position, velocity } offset
+ */
+const twoBodyOffset = (burn, burnMs, deltaV) => {
+  const { R, T, N } = rtnBasis(burn.position, burn.velocity);
+  const component = (axis) => (R[axis] * deltaV.radial + T[axis] * deltaV.transverse + N[axis] * deltaV.normal) / 1000;
+  const r0 = [burn.position.x, burn.position.y, burn.position.z];
+  const v0 = [burn.velocity.x, burn.velocity.y, burn.velocity.z];
+  const v1 = [v0[0] + component('x'), v0[1] + component('y'), v0[2] + component('z')];
+  const toState = ({ position, velocity }) => ({
+    position: { x: position[0], y: position[1], z: position[2] },
+    velocity: { x: velocity[0], y: velocity[1], z: velocity[2] }
+  });
+
+  return (timeMs) => {
+    const dt = (timeMs - burnMs) / 1000;
+    return difference(toState(propagateTwoBody(r0, v1, dt)), toState(propagateTwoBody(r0, v0, dt)));
+  };
+};
+
+/**
+ * Burn offsets from numericalPropagator trajectories of the maneuvering object,
+ * with its drag taken from B*. Trajectories end just past the furthest a TCA
+ * refinement can walk, and the coasted and unit-burn ones are kept per burn time.
+ * @returns {Object} { linear, exact } offset functions with the twoBodyOffset signature
+ */
+const createNumericalOffsets = (sat, tcaMs) => {
+  const endMs = tcaMs + (tcaRefinement.CONFIG.MAX_SEARCH_SECONDS + 60) * 1000;
+  const forces = { drag: numericalPropagator.dragFromElements(sat) || false };
+  const unit = CONFIG.SENSITIVITY_DELTA_V;
+  const sensitivities = new Map();
+
+  const trajectory = (burn, burnMs, deltaV) => numericalPropagator.createTrajectory(
+    { epoch: new Date(burnMs), position: burn.position, velocity: burn.velocity },
+    { end: new Date(endMs), forces, burns: deltaV ? [{ time: new Date(burnMs), deltaV }] : [] });
+
+  const sensitivityAt = (burn, burnMs) => {
+    if (!sensitivities.has(burnMs)) {
+      sensitivities.set(burnMs, {
+        coasted: trajectory(burn, burnMs, null),
+        radial: trajectory(burn, burnMs, { radial: unit, transverse: 0, normal: 0 }),
+        transverse: trajectory(burn, burnMs, { radial: 0, transverse: unit, normal: 0 }),
+        normal: trajectory(burn, burnMs, { radial: 0, transverse: 0, normal: unit })
+      });
+    }
+    return sensitivities.get(burnMs);
+  };
+
+  // Responses to the unit burns, scaled and summed
+  const linear = (burn, burnMs, deltaV) => {
+    const sensitivity = sensitivityAt(burn, burnMs);
+    const axes = ['radial', 'transverse', 'normal'].filter(axis => deltaV[axis] !== 0);
+    return (timeMs) => {
+      const coasted = sensitivity.coasted.stateAt(timeMs);
+      if (!coasted) return null;
+      const offset = difference(coasted, coasted);
+      for (const axis of axes) {
+        const response = difference(sensitivity[axis].stateAt(timeMs), coasted);
+        const scale = deltaV[axis] / unit;
+        ['position', 'velocity'].forEach(key => ['x', 'y', 'z'].forEach(c => {
+          offset[key][c] += scale * response[key][c];
+        }));
+      }
+      return offset;
+    };
+  };
+
+  const exact = (burn, burnMs, deltaV) => {
+    const coasted = sensitivityAt(burn, burnMs).coasted;
+    const burned = trajectory(burn, burnMs, deltaV);
+    return (timeMs) => {
+      const a = burned.stateAt(timeMs);
+      const b = coasted.stateAt(timeMs);
+      return a && b ? difference(a, b) : null;
+    };
+  };
+
+  return { linear, exact };
+};
+
+/**
+ * State function of an object after an impulsive burn; unchanged before the burn
+ * @param {Function} base - tcaRefinement state provider of the unmaneuvered object
+ * @param {number} burnMs - Burn time
+ * @param {Object} deltaV - { radial, transverse, normal } in the burn state's RTN frame (m/s)
+ * @param {Function} offsetModel - twoBodyOffset or one of createNumericalOffsets' functions
+ */
+const createManeuveredProvider = (base, burnMs, deltaV, offsetModel = twoBodyOffset) => {
+  const burn = base(burnMs);
+  if (!burn) return null;
+  const offsetAt = offsetModel(burn, burnMs, deltaV);
+
+  return (timeMs) => {
+    const state = base(timeMs);
+    if (!state || timeMs < burnMs) return state;
+
+    const offset = offsetAt(timeMs);
+    if (!offset) return null;
+    return {
+      position: {
+        x: state.position.x + offset.position.x,
+        y: state.position.y + offset.position.y,
+        z: state.position.z + offset.position.z
+      },
+      velocity: {
+        x: state.velocity.x + offset.velocity.x,
+        y: state.velocity.y + offset.velocity.y,
+        z: state.velocity.z + offset.velocity.z
+      }
+    };
+  };
+};
+
+// Offset model for a search step, or for the reported result of an option
+const offsetModelFor = (context, exact = false) => {
+  if (!context.numerical) return twoBodyOffset;
+  return exact ? context.numerical.exact : context.numerical.linear;
+};
+
+const deltaVAlong = ({ axis, sign }, magnitude) => ({
+  radial: axis === 'R' ? sign * magnitude : 0,
+  transverse: axis === 'T' ? sign * magnitude : 0,
+  normal: axis === 'N' ? sign * magnitude : 0
+});
+
+/**
+ * Post-maneuver close approach with the other object, and its Pc
+ * @returns {Object|null} { timeOfClosestApproach, missDistanceKm, relativeVelocity, probabilityOfCollision }
+ */
+const evaluateBurn = (context, burnMs, deltaV, exact = false) => {
+  const provider = createManeuveredProvider(context.maneuvering, burnMs, deltaV, offsetModelFor(context, exact));
+  const approach = provider && tcaRefinement.refineClosestApproach(provider, context.other, context.tcaMs);
+  if (!approach) return null;
+
+  const { probabilityOfCollision } = collisionProbabilityEngine.calculateCollisionProbability(
+    { ...approach.states.primary, covariance: context.covariances.maneuvering },
+    { ...approach.states.secondary, covariance: context.covariances.other },
+    context.hardBodyRadius,
+    context.pcMethod
+  );
+
+  return {
+    timeOfClosestApproach: approach.timeOfClosestApproach,
+    missDistanceKm: approach.missDistance,
+    relativeVelocity: approach.relativeVelocity,
+    relativePositionRTN: approach.relativePositionRTN,
+    probabilityOfCollision
+  };
+};
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Smallest burn along one direction at one time that brings Pc to the target
+ * @returns {Object} Option with deltaV null when no burn up to maxDeltaV reaches the target
+ */
+const searchDirection = (context, burnMs, direction) => {
+  const levels = Array.from({ length: CONFIG.DELTA_V_LEVELS }, (_, i) =>
+    CONFIG.MIN_DELTA_V * Math.pow(context.maxDeltaV / CONFIG.MIN_DELTA_V, i / (CONFIG.DELTA_V_LEVELS - 1)));
+  const meetsTarget = (result) => result && result.probabilityOfCollision <= context.targetPc;
+
+  let failing = 0;
+  let passing = null;
+  let lastResult = null;
+  for (const magnitude of levels) {
+    lastResult = evaluateBurn(context, burnMs, deltaVAlong(direction, magnitude));
+    if (meetsTarget(lastResult)) {
+      passing = { magnitude, result: lastResult };
+      break;
+    }
+    failing = magnitude;
+  }
+
+  const option = {
+    burnTime: new Date(burnMs),
+    direction: direction.direction,
+    sign: direction.sign > 0 ? '+' : '-'
+  };
+
+  if (!passing) {
+    return {
+      ...option,
+      deltaV: null,
+      deltaVRTN: null,
+      meetsTarget: false,
+      // What the largest burn searched achieves
+      atMaxDeltaV: lastResult ? { deltaV: context.maxDeltaV, ...lastResult } : null
+    };
+  }
+
+  for (let i = 0; i < CONFIG.BISECTION_STEPS; i++) {
+    const magnitude = (failing + passing.magnitude) / 2;
+    const result = evaluateBurn(context, burnMs, deltaVAlong(direction, magnitude));
+    if (meetsTarget(result)) {
+      passing = { magnitude, result };
+    } else {
+      failing = magnitude;
+    }
+  }
+
+  return {
+    ...option,
+    deltaV: passing.magnitude,
+    deltaVRTN: deltaVAlong(direction, passing.magnitude),
+    meetsTarget: true,
+    ...passing.result
+  };
+};
+
+/**
+ * Evaluate a searched option with its own numerical trajectory instead of the
+ * scaled unit-burn responses
+ */
+const verifyOption = (context, option) => {
+  const burnMs = option.burnTime.getTime();
+  for (let attempt = 0; attempt <= CONFIG.VERIFY_ATTEMPTS; attempt++) {
+    const scale = attempt === 0 ? 1 : 1 + CONFIG.VERIFY_GROWTH * Math.pow(2, attempt - 1);
+    const deltaVRTN = {
+      radial: option.deltaVRTN.radial * scale,
+      transverse: option.deltaVRTN.transverse * scale,
+      normal: option.deltaVRTN.normal * scale
+    };
+    const result = evaluateBurn(context, burnMs, deltaVRTN, true);
+    if (!result) break;
+    if (result.probabilityOfCollision <= context.targetPc) {
+      return { ...option, deltaV: option.deltaV * scale, deltaVRTN, ...result };
+    }
+  }
+  return {
+    ...option,
+    deltaV: null,
+    deltaVRTN: null,
+    meetsTarget: false,
+    atMaxDeltaV: null
+  };
+};
+
+// Burn state after the maneuver, as a state vector hypotheticalScreeningService can fit
+const postManeuverStateVector = (context, option, sat) => {
+  const burnMs = new Date(option.burnTime).getTime();
+  const provider = createManeuveredProvider(context.maneuvering, burnMs, option.deltaVRTN, offsetModelFor(context, true));
+  const state = provider(burnMs + 1);
+  return {
+    type: 'stateVector',
+    noradCatId: sat.noradCatId,
+    name: sat.name,
+    bstar: sat.bstar || 0,
+    epoch: new Date(burnMs + 1).toISOString(),
+    frame: 'TEME',
+    position: state.position,
+    velocity: state.velocity
+  };
+};
+
+/**
+ * Screen the post-maneuver orbit against the catalog and pick out high-Pc approaches
+ * other than the conjunction being fixed
+ */
+const rescreenOption = async (context, option, sat, rescreen) => {
+  const result = await screenHypotheticalObject({
+    object: postManeuverStateVector(context, option, sat),
+    window: { start: option.burnTime, hours: rescreen.hours },
+    thresholdKm: rescreen.thresholdKm
+  });
+
+  const windowMs = CONFIG.MATCH_WINDOW_MINUTES * 60000;
+  const isTarget = (approach) => approach.counterpart.noradCatId === context.otherId &&
+    Math.abs(new Date(approach.timeOfClosestApproach).getTime() - context.tcaMs) <= windowMs;
+  const newRisks = result.approaches.filter(approach =>
+    !isTarget(approach) && approach.probabilityOfCollision > context.targetPc);
+
+  return {
+    window: result.window,
+    thresholdKm: result.thresholdKm,
+    fit: result.object.fit,
+    approaches: result.approaches,
+    targetApproach: result.approaches.find(isTarget) || null,
+    newRisks,
+    clear: newRisks.length === 0
+  };
+};
+
+/**
+ * Plan a collision avoidance burn for a stored conjunction
+ * @param {string} conjunctionId - Conjunction _id
+ * @param {Object} request - { maneuveringObject (NORAD ID, satellite1 by default),
+ *   burnWindow: { start, end }, targetPc, maxDeltaV (m/s), pcMethod, propagator,
+ *   rescreen: { hours, thresholdKm } }
+ * @returns {Promise<Object>} Nominal encounter, every searched option, and the smallest
+ *   burn that reaches the target Pc without a new high-Pc approach
+ */
+const planAvoidanceManeuver = async (conjunctionId, request = {}) => {
+  const conjunction = await Conjunction.findById(conjunctionId).lean();
+  if (!conjunction) {
+    throw new NotFoundError('Conjunction', conjunctionId);
+  }
+
+  const maneuveringId = readNumber(request.maneuveringObject, 'maneuveringObject', conjunction.satellite1);
+  if (maneuveringId !== conjunction.satellite1 && maneuveringId !== conjunction.satellite2) {
+    throw new ValidationError('maneuveringObject must be one of the two satellites in the conjunction');
+  }
+  const otherId = maneuveringId === conjunction.satellite1 ? conjunction.satellite2 : conjunction.satellite1;
+
+  const targetPc = readNumber(request.targetPc, 'targetPc', CONFIG.DEFAULT_TARGET_PC);
+  if (!(targetPc > 0 && targetPc < 1)) {
+    throw new ValidationError('targetPc must be between 0 and 1');
+  }
+  const maxDeltaV = readNumber(request.maxDeltaV, 'maxDeltaV', CONFIG.DEFAULT_MAX_DELTA_V);
+  if (!(maxDeltaV > CONFIG.MIN_DELTA_V && maxDeltaV <= CONFIG.MAX_DELTA_V_LIMIT)) {
+    throw new ValidationError(`maxDeltaV must be greater than ${CONFIG.MIN_DELTA_V} and at most ${CONFIG.MAX_DELTA_V_LIMIT} m/s`);
+  }
+  // A configured default the search cannot use (Monte Carlo) falls back to Foster;
+  // only an explicit request for one is rejected
+  const configuredPcMethod = collisionProbabilityEngine.CONFIG.PC_METHOD;
+  const pcMethod = request.pcMethod ||
+    (CONFIG.SEARCH_PC_METHODS.includes(configuredPcMethod) ? configuredPcMethod : CONFIG.FALLBACK_PC_METHOD);
+  if (!CONFIG.SEARCH_PC_METHODS.includes(pcMethod)) {
+    throw new ValidationError(`pcMethod must be one of: ${CONFIG.SEARCH_PC_METHODS.join(', ')}`);
+  }
+  const propagator = request.propagator || CONFIG.DEFAULT_PROPAGATOR;
+  if (!CONFIG.PROPAGATORS.includes(propagator)) {
+    throw new ValidationError(`propagator must be one of: ${CONFIG.PROPAGATORS.join(', ')}`);
+  }
+
+  const tca = new Date(conjunction.timeOfClosestApproach);
+  const tcaMs = tca.getTime();
+  const latestBurnMs = tcaMs - CONFIG.MIN_LEAD_MINUTES * 60000;
+  const burnWindow = request.burnWindow || {};
+  const windowStart = readDate(burnWindow.start, 'burnWindow.start',
+    new Date(Math.max(Date.now(), tcaMs - CONFIG.DEFAULT_WINDOW_HOURS * 3600000)));
+  const windowEnd = readDate(burnWindow.end, 'burnWindow.end', new Date(latestBurnMs));
+  if (windowEnd.getTime() > latestBurnMs) {
+    throw new ValidationError(`burnWindow.end must be at least ${CONFIG.MIN_LEAD_MINUTES} minutes before TCA`);
+  }
+  if (windowStart >= windowEnd) {
+    throw new ValidationError('burnWindow.start must be before burnWindow.end');
+  }
+
+  const rescreenRequest = request.rescreen || {};
+  const rescreen = {
+    hours: readNumber(rescreenRequest.hours, 'rescreen.hours', CONFIG.DEFAULT_RESCREEN_HOURS),
+    thresholdKm: readNumber(rescreenRequest.thresholdKm, 'rescreen.thresholdKm', CONFIG.DEFAULT_RESCREEN_THRESHOLD_KM)
+  };
+
+  const satellites = await Satellite.find({ noradCatId: { $in: [maneuveringId, otherId] } }).lean();
+  const maneuveringSat = satellites.find(sat => sat.noradCatId === maneuveringId);
+  const otherSat = satellites.find(sat => sat.noradCatId === otherId);
+  if (!maneuveringSat || !otherSat) {
+    throw new NotFoundError('Satellite', !maneuveringSat ? maneuveringId : otherId);
+  }
+
+  // Same state and covariance sources as the screening: ephemerides, then CDM covariances
+  const ephemerides = await loadCoveringEphemerides([maneuveringId, otherId], windowStart, tca);
+  const covariances = await findExternalCovariance(maneuveringId, otherId, tca) || new Map();
+  const nominalManeuvering = collisionProbabilityEngine.getObjectState(
+    maneuveringSat, tca, ephemerides.get(maneuveringId), covariances.get(maneuveringId));
+  const nominalOther = collisionProbabilityEngine.getObjectState(
+    otherSat, tca, ephemerides.get(otherId), covariances.get(otherId));
+  const maneuvering = tcaRefinement.createStateProvider(maneuveringSat, ephemerides.get(maneuveringId));
+  const other = tcaRefinement.createStateProvider(otherSat, ephemerides.get(otherId));
+  if (!nominalManeuvering || !nominalOther || !maneuvering || !other) {
+    throw new ValidationError('States at TCA could not be computed for both objects');
+  }
+
+  const radii = hardBodyRadiusService.resolveCombinedRadius(maneuveringSat, otherSat, {
+    primary: collisionProbabilityEngine.CONFIG.DEFAULT_PRIMARY_RADIUS,
+    secondary: collisionProbabilityEngine.CONFIG.DEFAULT_SECONDARY_RADIUS
+  });
+
+  const context = {
+    maneuvering,
+    other,
+    otherId,
+    tcaMs,
+    covariances: { maneuvering: nominalManeuvering.covariance, other: nominalOther.covariance },
+    hardBodyRadius: radii.radius,
+    pcMethod,
+    targetPc,
+    maxDeltaV,
+    numerical: propagator === 'numerical' ? createNumericalOffsets(maneuveringSat, tcaMs) : null
+  };
+
+  const nominal = evaluateBurn(context, windowStart.getTime(), { radial: 0, transverse: 0, normal: 0 });
+  if (!nominal) {
+    throw new ValidationError('The close approach could not be refined from the current states');
+  }
+
+  const summary = {
+    conjunction: {
+      id: conjunction._id,
+      eventId: conjunction.eventId || null,
+      satellite1: conjunction.satellite1,
+      satellite2: conjunction.satellite2,
+      timeOfClosestApproach: tca
+    },
+    maneuveringObject: { noradCatId: maneuveringId, name: maneuveringSat.name },
+    otherObject: { noradCatId: otherId, name: otherSat.name },
+    burnWindow: { start: windowStart, end: windowEnd },
+    targetPc,
+    maxDeltaV,
+    pcMethod,
+    propagator,
+    hardBodyRadius: radii,
+    nominal
+  };
+
+  if (nominal.probabilityOfCollision <= targetPc) {
+    return { ...summary, maneuverRequired: false, options: [], recommended: null, rescreened: [] };
+  }
+
+  const burnTimes = Array.from({ length: CONFIG.BURN_TIMES }, (_, i) =>
+    windowStart.getTime() + (windowEnd - windowStart) * i / (CONFIG.BURN_TIMES - 1));
+  // Each direction is up to DELTA_V_LEVELS + BISECTION_STEPS evaluations; other
+  // requests get a turn between them
+  const options = [];
+  for (const burnMs of burnTimes) {
+    for (const direction of DIRECTIONS) {
+      options.push(searchDirection(context, burnMs, direction));
+      await yieldToEventLoop();
+    }
+  }
+
+  // The search scaled unit-burn responses; report what each burn found actually does
+  if (context.numerical) {
+    for (let i = 0; i < options.length; i++) {
+      if (!options[i].meetsTarget) continue;
+      options[i] = verifyOption(context, options[i]);
+      await yieldToEventLoop();
+    }
+  }
+
+  // Smallest burn first; on a tie, the larger post-maneuver miss
+  const candidates = options
+    .filter(option => option.meetsTarget)
+    .sort((a, b) => a.deltaV - b.deltaV || b.missDistanceKm - a.missDistanceKm);
+
+  const rescreened = [];
+  let recommended = null;
+  for (const option of candidates.slice(0, CONFIG.MAX_RESCREENED_OPTIONS)) {
+    const screening = await rescreenOption(context, option, maneuveringSat, rescreen);
+    rescreened.push({ option, screening });
+    if (screening.clear) {
+      recommended = { ...option, rescreen: screening };
+      break;
+    }
+  }
+
+  logger.info(`Planned avoidance maneuver for ${maneuveringId} against ${otherId}`, {
+    service: 'avoidance-maneuver',
+    conjunctionId: String(conjunction._id),
+    options: options.length,
+    propagator,
+    feasible: candidates.length,
+    deltaV: recommended ? recommended.deltaV : null
+  });
+
+  return {
+    ...summary,
+    maneuverRequired: true,
+    options,
+    feasibleCount: candidates.length,
+    recommended,
+    rescreened
+  };
+};
+
+module.exports = {
+  CONFIG,
+  planAvoidanceManeuver,
+  createManeuveredProvider,
+  evaluateBurn
+};
@@ -0,0 +1,317 @@
+/**
+ * Catalog File Import
+ * Validates an uploaded TLE, OMM or GP CSV file record by record and reports which
+ * records were accepted, rejected (with a reason), duplicated, or older than the
+ * element set already stored. A dry run produces the same report without writing.
+ */
+
+const Satellite = require('../models/Satellite');
+const TleHistory = require('../models/TleHistory');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+const { OMM_FORMATS, parseOMMMessages, convertOMMMessage } = require('./ommParser');
+const { validateTLELines, checkEpoch } = require('./tleValidator');
+const { parseTLERecord, buildSatelliteRecord, detectCatalogFormat } = require('./tleFetcher');
+const { recordElementSets } = require('./tleHistoryService');
+const { attachQualityScores } = require('./tleQualityService');
+
+const CONFIG = {
+  SOURCE: 'import',
+  BATCH_SIZE: 1000
+};
+
+const IMPORT_FORMATS = ['tle', ...OMM_FORMATS];
+
+/**
+ * Group TLE text into candidate records. Accepts 2-line and 3-line (optionally
+ * "0 "-prefixed) element sets; stray lines become MISSING_LINE rejections.
+ */
+const extractTLECandidates = (text) => {
+  const lines = text.split(/\r?\n/);
+  const candidates = [];
+  let pendingName = null;
+
+  const flushOrphanName = () => {
+    if (pendingName) {
+      candidates.push({
+        line: pendingName.line,
+        name: pendingName.name,
+        error: { code: 'MISSING_LINE', message: 'Name line is not followed by element lines' }
+      });
+    }
+    pendingName = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    if (line.startsWith('1 ')) {
+      const next = (lines[i + 1] || '').trim();
+      const name = pendingName ? pendingName.name : null;
+      const lineNumber = pendingName ? pendingName.line : i + 1;
+      pendingName = null;
+
+      if (next.startsWith('2 ')) {
+        candidates.push({ line: lineNumber, name, line1: line, line2: next });
+        i++;
+      } else {
+        candidates.push({
+          line: lineNumber,
+          name,
+          error: { code: 'MISSING_LINE', message: `Line ${i + 1} is not followed by a line 2` }
+        });
+      }
+    } else if (line.startsWith('2 ')) {
+      flushOrphanName();
+      candidates.push({
+        line: i + 1,
+        error: { code: 'MISSING_LINE', message: `Line ${i + 1} is a line 2 without a preceding line 1` }
+      });
+    } else {
+      flushOrphanName();
+      pendingName = { line: i + 1, name: line.replace(/^0\s+/, '') };
+    }
+  }
+  flushOrphanName();
+
+  return candidates;
+};
+
+const describeRecord = (record) => ({
+  noradCatId: record.noradCatId,
+  name: record.name,
+  epoch: record.epoch
+});
+
+/**
+ * Validate every record of a payload without touching the database
+ * @returns {Object} { valid: [{ index, line, record }], rejected: [...] }
+ */
+const validateCatalogRecords = (data, format, now = new Date()) => {
+  const valid = [];
+  const rejected = [];
+
+  const accept = (entry, record) => {
+    const epochIssue = checkEpoch(record.epoch, now);
+    if (epochIssue) {
+      rejected.push({ ...entry, ...describeRecord(record), reason: epochIssue.code, issues: [epochIssue] });
+    } else {
+      valid.push({ ...entry, record });
+    }
+  };
+
+  if (format === 'tle') {
+    extractTLECandidates(String(data)).forEach((candidate, i) => {
+      const entry = { index: i + 1, line: candidate.line };
+      if (candidate.error) {
+        rejected.push({ ...entry, name: candidate.name || null, reason: candidate.error.code, issues: [candidate.error] });
+        return;
+      }
+
+      const issues = validateTLELines(candidate.line1, candidate.line2);
+      if (issues.length > 0) {
+        rejected.push({ ...entry, name: candidate.name, reason: issues[0].code, issues });
+        return;
+      }
+
+      const record = parseTLERecord(candidate.name, candidate.line1, candidate.line2);
+      if (!record.name) record.name = `OBJECT ${record.noradCatId}`;
+      accept(entry, record);
+    });
+  } else {
+    let messages;
+    try {
+      messages = parseOMMMessages(data, format);
+    } catch (error) {
+      throw new ValidationError(`Could not read the ${format.toUpperCase()} file: ${error.message}`);
+    }
+
+    messages.forEach((message, i) => {
+      const entry = { index: i + 1 };
+      const { elements, error } = convertOMMMessage(message);
+      if (error) {
+        rejected.push({
+          ...entry,
+          noradCatId: parseInt(message?.NORAD_CAT_ID, 10) || null,
+          name: message?.OBJECT_NAME || null,
+          reason: error.code,
+          issues: [error]
+        });
+        return;
+      }
+      accept(entry, buildSatelliteRecord(elements));
+    });
+  }
+
+  return { valid, rejected };
+};
+
+// Stored element set epochs (latest and matching history) for the records in the file
+const loadStoredEpochs = async (records) => {
+  const latest = new Map();
+  const history = new Set();
+
+  for (let i = 0; i < records.length; i += CONFIG.BATCH_SIZE) {
+    const batch = records.slice(i, i + CONFIG.BATCH_SIZE);
+    const ids = [...new Set(batch.map(record => record.noradCatId))];
+    const epochs = batch.map(record => record.epoch);
+    const [satellites, elementSets] = await Promise.all([
+      Satellite.find({ noradCatId: { $in: ids } }).select('noradCatId epoch').lean(),
+      TleHistory.find({ noradCatId: { $in: ids }, epoch: { $in: epochs } }).select('noradCatId epoch').lean()
+    ]);
+    satellites.forEach(sat => latest.set(sat.noradCatId, sat.epoch ? new Date(sat.epoch) : null));
+    elementSets.forEach(set => history.add(`${set.noradCatId}:${new Date(set.epoch).getTime()}`));
+  }
+
+  return { latest, history };
+};
+
+/**
+ * Import a catalog file
+ * @param {string|Object|Array} data - File contents (parsed JSON is accepted as-is)
+ * @param {Object} options - { format, fileName, dryRun }
+ */
+const importCatalogFile = async (data, options = {}) => {
+  const format = options.format && options.format !== 'auto'
+    ? options.format
+    : detectCatalogFormat(data);
+  const dryRun = Boolean(options.dryRun);
+  const fileName = options.fileName || null;
+
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new ValidationError(`Unsupported import format: ${format}`);
+  }
+
+  const { valid, rejected } = validateCatalogRecords(data, format);
+  const { latest, history } = await loadStoredEpochs(valid.map(entry => entry.record));
+
+  const accepted = [];
+  const duplicates = [];
+  const olderThanStored = [];
+  const seen = new Map();
+  const newest = new Map();
+
+  for (const entry of valid) {
+    const { record } = entry;
+    const epochTime = record.epoch.getTime();
+    const key = `${record.noradCatId}:${epochTime}`;
+    const storedEpoch = latest.get(record.noradCatId);
+    const summary = { index: entry.index, line: entry.line, ...describeRecord(record) };
+
+    if (seen.has(key)) {
+      duplicates.push({ ...summary, duplicateOf: { index: seen.get(key) } });
+      continue;
+    }
+    seen.set(key, entry.index);
+
+    if (history.has(key) || (storedEpoch && storedEpoch.getTime() === epochTime)) {
+      duplicates.push({ ...summary, duplicateOf: 'stored' });
+      continue;
+    }
+
+    if (storedEpoch && epochTime < storedEpoch.getTime()) {
+      olderThanStored.push({ ...summary, storedEpoch, record });
+      continue;
+    }
+
+    const acceptedEntry = { ...summary, record };
+    accepted.push(acceptedEntry);
+    const current = newest.get(record.noradCatId);
+    if (!current || epochTime > current.record.epoch.getTime()) {
+      newest.set(record.noradCatId, acceptedEntry);
+    }
+  }
+
+  // Only the newest accepted set per object replaces the stored one; the rest go to history
+  accepted.forEach(entry => {
+    if (newest.get(entry.noradCatId) !== entry) entry.action = 'history';
+    else entry.action = latest.has(entry.noradCatId) ? 'update' : 'create';
+  });
+
+  const winners = [...newest.values()];
+  await attachQualityScores(winners.map(entry => entry.record));
+  winners.forEach(entry => {
+    entry.quality = { score: entry.record.quality.score, flags: entry.record.quality.flags };
+  });
+
+  let written = null;
+  if (!dryRun && (accepted.length > 0 || olderThanStored.length > 0)) {
+    const provenance = {
+      source: CONFIG.SOURCE,
+      type: CONFIG.SOURCE,
+      format,
+      label: fileName,
+      retrievedAt: new Date()
+    };
+
+    const operations = winners.map(({ record }) => ({
+      updateOne: {
+        filter: { noradCatId: record.noradCatId },
+        update: {
+          $set: { ...record, provenance },
+          $addToSet: { sources: CONFIG.SOURCE }
+        },
+        upsert: true
+      }
+    }));
+
+    const result = operations.length > 0
+      ? await Satellite.bulkWrite(operations, { ordered: false })
+      : { upsertedCount: 0, modifiedCount: 0 };
+
+    const historyResult = await recordElementSets(
+      [...accepted, ...olderThanStored].map(entry => ({ ...entry.record, provenance })),
+      CONFIG.SOURCE
+    );
+
+    written = {
+      inserted: result.upsertedCount,
+      updated: result.modifiedCount,
+      history: historyResult
+    };
+  }
+
+  const rejectedByReason = rejected.reduce((counts, entry) => {
+    counts[entry.reason] = (counts[entry.reason] || 0) + 1;
+    return counts;
+  }, {});
+
+  logger.info(`Catalog import${dryRun ? ' (dry run)' : ''}: ${accepted.length} accepted, ${rejected.length} rejected`, {
+    service: 'catalog-import',
+    fileName,
+    format,
+    duplicates: duplicates.length,
+    olderThanStored: olderThanStored.length,
+    rejectedByReason
+  });
+
+  const stripRecord = ({ record, ...entry }) => entry;
+
+  return {
+    fileName,
+    format,
+    dryRun,
+    summary: {
+      total: valid.length + rejected.length,
+      accepted: accepted.length,
+      rejected: rejected.length,
+      duplicates: duplicates.length,
+      olderThanStored: olderThanStored.length,
+      rejectedByReason
+    },
+    accepted: accepted.map(stripRecord),
+    rejected,
+    duplicates,
+    olderThanStored: olderThanStored.map(stripRecord),
+    written
+  };
+};
+
+module.exports = {
+  importCatalogFile,
+  validateCatalogRecords,
+  extractTLECandidates,
+  IMPORT_FORMATS,
+  CONFIG
+};
@@ -0,0 +1,64 @@
+/**
+ * CelesTrak Catalog Source
+ * Fetches one CelesTrak GP group (active, analyst, debris clouds, ...) in any
+ * supported format, falling back to the secondary host on failure.
+ */
+
+const axios = require('axios');
+const { withStandardRetry } = require('../../utils/retry');
+const { logger } = require('../../utils/logger');
+
+const HOSTS = ['celestrak.org', 'www.celestrak.org'];
+
+// CelesTrak GP query FORMAT values for each source format
+const CELESTRAK_FORMATS = { tle: 'txt', json: 'json', xml: 'xml', kvn: 'kvn', csv: 'csv' };
+
+const buildUrl = (host, group, format) =>
+  `https://${host}/NORAD/elements/gp.php?GROUP=${encodeURIComponent(group)}&FORMAT=${CELESTRAK_FORMATS[format]}`;
+
+const createCelestrakProvider = ({ group = 'active', format = 'tle' } = {}) => {
+  if (!CELESTRAK_FORMATS[format]) {
+    throw new Error(`Unsupported CelesTrak format: ${format}`);
+  }
+
+  const fetchFromHost = (host) => withStandardRetry(async () => {
+    const response = await axios.get(buildUrl(host, group, format), {
+      timeout: 30000,
+      headers: { 'User-Agent': 'AstraShield/1.0' },
+      // Keep the raw payload; the catalog parsers handle every format from text
+      responseType: 'text',
+      transformResponse: data => data
+    });
+    return response.data;
+  }, { operationName: `fetch-celestrak-${group}-${host}` });
+
+  return {
+    name: `celestrak-${group}`,
+    type: 'celestrak',
+    format,
+    breakerOptions: { timeout: 120000, errorThreshold: 40, resetTimeout: 60000 },
+
+    async fetch() {
+      let lastError;
+      for (const host of HOSTS) {
+        try {
+          const data = await fetchFromHost(host);
+          return [{ data, format, label: group }];
+        } catch (error) {
+          lastError = error;
+          logger.warn(`CelesTrak host ${host} failed for group ${group}`, {
+            service: 'catalog-sources',
+            error: error.message
+          });
+        }
+      }
+      throw lastError;
+    },
+
+    describe() {
+      return { name: this.name, type: this.type, format, group };
+    }
+  };
+};
+
+module.exports = { createCelestrakProvider, CELESTRAK_FORMATS };
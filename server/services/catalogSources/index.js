@@ -0,0 +1,95 @@
+/**
+ * Catalog Source Providers
+ * Builds the configured list of catalog sources and runs each one behind its
+ * own circuit breaker.
+ *
+ * A provider is a plain object:
+ *   name            - unique source name, used for provenance and the breaker key
+ *   type            - 'celestrak' | 'spacetrack' | 'local'
+ *   format          - payload format ('tle', 'json', 'xml', 'kvn', 'csv' or 'auto')
+ *   breakerOptions  - CircuitBreaker options for this source
+ *   fetch()         - resolves to [{ data, format, label }]
+ *   watch(onChange) - optional, returns a stop function
+ *   describe()      - summary for status endpoints
+ */
+
+const { createCelestrakProvider } = require('./celestrakProvider');
+const { createSpaceTrackProvider } = require('./spaceTrackProvider');
+const { createLocalDirectoryProvider } = require('./localDirectoryProvider');
+const { getOrCreateCircuitBreaker } = require('../../utils/circuitBreaker');
+const { logger } = require('../../utils/logger');
+
+const splitList = (value, fallback) =>
+  (value || fallback).split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Build providers from environment configuration.
+ * @param {Object} overrides - { format } forces the CelesTrak format
+ * @param {Object} env - Environment variables (defaults to process.env)
+ */
+const loadCatalogSources = (overrides = {}, env = process.env) => {
+  const types = splitList(env.CATALOG_SOURCES, 'celestrak').map(type => type.toLowerCase());
+  const providers = [];
+
+  for (const type of types) {
+    try {
+      if (type === 'celestrak') {
+        const format = (overrides.format || env.TLE_FORMAT || 'tle').toLowerCase();
+        splitList(env.CELESTRAK_GROUPS, 'active').forEach(group => {
+          providers.push(createCelestrakProvider({ group, format }));
+        });
+      } else if (type === 'spacetrack') {
+        providers.push(createSpaceTrackProvider({
+          baseUrl: env.SPACETRACK_URL,
+          username: env.SPACETRACK_USERNAME,
+          password: env.SPACETRACK_PASSWORD,
+          query: env.SPACETRACK_QUERY
+        }));
+      } else if (type === 'local') {
+        providers.push(createLocalDirectoryProvider({ directory: env.CATALOG_LOCAL_DIR }));
+      } else {
+        logger.warn(`Unknown catalog source type: ${type}`, { service: 'catalog-sources' });
+      }
+    } catch (error) {
+      logger.error(`Catalog source ${type} is misconfigured`, {
+        service: 'catalog-sources',
+        error: error.message
+      });
+    }
+  }
+
+  return providers;
+};
+
+const getBreakerName = (provider) => `catalog-${provider.name}`;
+
+/**
+ * Fetch all payloads from one provider through its circuit breaker
+ */
+const fetchFromSource = async (provider) => {
+  const breaker = getOrCreateCircuitBreaker(getBreakerName(provider), provider.breakerOptions);
+  return breaker.execute(() => provider.fetch());
+};
+
+/**
+ * Describe configured sources together with their breaker state
+ */
+const getCatalogSourceStatus = (providers = loadCatalogSources()) => {
+  return providers.map(provider => {
+    const breaker = getOrCreateCircuitBreaker(getBreakerName(provider), provider.breakerOptions);
+    return {
+      ...provider.describe(),
+      watchable: typeof provider.watch === 'function',
+      circuitBreaker: breaker.getStatus()
+    };
+  });
+};
+
+module.exports = {
+  loadCatalogSources,
+  fetchFromSource,
+  getCatalogSourceStatus,
+  createCelestrakProvider,
+  createSpaceTrackProvider,
+  createLocalDirectoryProvider
+};
@@ -0,0 +1,89 @@
+/**
+ * Local Directory Catalog Source
+ * Reads TLE/OMM files from a directory on disk, for air-gapped deployments.
+ * The directory can be watched so dropping in a new file triggers a refresh.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../../utils/logger');
+
+const EXTENSION_FORMATS = {
+  '.tle': 'tle',
+  '.txt': 'auto',
+  '.3le': 'tle',
+  '.json': 'json',
+  '.xml': 'xml',
+  '.kvn': 'kvn',
+  '.omm': 'kvn'
+};
+
+const WATCH_DEBOUNCE_MS = 2000;
+
+const createLocalDirectoryProvider = ({ name = 'local', directory } = {}) => {
+  if (!directory) {
+    throw new Error('Local directory source requires a directory');
+  }
+
+  const root = path.resolve(directory);
+
+  return {
+    name,
+    type: 'local',
+    format: 'auto',
+    breakerOptions: { timeout: 60000, errorThreshold: 50, resetTimeout: 30000 },
+
+    async fetch() {
+      const entries = await fs.promises.readdir(root, { withFileTypes: true });
+      const files = entries
+        .filter(entry => entry.isFile() && EXTENSION_FORMATS[path.extname(entry.name).toLowerCase()])
+        .map(entry => entry.name)
+        .sort();
+
+      const payloads = [];
+      for (const fileName of files) {
+        const data = await fs.promises.readFile(path.join(root, fileName), 'utf8');
+        payloads.push({
+          data,
+          format: EXTENSION_FORMATS[path.extname(fileName).toLowerCase()],
+          label: fileName
+        });
+      }
+
+      logger.info(`Read ${payloads.length} catalog files from ${root}`, { service: 'catalog-sources' });
+      return payloads;
+    },
+
+    /**
+     * Call onChange (debounced) whenever a catalog file in the directory changes.
+     * Returns a function that stops watching.
+     */
+    watch(onChange) {
+      let timer = null;
+      const watcher = fs.watch(root, (eventType, fileName) => {
+        if (fileName && !EXTENSION_FORMATS[path.extname(fileName).toLowerCase()]) return;
+        clearTimeout(timer);
+        timer = setTimeout(() => onChange(fileName), WATCH_DEBOUNCE_MS);
+      });
+
+      watcher.on('error', (error) => {
+        logger.error('Local catalog directory watcher failed', {
+          service: 'catalog-sources',
+          directory: root,
+          error: error.message
+        });
+      });
+
+      return () => {
+        clearTimeout(timer);
+        watcher.close();
+      };
+    },
+
+    describe() {
+      return { name, type: this.type, format: this.format, directory: root };
+    }
+  };
+};
+
+module.exports = { createLocalDirectoryProvider, EXTENSION_FORMATS };
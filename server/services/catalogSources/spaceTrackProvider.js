@@ -0,0 +1,62 @@
+/**
+ * Space-Track Compatible Catalog Source
+ * Logs in and runs a GP query in one request against any server exposing the
+ * Space-Track ajaxauth/basicspacedata API (Space-Track itself or a mirror).
+ */
+
+const axios = require('axios');
+const { withStandardRetry } = require('../../utils/retry');
+
+const DEFAULT_QUERY = '/basicspacedata/query/class/gp/decay_date/null-val/epoch/%3Enow-30/orderby/norad_cat_id/format/json';
+
+const createSpaceTrackProvider = ({
+  name = 'spacetrack',
+  baseUrl = 'https://www.space-track.org',
+  username,
+  password,
+  query = DEFAULT_QUERY
+} = {}) => {
+  if (!username || !password) {
+    throw new Error('Space-Track source requires a username and password');
+  }
+
+  const root = baseUrl.replace(/\/+$/, '');
+  // The query path decides the response format: .../format/json|xml|kvn|3le
+  const formatMatch = query.match(/\/format\/([a-z0-9]+)/i);
+  const requested = formatMatch ? formatMatch[1].toLowerCase() : 'json';
+  const format = ['tle', '3le', 'tle3'].includes(requested) ? 'tle' : requested;
+
+  return {
+    name,
+    type: 'spacetrack',
+    format,
+    breakerOptions: { timeout: 180000, errorThreshold: 40, resetTimeout: 300000 },
+
+    async fetch() {
+      const data = await withStandardRetry(async () => {
+        const response = await axios.post(
+          `${root}/ajaxauth/login`,
+          new URLSearchParams({ identity: username, password, query: `${root}${query}` }).toString(),
+          {
+            timeout: 120000,
+            headers: {
+              'Content-Type': 'application/x-www-form-urlencoded',
+              'User-Agent': 'AstraShield/1.0'
+            },
+            responseType: 'text',
+            transformResponse: body => body
+          }
+        );
+        return response.data;
+      }, { operationName: `fetch-${name}` });
+
+      return [{ data, format, label: query }];
+    },
+
+    describe() {
+      return { name, type: this.type, format, baseUrl: root, query };
+    }
+  };
+};
+
+module.exports = { createSpaceTrackProvider };
@@ -0,0 +1,265 @@
+/**
+ * CCSDS CDM Reader and Writer
+ * Reads and writes Conjunction Data Messages (CCSDS 508.0-B) in KVN and XML.
+ *
+ * A message is handled as keyword maps, in the order the standard lists them:
+ *   { header, relativeMetadata, objects: [object1, object2] }
+ * Values are kept as written (strings when parsed) and units in [brackets] or
+ * units="" attributes are dropped; the standard fixes them (km, km/s for states,
+ * m and m/s for relative data, m², m²/s, m²/s² for the RTN covariance).
+ */
+
+const { parseOEMEpoch } = require('./oemParser');
+
+const CDM_FORMATS = ['kvn', 'xml'];
+const CDM_VERSION = '1.0';
+
+const HEADER_KEYS = ['CCSDS_CDM_VERS', 'CREATION_DATE', 'ORIGINATOR', 'MESSAGE_FOR', 'MESSAGE_ID'];
+
+const RELATIVE_STATE_KEYS = [
+  'RELATIVE_POSITION_R', 'RELATIVE_POSITION_T', 'RELATIVE_POSITION_N',
+  'RELATIVE_VELOCITY_R', 'RELATIVE_VELOCITY_T', 'RELATIVE_VELOCITY_N'
+];
+
+const OBJECT_METADATA_KEYS = [
+  'OBJECT', 'OBJECT_DESIGNATOR', 'CATALOG_NAME', 'OBJECT_NAME', 'INTERNATIONAL_DESIGNATOR',
+  'OBJECT_TYPE', 'OPERATOR_CONTACT_POSITION', 'OPERATOR_ORGANIZATION', 'OPERATOR_PHONE',
+  'OPERATOR_EMAIL', 'EPHEMERIS_NAME', 'COVARIANCE_METHOD', 'MANEUVERABLE', 'ORBIT_CENTER',
+  'REF_FRAME', 'GRAVITY_MODEL', 'ATMOSPHERIC_MODEL', 'N_BODY_PERTURBATIONS',
+  'SOLAR_RAD_PRESSURE', 'EARTH_TIDES', 'INTRACK_THRUST'
+];
+
+const STATE_VECTOR_KEYS = ['X', 'Y', 'Z', 'X_DOT', 'Y_DOT', 'Z_DOT'];
+
+// Lower triangle of the 6x6 RTN covariance, row by row
+const COVARIANCE_KEYS = [
+  'CR_R',
+  'CT_R', 'CT_T',
+  'CN_R', 'CN_T', 'CN_N',
+  'CRDOT_R', 'CRDOT_T', 'CRDOT_N', 'CRDOT_RDOT',
+  'CTDOT_R', 'CTDOT_T', 'CTDOT_N', 'CTDOT_RDOT', 'CTDOT_TDOT',
+  'CNDOT_R', 'CNDOT_T', 'CNDOT_N', 'CNDOT_RDOT', 'CNDOT_TDOT', 'CNDOT_NDOT'
+];
+
+const UNITS = {
+  MISS_DISTANCE: 'm',
+  RELATIVE_SPEED: 'm/s',
+  RELATIVE_POSITION_R: 'm',
+  RELATIVE_POSITION_T: 'm',
+  RELATIVE_POSITION_N: 'm',
+  RELATIVE_VELOCITY_R: 'm/s',
+  RELATIVE_VELOCITY_T: 'm/s',
+  RELATIVE_VELOCITY_N: 'm/s',
+  X: 'km',
+  Y: 'km',
+  Z: 'km',
+  X_DOT: 'km/s',
+  Y_DOT: 'km/s',
+  Z_DOT: 'km/s'
+};
+COVARIANCE_KEYS.forEach((key, index) => {
+  // Rows 0-2 are position terms; each velocity index in the pair adds a 1/s
+  const row = [0, 1, 1, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 4, 5, 5, 5, 5, 5, 5][index];
+  const column = index - (row * (row + 1)) / 2;
+  const rates = (row > 2 ? 1 : 0) + (column > 2 ? 1 : 0);
+  UNITS[key] = ['m**2', 'm**2/s', 'm**2/s**2'][rates];
+});
+
+const detectCDMFormat = (data) => {
+  if (typeof data !== 'string') return null;
+  const trimmed = data.trim();
+  if (trimmed.startsWith('<')) return 'xml';
+  if (/^\s*CCSDS_CDM_VERS\s*=/m.test(trimmed)) return 'kvn';
+  return null;
+};
+
+const parseKVN = (data) => {
+  const header = {};
+  const relativeMetadata = {};
+  const objects = [];
+  let object = null;
+
+  for (const rawLine of data.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('COMMENT')) continue;
+
+    const separator = line.indexOf('=');
+    if (separator < 0) continue;
+    const key = line.substring(0, separator).trim().toUpperCase();
+    const value = line.substring(separator + 1).replace(/\[[^\]]*\]\s*$/, '').trim();
+
+    if (key === 'OBJECT') {
+      object = { OBJECT: value.toUpperCase() };
+      objects.push(object);
+    } else if (object) {
+      object[key] = value;
+    } else if (HEADER_KEYS.includes(key)) {
+      header[key] = value;
+    } else {
+      relativeMetadata[key] = value;
+    }
+  }
+
+  return { header, relativeMetadata, objects };
+};
+
+const readXmlLeaves = (block) => {
+  const values = {};
+  const leafPattern = /<([A-Z_]+)(?:\s[^>]*)?>([^<]*)<\/\1>/g;
+  let match;
+  while ((match = leafPattern.exec(block)) !== null) {
+    if (match[1] !== 'COMMENT') values[match[1]] = match[2].trim();
+  }
+  return values;
+};
+
+const parseXML = (data) => {
+  const headerBlock = (data.match(/<header>[\s\S]*?<\/header>/i) || [''])[0];
+  const relativeBlock = (data.match(/<relativeMetadataData>[\s\S]*?<\/relativeMetadataData>/i) || [''])[0];
+  const segmentBlocks = data.match(/<segment[\s>][\s\S]*?<\/segment>/gi) || [];
+  const version = data.match(/<cdm\b[^>]*\bversion="([^"]*)"/i);
+
+  const header = readXmlLeaves(headerBlock);
+  if (version && !header.CCSDS_CDM_VERS) header.CCSDS_CDM_VERS = version[1];
+
+  return {
+    header,
+    relativeMetadata: readXmlLeaves(relativeBlock),
+    objects: segmentBlocks.map(block => {
+      const object = readXmlLeaves(block);
+      if (object.OBJECT) object.OBJECT = object.OBJECT.toUpperCase();
+      return object;
+    })
+  };
+};
+
+/**
+ * Parse a CDM payload
+ * @returns {Object} { header, relativeMetadata, objects: [{ OBJECT, OBJECT_DESIGNATOR, ..., X, ..., CR_R, ... }] }
+ */
+const parseCDM = (data, format = detectCDMFormat(data)) => {
+  if (format === 'kvn') return parseKVN(String(data));
+  if (format === 'xml') return parseXML(String(data));
+  throw new Error(`Unsupported CDM format: ${format}`);
+};
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+
+const formatValue = (value) => {
+  if (typeof value !== 'number') return String(value);
+  if (value === 0) return '0.0';
+  const magnitude = Math.abs(value);
+  return magnitude >= 1e-3 && magnitude < 1e7 ? String(Number(value.toPrecision(12))) : value.toExponential(6).toUpperCase();
+};
+
+const writeKVN = ({ header, relativeMetadata, objects }) => {
+  const width = 36;
+  const lines = [];
+  const writeLine = (key, value) => {
+    if (!isPresent(value)) return;
+    const unit = UNITS[key] ? ` [${UNITS[key]}]` : '';
+    lines.push(`${key.padEnd(width)}= ${formatValue(value)}${unit}`);
+  };
+
+  lines.push(`${'CCSDS_CDM_VERS'.padEnd(width)}= ${header.CCSDS_CDM_VERS || CDM_VERSION}`);
+  HEADER_KEYS.slice(1).forEach(key => writeLine(key, header[key]));
+  Object.entries(relativeMetadata).forEach(([key, value]) => writeLine(key, value));
+
+  objects.forEach(({ comments = [], ...object }) => {
+    Object.entries(object).forEach(([key, value]) => {
+      if (key === COVARIANCE_KEYS[0]) comments.forEach(comment => lines.push(`COMMENT ${comment}`));
+      writeLine(key, value);
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const xmlLeaf = (key, value, indent) => {
+  if (!isPresent(value)) return [];
+  const unit = UNITS[key] ? ` units="${UNITS[key]}"` : '';
+  return [`${indent}<${key}${unit}>${escapeXml(formatValue(value))}</${key}>`];
+};
+
+const xmlBlock = (tag, body, indent) => (body.length === 0
+  ? []
+  : [`${indent}<${tag}>`, ...body, `${indent}</${tag}>`]);
+
+const writeXML = ({ header, relativeMetadata, objects }) => {
+  const relativeEntries = Object.entries(relativeMetadata);
+  const firstStateIndex = relativeEntries.findIndex(([key]) => RELATIVE_STATE_KEYS.includes(key));
+  const relativeLines = [];
+  relativeEntries.forEach(([key, value], index) => {
+    if (index === firstStateIndex) {
+      const stateLines = RELATIVE_STATE_KEYS.flatMap(stateKey => xmlLeaf(stateKey, relativeMetadata[stateKey], '        '));
+      relativeLines.push(...xmlBlock('relativeStateVector', stateLines, '      '));
+    }
+    if (!RELATIVE_STATE_KEYS.includes(key)) relativeLines.push(...xmlLeaf(key, value, '      '));
+  });
+
+  const segmentLines = objects.flatMap(({ comments = [], ...object }) => {
+    const leaves = (keys) => keys.flatMap(key => xmlLeaf(key, object[key], '          '));
+    const extraKeys = Object.keys(object).filter(key =>
+      !OBJECT_METADATA_KEYS.includes(key) && !STATE_VECTOR_KEYS.includes(key) && !COVARIANCE_KEYS.includes(key));
+    const covarianceLines = [
+      ...comments.map(comment => `          <COMMENT>${escapeXml(comment)}</COMMENT>`),
+      ...leaves(COVARIANCE_KEYS)
+    ];
+
+    return xmlBlock('segment', [
+      ...xmlBlock('metadata', OBJECT_METADATA_KEYS.flatMap(key => xmlLeaf(key, object[key], '        ')), '      '),
+      ...xmlBlock('data', [
+        ...xmlBlock('additionalParameters', leaves(extraKeys), '        '),
+        ...xmlBlock('stateVector', leaves(STATE_VECTOR_KEYS), '        '),
+        ...xmlBlock('covarianceMatrix', covarianceLines, '        ')
+      ], '      ')
+    ], '    ');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<cdm id="CCSDS_CDM_VERS" version="${escapeXml(header.CCSDS_CDM_VERS || CDM_VERSION)}">`,
+    ...xmlBlock('header', HEADER_KEYS.slice(1).flatMap(key => xmlLeaf(key, header[key], '    ')), '  '),
+    '  <body>',
+    ...xmlBlock('relativeMetadataData', relativeLines, '    '),
+    ...segmentLines,
+    '  </body>',
+    '</cdm>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Write a CDM from keyword maps in the shape parseCDM returns. An object's optional
+ * comments array is written ahead of its covariance.
+ */
+const writeCDM = (message, format = 'kvn') => {
+  if (format === 'kvn') return writeKVN(message);
+  if (format === 'xml') return writeXML(message);
+  throw new Error(`Unsupported CDM format: ${format}`);
+};
+
+/**
+ * CDM epochs are UTC calendar dates, written without a zone designator
+ */
+const formatCDMEpoch = (date) => new Date(date).toISOString().replace('Z', '');
+
+// TCA and creation dates are UTC; same calendar and day-of-year forms as an OEM
+const parseCDMEpoch = (epoch) => parseOEMEpoch(epoch, 'UTC');
+
+module.exports = {
+  CDM_FORMATS,
+  CDM_VERSION,
+  COVARIANCE_KEYS,
+  STATE_VECTOR_KEYS,
+  detectCDMFormat,
+  parseCDM,
+  writeCDM,
+  formatCDMEpoch,
+  parseCDMEpoch
+};
@@ -0,0 +1,336 @@
+/**
+ * CDM Service
+ * Exports stored conjunctions as CCSDS Conjunction Data Messages and ingests CDMs
+ * received from other operators into the conjunction event history.
+ *
+ * Exported states are written in EME2000 and covariances in each object's RTN
+ * frame. Only the position block of the covariance is estimated here, so the
+ * velocity terms of an exported CDM are zero. An ingested CDM's position
+ * covariance is kept on its event and replaces the default covariance in every
+ * later Pc calculation for that close approach.
+ */
+
+const Conjunction = require('../models/Conjunction');
+const ConjunctionEvent = require('../models/ConjunctionEvent');
+const Satellite = require('../models/Satellite');
+const collisionProbabilityEngine = require('./collisionProbabilityEngine');
+const { CDM_METHOD_NAMES } = require('./pcMethods');
+const { recordScreeningUpdates } = require('./conjunctionEventService');
+const {
+  COVARIANCE_KEYS,
+  STATE_VECTOR_KEYS,
+  detectCDMFormat,
+  parseCDM,
+  writeCDM,
+  formatCDMEpoch,
+  parseCDMEpoch
+} = require('./cdmMessage');
+const { fromTEME, toTEME, toRTN, isSupportedFrame } = require('../utils/frames');
+const { logger } = require('../utils/logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+
+const CONFIG = {
+  ORIGINATOR: process.env.CDM_ORIGINATOR || 'ASTRASHIELD',
+  REF_FRAME: 'EME2000'
+};
+
+// Row-major 3x3 index of each position term of the CDM lower triangle
+const POSITION_COVARIANCE_INDEX = {
+  CR_R: [0],
+  CT_R: [1, 3],
+  CT_T: [4],
+  CN_R: [2, 6],
+  CN_T: [5, 7],
+  CN_N: [8]
+};
+
+const CONTENT_TYPES = {
+  kvn: 'text/plain',
+  xml: 'application/xml'
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const buildObjectBlock = (label, sat, state, covariance, stateSource, covarianceSource, tca) => {
+  const eme2000 = fromTEME(state, CONFIG.REF_FRAME, tca);
+  const block = {
+    OBJECT: label,
+    OBJECT_DESIGNATOR: String(sat.noradCatId).padStart(5, '0'),
+    CATALOG_NAME: 'SATCAT',
+    OBJECT_NAME: sat.name || 'UNKNOWN',
+    INTERNATIONAL_DESIGNATOR: sat.internationalDesignator || 'UNKNOWN',
+    OBJECT_TYPE: sat.objectType || 'UNKNOWN',
+    EPHEMERIS_NAME: stateSource === 'ephemeris' ? 'OPERATOR EPHEMERIS' : 'NONE',
+    COVARIANCE_METHOD: covarianceSource === 'default' ? 'DEFAULT' : 'CALCULATED',
+    MANEUVERABLE: 'N/A',
+    REF_FRAME: CONFIG.REF_FRAME,
+    X: eme2000.position.x,
+    Y: eme2000.position.y,
+    Z: eme2000.position.z,
+    X_DOT: eme2000.velocity.x,
+    Y_DOT: eme2000.velocity.y,
+    Z_DOT: eme2000.velocity.z,
+    comments: ['Position covariance only; velocity terms are not estimated and set to zero']
+  };
+
+  COVARIANCE_KEYS.forEach(key => {
+    const index = POSITION_COVARIANCE_INDEX[key];
+    block[key] = index ? covariance[index[0]] : 0;
+  });
+  return block;
+};
+
+/**
+ * Build a CDM for a stored conjunction
+ * @param {string} conjunctionId - Conjunction _id
+ * @param {string} format - 'kvn' or 'xml'
+ * @returns {Promise<Object>} { content, contentType, fileName }
+ */
+const exportConjunctionCDM = async (conjunctionId, format = 'kvn') => {
+  const conjunction = await Conjunction.findById(conjunctionId).lean();
+  if (!conjunction) {
+    throw new NotFoundError('Conjunction', conjunctionId);
+  }
+
+  const satellites = await Satellite.find({
+    noradCatId: { $in: [conjunction.satellite1, conjunction.satellite2] }
+  }).lean();
+  const sat1 = satellites.find(sat => sat.noradCatId === conjunction.satellite1);
+  const sat2 = satellites.find(sat => sat.noradCatId === conjunction.satellite2);
+  if (!sat1 || !sat2) {
+    throw new NotFoundError('Satellite', !sat1 ? conjunction.satellite1 : conjunction.satellite2);
+  }
+
+  // States and covariances at the stored TCA, from the same sources the screening used
+  const tca = new Date(conjunction.timeOfClosestApproach);
+  const analysis = await collisionProbabilityEngine.analyzeConjunction(sat1, sat2, tca);
+  if (!analysis) {
+    throw new ValidationError('States at TCA could not be computed for both objects');
+  }
+
+  const relative = toRTN(analysis.stateB, analysis.stateA);
+  const relativePosition = conjunction.relativePositionRTN && conjunction.relativePositionRTN.radial !== undefined
+    ? conjunction.relativePositionRTN
+    : { radial: relative.position.x, transverse: relative.position.y, normal: relative.position.z };
+  const creationDate = new Date();
+
+  const message = {
+    header: {
+      CREATION_DATE: formatCDMEpoch(creationDate),
+      ORIGINATOR: CONFIG.ORIGINATOR,
+      MESSAGE_FOR: sat1.name,
+      MESSAGE_ID: `${CONFIG.ORIGINATOR}_${conjunction.eventId || `${conjunction.satellite1}_${conjunction.satellite2}`}_${creationDate.getTime()}`
+    },
+    relativeMetadata: {
+      TCA: formatCDMEpoch(tca),
+      MISS_DISTANCE: conjunction.closestApproachDistance * 1000,
+      RELATIVE_SPEED: conjunction.relativeVelocity * 1000,
+      RELATIVE_POSITION_R: relativePosition.radial * 1000,
+      RELATIVE_POSITION_T: relativePosition.transverse * 1000,
+      RELATIVE_POSITION_N: relativePosition.normal * 1000,
+      RELATIVE_VELOCITY_R: relative.velocity.x * 1000,
+      RELATIVE_VELOCITY_T: relative.velocity.y * 1000,
+      RELATIVE_VELOCITY_N: relative.velocity.z * 1000,
+      COLLISION_PROBABILITY: conjunction.probabilityOfCollision || 0,
+      COLLISION_PROBABILITY_METHOD: CDM_METHOD_NAMES[conjunction.pcMethod && conjunction.pcMethod.method]
+        || CDM_METHOD_NAMES[collisionProbabilityEngine.CONFIG.PC_METHOD]
+    },
+    objects: [
+      buildObjectBlock('OBJECT1', sat1, analysis.stateA, analysis.uncertaintyData.satA.covariance,
+        analysis.stateSources.satA, analysis.covarianceSources.satA, tca),
+      buildObjectBlock('OBJECT2', sat2, analysis.stateB, analysis.uncertaintyData.satB.covariance,
+        analysis.stateSources.satB, analysis.covarianceSources.satB, tca)
+    ]
+  };
+
+  return {
+    content: writeCDM(message, format),
+    contentType: CONTENT_TYPES[format],
+    fileName: `cdm-${conjunction.satellite1}-${conjunction.satellite2}-${tca.toISOString().replace(/[:.]/g, '')}.${format === 'xml' ? 'xml' : 'txt'}`
+  };
+};
+
+// NORAD catalog number of a CDM object; other catalogs cannot be matched to ours
+const readDesignator = (object) => {
+  const catalog = (object.CATALOG_NAME || 'SATCAT').toUpperCase();
+  const designator = String(object.OBJECT_DESIGNATOR || '').trim();
+  if (catalog !== 'SATCAT' || !/^\d+$/.test(designator)) {
+    throw new ValidationError(`${object.OBJECT} must have a numeric SATCAT OBJECT_DESIGNATOR`);
+  }
+  return parseInt(designator, 10);
+};
+
+// Position block of the RTN covariance as a row-major 3x3 (m²), or null when incomplete
+const readPositionCovariance = (object) => {
+  const covariance = new Array(9);
+  for (const [key, indices] of Object.entries(POSITION_COVARIANCE_INDEX)) {
+    const value = toNumber(object[key]);
+    if (value === null) return null;
+    indices.forEach(index => { covariance[index] = value; });
+  }
+  if (covariance[0] < 0 || covariance[4] < 0 || covariance[8] < 0) {
+    throw new ValidationError(`${object.OBJECT} covariance has a negative variance`);
+  }
+  return covariance;
+};
+
+// TEME state of a CDM object, or null when the state vector or frame cannot be used
+const readState = (object, tca) => {
+  const values = STATE_VECTOR_KEYS.map(key => toNumber(object[key]));
+  if (values.some(value => value === null) || !isSupportedFrame(object.REF_FRAME)) return null;
+  return toTEME({
+    position: { x: values[0], y: values[1], z: values[2] },
+    velocity: { x: values[3], y: values[4], z: values[5] }
+  }, object.REF_FRAME, tca);
+};
+
+/**
+ * Read a CDM into the conjunction update it describes, keyed satellite1/satellite2
+ * by ascending NORAD ID like the rest of the conjunction records
+ */
+const readConjunctionUpdate = ({ header, relativeMetadata, objects }) => {
+  const object1 = objects.find(object => object.OBJECT === 'OBJECT1');
+  const object2 = objects.find(object => object.OBJECT === 'OBJECT2');
+  if (!object1 || !object2) {
+    throw new ValidationError('CDM must contain OBJECT1 and OBJECT2 sections');
+  }
+
+  const tca = parseCDMEpoch(relativeMetadata.TCA);
+  if (!tca) {
+    throw new ValidationError(`TCA ${relativeMetadata.TCA || '(missing)'} is not a valid epoch`);
+  }
+  const missDistanceM = toNumber(relativeMetadata.MISS_DISTANCE);
+  if (missDistanceM === null || missDistanceM < 0) {
+    throw new ValidationError('MISS_DISTANCE is missing or invalid');
+  }
+
+  const noradCatId1 = readDesignator(object1);
+  const noradCatId2 = readDesignator(object2);
+  if (noradCatId1 === noradCatId2) {
+    throw new ValidationError('OBJECT1 and OBJECT2 are the same object');
+  }
+  const swapped = noradCatId1 > noradCatId2;
+  const [primary, secondary] = swapped ? [object2, object1] : [object1, object2];
+
+  // Relative position of satellite2 in satellite1's RTN frame: as given when the
+  // order matches, otherwise recomputed from the two state vectors
+  const primaryState = readState(primary, tca);
+  const secondaryState = readState(secondary, tca);
+  const given = ['R', 'T', 'N'].map(axis => toNumber(relativeMetadata[`RELATIVE_POSITION_${axis}`]));
+  let relativePositionRTN = null;
+  if (!swapped && given.every(value => value !== null)) {
+    relativePositionRTN = { radial: given[0] / 1000, transverse: given[1] / 1000, normal: given[2] / 1000 };
+  } else if (primaryState && secondaryState) {
+    const { position } = toRTN(secondaryState, primaryState);
+    relativePositionRTN = { radial: position.x, transverse: position.y, normal: position.z };
+  }
+
+  let relativeSpeedMs = toNumber(relativeMetadata.RELATIVE_SPEED);
+  if (relativeSpeedMs === null) {
+    const components = ['R', 'T', 'N'].map(axis => toNumber(relativeMetadata[`RELATIVE_VELOCITY_${axis}`]));
+    if (components.every(value => value !== null)) {
+      relativeSpeedMs = Math.sqrt(components.reduce((sum, value) => sum + value * value, 0));
+    }
+  }
+
+  const probabilityOfCollision = toNumber(relativeMetadata.COLLISION_PROBABILITY);
+  if (probabilityOfCollision !== null && (probabilityOfCollision < 0 || probabilityOfCollision > 1)) {
+    throw new ValidationError('COLLISION_PROBABILITY must be between 0 and 1');
+  }
+
+  const covariance1 = readPositionCovariance(primary);
+  const covariance2 = readPositionCovariance(secondary);
+
+  return {
+    satA: swapped ? noradCatId2 : noradCatId1,
+    satB: swapped ? noradCatId1 : noradCatId2,
+    timeOfClosestApproach: tca,
+    minDistanceKm: missDistanceM / 1000,
+    relativeVelocity: relativeSpeedMs !== null ? relativeSpeedMs / 1000 : null,
+    relativePositionRTN,
+    probabilityOfCollision: probabilityOfCollision || 0,
+    pcMethod: relativeMetadata.COLLISION_PROBABILITY_METHOD
+      ? { method: relativeMetadata.COLLISION_PROBABILITY_METHOD, parameters: null }
+      : null,
+    riskLevel: collisionProbabilityEngine.getRiskLevelFromPc(probabilityOfCollision || 0),
+    source: 'cdm',
+    cdm: {
+      messageId: header.MESSAGE_ID || null,
+      originator: header.ORIGINATOR || null,
+      creationDate: parseCDMEpoch(header.CREATION_DATE)
+    },
+    covariance: covariance1 || covariance2
+      ? { satellite1: covariance1, satellite2: covariance2 }
+      : null
+  };
+};
+
+/**
+ * Ingest a CDM received from another operator into the event history
+ * @param {string} data - KVN or XML CDM
+ * @param {Object} options - { format }, auto-detected when omitted
+ * @returns {Promise<Object>} The event the CDM was recorded on and what was read from it
+ */
+const ingestCDM = async (data, options = {}) => {
+  const format = options.format || detectCDMFormat(data);
+  if (!format) {
+    throw new ValidationError('Payload is not a CCSDS CDM in KVN or XML');
+  }
+
+  const update = readConjunctionUpdate(parseCDM(data, format));
+
+  if (update.cdm.messageId) {
+    // Both fields must match on the same update, not anywhere in the history
+    const duplicate = await ConjunctionEvent.exists({
+      updates: {
+        $elemMatch: {
+          'cdm.originator': update.cdm.originator,
+          'cdm.messageId': update.cdm.messageId
+        }
+      }
+    });
+    if (duplicate) {
+      throw new ConflictError(`CDM ${update.cdm.messageId} from ${update.cdm.originator || 'unknown originator'} was already ingested`, 'CDM');
+    }
+  }
+
+  const receivedAt = new Date();
+  const [eventId] = await recordScreeningUpdates([update], receivedAt);
+
+  logger.info(`Ingested CDM for ${update.satA}-${update.satB}`, {
+    service: 'cdm',
+    eventId,
+    messageId: update.cdm.messageId,
+    originator: update.cdm.originator,
+    covariance: Boolean(update.covariance)
+  });
+
+  return {
+    eventId,
+    satellite1: update.satA,
+    satellite2: update.satB,
+    timeOfClosestApproach: update.timeOfClosestApproach,
+    missDistance: update.minDistanceKm,
+    relativeVelocity: update.relativeVelocity,
+    relativePositionRTN: update.relativePositionRTN,
+    probabilityOfCollision: update.probabilityOfCollision,
+    riskLevel: update.riskLevel,
+    messageId: update.cdm.messageId,
+    originator: update.cdm.originator,
+    covariance: {
+      satellite1: Boolean(update.covariance && update.covariance.satellite1),
+      satellite2: Boolean(update.covariance && update.covariance.satellite2)
+    },
+    receivedAt
+  };
+};
+
+module.exports = {
+  exportConjunctionCDM,
+  ingestCDM,
+  readConjunctionUpdate,
+  CONFIG
+};
@@ -7,6 +7,7 @@ const Satellite = require('../models/Satellite');
 const Conjunction = require('../models/Conjunction');
 const { logger } = require('../utils/logger');
 const { broadcastAlert } = require('./alertService');
+const { propagateCatalog, findClosestSample } = require('./propagationService');
 
 const CONFIG = {
   DEFAULT_THRESHOLD_KM: 10,
@@ -97,29 +98,22 @@ const findClosestApproaches = async (noradCatId, thresholdKm = CONFIG.DEFAULT_TH
   const closestApproaches = [];
   const now = new Date();
   const numSamples = (CONFIG.FORECAST_HOURS * 60) / CONFIG.SAMPLE_INTERVAL_MINUTES;
+  const ephemerides = await propagateCatalog([satellite, ...otherSatellites], {
+    start: now,
+    numSamples,
+    intervalMs: CONFIG.SAMPLE_INTERVAL_MINUTES * 60 * 1000
+  });
+  const ephemeris = ephemerides.get(satellite.noradCatId);
+  
+  if (!ephemeris) {
+    return { error: 'Satellite could not be propagated' };
+  }
   
   for (const other of otherSatellites) {
-    const otherTle1 = other.tleLine1 || (other.tle && other.tle.line1);
-    const otherTle2 = other.tleLine2 || (other.tle && other.tle.line2);
-    
-    if (!otherTle1 || !otherTle2) continue;
-    
-    const { calculateMinDistance, generatePositions } = require('./orbitEngine');
-    const positions1 = generatePositions(tleLine1, tleLine2, now, numSamples);
-    const positions2 = generatePositions(otherTle1, otherTle2, now, numSamples);
-    
-    if (positions1.length === 0 || positions2.length === 0) continue;
+    const otherEphemeris = ephemerides.get(other.noradCatId);
+    if (!otherEphemeris) continue;
     
-    let minDistance = Infinity;
-    let timeOfClosestApproach = null;
-    
-    for (let i = 0; i < Math.min(positions1.length, positions2.length); i++) {
-      const dist = calculateDistance3D(positions1[i], positions2[i]);
-      if (dist < minDistance) {
-        minDistance = dist;
-        timeOfClosestApproach = positions1[i].time;
-      }
-    }
+    const { minDistance, timeOfClosestApproach } = findClosestSample(ephemeris, otherEphemeris);
     
     if (minDistance < thresholdKm) {
       closestApproaches.push({
@@ -149,13 +143,6 @@ const findClosestApproaches = async (noradCatId, thresholdKm = CONFIG.DEFAULT_TH
   };
 };
 
-const calculateDistance3D = (pos1, pos2) => {
-  const dx = pos2.x - pos1.x;
-  const dy = pos2.y - pos1.y;
-  const dz = pos2.z - pos1.z;
-  return Math.sqrt(dx * dx + dy * dy + dz * dz);
-};
-
 const createClosestApproachAlert = async (referenceSat, approachingObj, distance, timeOfClosestApproach, threshold) => {
   const conjunctionKey = `${referenceSat.noradCatId}-${approachingObj.noradCatId}`;
   
@@ -211,16 +198,20 @@ const scanAllClosestApproaches = async (thresholdKm = CONFIG.DEFAULT_THRESHOLD_K
   const alerts = [];
   const now = new Date();
   const numSamples = 30; // Reduced for performance
+  const ephemerides = await propagateCatalog(satellites, {
+    start: now,
+    numSamples,
+    intervalMs: CONFIG.SAMPLE_INTERVAL_MINUTES * 60 * 1000
+  });
   
   let comparisons = 0;
   const maxComparisons = 100; // Limit to prevent timeout
   
   for (let i = 0; i < satellites.length && comparisons < maxComparisons; i++) {
     const satA = satellites[i];
-    const tleLine1 = satA.tleLine1 || (satA.tle && satA.tle.line1);
-    const tleLine2 = satA.tleLine2 || (satA.tle && satA.tle.line2);
+    const ephemerisA = ephemerides.get(satA.noradCatId);
     
-    if (!tleLine1 || !tleLine2) continue;
+    if (!ephemerisA) continue;
     
     for (let j = i + 1; j < satellites.length && comparisons < maxComparisons; j++) {
       const satB = satellites[j];
@@ -230,29 +221,11 @@ const scanAllClosestApproaches = async (thresholdKm = CONFIG.DEFAULT_THRESHOLD_K
       
       comparisons++;
       
-      const bTle1 = satB.tleLine1 || (satB.tle && satB.tle.line1);
-      const bTle2 = satB.tleLine2 || (satB.tle && satB.tle.line2);
-      
-      if (!bTle1 || !bTle2) continue;
-      
-      const { generateSampledPositions } = require('./conjunctionEngine');
+      const ephemerisB = ephemerides.get(satB.noradCatId);
+      if (!ephemerisB) continue;
       
       try {
-        const posA = generateSampledPositions(tleLine1, tleLine2, now, numSamples);
-        const posB = generateSampledPositions(bTle1, bTle2, now, numSamples);
-        
-        if (posA.length === 0 || posB.length === 0) continue;
-        
-        let minDistance = Infinity;
-        let timeOfClosest = null;
-        
-        for (let k = 0; k < Math.min(posA.length, posB.length); k++) {
-          const dist = calculateDistance3D(posA[k], posB[k]);
-          if (dist < minDistance) {
-            minDistance = dist;
-            timeOfClosest = posA[k].time;
-          }
-        }
+        const { minDistance, timeOfClosestApproach: timeOfClosest } = findClosestSample(ephemerisA, ephemerisB);
         
         if (minDistance < thresholdKm) {
           const alert = await createClosestApproachAlert(
@@ -3,15 +3,25 @@
  * Implements NASA/Caltech methodologies for probabilistic collision analysis
  * 
  * Key methods:
- * - Probability of Collision (Pc) calculation using the "squared miss distance" method
+ * - Probability of Collision (Pc) in the encounter plane with a selectable
+ *   short-encounter method (Foster, Chan or Alfano; see pcMethods), or by seeded
+ *   Monte Carlo sampling of both states through the encounter (see monteCarloPc)
+ * - Pc sensitivity to covariance scale and maximum Pc (see pcSensitivity)
  * - Uncertainty ellipsoid calculations
  * - Covariance propagation using satellite.js
  */
 
 const satellite = require('satellite.js');
+const ephemerisService = require('./ephemerisService');
+const conjunctionEventService = require('./conjunctionEventService');
+const pcMethods = require('./pcMethods');
+const monteCarloPc = require('./monteCarloPc');
+const pcSensitivity = require('./pcSensitivity');
+const hardBodyRadiusService = require('./hardBodyRadiusService');
 
 const CONFIG = {
-  // Hard body radius defaults (meters) - typical satellite sizes
+  // Hard body radius defaults (meters) - typical satellite sizes, used for an object
+  // with no operator radius, RCS or object type (see hardBodyRadiusService)
   DEFAULT_PRIMARY_RADIUS: 5,     // Large satellite/upper stage
   DEFAULT_SECONDARY_RADIUS: 1,  // Small debris
   
@@ -30,8 +40,10 @@ const CONFIG = {
   // Sigma multipliers for ellipsoid visualization
   SIGMA_LEVELS: [1, 2, 3],  // 1-sigma, 2-sigma, 3-sigma
   
-  // Integration settings
-  NUM_INTEGRATION_STEPS: 100,
+  // Pc method used when a request does not choose one; 'montecarlo' is far slower
+  // than the others and suits on-demand analysis more than catalog screening
+  PC_METHOD: pcMethods.isPcMethod(process.env.PC_METHOD) ? process.env.PC_METHOD : pcMethods.CONFIG.DEFAULT_METHOD,
+  
   DEFAULT_COVARIANCE_SCALAR: 1000 // m² - default uncertainty if not provided
 };
 
@@ -293,115 +305,71 @@ const transformToRTN = (ecfCov, position, velocity) => {
 };
 
 /**
- * Calculate the Probability of Collision (Pc) using the
- * NASA/Caltech "squared miss distance" methodology
- * 
- * This implements the standard formula:
- * Pc = (1 / (2π * sqrt(det(H)))) * integral of exp(-0.5 * r^T * H^-1 * r) dr
+ * Calculate the Probability of Collision (Pc) of two states at TCA
  * 
- * Where H is the combined covariance matrix in the collision plane
+ * Each object's RTN covariance is rotated into the inertial frame, the two are
+ * summed (independent uncertainties), and the combined covariance and miss vector
+ * are projected onto the encounter plane normal to the relative velocity, where
+ * the chosen method integrates over the combined hard-body disk. Monte Carlo
+ * instead samples both states and propagates each sample through the encounter.
  * 
- * @param {number} missDistance - Miss distance in meters
- * @param {number} relativeVelocity - Relative velocity in m/s
- * @param {Matrix3} combinedCovRTN - Combined covariance in RTN frame (m²)
- * @param {number} primaryRadius - Primary object hard body radius (m)
- * @param {number} secondaryRadius - Secondary object hard body radius (m)
- * @returns {number} Probability of collision
+ * @param {Object} stateA - { position (km), velocity (km/s), covariance: Matrix3 RTN (m²) }
+ * @param {Object} stateB - Same shape as stateA
+ * @param {number} hardBodyRadius - Combined hard body radius (m)
+ * @param {string} method - 'foster', 'chan', 'alfano' or 'montecarlo'
+ * @param {Object} monteCarloOptions - { seed, targetRelativeError, maxSamples } for 'montecarlo'
+ * @returns {Object} { probabilityOfCollision, method, parameters }; a Promise of it for
+ *   'montecarlo', which samples in batches without blocking
  */
 const calculateCollisionProbability = (
-  missDistance,
-  relativeVelocity,
-  combinedCovRTN,
-  primaryRadius = CONFIG.DEFAULT_PRIMARY_RADIUS,
-  secondaryRadius = CONFIG.DEFAULT_SECONDARY_RADIUS
+  stateA,
+  stateB,
+  hardBodyRadius = CONFIG.DEFAULT_PRIMARY_RADIUS + CONFIG.DEFAULT_SECONDARY_RADIUS,
+  method = CONFIG.PC_METHOD,
+  monteCarloOptions = {}
 ) => {
-  // Combined hard body radius
-  const combinedRadius = primaryRadius + secondaryRadius;
-  
-  // If miss distance exceeds combined radius significantly, probability is negligible
-  if (missDistance > combinedRadius * 10) {
-    return 0;
-  }
-  
-  // Get eigenvalues of the combined covariance in the collision plane
-  // For simplicity, use the R and T components (in-plane)
-  const cov = combinedCovRTN.toArray();
-  
-  // Extract 2x2 in-plane covariance (R-T plane)
-  const sigmaRR = cov[0];  // R-R
-  const sigmaRT = cov[1];  // R-T
-  const sigmaTT = cov[4];  // T-T
-  
-  // Compute determinant and inverse of 2x2 covariance
-  const detH = sigmaRR * sigmaTT - sigmaRT * sigmaRT;
-  
-  if (detH <= 0 || !isFinite(detH)) {
-    // Degenerate case - use simplified probability
-    const sigma = Math.sqrt((sigmaRR + sigmaTT) / 2);
-    if (sigma <= 0) return 0;
-    
-    const z = (combinedRadius - missDistance) / sigma;
-    if (z < 0) return 0;
-    
-    // Simplified Gaussian integral
-    return Math.exp(-0.5 * z * z);
-  }
-  
-  const invDetH = 1 / detH;
-  
-  // Inverse of 2x2 matrix
-  const invH00 = sigmaTT * invDetH;
-  const invH01 = -sigmaRT * invDetH;
-  const invH11 = sigmaRR * invDetH;
-  
-  // Compute probability using numerical integration
-  // The standard approach integrates over the collision circle
-  let Pc = 0;
-  
-  // Use Monte Carlo integration for robustness
-  const numSamples = 10000;
-  let hits = 0;
-  
-  for (let i = 0; i < numSamples; i++) {
-    // Generate sample point using Box-Muller transform
-    // Sample in the collision plane (relative position)
-    const u1 = Math.random();
-    const u2 = Math.random();
-    const u3 = Math.random();
-    const u4 = Math.random();
-    
-    // Standard normal samples
-    const z1 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-    const z2 = Math.sqrt(-2 * Math.log(u3)) * Math.cos(2 * Math.PI * u4);
-    
-    // Transform to correlated distribution using Cholesky decomposition
-    const sqrtSigmaRR = Math.sqrt(Math.max(sigmaRR, 0));
-    const sqrtSigmaTT = Math.sqrt(Math.max(sigmaTT, 0));
-    
-    // Position relative to miss distance (place miss at origin)
-    const r = missDistance + z1 * sqrtSigmaRR;
-    const t = z2 * sqrtSigmaTT;
-    
-    // Check if within collision radius
-    const dist = Math.sqrt(r * r + t * t);
-    if (dist <= combinedRadius) {
-      hits++;
-    }
+  if (method === 'montecarlo') {
+    return monteCarloPc.computeMonteCarloPc(stateA, stateB, hardBodyRadius, monteCarloOptions);
   }
   
-  Pc = hits / numSamples;
-  
-  // Apply time scaling (collision window)
-  // The collision probability scales with the ratio of collision cross-section to uncertainty area
-  const uncertaintyArea = 2 * Math.PI * Math.sqrt(detH);
-  const collisionArea = Math.PI * combinedRadius * combinedRadius;
-  const crossSectionRatio = Math.min(collisionArea / uncertaintyArea, 1);
+  return pcMethods.computePc(buildEncounterPlane(stateA, stateB), hardBodyRadius, method);
+};
+
+/**
+ * Combined covariance and miss vector of two states projected onto the encounter plane
+ * @returns {Object} pcMethods plane { miss, covariance, missDistance } in m and m²
+ */
+const buildEncounterPlane = (stateA, stateB) => {
+  const toMeters = (v) => ({ x: v.x * 1000, y: v.y * 1000, z: v.z * 1000 });
+  const covarianceA = pcMethods.rtnToInertial(stateA.covariance.toArray(), stateA);
+  const covarianceB = pcMethods.rtnToInertial(stateB.covariance.toArray(), stateB);
+  const combined = covarianceA.map((value, i) => value + covarianceB[i]);
   
-  Pc = Pc * crossSectionRatio * 2; // Scale factor for edge cases
+  const relativePosition = toMeters({
+    x: stateB.position.x - stateA.position.x,
+    y: stateB.position.y - stateA.position.y,
+    z: stateB.position.z - stateA.position.z
+  });
+  const relativeVelocity = toMeters({
+    x: stateB.velocity.x - stateA.velocity.x,
+    y: stateB.velocity.y - stateA.velocity.y,
+    z: stateB.velocity.z - stateA.velocity.z
+  });
   
-  return Math.min(Math.max(Pc, 0), 1);
+  return pcMethods.projectToEncounterPlane(relativePosition, relativeVelocity, combined);
 };
 
+/**
+ * Pc against a scale factor on the combined covariance, with the maximum Pc and
+ * whether the encounter sits in the dilution region
+ * @param {string} method - Encounter-plane method for the curve; Foster for 'montecarlo'
+ */
+const analyzeCovarianceSensitivity = (stateA, stateB, hardBodyRadius, method = CONFIG.PC_METHOD) =>
+  pcSensitivity.analyzeCovarianceSensitivity(buildEncounterPlane(stateA, stateB), hardBodyRadius, {
+    method,
+    reportingThreshold: CONFIG.Pc_THRESHOLDS.MODERATE
+  });
+
 /**
  * Calculate uncertainty ellipsoid parameters
  * Returns semi-axes lengths and orientations for visualization
@@ -497,18 +465,9 @@ const propagateWithCovariance = (tleLine1, tleLine2, targetTime, ageDays = 1) =>
       return null;
     }
     
-    // Convert to km
-    const posEci = {
-      x: position.position.x / 1000,
-      y: position.position.y / 1000,
-      z: position.position.z / 1000
-    };
-    
-    const velEci = {
-      x: position.velocity.x / 1000,
-      y: position.velocity.y / 1000,
-      z: position.velocity.z / 1000
-    };
+    // satellite.js already returns km and km/s
+    const posEci = { ...position.position };
+    const velEci = { ...position.velocity };
     
     // Calculate altitude for covariance
     const r = Math.sqrt(posEci.x**2 + posEci.y**2 + posEci.z**2);
@@ -529,7 +488,9 @@ const propagateWithCovariance = (tleLine1, tleLine2, targetTime, ageDays = 1) =>
       velocityMagnitude: velocityMag,
       altitude: altitudeKm,
       covariance: covarianceRTN,
-      covarianceEci: baseCovariance
+      covarianceEci: baseCovariance,
+      source: 'sgp4',
+      covarianceSource: 'default'
     };
   } catch (error) {
     console.error('Error propagating satellite:', error.message);
@@ -537,28 +498,83 @@ const propagateWithCovariance = (tleLine1, tleLine2, targetTime, ageDays = 1) =>
   }
 };
 
+/**
+ * State of one object at a time: the operator ephemeris when one covers the time,
+ * SGP4 otherwise. Same shape as propagateWithCovariance.
+ * @param {Array} covariance - RTN position covariance (9 elements, m²) received for
+ *   the object, e.g. from a CDM; replaces the ephemeris or default covariance
+ */
+const getObjectState = (sat, targetTime, ephemeris = null, covariance = null) => {
+  const state = getPropagatedState(sat, targetTime, ephemeris);
+  if (!state || !covariance) return state;
+  return { ...state, covariance: new Matrix3([...covariance]), covarianceSource: 'cdm' };
+};
+
+const getPropagatedState = (sat, targetTime, ephemeris) => {
+  if (ephemeris) {
+    const state = ephemerisService.interpolateState(ephemeris, targetTime);
+    if (state) {
+      const { covariance, source } = ephemerisService.getCovarianceRTN(ephemeris, targetTime, state);
+      const r = Math.sqrt(state.position.x ** 2 + state.position.y ** 2 + state.position.z ** 2);
+      return {
+        position: state.position,
+        velocity: state.velocity,
+        velocityMagnitude: Math.sqrt(state.velocity.x ** 2 + state.velocity.y ** 2 + state.velocity.z ** 2),
+        altitude: r - 6371,
+        covariance: new Matrix3(covariance),
+        source: 'ephemeris',
+        covarianceSource: source
+      };
+    }
+  }
+
+  const tleLine1 = sat.tleLine1 || (sat.tle && sat.tle.line1);
+  const tleLine2 = sat.tleLine2 || (sat.tle && sat.tle.line2);
+  if (!tleLine1 || !tleLine2) return null;
+
+  return propagateWithCovariance(tleLine1, tleLine2, targetTime);
+};
+
+/**
+ * Risk level for a probability of collision
+ */
+const getRiskLevelFromPc = (probabilityOfCollision) => {
+  if (probabilityOfCollision >= CONFIG.Pc_THRESHOLDS.CRITICAL) return 'critical';
+  if (probabilityOfCollision >= CONFIG.Pc_THRESHOLDS.HIGH) return 'high';
+  if (probabilityOfCollision >= CONFIG.Pc_THRESHOLDS.MODERATE) return 'moderate';
+  return 'low';
+};
+
 /**
  * Analyze a conjunction and calculate detailed collision probability
  * 
  * @param {Object} satA - First satellite data {noradCatId, name, tleLine1, tleLine2, orbitalAltitude}
  * @param {Object} satB - Second satellite data
  * @param {Date} timeOfClosestApproach - TCA
- * @param {number} combinedRadius - Combined hard body radius in meters
+ * @param {number} combinedRadius - Combined hard body radius in meters; resolved per
+ *   object by hardBodyRadiusService when omitted
+ * @param {Object} options - { ephemerides: Map of noradCatId → covering ephemeris,
+ *   covariances: Map of noradCatId → CDM-supplied RTN covariance }, looked up when omitted,
+ *   pcMethod ('foster', 'chan', 'alfano' or 'montecarlo', CONFIG.PC_METHOD by default)
+ *   monteCarlo { seed, targetRelativeError, maxSamples }, and sensitivity to add the
+ *   covariance-sensitivity analysis
  * @returns {Object} Conjunction analysis result
  */
-const analyzeConjunction = async (satA, satB, timeOfClosestApproach, combinedRadius = null) => {
-  const tleLine1A = satA.tleLine1 || (satA.tle && satA.tle.line1);
-  const tleLine2A = satA.tleLine2 || (satA.tle && satA.tle.line2);
-  const tleLine1B = satB.tleLine1 || (satB.tle && satB.tle.line1);
-  const tleLine2B = satB.tleLine2 || (satB.tle && satB.tle.line2);
-  
-  if (!tleLine1A || !tleLine2A || !tleLine1B || !tleLine2B) {
-    return null;
-  }
+const analyzeConjunction = async (satA, satB, timeOfClosestApproach, combinedRadius = null, options = {}) => {
+  const ephemerides = options.ephemerides || await ephemerisService.loadCoveringEphemerides(
+    [satA.noradCatId, satB.noradCatId],
+    timeOfClosestApproach
+  );
+  const covariances = options.covariances || await conjunctionEventService.findExternalCovariance(
+    satA.noradCatId,
+    satB.noradCatId,
+    timeOfClosestApproach
+  ) || new Map();
   
-  // Propagate both satellites to TCA
-  const stateA = propagateWithCovariance(tleLine1A, tleLine2A, timeOfClosestApproach);
-  const stateB = propagateWithCovariance(tleLine1B, tleLine2B, timeOfClosestApproach);
+  // Operator ephemerides replace SGP4 wherever they cover the TCA, and covariances
+  // received in CDMs replace the ephemeris or default covariance
+  const stateA = getObjectState(satA, timeOfClosestApproach, ephemerides.get(satA.noradCatId), covariances.get(satA.noradCatId));
+  const stateB = getObjectState(satB, timeOfClosestApproach, ephemerides.get(satB.noradCatId), covariances.get(satB.noradCatId));
   
   if (!stateA || !stateB) {
     return null;
@@ -587,26 +603,24 @@ const analyzeConjunction = async (satA, satB, timeOfClosestApproach, combinedRad
     relativeVelocity.x**2 + relativeVelocity.y**2 + relativeVelocity.z**2
   );
   
-  // Combined covariance (sum of individual covariances in RTN frame)
+  // Combined covariance (sum of individual covariances in RTN frame), for display
   // This assumes independent uncertainties
   const combinedCovariance = stateA.covariance.add(stateB.covariance);
   
-  // Calculate collision probability
-  // Convert to meters for probability calculation
   const missDistanceM = missDistanceKm * 1000;
-  const relativeVelocityMs = relativeVelocityKmS * 1000;
   
-  // Default or provided hard body radii
-  const primaryR = CONFIG.DEFAULT_PRIMARY_RADIUS;
-  const secondaryR = CONFIG.DEFAULT_SECONDARY_RADIUS;
+  // Provided combined radius, or each object's operator, RCS, object-type or default radius
+  const radii = combinedRadius
+    ? { radius: combinedRadius, satA: { radius: null, source: 'request' }, satB: { radius: null, source: 'request' } }
+    : hardBodyRadiusService.resolveCombinedRadius(satA, satB, {
+      primary: CONFIG.DEFAULT_PRIMARY_RADIUS,
+      secondary: CONFIG.DEFAULT_SECONDARY_RADIUS
+    });
+  const hardBodyRadius = radii.radius;
+  const pcMethod = options.pcMethod || CONFIG.PC_METHOD;
   
-  const probabilityOfCollision = calculateCollisionProbability(
-    missDistanceM,
-    relativeVelocityMs,
-    combinedCovariance,
-    primaryR,
-    secondaryR
-  );
+  const pcResult = await calculateCollisionProbability(stateA, stateB, hardBodyRadius, pcMethod, options.monteCarlo);
+  const { probabilityOfCollision } = pcResult;
   
   // Calculate uncertainty ellipsoids for visualization
   const ellipsoidA = generateEllipsoidVisualization(stateA.covariance, {
@@ -629,14 +643,7 @@ const analyzeConjunction = async (satA, satB, timeOfClosestApproach, combinedRad
   }, [1, 2, 3]);
   
   // Determine risk level based on Pc
-  let riskLevel = 'low';
-  if (probabilityOfCollision >= CONFIG.Pc_THRESHOLDS.CRITICAL) {
-    riskLevel = 'critical';
-  } else if (probabilityOfCollision >= CONFIG.Pc_THRESHOLDS.HIGH) {
-    riskLevel = 'high';
-  } else if (probabilityOfCollision >= CONFIG.Pc_THRESHOLDS.MODERATE) {
-    riskLevel = 'moderate';
-  }
+  const riskLevel = getRiskLevelFromPc(probabilityOfCollision);
   
   return {
     // Identification
@@ -649,13 +656,35 @@ const analyzeConjunction = async (satA, satB, timeOfClosestApproach, combinedRad
     missDistanceM,
     relativeVelocityKmS,
     
-    // Collision probability
+    // Collision probability and the method and parameters that produced it
     probabilityOfCollision,
+    pcMethod: {
+      method: pcResult.method,
+      parameters: pcResult.parameters
+    },
     riskLevel,
     
-    // Hard body radii used
-    primaryRadius: primaryR,
-    secondaryRadius: secondaryR,
+    // Pc against covariance scale and maximum Pc, when requested
+    covarianceSensitivity: options.sensitivity
+      ? analyzeCovarianceSensitivity(stateA, stateB, hardBodyRadius, pcMethod)
+      : null,
+    
+    // Hard body radii used and where each came from
+    hardBodyRadius: radii,
+    primaryRadius: radii.satA.radius,
+    secondaryRadius: radii.satB.radius,
+    
+    // Where each state came from ('ephemeris' or 'sgp4')
+    stateSources: {
+      satA: stateA.source,
+      satB: stateB.source
+    },
+    
+    // Where each covariance came from ('default', 'ephemeris' or 'cdm')
+    covarianceSources: {
+      satA: stateA.covarianceSource,
+      satB: stateB.covarianceSource
+    },
     
     // Uncertainty data
     uncertaintyData: {
@@ -734,10 +763,14 @@ module.exports = {
   generateDefaultCovariance,
   transformToRTN,
   calculateCollisionProbability,
+  buildEncounterPlane,
+  analyzeCovarianceSensitivity,
   calculateUncertaintyEllipsoid,
   generateEllipsoidVisualization,
   propagateWithCovariance,
+  getObjectState,
   analyzeConjunction,
   calculateRiskFromPc,
+  getRiskLevelFromPc,
   formatProbability
 };
@@ -1,13 +1,21 @@
-const satellite = require('satellite.js');
 const Satellite = require('../models/Satellite');
 const Conjunction = require('../models/Conjunction');
 const collisionProbabilityEngine = require('./collisionProbabilityEngine');
+const { loadCoveringEphemerides } = require('./ephemerisService');
+const { screenCatalog } = require('./conjunctionScreening');
+const {
+  recordScreeningUpdates,
+  markPassedEvents,
+  loadExternalCovariances,
+  matchExternalCovariance,
+  CONFIG: EVENT_CONFIG
+} = require('./conjunctionEventService');
+const { getCurrentQuality, getQualityWeight, isSuspicious } = require('./tleQualityService');
 
 const CONFIG = {
-  MAX_SATELLITES: 300,
   FORECAST_HOURS: 12,
-  SAMPLE_INTERVAL_MINUTES: 5,
-  ALTITUDE_DIFF_THRESHOLD_KM: 200,
+  // Screening time step; the grid cells grow with it (see conjunctionScreening)
+  SAMPLE_INTERVAL_SECONDS: 60,
   STORAGE_THRESHOLD_KM: 10,
   RISK_THRESHOLDS: {
     MODERATE: 10,
@@ -26,85 +34,116 @@ const getAltitudeBand = (altitudeKm) => {
   return 'geo';
 };
 
-const generateSampledPositions = (tleLine1, tleLine2, startTime, numSamples) => {
-  const positions = [];
-  
-  try {
-    const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
-    const intervalMs = CONFIG.SAMPLE_INTERVAL_MINUTES * 60 * 1000;
-    
-    for (let i = 0; i < numSamples; i++) {
-      const time = new Date(startTime.getTime() + (i * intervalMs));
-      const position = satellite.propagate(satrec, time);
-      
-      if (position.position) {
-        positions.push({
-          x: position.position.x / 1000,
-          y: position.position.y / 1000,
-          z: position.position.z / 1000,
-          time
-        });
-      }
-    }
-  } catch (error) {
-    // Silently handle propagation errors for individual satellites
-  }
-  
-  return positions;
+const getRiskLevel = (distanceKm) => {
+  if (distanceKm < CONFIG.RISK_THRESHOLDS.CRITICAL) return 'critical';
+  if (distanceKm < CONFIG.RISK_THRESHOLDS.HIGH) return 'high';
+  if (distanceKm < CONFIG.RISK_THRESHOLDS.MODERATE) return 'moderate';
+  return 'low';
+};
+
+// Orbit quality of both objects, keyed by the stored satellite1/satellite2 order
+const assessDataQuality = (satA, satB) => {
+  const now = new Date();
+  const [first, second] = satA.noradCatId < satB.noradCatId ? [satA, satB] : [satB, satA];
+  const quality1 = getCurrentQuality(first, now);
+  const quality2 = getCurrentQuality(second, now);
+
+  return {
+    satellite1Score: quality1 ? quality1.score : null,
+    satellite2Score: quality2 ? quality2.score : null,
+    weight: Math.min(getQualityWeight(first, now), getQualityWeight(second, now)),
+    flags: [...new Set([...(quality1?.flags || []), ...(quality2?.flags || [])])],
+    lowQuality: isSuspicious(quality1) || isSuspicious(quality2)
+  };
 };
 
-const calculateDistance = (pos1, pos2) => {
-  const dx = pos2.x - pos1.x;
-  const dy = pos2.y - pos1.y;
-  const dz = pos2.z - pos1.z;
-  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+// Where each object's states came from, keyed like assessDataQuality
+const describeStateSources = (satA, satB, ephemerides) => {
+  const [first, second] = satA.noradCatId < satB.noradCatId ? [satA, satB] : [satB, satA];
+  const sourceOf = (sat) => (ephemerides.has(sat.noradCatId) ? 'ephemeris' : 'sgp4');
+  return { satellite1: sourceOf(first), satellite2: sourceOf(second) };
 };
 
-const calculateRelativeVelocity = (satA, satB) => {
-  // Simplified relative velocity calculation
-  const avgVelocity = 7.5;
-  return avgVelocity * 2;
+// Where each object's covariance came from, keyed like assessDataQuality
+const describeCovarianceSources = (satA, satB, collisionAnalysis) => {
+  if (!collisionAnalysis) return null;
+  const sources = collisionAnalysis.covarianceSources;
+  return satA.noradCatId < satB.noradCatId
+    ? { satellite1: sources.satA, satellite2: sources.satB }
+    : { satellite1: sources.satB, satellite2: sources.satA };
 };
 
-const getRiskLevel = (distanceKm) => {
-  if (distanceKm < CONFIG.RISK_THRESHOLDS.CRITICAL) return 'critical';
-  if (distanceKm < CONFIG.RISK_THRESHOLDS.HIGH) return 'high';
-  if (distanceKm < CONFIG.RISK_THRESHOLDS.MODERATE) return 'moderate';
-  return 'low';
+// Hard-body radii behind a result, keyed like assessDataQuality
+const describeHardBodyRadius = (satA, satB, collisionAnalysis) => {
+  if (!collisionAnalysis || !collisionAnalysis.hardBodyRadius) return null;
+  const { radius, satA: radiusA, satB: radiusB } = collisionAnalysis.hardBodyRadius;
+  return satA.noradCatId < satB.noradCatId
+    ? { radius, satellite1: radiusA, satellite2: radiusB }
+    : { radius, satellite1: radiusB, satellite2: radiusA };
 };
 
-const computeConjunction = async (satA, satB, positionsA, positionsB) => {
-  let minDistance = Infinity;
-  let timeOfClosestApproach = null;
-  
-  const numSamples = Math.min(positionsA.length, positionsB.length);
-  
-  for (let i = 0; i < numSamples; i++) {
-    const distance = calculateDistance(positionsA[i], positionsB[i]);
-    
-    if (distance < minDistance) {
-      minDistance = distance;
-      timeOfClosestApproach = positionsA[i].time;
-    }
-  }
-  
-  if (minDistance < CONFIG.STORAGE_THRESHOLD_KM) {
+// Element set epochs behind a result, keyed like assessDataQuality
+const describeElementSetEpochs = (satA, satB) => {
+  const [first, second] = satA.noradCatId < satB.noradCatId ? [satA, satB] : [satB, satA];
+  return { satellite1: first.epoch || null, satellite2: second.epoch || null };
+};
+
+/**
+ * Risk assessment and record for one close approach found by the screening pipeline
+ * @param {Object} approach - One screenCatalog approach
+ * @param {Object} options - { ephemerides, externalCovariances (from loadExternalCovariances),
+ *   storageThresholdKm }
+ * @returns {Promise<Object|null>} null when the approach is not within the storage threshold
+ */
+const computeConjunction = async (approach, options = {}) => {
+  const {
+    ephemerides = new Map(),
+    externalCovariances = [],
+    storageThresholdKm = CONFIG.STORAGE_THRESHOLD_KM
+  } = options;
+  const {
+    satA,
+    satB,
+    minDistance,
+    timeOfClosestApproach,
+    relativeVelocity,
+    relativePositionRTN,
+    tcaRefinement
+  } = approach;
+  
+  if (minDistance < storageThresholdKm) {
     // Calculate collision probability if enabled
     let probabilityOfCollision = 0;
     let riskLevel = getRiskLevel(minDistance);
     let uncertaintyData = null;
+    let covarianceSources = null;
+    let pcMethod = null;
+    let hardBodyRadius = null;
     
     if (CONFIG.ENABLE_PC_CALCULATION && timeOfClosestApproach) {
       try {
         const collisionAnalysis = await collisionProbabilityEngine.analyzeConjunction(
           satA,
           satB,
-          timeOfClosestApproach
+          timeOfClosestApproach,
+          null,
+          {
+            ephemerides,
+            covariances: matchExternalCovariance(
+              externalCovariances,
+              satA.noradCatId,
+              satB.noradCatId,
+              timeOfClosestApproach
+            ) || new Map()
+          }
         );
         
         if (collisionAnalysis) {
           probabilityOfCollision = collisionAnalysis.probabilityOfCollision;
+          pcMethod = collisionAnalysis.pcMethod;
           riskLevel = collisionAnalysis.riskLevel;
+          covarianceSources = describeCovarianceSources(satA, satB, collisionAnalysis);
+          hardBodyRadius = describeHardBodyRadius(satA, satB, collisionAnalysis);
           
           // Extract uncertainty data for visualization
           if (collisionAnalysis.uncertaintyData) {
@@ -150,10 +189,18 @@ const computeConjunction = async (satA, satB, positionsA, positionsB) => {
       timeOfClosestApproach,
       riskLevel,
       altitudeBand: getAltitudeBand(satA.orbitalAltitude || 0),
-      relativeVelocity: calculateRelativeVelocity(satA, satB),
+      relativeVelocity,
+      relativePositionRTN: relativePositionRTN || null,
+      tcaRefinement: tcaRefinement || null,
       probabilityOfCollision,
       probabilityFormatted: collisionProbabilityEngine.formatProbability(probabilityOfCollision),
-      uncertaintyData
+      pcMethod,
+      hardBodyRadius,
+      uncertaintyData,
+      dataQuality: assessDataQuality(satA, satB),
+      stateSources: describeStateSources(satA, satB, ephemerides),
+      covarianceSources,
+      elementSetEpochs: describeElementSetEpochs(satA, satB)
     };
   }
   
@@ -164,98 +211,84 @@ const runConjunctionDetection = async () => {
   console.log('Starting conjunction detection engine...');
   const startTime = Date.now();
   
-  const satellites = await Satellite.find({})
-    .limit(CONFIG.MAX_SATELLITES)
-    .lean();
+  const satellites = await Satellite.find({}).lean();
   
   console.log(`Loaded ${satellites.length} satellites for analysis`);
   
   const startForecast = new Date();
-  const numSamples = (CONFIG.FORECAST_HOURS * 60) / CONFIG.SAMPLE_INTERVAL_MINUTES;
+  const endForecast = new Date(startForecast.getTime() + CONFIG.FORECAST_HOURS * 3600000);
   
-  console.log(`Generating ${numSamples} position samples per satellite...`);
-  
-  const cachedPositions = new Map();
-  
-  for (const sat of satellites) {
-    const tleLine1 = sat.tleLine1 || (sat.tle && sat.tle.line1);
-    const tleLine2 = sat.tleLine2 || (sat.tle && sat.tle.line2);
-    
-    if (tleLine1 && tleLine2) {
-      const positions = generateSampledPositions(tleLine1, tleLine2, startForecast, numSamples);
-      if (positions.length > 0) {
-        cachedPositions.set(sat.noradCatId, {
-          sat,
-          positions,
-          altitude: sat.orbitalAltitude || 0,
-          altitudeBand: getAltitudeBand(sat.orbitalAltitude || 0)
-        });
-      }
-    }
-  }
+  // Operator ephemerides that cover the whole forecast window replace SGP4
+  const ephemerides = await loadCoveringEphemerides(
+    satellites.map(sat => sat.noradCatId),
+    startForecast,
+    endForecast
+  );
   
-  console.log(`Cached positions for ${cachedPositions.size} satellites`);
+  console.log(`Screening full catalog (${ephemerides.size} objects from operator ephemerides)...`);
   
-  const satellitesByBand = {
-    leo: [],
-    meo: [],
-    geo: []
-  };
+  const { approaches, stats } = await screenCatalog(satellites, {
+    start: startForecast,
+    forecastHours: CONFIG.FORECAST_HOURS,
+    thresholdKm: CONFIG.STORAGE_THRESHOLD_KM,
+    intervalSeconds: CONFIG.SAMPLE_INTERVAL_SECONDS,
+    ephemerides
+  });
   
-  cachedPositions.forEach((data, noradCatId) => {
-    satellitesByBand[data.altitudeBand].push({ noradCatId, ...data });
+  stats.stages.forEach(stage => {
+    console.log(`  ${stage.stage}: ${stage.input} pairs in, ${stage.removed} removed, ${stage.remaining} remaining`);
   });
   
-  console.log(`Satellites by band - LEO: ${satellitesByBand.leo.length}, MEO: ${satellitesByBand.meo.length}, GEO: ${satellitesByBand.geo.length}`);
+  // Covariances received in CDMs replace the default covariance of their events
+  const matchWindowMs = EVENT_CONFIG.MATCH_WINDOW_MINUTES * 60000;
+  let externalCovariances = [];
+  try {
+    externalCovariances = await loadExternalCovariances(
+      new Date(startForecast.getTime() - matchWindowMs),
+      new Date(endForecast.getTime() + matchWindowMs)
+    );
+  } catch (error) {
+    console.error('External covariance lookup error:', error.message);
+  }
   
   const conjunctions = [];
-  let comparisons = 0;
-  
-  const processBand = (bandSats) => {
-    const bandConjunctions = [];
-    
-    for (let i = 0; i < bandSats.length; i++) {
-      for (let j = i + 1; j < bandSats.length; j++) {
-        const satA = bandSats[i];
-        const satB = bandSats[j];
-        
-        const altDiff = Math.abs(satA.altitude - satB.altitude);
-        
-        if (altDiff > CONFIG.ALTITUDE_DIFF_THRESHOLD_KM) {
-          continue;
-        }
-        
-        comparisons++;
-        
-        const conjunction = computeConjunction(
-          satA.sat,
-          satB.sat,
-          satA.positions,
-          satB.positions
-        );
-        
-        if (conjunction) {
-          bandConjunctions.push(conjunction);
-        }
-      }
+  for (const approach of approaches) {
+    const conjunction = await computeConjunction(approach, { ephemerides, externalCovariances });
+    if (conjunction) {
+      conjunctions.push(conjunction);
     }
-    
-    return bandConjunctions;
-  };
-  
-  for (const band of ['leo', 'meo', 'geo']) {
-    const bandConjunctions = processBand(satellitesByBand[band]);
-    conjunctions.push(...bandConjunctions);
   }
   
-  console.log(`Total comparisons performed: ${comparisons}`);
   console.log(`Conjunctions found (distance < ${CONFIG.STORAGE_THRESHOLD_KM}km): ${conjunctions.length}`);
   
-  if (conjunctions.length > 0) {
+  // Every close approach is appended to its event's screening history
+  const screenedAt = new Date();
+  try {
+    const eventIds = await recordScreeningUpdates(conjunctions, screenedAt);
+    conjunctions.forEach((conj, index) => {
+      conj.eventId = eventIds[index];
+    });
+    await markPassedEvents(screenedAt);
+  } catch (error) {
+    console.error('Conjunction event history error:', error.message);
+  }
+  
+  // The per-pair snapshot keeps the closest of the pair's approaches
+  const closestByPair = new Map();
+  conjunctions.forEach(conj => {
+    const key = `${Math.min(conj.satA, conj.satB)}-${Math.max(conj.satA, conj.satB)}`;
+    const current = closestByPair.get(key);
+    if (!current || conj.minDistanceKm < current.minDistanceKm) {
+      closestByPair.set(key, conj);
+    }
+  });
+  const snapshots = [...closestByPair.values()];
+  
+  if (snapshots.length > 0) {
     console.log('Storing conjunctions to database (bulk write)...');
     
     // Use bulk operations for efficiency
-    const bulkOperations = conjunctions.map(conj => ({
+    const bulkOperations = snapshots.map(conj => ({
       updateOne: {
         filter: {
           satellite1: Math.min(conj.satA, conj.satB),
@@ -268,10 +301,18 @@ const runConjunctionDetection = async () => {
             closestApproachDistance: conj.minDistanceKm,
             timeOfClosestApproach: conj.timeOfClosestApproach,
             relativeVelocity: conj.relativeVelocity,
+            relativePositionRTN: conj.relativePositionRTN,
+            tcaRefinement: conj.tcaRefinement,
+            eventId: conj.eventId || null,
             riskLevel: conj.riskLevel,
             probabilityOfCollision: conj.probabilityOfCollision || 0,
             probabilityFormatted: conj.probabilityFormatted || '0',
+            pcMethod: conj.pcMethod || null,
+            hardBodyRadius: conj.hardBodyRadius || null,
             uncertaintyData: conj.uncertaintyData || null,
+            dataQuality: conj.dataQuality || null,
+            stateSources: conj.stateSources || null,
+            covarianceSources: conj.covarianceSources || null,
             createdAt: new Date()
           }
         },
@@ -285,7 +326,7 @@ const runConjunctionDetection = async () => {
     } catch (error) {
       console.error('Bulk write error:', error.message);
       // Fallback to individual writes if bulk fails
-      for (const conj of conjunctions) {
+      for (const conj of snapshots) {
         try {
           await Conjunction.findOneAndUpdate(
             {
@@ -298,10 +339,18 @@ const runConjunctionDetection = async () => {
               closestApproachDistance: conj.minDistanceKm,
               timeOfClosestApproach: conj.timeOfClosestApproach,
               relativeVelocity: conj.relativeVelocity,
+              relativePositionRTN: conj.relativePositionRTN,
+              tcaRefinement: conj.tcaRefinement,
+              eventId: conj.eventId || null,
               riskLevel: conj.riskLevel,
               probabilityOfCollision: conj.probabilityOfCollision || 0,
               probabilityFormatted: conj.probabilityFormatted || '0',
+              pcMethod: conj.pcMethod || null,
+              hardBodyRadius: conj.hardBodyRadius || null,
               uncertaintyData: conj.uncertaintyData || null,
+              dataQuality: conj.dataQuality || null,
+              stateSources: conj.stateSources || null,
+              covarianceSources: conj.covarianceSources || null,
               createdAt: new Date()
             },
             { upsert: true, new: true }
@@ -316,7 +365,7 @@ const runConjunctionDetection = async () => {
   const duration = (Date.now() - startTime) / 1000;
   console.log(`Conjunction detection completed in ${duration.toFixed(2)} seconds`);
   
-  return conjunctions;
+  return { conjunctions, screening: stats };
 };
 
 const getActiveConjunctions = async (limit = 100) => {
@@ -344,6 +393,10 @@ const getActiveConjunctions = async (limit = 100) => {
         timeOfClosestApproach: conj.timeOfClosestApproach,
         riskLevel: conj.riskLevel,
         relativeVelocity: conj.relativeVelocity,
+        relativePositionRTN: conj.relativePositionRTN || null,
+        eventId: conj.eventId || null,
+        dataQuality: conj.dataQuality || null,
+        stateSources: conj.stateSources || null,
         createdAt: conj.createdAt
       };
     })
@@ -379,6 +432,10 @@ const getHighRiskConjunctions = async (minRisk = 'high') => {
         timeOfClosestApproach: conj.timeOfClosestApproach,
         riskLevel: conj.riskLevel,
         relativeVelocity: conj.relativeVelocity,
+        relativePositionRTN: conj.relativePositionRTN || null,
+        eventId: conj.eventId || null,
+        dataQuality: conj.dataQuality || null,
+        stateSources: conj.stateSources || null,
         createdAt: conj.createdAt
       };
     })
@@ -413,9 +470,9 @@ const getConjunctionStatistics = async () => {
 
 module.exports = {
   runConjunctionDetection,
+  computeConjunction,
   getActiveConjunctions,
   getHighRiskConjunctions,
   getConjunctionStatistics,
-  generateSampledPositions,
   CONFIG
 };
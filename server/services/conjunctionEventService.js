@@ -0,0 +1,273 @@
+/**
+ * Conjunction Event Service
+ * Tracks every close approach of a pair as an event and appends each screening
+ * run's result to it, so the way miss distance and Pc evolve as new element sets
+ * arrive is kept instead of being overwritten. CDMs received from other operators
+ * are appended the same way and leave their covariance on the event.
+ */
+
+const ConjunctionEvent = require('../models/ConjunctionEvent');
+const { logger } = require('../utils/logger');
+
+const CONFIG = {
+  // A new TCA estimate within this of an event's latest TCA updates that event;
+  // well under half the shortest orbital period, so separate passes stay separate
+  MATCH_WINDOW_MINUTES: 15,
+  MAX_UPDATES_PER_EVENT: 500
+};
+
+const generateEventId = () => `CNJ-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+const getPairKey = (a, b) => `${Math.min(a, b)}-${Math.max(a, b)}`;
+
+const buildUpdate = (conj, screenedAt) => ({
+  source: conj.source || 'screening',
+  screenedAt,
+  timeOfClosestApproach: conj.timeOfClosestApproach,
+  missDistance: conj.minDistanceKm,
+  relativeVelocity: conj.relativeVelocity,
+  relativePositionRTN: conj.relativePositionRTN || null,
+  probabilityOfCollision: conj.probabilityOfCollision || 0,
+  pcMethod: conj.pcMethod || null,
+  riskLevel: conj.riskLevel,
+  elementSetEpochs: conj.elementSetEpochs || null,
+  stateSources: conj.stateSources || null,
+  lowQuality: Boolean(conj.dataQuality && conj.dataQuality.lowQuality),
+  cdm: conj.cdm || null,
+  covariance: conj.covariance || null
+});
+
+// Event-level copy of a CDM's covariance, kept until the next CDM replaces it
+const buildExternalCovariance = (conj, receivedAt) => ({
+  satellite1: conj.covariance.satellite1 || undefined,
+  satellite2: conj.covariance.satellite2 || undefined,
+  messageId: conj.cdm ? conj.cdm.messageId : null,
+  originator: conj.cdm ? conj.cdm.originator : null,
+  receivedAt
+});
+
+/**
+ * Append screening results to their events, opening an event for each close
+ * approach that matches none
+ * @param {Array} conjunctions - Conjunction engine results, one per close approach;
+ *   CDM updates also carry source 'cdm', cdm { messageId, originator, creationDate }
+ *   and covariance { satellite1, satellite2 }; watchlistAssets tags the event with the
+ *   protected assets whose screening found it
+ * @param {Date} screenedAt - When the screening ran
+ * @returns {Promise<Array<string>>} eventId of each conjunction, in order
+ */
+const recordScreeningUpdates = async (conjunctions, screenedAt = new Date()) => {
+  if (conjunctions.length === 0) return [];
+
+  const windowMs = CONFIG.MATCH_WINDOW_MINUTES * 60000;
+  const tcas = conjunctions.map(conj => new Date(conj.timeOfClosestApproach).getTime());
+  const earliest = tcas.reduce((a, b) => Math.min(a, b));
+  const latest = tcas.reduce((a, b) => Math.max(a, b));
+
+  const candidates = await ConjunctionEvent.find({
+    satellite1: { $in: [...new Set(conjunctions.map(conj => Math.min(conj.satA, conj.satB)))] },
+    timeOfClosestApproach: { $gte: new Date(earliest - windowMs), $lte: new Date(latest + windowMs) }
+  })
+    .select('eventId satellite1 satellite2 timeOfClosestApproach tcaWindow')
+    .lean();
+
+  const eventsByPair = new Map();
+  candidates.forEach(event => {
+    const key = getPairKey(event.satellite1, event.satellite2);
+    if (!eventsByPair.has(key)) eventsByPair.set(key, []);
+    eventsByPair.get(key).push(event);
+  });
+
+  const claimed = new Set();
+  const operations = [];
+  const eventIds = conjunctions.map((conj, index) => {
+    const tca = tcas[index];
+    const satellite1 = Math.min(conj.satA, conj.satB);
+    const satellite2 = Math.max(conj.satA, conj.satB);
+    const update = buildUpdate(conj, screenedAt);
+    const summary = {
+      missDistance: update.missDistance,
+      probabilityOfCollision: update.probabilityOfCollision,
+      riskLevel: update.riskLevel,
+      screenedAt
+    };
+
+    // Nearest unclaimed event of the pair within the match window
+    const match = (eventsByPair.get(getPairKey(satellite1, satellite2)) || [])
+      .filter(event => !claimed.has(event.eventId))
+      .map(event => ({ event, offset: Math.abs(new Date(event.timeOfClosestApproach).getTime() - tca) }))
+      .filter(({ offset }) => offset <= windowMs)
+      .sort((a, b) => a.offset - b.offset)[0];
+
+    if (match) {
+      const { event } = match;
+      claimed.add(event.eventId);
+      const windowStart = event.tcaWindow && event.tcaWindow.start ? new Date(event.tcaWindow.start).getTime() : tca;
+      const windowEnd = event.tcaWindow && event.tcaWindow.end ? new Date(event.tcaWindow.end).getTime() : tca;
+
+      operations.push({
+        updateOne: {
+          filter: { eventId: event.eventId },
+          update: {
+            $set: {
+              timeOfClosestApproach: conj.timeOfClosestApproach,
+              'tcaWindow.start': new Date(Math.min(windowStart, tca)),
+              'tcaWindow.end': new Date(Math.max(windowEnd, tca)),
+              status: 'active',
+              latest: summary,
+              updatedAt: screenedAt,
+              ...(conj.covariance ? { externalCovariance: buildExternalCovariance(conj, screenedAt) } : {})
+            },
+            $push: { updates: { $each: [update], $slice: -CONFIG.MAX_UPDATES_PER_EVENT } },
+            ...(conj.watchlistAssets ? { $addToSet: { watchlistAssets: { $each: conj.watchlistAssets } } } : {})
+          }
+        }
+      });
+      return event.eventId;
+    }
+
+    const eventId = generateEventId();
+    operations.push({
+      insertOne: {
+        document: {
+          eventId,
+          satellite1,
+          satellite2,
+          timeOfClosestApproach: conj.timeOfClosestApproach,
+          tcaWindow: { start: conj.timeOfClosestApproach, end: conj.timeOfClosestApproach },
+          status: 'active',
+          latest: summary,
+          ...(conj.covariance ? { externalCovariance: buildExternalCovariance(conj, screenedAt) } : {}),
+          watchlistAssets: conj.watchlistAssets || [],
+          updates: [update],
+          createdAt: screenedAt,
+          updatedAt: screenedAt
+        }
+      }
+    });
+    return eventId;
+  });
+
+  const result = await ConjunctionEvent.bulkWrite(operations, { ordered: false });
+  logger.info('Recorded conjunction event updates', {
+    service: 'conjunction-events',
+    created: result.insertedCount,
+    updated: result.modifiedCount
+  });
+
+  return eventIds;
+};
+
+/**
+ * Close out events whose TCA is in the past
+ */
+const markPassedEvents = async (now = new Date()) => {
+  const result = await ConjunctionEvent.updateMany(
+    { status: 'active', timeOfClosestApproach: { $lt: now } },
+    { $set: { status: 'passed', updatedAt: now } }
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Events with a CDM covariance and a TCA in [from, to]
+ * @param {Array<number>} noradCatIds - Limit to pairs whose lower NORAD ID is listed
+ */
+const loadExternalCovariances = async (from, to, noradCatIds = null) => {
+  const query = {
+    'externalCovariance.receivedAt': { $exists: true },
+    timeOfClosestApproach: { $gte: from, $lte: to }
+  };
+  if (noradCatIds) query.satellite1 = { $in: noradCatIds };
+
+  return ConjunctionEvent.find(query)
+    .select('eventId satellite1 satellite2 timeOfClosestApproach externalCovariance')
+    .lean();
+};
+
+/**
+ * CDM covariance of the event nearest a close approach of the pair, within the match window
+ * @param {Array} events - From loadExternalCovariances
+ * @returns {Map|null} noradCatId → RTN position covariance (9 elements, m²)
+ */
+const matchExternalCovariance = (events, satA, satB, timeOfClosestApproach) => {
+  const satellite1 = Math.min(satA, satB);
+  const satellite2 = Math.max(satA, satB);
+  const tca = new Date(timeOfClosestApproach).getTime();
+  const windowMs = CONFIG.MATCH_WINDOW_MINUTES * 60000;
+
+  const match = events
+    .filter(event => event.satellite1 === satellite1 && event.satellite2 === satellite2)
+    .map(event => ({ event, offset: Math.abs(new Date(event.timeOfClosestApproach).getTime() - tca) }))
+    .filter(({ offset }) => offset <= windowMs)
+    .sort((a, b) => a.offset - b.offset)[0];
+  if (!match) return null;
+
+  const covariances = new Map();
+  const { externalCovariance } = match.event;
+  if (externalCovariance.satellite1 && externalCovariance.satellite1.length === 9) {
+    covariances.set(satellite1, externalCovariance.satellite1);
+  }
+  if (externalCovariance.satellite2 && externalCovariance.satellite2.length === 9) {
+    covariances.set(satellite2, externalCovariance.satellite2);
+  }
+  return covariances;
+};
+
+/**
+ * CDM covariance for one close approach, looked up in the database
+ */
+const findExternalCovariance = async (satA, satB, timeOfClosestApproach) => {
+  const tca = new Date(timeOfClosestApproach).getTime();
+  const windowMs = CONFIG.MATCH_WINDOW_MINUTES * 60000;
+  const events = await loadExternalCovariances(
+    new Date(tca - windowMs),
+    new Date(tca + windowMs),
+    [Math.min(satA, satB)]
+  );
+  return matchExternalCovariance(events, satA, satB, timeOfClosestApproach);
+};
+
+/**
+ * Screening history of one event, oldest update first
+ * @returns {Promise<Object|null>} Event summary, updates and first-to-latest changes
+ */
+const getEventTimeline = async (eventId) => {
+  const event = await ConjunctionEvent.findOne({ eventId }).lean();
+  if (!event) return null;
+
+  const updates = [...event.updates].sort((a, b) => new Date(a.screenedAt) - new Date(b.screenedAt));
+  const first = updates[0];
+  const last = updates[updates.length - 1];
+
+  return {
+    eventId: event.eventId,
+    satellite1: event.satellite1,
+    satellite2: event.satellite2,
+    status: event.status,
+    timeOfClosestApproach: event.timeOfClosestApproach,
+    tcaWindow: event.tcaWindow,
+    latest: event.latest,
+    externalCovariance: event.externalCovariance || null,
+    watchlistAssets: event.watchlistAssets || [],
+    updateCount: updates.length,
+    trend: first && last ? {
+      missDistanceChangeKm: last.missDistance - first.missDistance,
+      probabilityChange: (last.probabilityOfCollision || 0) - (first.probabilityOfCollision || 0),
+      tcaShiftSeconds: (new Date(last.timeOfClosestApproach) - new Date(first.timeOfClosestApproach)) / 1000
+    } : null,
+    updates,
+    createdAt: event.createdAt,
+    updatedAt: event.updatedAt
+  };
+};
+
+module.exports = {
+  recordScreeningUpdates,
+  markPassedEvents,
+  getEventTimeline,
+  loadExternalCovariances,
+  matchExternalCovariance,
+  findExternalCovariance,
+  CONFIG
+};
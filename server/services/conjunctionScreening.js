@@ -0,0 +1,544 @@
+/**
+ * Conjunction Screening Pipeline
+ * Full-catalog close-approach screening in stages, each cheaper than the next:
+ *   1. apogee/perigee  - drop pairs whose radial shells never overlap
+ *   2. orbit-path      - drop pairs whose orbits are radially apart where the planes cross
+ *   3. spatial-grid    - per time step, only pairs in neighbouring grid cells survive
+ *   4. fine-distance   - linear relative motion around the closest sample estimates the miss
+ *                        distance; those near the threshold are refined to the true TCA
+ * Every stage is conservative for the screening threshold, and the run reports how
+ * many pairs each stage removed so the pads can be tuned.
+ */
+
+const satellite = require('satellite.js');
+const { logger } = require('../utils/logger');
+const { sampleEphemeris } = require('./ephemerisService');
+const { propagateCatalog, fromPositionList } = require('./propagationService');
+const { createStateProvider, refineClosestApproach } = require('./tcaRefinement');
+
+const CONFIG = {
+  THRESHOLD_KM: 10,
+  FORECAST_HOURS: 12,
+  SAMPLE_INTERVAL_SECONDS: 60,
+  // Samples propagated and held in memory at a time
+  BLOCK_SAMPLES: 60,
+  // Radial allowance for SGP4 short-period terms and drag on top of mean elements
+  RADIAL_PAD_KM: 30,
+  // Upper bound on relative speed in Earth orbit, sizes the grid cells
+  MAX_RELATIVE_SPEED_KM_S: 16,
+  // Grid hits of a pair less than this far apart in time are one pass (one close approach)
+  PASS_SEPARATION_SECONDS: 600,
+  // Straight-line estimates within this much of the threshold get a full TCA refinement
+  REFINE_MARGIN_KM: 10,
+  // Work done between event loop yields
+  YIELD_EVERY_OBJECTS: 500,
+  YIELD_EVERY_REFINEMENTS: 50,
+  YIELD_EVERY_PAIRS: 100000
+};
+
+const MU_EARTH = 398600.4418;
+const MS_PER_DAY = 86400000;
+const JD_UNIX_EPOCH = 2440587.5;
+const GRID_CELLS_PER_AXIS = 1024;
+
+// Key offsets of the half of the 26 neighbouring cells that sort after a cell
+const FORWARD_NEIGHBOURS = [];
+for (let dx = -1; dx <= 1; dx++) {
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dz = -1; dz <= 1; dz++) {
+      const offset = (dx * GRID_CELLS_PER_AXIS + dy) * GRID_CELLS_PER_AXIS + dz;
+      if (offset > 0) FORWARD_NEIGHBOURS.push(offset);
+    }
+  }
+}
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({
+  x: a.y * b.z - a.z * b.y,
+  y: a.z * b.x - a.x * b.z,
+  z: a.x * b.y - a.y * b.x
+});
+
+/**
+ * Radial shell and orbit geometry of one object over the screening window.
+ * SGP4 objects use their mean elements with J2 secular node and perigee drift
+ * applied to the window midpoint; objects flown from an operator ephemeris only
+ * get a shell (from the sampled radius) and always pass the orbit-path stage.
+ */
+const summarizeOrbit = (sat, window, operatorEphemeris = null) => {
+  if (operatorEphemeris) {
+    const samples = sampleEphemeris(operatorEphemeris, window.start, window.numSamples, window.intervalMs);
+    if (samples.length === 0) return null;
+    const radii = samples.map(sample => Math.sqrt(sample.x * sample.x + sample.y * sample.y + sample.z * sample.z));
+    // The extremes can fall between samples; near an apsis the radius is flat to second order
+    return {
+      sat,
+      perigee: Math.min(...radii),
+      apogee: Math.max(...radii),
+      geometry: null
+    };
+  }
+
+  const tleLine1 = sat.tleLine1 || (sat.tle && sat.tle.line1);
+  const tleLine2 = sat.tleLine2 || (sat.tle && sat.tle.line2);
+  if (!tleLine1 || !tleLine2) return null;
+
+  let satrec;
+  try {
+    satrec = satellite.twoline2satrec(tleLine1, tleLine2);
+  } catch (error) {
+    return null;
+  }
+  if (satrec.error || !(satrec.no > 0) || !(satrec.ecco < 1)) return null;
+
+  const meanMotion = satrec.no / 60; // rad/s
+  const semiMajorAxis = Math.cbrt(MU_EARTH / (meanMotion * meanMotion));
+  const e = satrec.ecco;
+
+  // Secular drift from epoch to the middle of the window, and across half of it
+  const epochMs = (satrec.jdsatepoch + (satrec.jdsatepochF || 0) - JD_UNIX_EPOCH) * MS_PER_DAY;
+  const halfWindowMin = (window.numSamples - 1) * window.intervalMs / 2 / 60000;
+  const sinceEpochMin = (window.start.getTime() - epochMs) / 60000 + halfWindowMin;
+  const raan = satrec.nodeo + (satrec.nodedot || 0) * sinceEpochMin;
+  const argp = satrec.argpo + (satrec.argpdot || 0) * sinceEpochMin;
+  const inc = satrec.inclo;
+
+  const cosO = Math.cos(raan), sinO = Math.sin(raan);
+  const cosw = Math.cos(argp), sinw = Math.sin(argp);
+  const cosi = Math.cos(inc), sini = Math.sin(inc);
+
+  return {
+    sat,
+    satrec,
+    perigee: semiMajorAxis * (1 - e),
+    apogee: semiMajorAxis * (1 + e),
+    geometry: {
+      p: semiMajorAxis * (1 - e * e),
+      e,
+      // Perifocal basis: P towards perigee, Q 90° ahead, W the orbit normal
+      P: { x: cosO * cosw - sinO * sinw * cosi, y: sinO * cosw + cosO * sinw * cosi, z: sinw * sini },
+      Q: { x: -cosO * sinw - sinO * cosw * cosi, y: -sinO * sinw + cosO * cosw * cosi, z: cosw * sini },
+      W: { x: sinO * sini, y: -cosO * sini, z: cosi },
+      nodeDrift: Math.abs(satrec.nodedot || 0) * halfWindowMin,
+      perigeeDrift: Math.abs(satrec.argpdot || 0) * halfWindowMin
+    }
+  };
+};
+
+// Smallest and largest orbit radius for true anomalies in [centre - halfWidth, centre + halfWidth]
+const radiusRange = (geometry, centre, halfWidth) => {
+  const { p, e } = geometry;
+  if (halfWidth >= Math.PI) return { min: p / (1 + e), max: p / (1 - e) };
+
+  const radiusAt = (nu) => p / (1 + e * Math.cos(nu));
+  const r1 = radiusAt(centre - halfWidth);
+  const r2 = radiusAt(centre + halfWidth);
+  let min = Math.min(r1, r2);
+  let max = Math.max(r1, r2);
+
+  // Angular distance from the window centre to perigee (ν = 0) and apogee (ν = π)
+  const offset = Math.abs(Math.atan2(Math.sin(centre), Math.cos(centre)));
+  if (offset <= halfWidth) min = p / (1 + e);
+  if (Math.PI - offset <= halfWidth) max = p / (1 - e);
+  return { min, max };
+};
+
+/**
+ * Orbit-path filter. A point of one orbit can only be within `reach` of the other
+ * orbit close to the line where the two planes cross, so the pair survives only if
+ * the radius ranges of both orbits near one of those crossings overlap.
+ */
+const orbitPathsMayMeet = (a, b, reach) => {
+  if (!a.geometry || !b.geometry) return true;
+  // Shells this close cannot be told apart radially anywhere along the orbits
+  if (Math.max(a.apogee, b.apogee) - Math.min(a.perigee, b.perigee) <= reach) return true;
+
+  const nodeLine = cross(a.geometry.W, b.geometry.W);
+  const sinMutual = Math.sqrt(dot(nodeLine, nodeLine));
+  if (sinMutual < 1e-9) return true;
+
+  // The crossing line moves as the planes precess; near-coplanar pairs move it the most
+  const planeDrift = (a.geometry.nodeDrift + b.geometry.nodeDrift) / sinMutual;
+
+  const windowFor = (summary) => {
+    const planeOffset = Math.max(summary.perigee - CONFIG.RADIAL_PAD_KM, 1) * sinMutual;
+    const halfWidth = reach >= planeOffset ? Math.PI : Math.asin(reach / planeOffset);
+    return halfWidth + planeDrift + summary.geometry.perigeeDrift;
+  };
+  const halfWidthA = windowFor(a);
+  const halfWidthB = windowFor(b);
+  if (halfWidthA >= Math.PI / 2 && halfWidthB >= Math.PI / 2) return true;
+
+  const anomalyOf = (geometry, direction) => Math.atan2(dot(geometry.Q, direction), dot(geometry.P, direction));
+  const nuA = anomalyOf(a.geometry, nodeLine);
+  const nuB = anomalyOf(b.geometry, nodeLine);
+
+  // Ascending crossing, then the descending one half an orbit later
+  for (const shift of [0, Math.PI]) {
+    const rangeA = radiusRange(a.geometry, nuA + shift, halfWidthA);
+    const rangeB = radiusRange(b.geometry, nuB + shift, halfWidthB);
+    if (rangeA.min - reach <= rangeB.max && rangeB.min - reach <= rangeA.max) return true;
+  }
+  return false;
+};
+
+const lowerBound = (array, value) => {
+  let lo = 0;
+  let hi = array.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (array[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+const hasPartner = (partners, j) => {
+  const index = lowerBound(partners, j);
+  return index < partners.length && partners[index] === j;
+};
+
+/**
+ * Stages 1 and 2. Objects are sorted by perigee so the apogee/perigee survivors of
+ * each object are a contiguous run after it; those are checked against the orbit
+ * path and kept as sorted partner lists (partners[i] holds j > i). With primary
+ * indices given, only pairs with at least one primary are considered.
+ */
+const filterPairs = async (summaries, reach, primaryIndices = null) => {
+  const count = summaries.length;
+  const perigees = summaries.map(s => s.perigee);
+  const isPrimary = new Uint8Array(count);
+  if (primaryIndices) primaryIndices.forEach(index => { isPrimary[index] = 1; });
+  const partners = new Array(count);
+  let apsisSurvivors = 0;
+  let orbitPathSurvivors = 0;
+  let sinceYield = 0;
+
+  for (let i = 0; i < count; i++) {
+    const a = summaries[i];
+    const end = lowerBound(perigees, a.apogee + reach + 1e-9);
+    const kept = [];
+    let checked = 0;
+
+    if (!primaryIndices || isPrimary[i]) {
+      for (let j = i + 1; j < end; j++) {
+        if (orbitPathsMayMeet(a, summaries[j], reach)) kept.push(j);
+      }
+      checked = Math.max(0, end - i - 1);
+    } else {
+      // A secondary is only paired with the primaries in its run
+      for (let k = lowerBound(primaryIndices, i + 1); k < primaryIndices.length && primaryIndices[k] < end; k++) {
+        if (orbitPathsMayMeet(a, summaries[primaryIndices[k]], reach)) kept.push(primaryIndices[k]);
+        checked++;
+      }
+    }
+
+    apsisSurvivors += checked;
+    orbitPathSurvivors += kept.length;
+    partners[i] = Int32Array.from(kept);
+
+    sinceYield += checked;
+    if (sinceYield >= CONFIG.YIELD_EVERY_PAIRS) {
+      sinceYield = 0;
+      await yieldToEventLoop();
+    }
+  }
+
+  return { partners, apsisSurvivors, orbitPathSurvivors };
+};
+
+// Positions (and velocities) of the active objects for one block of the time grid
+const propagateBlock = async (summaries, active, operatorEphemerides, start, numSamples, intervalMs) => {
+  const sgp4Objects = [];
+  summaries.forEach((summary, index) => {
+    if (active[index] && !operatorEphemerides.has(summary.sat.noradCatId)) sgp4Objects.push(summary.sat);
+  });
+  const propagated = await propagateCatalog(sgp4Objects, { start, numSamples, intervalMs, includeVelocity: true });
+
+  return summaries.map((summary, index) => {
+    if (!active[index]) return null;
+    const operatorEphemeris = operatorEphemerides.get(summary.sat.noradCatId);
+    if (!operatorEphemeris) return propagated.get(summary.sat.noradCatId) || null;
+    return fromPositionList(
+      summary.sat.noradCatId,
+      sampleEphemeris(operatorEphemeris, start, numSamples, intervalMs),
+      start,
+      intervalMs,
+      numSamples
+    );
+  });
+};
+
+/**
+ * Stages 3 and 4 for one time step. Objects are hashed into cubic cells no smaller
+ * than the distance a pair can close between samples, so any pair that passes
+ * within the threshold is in neighbouring cells at its nearest sample. Each hit
+ * gets a straight-line relative motion estimate of its miss distance, which holds
+ * to about a kilometre over half a sample interval.
+ */
+const screenStep = (block, sampleIndex, partners, searchRadius, halfIntervalS, separationMs, approaches) => {
+  const base = sampleIndex * 3;
+
+  // Cells are widened if needed so 1024 per axis span every object; keys then stay small integers
+  let extent = 0;
+  for (let i = 0; i < block.length; i++) {
+    const ephemeris = block[i];
+    if (!ephemeris || !ephemeris.valid[sampleIndex]) continue;
+    const p = ephemeris.positions;
+    extent = Math.max(extent, Math.abs(p[base]), Math.abs(p[base + 1]), Math.abs(p[base + 2]));
+  }
+  const cellSize = Math.max(searchRadius, (2 * extent) / (GRID_CELLS_PER_AXIS - 2));
+  const half = GRID_CELLS_PER_AXIS / 2;
+  const cellOf = (value) => Math.min(GRID_CELLS_PER_AXIS - 1, Math.max(0, Math.floor(value / cellSize) + half));
+
+  const cells = new Map();
+  const keys = new Int32Array(block.length);
+  for (let i = 0; i < block.length; i++) {
+    const ephemeris = block[i];
+    keys[i] = -1;
+    if (!ephemeris || !ephemeris.valid[sampleIndex]) continue;
+    const p = ephemeris.positions;
+    const key = (cellOf(p[base]) * GRID_CELLS_PER_AXIS + cellOf(p[base + 1])) * GRID_CELLS_PER_AXIS + cellOf(p[base + 2]);
+    keys[i] = key;
+    const members = cells.get(key);
+    if (members) members.push(i);
+    else cells.set(key, [i]);
+  }
+
+  const searchRadiusSq = searchRadius * searchRadius;
+  const checkPair = (i, j) => {
+    const a = block[i];
+    const b = block[j];
+    const rx = b.positions[base] - a.positions[base];
+    const ry = b.positions[base + 1] - a.positions[base + 1];
+    const rz = b.positions[base + 2] - a.positions[base + 2];
+    const distanceSq = rx * rx + ry * ry + rz * rz;
+    if (distanceSq > searchRadiusSq || !hasPartner(partners[i], j)) return;
+
+    let vx = 0, vy = 0, vz = 0;
+    if (a.velocities && b.velocities) {
+      vx = b.velocities[base] - a.velocities[base];
+      vy = b.velocities[base + 1] - a.velocities[base + 1];
+      vz = b.velocities[base + 2] - a.velocities[base + 2];
+    }
+    const speedSq = vx * vx + vy * vy + vz * vz;
+    const offset = speedSq > 0
+      ? Math.max(-halfIntervalS, Math.min(halfIntervalS, -(rx * vx + ry * vy + rz * vz) / speedSq))
+      : 0;
+    const mx = rx + vx * offset;
+    const my = ry + vy * offset;
+    const mz = rz + vz * offset;
+    const missDistance = Math.sqrt(mx * mx + my * my + mz * mz);
+
+    // Hits close together in time belong to one pass; a pair can have several passes
+    const time = a.start + sampleIndex * a.intervalMs + offset * 1000;
+    const pairKey = i * block.length + j;
+    let passes = approaches.get(pairKey);
+    if (!passes) {
+      passes = [];
+      approaches.set(pairKey, passes);
+    }
+    const pass = passes.find(p => time - p.lastHit <= separationMs);
+    if (!pass) {
+      passes.push({ i, j, missDistance, time, lastHit: time, relativeSpeed: Math.sqrt(speedSq) });
+    } else {
+      pass.lastHit = Math.max(pass.lastHit, time);
+      if (missDistance < pass.missDistance) {
+        pass.missDistance = missDistance;
+        pass.time = time;
+        pass.relativeSpeed = Math.sqrt(speedSq);
+      }
+    }
+  };
+
+  // Each occupied cell against itself and the 13 neighbours ahead of it, so every pair is seen once
+  cells.forEach((members, key) => {
+    for (let m = 0; m < members.length; m++) {
+      for (let n = m + 1; n < members.length; n++) {
+        checkPair(Math.min(members[m], members[n]), Math.max(members[m], members[n]));
+      }
+    }
+    for (const offset of FORWARD_NEIGHBOURS) {
+      const neighbours = cells.get(key + offset);
+      if (!neighbours) continue;
+      for (const i of members) {
+        for (const j of neighbours) {
+          checkPair(Math.min(i, j), Math.max(i, j));
+        }
+      }
+    }
+  });
+};
+
+/**
+ * Screen a set of objects against each other over a forecast window
+ * @param {Array} satellites - Satellite records with noradCatId and TLE lines
+ * @param {Object} options - { start, forecastHours, thresholdKm, intervalSeconds, ephemerides,
+ *   primaries } where ephemerides maps noradCatId → operator ephemeris covering the window
+ *   and primaries, when given, is a Set of noradCatIds screened against everything else
+ *   (pairs between two other objects are skipped)
+ * @returns {Promise<Object>} { approaches: [{ satA, satB, minDistance, timeOfClosestApproach,
+ *   relativeVelocity, relativePositionRTN, states, tcaRefinement }], stats }, one entry per
+ *   close approach (a pair can have several), with satA the lower catalog number,
+ *   relativePositionRTN the position of satB in satA's RTN frame (km) and states the
+ *   TEME states { satA, satB } at TCA
+ */
+const screenCatalog = async (satellites, options = {}) => {
+  const {
+    start = new Date(),
+    forecastHours = CONFIG.FORECAST_HOURS,
+    thresholdKm = CONFIG.THRESHOLD_KM,
+    intervalSeconds = CONFIG.SAMPLE_INTERVAL_SECONDS,
+    ephemerides = new Map(),
+    primaries = null
+  } = options;
+
+  const startedAt = Date.now();
+  const intervalMs = intervalSeconds * 1000;
+  const numSamples = Math.floor((forecastHours * 3600) / intervalSeconds) + 1;
+  const window = { start, numSamples, intervalMs };
+  const reach = thresholdKm + CONFIG.RADIAL_PAD_KM;
+
+  const summaries = [];
+  for (let i = 0; i < satellites.length; i++) {
+    const summary = summarizeOrbit(satellites[i], window, ephemerides.get(satellites[i].noradCatId));
+    if (summary) summaries.push(summary);
+    if ((i + 1) % CONFIG.YIELD_EVERY_OBJECTS === 0) await yieldToEventLoop();
+  }
+  summaries.sort((a, b) => a.perigee - b.perigee);
+
+  const objectCount = summaries.length;
+  const primaryIndices = primaries
+    ? Int32Array.from(summaries.map((summary, index) => (primaries.has(summary.sat.noradCatId) ? index : -1)).filter(index => index >= 0))
+    : null;
+  const primaryCount = primaryIndices ? primaryIndices.length : objectCount;
+  const totalPairs = primaryCount * (objectCount - primaryCount) + primaryCount * (primaryCount - 1) / 2;
+
+  const { partners, apsisSurvivors, orbitPathSurvivors } = await filterPairs(summaries, reach, primaryIndices);
+
+  const active = new Uint8Array(objectCount);
+  partners.forEach((list, i) => {
+    if (list.length === 0) return;
+    active[i] = 1;
+    list.forEach(j => { active[j] = 1; });
+  });
+
+  const halfIntervalS = intervalSeconds / 2;
+  const searchRadius = thresholdKm + CONFIG.MAX_RELATIVE_SPEED_KM_S * halfIntervalS;
+  const separationMs = CONFIG.PASS_SEPARATION_SECONDS * 1000;
+  const approaches = new Map();
+
+  if (orbitPathSurvivors > 0) {
+    for (let blockStart = 0; blockStart < numSamples; blockStart += CONFIG.BLOCK_SAMPLES) {
+      const blockSamples = Math.min(CONFIG.BLOCK_SAMPLES, numSamples - blockStart);
+      const block = await propagateBlock(
+        summaries,
+        active,
+        ephemerides,
+        new Date(start.getTime() + blockStart * intervalMs),
+        blockSamples,
+        intervalMs
+      );
+
+      for (let k = 0; k < blockSamples; k++) {
+        screenStep(block, k, partners, searchRadius, halfIntervalS, separationMs, approaches);
+        await yieldToEventLoop();
+      }
+    }
+  }
+
+  // Straight-line estimates near the threshold are refined to the true TCA
+  const results = [];
+  let refined = 0;
+  let confirmedPairs = 0;
+  for (const passes of approaches.values()) {
+    const accepted = [];
+    for (const pass of passes) {
+      if (pass.missDistance >= thresholdKm + CONFIG.REFINE_MARGIN_KM) continue;
+
+      // satellite1 (the lower catalog number) is the RTN primary, as stored on Conjunction
+      const [first, second] = summaries[pass.i].sat.noradCatId < summaries[pass.j].sat.noradCatId
+        ? [summaries[pass.i], summaries[pass.j]]
+        : [summaries[pass.j], summaries[pass.i]];
+      const refinement = refineClosestApproach(
+        createStateProvider(first.sat, ephemerides.get(first.sat.noradCatId), first.satrec),
+        createStateProvider(second.sat, ephemerides.get(second.sat.noradCatId), second.satrec),
+        pass.time,
+        { searchSeconds: intervalSeconds }
+      );
+      refined++;
+      if (refined % CONFIG.YIELD_EVERY_REFINEMENTS === 0) await yieldToEventLoop();
+      if (!refinement || refinement.missDistance >= thresholdKm) continue;
+
+      // Two passes can refine onto the same minimum; keep the closer one
+      const duplicate = accepted.find(other => Math.abs(other.tcaMs - refinement.tcaMs) <= separationMs);
+      if (duplicate && duplicate.missDistance <= refinement.missDistance) continue;
+      if (duplicate) accepted.splice(accepted.indexOf(duplicate), 1);
+      accepted.push({ ...refinement, first, second });
+    }
+
+    if (accepted.length > 0) confirmedPairs++;
+    accepted.forEach(refinement => {
+      results.push({
+        satA: refinement.first.sat,
+        satB: refinement.second.sat,
+        minDistance: refinement.missDistance,
+        timeOfClosestApproach: refinement.timeOfClosestApproach,
+        relativeVelocity: refinement.relativeVelocity,
+        relativePositionRTN: refinement.relativePositionRTN,
+        states: { satA: refinement.states.primary, satB: refinement.states.secondary },
+        tcaRefinement: {
+          method: refinement.method,
+          iterations: refinement.iterations,
+          converged: refinement.converged
+        }
+      });
+    });
+  }
+
+  const stage = (name, input, remaining, extra = {}) => ({
+    stage: name,
+    input,
+    removed: input - remaining,
+    remaining,
+    ...extra
+  });
+
+  const stats = {
+    objects: objectCount,
+    skippedObjects: satellites.length - objectCount,
+    totalPairs,
+    stages: [
+      stage('apogee-perigee', totalPairs, apsisSurvivors, { padKm: CONFIG.RADIAL_PAD_KM }),
+      stage('orbit-path', apsisSurvivors, orbitPathSurvivors, { padKm: CONFIG.RADIAL_PAD_KM }),
+      stage('spatial-grid', orbitPathSurvivors, approaches.size, {
+        searchRadiusKm: searchRadius,
+        timeSteps: numSamples,
+        intervalSeconds
+      }),
+      stage('fine-distance', approaches.size, confirmedPairs, { thresholdKm, refined, closeApproaches: results.length })
+    ],
+    window: { start, end: new Date(start.getTime() + (numSamples - 1) * intervalMs) },
+    durationMs: Date.now() - startedAt
+  };
+
+  logger.info('Conjunction screening complete', {
+    service: 'conjunction-screening',
+    objects: objectCount,
+    totalPairs,
+    removed: stats.stages.map(s => `${s.stage}=${s.removed}`).join(' '),
+    conjunctions: results.length,
+    durationMs: stats.durationMs
+  });
+
+  return { approaches: results, stats };
+};
+
+module.exports = {
+  screenCatalog,
+  summarizeOrbit,
+  orbitPathsMayMeet,
+  CONFIG
+};
@@ -35,12 +35,34 @@ const captureDebrisPopulation = async (snapshotDate = new Date()) => {
     
     populations[shell].total++;
     
+    if (sat.rcs !== null && sat.rcs !== undefined) {
+      populations[shell].rcs[categorizeDebrisSize(sat.rcs)]++;
+    }
+
     const isDefunct = sat.riskScore === 0;
     const nameLower = (sat.name || '').toLowerCase();
-    const isRocket = nameLower.includes('rocket') || nameLower.includes('upper stage') || nameLower.includes('debris');
-    const isMissionRelated = nameLower.includes('mission') || nameLower.includes('debris');
     const isFragmentation = nameLower.includes('fragment') || nameLower.includes('broken');
     const isCollision = nameLower.includes('collision') || nameLower.includes(' Cosmos');
+
+    // Prefer SATCAT object types; fall back to name heuristics for unenriched objects
+    if (sat.objectType && sat.objectType !== 'UNKNOWN') {
+      if (sat.objectType === 'ROCKET BODY') {
+        populations[shell].rocket++;
+        populations[shell].debris++;
+      } else if (sat.objectType === 'DEBRIS') {
+        if (isFragmentation) populations[shell].fragmentation++;
+        else if (isCollision) populations[shell].collision++;
+        else populations[shell].debris++;
+      } else if (sat.operationalStatus === 'NON-OPERATIONAL' || sat.decayDate) {
+        populations[shell].debris++;
+      } else {
+        populations[shell].satellites++;
+      }
+      return;
+    }
+
+    const isRocket = nameLower.includes('rocket') || nameLower.includes('upper stage') || nameLower.includes('debris');
+    const isMissionRelated = nameLower.includes('mission') || nameLower.includes('debris');
     
     if (isRocket) {
       populations[shell].rocket++;
@@ -0,0 +1,420 @@
+/**
+ * Operator Ephemeris Service
+ * Stores CCSDS OEM uploads for operator-owned objects and interpolates them
+ * (Lagrange or Hermite) so the conjunction and collision-probability engines can
+ * use them instead of SGP4 whenever an ephemeris covers the requested span.
+ *
+ * Interpolated states are returned in TEME (km, km/s) to match SGP4 output.
+ */
+
+const Ephemeris = require('../models/Ephemeris');
+const Satellite = require('../models/Satellite');
+const { logger } = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { parseOEM, detectOEMFormat, parseOEMEpoch, TIME_SYSTEM_OFFSETS_S } = require('./oemParser');
+const { toTEME, isSupportedFrame, normalizeFrameName, rtnBasis } = require('../utils/frames');
+
+const CONFIG = {
+  DEFAULT_INTERPOLATION: 'LAGRANGE',
+  DEFAULT_INTERPOLATION_DEGREE: 7,
+  MAX_INTERPOLATION_DEGREE: 15,
+  MIN_STATES: 2,
+  // Keeps one segment well under the 16 MB document limit
+  MAX_STATES_PER_SEGMENT: 50000,
+  // 1-sigma position uncertainty assumed when an ephemeris carries no covariance (GNSS-grade)
+  DEFAULT_POSITION_SIGMA_M: 20
+};
+
+const RTN_FRAMES = ['RTN', 'RSW', 'RIC'];
+
+/**
+ * Expand a 21-element lower triangle into a full row-major 6x6 matrix
+ */
+const expandLowerTriangle = (lower) => {
+  const full = new Array(36).fill(0);
+  let k = 0;
+  for (let i = 0; i < 6; i++) {
+    for (let j = 0; j <= i; j++) {
+      full[i * 6 + j] = lower[k];
+      full[j * 6 + i] = lower[k];
+      k++;
+    }
+  }
+  return full;
+};
+
+const buildSegment = (noradCatId, segment, header, fileName) => {
+  const meta = segment.metadata;
+  const timeSystem = (meta.TIME_SYSTEM || 'UTC').toUpperCase();
+  const refFrame = meta.REF_FRAME || '';
+  const center = (meta.CENTER_NAME || 'EARTH').toUpperCase();
+
+  if (center !== 'EARTH') {
+    throw new ValidationError(`CENTER_NAME ${center} is not supported; only EARTH-centred ephemerides can be used`);
+  }
+  if (!isSupportedFrame(refFrame)) {
+    throw new ValidationError(`REF_FRAME ${refFrame || '(missing)'} is not supported`);
+  }
+  if (TIME_SYSTEM_OFFSETS_S[timeSystem] === undefined) {
+    throw new ValidationError(`TIME_SYSTEM ${timeSystem} is not supported`);
+  }
+
+  const objectId = meta.OBJECT_ID || null;
+  if (objectId && /^\d+$/.test(objectId) && parseInt(objectId, 10) !== noradCatId) {
+    throw new ValidationError(`OBJECT_ID ${objectId} does not match catalog number ${noradCatId}`);
+  }
+
+  if (segment.states.length < CONFIG.MIN_STATES) {
+    throw new ValidationError(`Segment has ${segment.states.length} states; at least ${CONFIG.MIN_STATES} are needed`);
+  }
+  if (segment.states.length > CONFIG.MAX_STATES_PER_SEGMENT) {
+    throw new ValidationError(`Segment has more than ${CONFIG.MAX_STATES_PER_SEGMENT} states; split it into several segments`);
+  }
+
+  const states = segment.states.map((state, i) => {
+    const epoch = parseOEMEpoch(state.epoch, timeSystem);
+    if (!epoch || state.values.length < 6 || state.values.some(value => !isFinite(value))) {
+      throw new ValidationError(`State ${i + 1} (${state.epoch}) is not a valid epoch and 6-element state vector`);
+    }
+    return { epoch, position: state.values.slice(0, 3), velocity: state.values.slice(3, 6) };
+  });
+
+  for (let i = 1; i < states.length; i++) {
+    if (states[i].epoch <= states[i - 1].epoch) {
+      throw new ValidationError(`State epochs must increase; state ${i + 1} is not after state ${i}`);
+    }
+  }
+
+  const covariances = segment.covariances.map((covariance, i) => {
+    const epoch = parseOEMEpoch(covariance.epoch, timeSystem);
+    if (!epoch || covariance.values.length !== 21 || covariance.values.some(value => !isFinite(value))) {
+      throw new ValidationError(`Covariance block ${i + 1} must have an EPOCH and 21 lower-triangle values`);
+    }
+    return {
+      epoch,
+      refFrame: covariance.refFrame || refFrame,
+      lowerTriangle: covariance.values
+    };
+  });
+
+  // The usable window may be narrower than the data, never wider
+  const firstEpoch = states[0].epoch;
+  const lastEpoch = states[states.length - 1].epoch;
+  const useableStart = parseOEMEpoch(meta.USEABLE_START_TIME, timeSystem);
+  const useableStop = parseOEMEpoch(meta.USEABLE_STOP_TIME, timeSystem);
+  const startTime = useableStart && useableStart > firstEpoch ? useableStart : firstEpoch;
+  const stopTime = useableStop && useableStop < lastEpoch ? useableStop : lastEpoch;
+
+  const interpolation = (meta.INTERPOLATION || CONFIG.DEFAULT_INTERPOLATION).toUpperCase();
+  const degree = parseInt(meta.INTERPOLATION_DEGREE, 10) || CONFIG.DEFAULT_INTERPOLATION_DEGREE;
+
+  return {
+    noradCatId,
+    objectName: meta.OBJECT_NAME || null,
+    objectId,
+    originator: header.ORIGINATOR || null,
+    centerName: center,
+    refFrame: normalizeFrameName(refFrame),
+    timeSystem,
+    startTime,
+    stopTime,
+    interpolation: interpolation === 'HERMITE' ? 'HERMITE' : 'LAGRANGE',
+    interpolationDegree: Math.min(Math.max(degree, 1), CONFIG.MAX_INTERPOLATION_DEGREE),
+    states,
+    covariances,
+    fileName: fileName || null,
+    creationDate: parseOEMEpoch(header.CREATION_DATE, 'UTC'),
+    uploadedAt: new Date()
+  };
+};
+
+/**
+ * Validate and store an OEM for one object. Every segment becomes one Ephemeris document.
+ * @param {number} noradCatId
+ * @param {string} data - OEM text (KVN or XML)
+ * @param {Object} options - { format, fileName }
+ */
+const ingestOEM = async (noradCatId, data, options = {}) => {
+  const satellite = await Satellite.findOne({ noradCatId }).select('noradCatId name').lean();
+  if (!satellite) {
+    throw new NotFoundError('Satellite', noradCatId);
+  }
+
+  const format = options.format || detectOEMFormat(data);
+  if (!format) {
+    throw new ValidationError('Payload is not a CCSDS OEM in KVN or XML');
+  }
+
+  const { header, segments } = parseOEM(data, format);
+  if (segments.length === 0) {
+    throw new ValidationError('OEM contains no segments');
+  }
+
+  const documents = segments.map(segment => buildSegment(noradCatId, segment, header, options.fileName));
+  const saved = await Ephemeris.insertMany(documents);
+
+  logger.info(`Stored ${saved.length} ephemeris segments for ${noradCatId}`, {
+    service: 'ephemeris',
+    noradCatId,
+    states: documents.reduce((sum, doc) => sum + doc.states.length, 0),
+    covariances: documents.reduce((sum, doc) => sum + doc.covariances.length, 0)
+  });
+
+  return saved.map(describeEphemeris);
+};
+
+const describeEphemeris = (ephemeris) => ({
+  id: ephemeris._id,
+  noradCatId: ephemeris.noradCatId,
+  objectName: ephemeris.objectName,
+  originator: ephemeris.originator,
+  refFrame: ephemeris.refFrame,
+  timeSystem: ephemeris.timeSystem,
+  startTime: ephemeris.startTime,
+  stopTime: ephemeris.stopTime,
+  interpolation: ephemeris.interpolation,
+  interpolationDegree: ephemeris.interpolationDegree,
+  stateCount: ephemeris.states ? ephemeris.states.length : ephemeris.stateCount,
+  covarianceCount: ephemeris.covariances ? ephemeris.covariances.length : ephemeris.covarianceCount,
+  fileName: ephemeris.fileName,
+  uploadedAt: ephemeris.uploadedAt
+});
+
+/**
+ * List stored ephemeris segments for an object, newest upload first (without states)
+ */
+const listEphemerides = async (noradCatId) => {
+  const segments = await Ephemeris.aggregate([
+    { $match: { noradCatId } },
+    { $sort: { uploadedAt: -1 } },
+    {
+      $project: {
+        noradCatId: 1, objectName: 1, originator: 1, refFrame: 1, timeSystem: 1,
+        startTime: 1, stopTime: 1, interpolation: 1, interpolationDegree: 1,
+        fileName: 1, uploadedAt: 1,
+        stateCount: { $size: '$states' },
+        covarianceCount: { $size: '$covariances' }
+      }
+    }
+  ]);
+  return segments.map(describeEphemeris);
+};
+
+const deleteEphemeris = async (noradCatId, ephemerisId) => {
+  const result = await Ephemeris.deleteOne({ _id: ephemerisId, noradCatId });
+  if (result.deletedCount === 0) {
+    throw new NotFoundError('Ephemeris', ephemerisId);
+  }
+  return { deleted: ephemerisId };
+};
+
+/**
+ * Newest-uploaded ephemeris of an object whose usable span covers [start, end]
+ */
+const findCoveringEphemeris = async (noradCatId, start, end = start) => {
+  return Ephemeris.findOne({
+    noradCatId,
+    startTime: { $lte: start },
+    stopTime: { $gte: end }
+  }).sort({ uploadedAt: -1 }).lean();
+};
+
+/**
+ * Covering ephemerides for many objects at once, keyed by noradCatId
+ */
+const loadCoveringEphemerides = async (noradCatIds, start, end = start) => {
+  const ephemerides = await Ephemeris.find({
+    noradCatId: { $in: noradCatIds },
+    startTime: { $lte: start },
+    stopTime: { $gte: end }
+  }).sort({ uploadedAt: -1 }).lean();
+
+  const byId = new Map();
+  ephemerides.forEach(ephemeris => {
+    if (!byId.has(ephemeris.noradCatId)) byId.set(ephemeris.noradCatId, ephemeris);
+  });
+  return byId;
+};
+
+// Index of the last state at or before t (binary search)
+const findInterval = (times, t) => {
+  let low = 0;
+  let high = times.length - 1;
+  while (high - low > 1) {
+    const mid = (low + high) >> 1;
+    if (times[mid] <= t) low = mid;
+    else high = mid;
+  }
+  return low;
+};
+
+const selectNodes = (count, index, pointCount) => {
+  const n = Math.min(pointCount, count);
+  const start = Math.min(Math.max(index - Math.floor((n - 1) / 2), 0), count - n);
+  return { start, n };
+};
+
+const lagrange = (xs, ys, x) => {
+  let result = 0;
+  for (let j = 0; j < xs.length; j++) {
+    let basis = 1;
+    for (let m = 0; m < xs.length; m++) {
+      if (m !== j) basis *= (x - xs[m]) / (xs[j] - xs[m]);
+    }
+    result += basis * ys[j];
+  }
+  return result;
+};
+
+// Hermite interpolation of values with known derivatives at each node
+const hermite = (xs, ys, dys, x) => {
+  let result = 0;
+  for (let j = 0; j < xs.length; j++) {
+    let basis = 1;
+    let basisDerivativeAtNode = 0;
+    for (let m = 0; m < xs.length; m++) {
+      if (m === j) continue;
+      basis *= (x - xs[m]) / (xs[j] - xs[m]);
+      basisDerivativeAtNode += 1 / (xs[j] - xs[m]);
+    }
+    const basis2 = basis * basis;
+    const dx = x - xs[j];
+    result += (1 - 2 * basisDerivativeAtNode * dx) * basis2 * ys[j] + dx * basis2 * dys[j];
+  }
+  return result;
+};
+
+/**
+ * Interpolate an ephemeris at a time
+ * @returns {Object|null} { position, velocity } in TEME km and km/s, or null outside the usable span
+ */
+const interpolateState = (ephemeris, time) => {
+  const t = time.getTime();
+  if (t < new Date(ephemeris.startTime).getTime() || t > new Date(ephemeris.stopTime).getTime()) {
+    return null;
+  }
+
+  const states = ephemeris.states;
+  const times = ephemeris._times || states.map(state => new Date(state.epoch).getTime());
+  // Cache epoch times on the (lean) document for repeated sampling
+  Object.defineProperty(ephemeris, '_times', { value: times, enumerable: false, configurable: true });
+
+  const index = findInterval(times, t);
+  const isHermite = ephemeris.interpolation === 'HERMITE';
+  const pointCount = isHermite
+    ? Math.max(2, Math.ceil((ephemeris.interpolationDegree + 1) / 2))
+    : ephemeris.interpolationDegree + 1;
+  const { start, n } = selectNodes(states.length, index, pointCount);
+
+  // Seconds relative to the first node keeps the polynomial well conditioned
+  const t0 = times[start];
+  const xs = [];
+  for (let i = 0; i < n; i++) xs.push((times[start + i] - t0) / 1000);
+  const x = (t - t0) / 1000;
+  const nodes = states.slice(start, start + n);
+
+  const position = [0, 1, 2].map(axis => (isHermite
+    ? hermite(xs, nodes.map(s => s.position[axis]), nodes.map(s => s.velocity[axis]), x)
+    : lagrange(xs, nodes.map(s => s.position[axis]), x)));
+  const velocity = [0, 1, 2].map(axis => lagrange(xs, nodes.map(s => s.velocity[axis]), x));
+
+  return toTEME({
+    position: { x: position[0], y: position[1], z: position[2] },
+    velocity: { x: velocity[0], y: velocity[1], z: velocity[2] }
+  }, ephemeris.refFrame, time);
+};
+
+// A·C·Aᵀ where the rows of A are the three basis vectors
+const rotateCovariance = (cov3, basis) => {
+  const axes = [basis.R, basis.T, basis.N].map(v => [v.x, v.y, v.z]);
+  const out = new Array(9).fill(0);
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      let sum = 0;
+      for (let a = 0; a < 3; a++) {
+        for (let b = 0; b < 3; b++) {
+          sum += axes[i][a] * cov3[a * 3 + b] * axes[j][b];
+        }
+      }
+      out[i * 3 + j] = sum;
+    }
+  }
+  return out;
+};
+
+/**
+ * Position covariance (RTN, m², row-major 3x3) at a time from the nearest covariance
+ * block, or the default GNSS-grade covariance when the ephemeris carries none.
+ * @param {Object} state - TEME state at the same time (for the RTN rotation)
+ */
+const getCovarianceRTN = (ephemeris, time, state) => {
+  const blocks = ephemeris.covariances || [];
+  if (blocks.length === 0) {
+    const variance = CONFIG.DEFAULT_POSITION_SIGMA_M * CONFIG.DEFAULT_POSITION_SIGMA_M;
+    return { covariance: [variance, 0, 0, 0, variance, 0, 0, 0, variance], source: 'default' };
+  }
+
+  const t = time.getTime();
+  const nearest = blocks.reduce((best, block) =>
+    (Math.abs(new Date(block.epoch).getTime() - t) < Math.abs(new Date(best.epoch).getTime() - t) ? block : best));
+
+  const full = expandLowerTriangle(nearest.lowerTriangle);
+  // Position block in km², converted to m²
+  const position = [0, 1, 2, 6, 7, 8, 12, 13, 14].map(i => full[i] * 1e6);
+  const frame = normalizeFrameName(nearest.refFrame);
+
+  if (RTN_FRAMES.includes(frame)) {
+    return { covariance: position, source: 'ephemeris' };
+  }
+  if (!isSupportedFrame(frame)) {
+    return getCovarianceRTN({ covariances: [] }, time, state);
+  }
+
+  const temeCovariance = frame === 'TEME' ? position : rotateCovariance(position, temeRowsFromFrame(frame, time));
+  return {
+    covariance: rotateCovariance(temeCovariance, rtnBasis(state.position, state.velocity)),
+    source: 'ephemeris'
+  };
+};
+
+// Rows of the frame → TEME rotation, built from the images of the frame's unit axes
+const temeRowsFromFrame = (frame, time) => {
+  const zero = { x: 0, y: 0, z: 0 };
+  const image = (v) => toTEME({ position: v, velocity: zero }, frame, time).position;
+  const ex = image({ x: 1, y: 0, z: 0 });
+  const ey = image({ x: 0, y: 1, z: 0 });
+  const ez = image({ x: 0, y: 0, z: 1 });
+  return {
+    R: { x: ex.x, y: ey.x, z: ez.x },
+    T: { x: ex.y, y: ey.y, z: ez.y },
+    N: { x: ex.z, y: ey.z, z: ez.z }
+  };
+};
+
+/**
+ * Sample an ephemeris on a fixed grid, in the shape the conjunction engine uses
+ */
+const sampleEphemeris = (ephemeris, startTime, numSamples, intervalMs) => {
+  const positions = [];
+  for (let i = 0; i < numSamples; i++) {
+    const time = new Date(startTime.getTime() + i * intervalMs);
+    const state = interpolateState(ephemeris, time);
+    if (state) {
+      positions.push({ ...state.position, velocity: state.velocity, time });
+    }
+  }
+  return positions;
+};
+
+module.exports = {
+  ingestOEM,
+  listEphemerides,
+  deleteEphemeris,
+  findCoveringEphemeris,
+  loadCoveringEphemerides,
+  interpolateState,
+  getCovarianceRTN,
+  sampleEphemeris,
+  expandLowerTriangle,
+  CONFIG
+};
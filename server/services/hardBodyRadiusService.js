@@ -0,0 +1,155 @@
+/**
+ * Hard-Body Radius Service
+ * Picks the radius of the sphere that stands in for each object in Pc, so a
+ * CubeSat and a station no longer share one collision cross-section.
+ *
+ * In order of preference:
+ *   operator    - radius set for the object through the API
+ *   rcs         - radius of a disk with the object's radar cross-section
+ *   rcs-size    - envelope radius of its Space-Track RCS size class
+ *   object-type - typical radius of its SATCAT object type
+ *   default     - the engine's default for the object's role in the pair
+ */
+
+const Satellite = require('../models/Satellite');
+const { logger } = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const CONFIG = {
+  MIN_RADIUS_M: 0.05,
+  MAX_RADIUS_M: 100,
+  // Space-Track classes: SMALL < 0.1 m², MEDIUM 0.1-1 m², LARGE > 1 m²
+  RCS_SIZE_RADII: {
+    SMALL: 0.2,
+    MEDIUM: 0.6,
+    LARGE: 3
+  },
+  OBJECT_TYPE_RADII: {
+    PAYLOAD: 2,
+    'ROCKET BODY': 3,
+    DEBRIS: 0.3
+  }
+};
+
+const RADIUS_SOURCES = ['operator', 'rcs', 'rcs-size', 'object-type', 'default'];
+
+const clampRadius = (radius) => Math.min(CONFIG.MAX_RADIUS_M, Math.max(CONFIG.MIN_RADIUS_M, radius));
+
+/**
+ * Hard-body radius of one object
+ * @param {Object} sat - Satellite document (hardBodyRadius, rcs, rcsSize, objectType)
+ * @param {number} defaultRadius - Radius (m) when nothing is known about the object
+ * @returns {Object} { radius (m), source }
+ */
+const resolveHardBodyRadius = (sat, defaultRadius) => {
+  const override = sat.hardBodyRadius && sat.hardBodyRadius.radius;
+  if (override > 0) {
+    return { radius: override, source: 'operator' };
+  }
+  if (sat.rcs > 0) {
+    return { radius: clampRadius(Math.sqrt(sat.rcs / Math.PI)), source: 'rcs' };
+  }
+  if (CONFIG.RCS_SIZE_RADII[sat.rcsSize]) {
+    return { radius: CONFIG.RCS_SIZE_RADII[sat.rcsSize], source: 'rcs-size' };
+  }
+  if (CONFIG.OBJECT_TYPE_RADII[sat.objectType]) {
+    return { radius: CONFIG.OBJECT_TYPE_RADII[sat.objectType], source: 'object-type' };
+  }
+  return { radius: defaultRadius, source: 'default' };
+};
+
+/**
+ * Combined hard-body radius of a pair
+ * @param {Object} defaults - { primary, secondary } default radii (m) for satA and satB
+ * @returns {Object} { radius, satA: { radius, source }, satB: { radius, source } }
+ */
+const resolveCombinedRadius = (satA, satB, defaults) => {
+  const a = resolveHardBodyRadius(satA, defaults.primary);
+  const b = resolveHardBodyRadius(satB, defaults.secondary);
+  return { radius: a.radius + b.radius, satA: a, satB: b };
+};
+
+const SELECTED_FIELDS = 'noradCatId name objectType rcs rcsSize hardBodyRadius';
+
+const findSatellite = async (noradCatId) => {
+  const satellite = await Satellite.findOne({ noradCatId }).select(SELECTED_FIELDS).lean();
+  if (!satellite) {
+    throw new NotFoundError('Satellite', noradCatId);
+  }
+  return satellite;
+};
+
+// radius is null when only the pair-role default applies
+const describe = (satellite) => ({
+  noradCatId: satellite.noradCatId,
+  name: satellite.name,
+  ...resolveHardBodyRadius(satellite, null),
+  override: satellite.hardBodyRadius && satellite.hardBodyRadius.radius > 0 ? satellite.hardBodyRadius : null,
+  lookup: {
+    rcs: satellite.rcs ?? null,
+    rcsSize: satellite.rcsSize ?? null,
+    objectType: satellite.objectType || 'UNKNOWN'
+  }
+});
+
+/**
+ * Hard-body radius of an object and what it was derived from
+ */
+const getHardBodyRadius = async (noradCatId) => describe(await findSatellite(noradCatId));
+
+/**
+ * Set an operator-supplied hard-body radius, used ahead of every lookup
+ * @param {Object} fields - { radius (m), notes }
+ */
+const setHardBodyRadiusOverride = async (noradCatId, { radius, notes } = {}) => {
+  const value = Number(radius);
+  if (!isFinite(value) || value < CONFIG.MIN_RADIUS_M || value > CONFIG.MAX_RADIUS_M) {
+    throw new ValidationError(`radius must be between ${CONFIG.MIN_RADIUS_M} and ${CONFIG.MAX_RADIUS_M} m`);
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    throw new ValidationError('notes must be a string');
+  }
+
+  const satellite = await Satellite.findOneAndUpdate(
+    { noradCatId },
+    { $set: { hardBodyRadius: { radius: value, notes: notes || null, updatedAt: new Date() } } },
+    { new: true }
+  )
+    .select(SELECTED_FIELDS)
+    .lean();
+  if (!satellite) {
+    throw new NotFoundError('Satellite', noradCatId);
+  }
+
+  logger.info(`Hard-body radius of ${noradCatId} set to ${value} m`, { service: 'hard-body-radius' });
+  return describe(satellite);
+};
+
+/**
+ * Remove an operator-supplied radius so the lookup applies again
+ */
+const clearHardBodyRadiusOverride = async (noradCatId) => {
+  const satellite = await Satellite.findOneAndUpdate(
+    { noradCatId },
+    { $unset: { hardBodyRadius: '' } },
+    { new: true }
+  )
+    .select(SELECTED_FIELDS)
+    .lean();
+  if (!satellite) {
+    throw new NotFoundError('Satellite', noradCatId);
+  }
+
+  logger.info(`Hard-body radius override of ${noradCatId} removed`, { service: 'hard-body-radius' });
+  return describe(satellite);
+};
+
+module.exports = {
+  CONFIG,
+  RADIUS_SOURCES,
+  resolveHardBodyRadius,
+  resolveCombinedRadius,
+  getHardBodyRadius,
+  setHardBodyRadiusOverride,
+  clearHardBodyRadiusOverride
+};
@@ -0,0 +1,524 @@
+/**
+ * Hypothetical Object Screening
+ * Screens an object that is not in the catalog — a candidate insertion orbit, a
+ * post-maneuver orbit — against the stored catalog over a time window. Nothing is
+ * written: no Conjunction snapshots, no conjunction events, no alerts.
+ *
+ * The object may be given as a TLE, an OMM, Keplerian elements or a state vector.
+ * Keplerian elements and state vectors are osculating, so they are fitted to SGP4
+ * mean elements that reproduce the state at epoch; every engine then propagates the
+ * object the same way it propagates the catalog.
+ */
+
+const satellite = require('satellite.js');
+const Satellite = require('../models/Satellite');
+const { ValidationError } = require('../middleware/errorHandler');
+const { validateTLELines } = require('./tleValidator');
+const { parseOMMMessages, convertOMMMessage, parseOMMEpoch, OMM_FORMATS } = require('./ommParser');
+const { formatTLELines, toTLEEpoch, decodeCatalogNumber } = require('../utils/tleFormat');
+const { toTEME, toRTN, isSupportedFrame } = require('../utils/frames');
+const { screenCatalog } = require('./conjunctionScreening');
+const { computeConjunction } = require('./conjunctionEngine');
+const { loadCoveringEphemerides } = require('./ephemerisService');
+
+const MU_EARTH = 398600.4418; // km³/s²
+const R_EARTH = 6378.137; // km, WGS-84 equatorial
+const DEG = Math.PI / 180;
+const TWO_PI = 2 * Math.PI;
+
+const CONFIG = {
+  OBJECT_TYPES: ['tle', 'omm', 'keplerian', 'stateVector'],
+  DEFAULT_WINDOW_HOURS: 24,
+  MAX_WINDOW_HOURS: 168,
+  DEFAULT_THRESHOLD_KM: 10,
+  MAX_THRESHOLD_KM: 50,
+  SAMPLE_INTERVAL_SECONDS: 60,
+  // Catalog number used for objects given without one (Keplerian elements, state vectors)
+  HYPOTHETICAL_NORAD_ID: 0,
+  MIN_PERIGEE_ALTITUDE_KM: 100,
+  // Mean-element fit; TLE columns round angles to 1e-4°, about 10 m in LEO
+  FIT_MAX_ITERATIONS: 25,
+  FIT_TOLERANCE_KM: 0.05
+};
+
+const wrapAngle = (angle) => {
+  const wrapped = angle % TWO_PI;
+  return wrapped < 0 ? wrapped + TWO_PI : wrapped;
+};
+
+// Difference of two angles in (-π, π]
+const angleDifference = (a, b) => {
+  const difference = wrapAngle(a - b);
+  return difference > Math.PI ? difference - TWO_PI : difference;
+};
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const norm = (v) => Math.sqrt(dot(v, v));
+const scale = (v, s) => ({ x: v.x * s, y: v.y * s, z: v.z * s });
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+
+/**
+ * Osculating elements of a TEME state in a set that stays defined for circular
+ * orbits: a, (ex, ey) = e·(cos ω, sin ω), i, Ω and mean argument of latitude λ = ω + M
+ */
+const stateToElements = ({ position: r, velocity: v }) => {
+  const rMag = norm(r);
+  const h = cross(r, v);
+  const hMag = norm(h);
+  const eVector = scale(
+    subtract(scale(r, dot(v, v) - MU_EARTH / rMag), scale(v, dot(r, v))),
+    1 / MU_EARTH
+  );
+
+  const inclination = Math.acos(Math.max(-1, Math.min(1, h.z / hMag)));
+  const nodeVector = { x: -h.y, y: h.x, z: 0 };
+  const nodeMag = norm(nodeVector);
+  // Equatorial orbits measure from the x axis
+  const nodeUnit = nodeMag > 1e-9 ? scale(nodeVector, 1 / nodeMag) : { x: 1, y: 0, z: 0 };
+  const inPlaneUnit = cross(scale(h, 1 / hMag), nodeUnit);
+
+  const ex = dot(eVector, nodeUnit);
+  const ey = dot(eVector, inPlaneUnit);
+  const e = Math.sqrt(ex * ex + ey * ey);
+  const argumentOfLatitude = Math.atan2(dot(r, inPlaneUnit), dot(r, nodeUnit));
+  const argumentOfPerigee = e > 1e-12 ? Math.atan2(ey, ex) : 0;
+  const trueAnomaly = argumentOfLatitude - argumentOfPerigee;
+  const eccentricAnomaly = 2 * Math.atan2(
+    Math.sqrt(1 - e) * Math.sin(trueAnomaly / 2),
+    Math.sqrt(1 + e) * Math.cos(trueAnomaly / 2)
+  );
+  const meanAnomaly = eccentricAnomaly - e * Math.sin(eccentricAnomaly);
+
+  return {
+    a: 1 / (2 / rMag - dot(v, v) / MU_EARTH),
+    ex,
+    ey,
+    inclination,
+    raan: wrapAngle(Math.atan2(nodeVector.y, nodeVector.x)),
+    meanArgumentOfLatitude: wrapAngle(argumentOfPerigee + meanAnomaly)
+  };
+};
+
+/**
+ * TEME state of classical osculating elements (angles in radians)
+ */
+const elementsToState = ({ a, e, inclination, raan, argumentOfPerigee, meanAnomaly }) => {
+  let E = meanAnomaly;
+  for (let k = 0; k < 30; k++) {
+    const step = (E - e * Math.sin(E) - meanAnomaly) / (1 - e * Math.cos(E));
+    E -= step;
+    if (Math.abs(step) < 1e-14) break;
+  }
+
+  const p = a * (1 - e * e);
+  const trueAnomaly = 2 * Math.atan2(Math.sqrt(1 + e) * Math.sin(E / 2), Math.sqrt(1 - e) * Math.cos(E / 2));
+  const radius = p / (1 + e * Math.cos(trueAnomaly));
+  const rate = Math.sqrt(MU_EARTH / p);
+
+  // Perifocal position and velocity
+  const rp = { x: radius * Math.cos(trueAnomaly), y: radius * Math.sin(trueAnomaly) };
+  const vp = { x: -rate * Math.sin(trueAnomaly), y: rate * (e + Math.cos(trueAnomaly)) };
+
+  const cO = Math.cos(raan), sO = Math.sin(raan);
+  const cw = Math.cos(argumentOfPerigee), sw = Math.sin(argumentOfPerigee);
+  const ci = Math.cos(inclination), si = Math.sin(inclination);
+  const P = { x: cO * cw - sO * sw * ci, y: sO * cw + cO * sw * ci, z: sw * si };
+  const Q = { x: -cO * sw - sO * cw * ci, y: -sO * sw + cO * cw * ci, z: cw * si };
+  const combine = (u) => ({
+    x: u.x * P.x + u.y * Q.x,
+    y: u.x * P.y + u.y * Q.y,
+    z: u.x * P.z + u.y * Q.z
+  });
+
+  return { position: combine(rp), velocity: combine(vp) };
+};
+
+/**
+ * TLE-style element set (with lines) for mean elements in the non-singular set
+ */
+const buildElementSet = (mean, epoch, identity) => {
+  const e = Math.min(Math.sqrt(mean.ex * mean.ex + mean.ey * mean.ey), 0.9999999);
+  const argumentOfPerigee = e > 1e-12 ? wrapAngle(Math.atan2(mean.ey, mean.ex)) : 0;
+  const { epochYear, epochDay } = toTLEEpoch(epoch);
+
+  const elements = {
+    noradCatId: identity.noradCatId,
+    name: identity.name,
+    classification: 'U',
+    internationalDesignator: '',
+    epochYear,
+    epochDay,
+    meanMotionDot: 0,
+    meanMotionDdot: 0,
+    bstar: identity.bstar || 0,
+    ephemerisType: 0,
+    elementSetNum: 999,
+    inclination: mean.inclination / DEG,
+    eccentricity: e,
+    raan: wrapAngle(mean.raan) / DEG,
+    argumentOfPerigee: argumentOfPerigee / DEG,
+    meanAnomaly: wrapAngle(mean.meanArgumentOfLatitude - argumentOfPerigee) / DEG,
+    meanMotion: Math.sqrt(MU_EARTH / Math.pow(mean.a, 3)) * 86400 / TWO_PI,
+    orbitNumber: 0
+  };
+
+  return { ...elements, ...formatTLELines(elements) };
+};
+
+const propagateLines = (tleLine1, tleLine2, epoch) => {
+  const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
+  const state = satellite.propagate(satrec, epoch);
+  if (!state || !state.position || !Number.isFinite(state.position.x)) return null;
+  return state;
+};
+
+/**
+ * Fit SGP4 mean elements to an osculating TEME state by correcting the mean elements
+ * with the difference between the target's osculating elements and those SGP4
+ * reproduces at epoch, until the positions agree
+ * @returns {Object} { elements, fit: { iterations, positionResidualKm, velocityResidualKmS, converged } }
+ */
+const fitMeanElements = (state, epoch, identity) => {
+  const target = stateToElements(state);
+  const mean = { ...target };
+  let best = null;
+
+  for (let iteration = 1; iteration <= CONFIG.FIT_MAX_ITERATIONS; iteration++) {
+    const elements = buildElementSet(mean, epoch, identity);
+    const sgp4State = propagateLines(elements.tleLine1, elements.tleLine2, epoch);
+    if (!sgp4State) break;
+
+    const positionResidualKm = norm(subtract(sgp4State.position, state.position));
+    if (!best || positionResidualKm < best.fit.positionResidualKm) {
+      best = {
+        elements,
+        fit: {
+          iterations: iteration,
+          positionResidualKm,
+          velocityResidualKmS: norm(subtract(sgp4State.velocity, state.velocity)),
+          converged: positionResidualKm <= CONFIG.FIT_TOLERANCE_KM
+        }
+      };
+    }
+    if (positionResidualKm <= CONFIG.FIT_TOLERANCE_KM) break;
+
+    const reproduced = stateToElements(sgp4State);
+    mean.a += target.a - reproduced.a;
+    mean.ex += target.ex - reproduced.ex;
+    mean.ey += target.ey - reproduced.ey;
+    mean.inclination = Math.min(Math.PI, Math.max(0, mean.inclination + target.inclination - reproduced.inclination));
+    mean.raan += angleDifference(target.raan, reproduced.raan);
+    mean.meanArgumentOfLatitude += angleDifference(target.meanArgumentOfLatitude, reproduced.meanArgumentOfLatitude);
+  }
+
+  if (!best) {
+    throw new ValidationError('The orbit cannot be propagated with SGP4 (check that it is bound and above the atmosphere)');
+  }
+  return best;
+};
+
+const parseEpoch = (value, field) => {
+  const epoch = value instanceof Date ? value : parseOMMEpoch(value);
+  if (!epoch || isNaN(epoch.getTime())) {
+    throw new ValidationError(`${field} must be an ISO 8601 UTC date`);
+  }
+  return epoch;
+};
+
+const readVector = (value, field) => {
+  const vector = Array.isArray(value)
+    ? { x: Number(value[0]), y: Number(value[1]), z: Number(value[2]) }
+    : { x: Number(value && value.x), y: Number(value && value.y), z: Number(value && value.z) };
+  if (![vector.x, vector.y, vector.z].every(Number.isFinite)) {
+    throw new ValidationError(`${field} must be { x, y, z } or [x, y, z]`);
+  }
+  return vector;
+};
+
+const readNumber = (value, field, fallback) => {
+  if (value === undefined || value === null || value === '') {
+    if (fallback !== undefined) return fallback;
+    throw new ValidationError(`${field} is required`);
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new ValidationError(`${field} must be a number`);
+  }
+  return number;
+};
+
+const checkPerigee = (a, e) => {
+  if (!(a > 0) || e < 0 || e >= 1) {
+    throw new ValidationError('The orbit must be closed: semi-major axis positive and eccentricity in [0, 1)');
+  }
+  const perigeeAltitude = a * (1 - e) - R_EARTH;
+  if (perigeeAltitude < CONFIG.MIN_PERIGEE_ALTITUDE_KM) {
+    throw new ValidationError(
+      `Perigee altitude ${perigeeAltitude.toFixed(1)} km is below ${CONFIG.MIN_PERIGEE_ALTITUDE_KM} km`
+    );
+  }
+};
+
+const fromTLE = (object, identity) => {
+  const tleLine1 = String(object.line1 || object.tleLine1 || '').trimEnd();
+  const tleLine2 = String(object.line2 || object.tleLine2 || '').trimEnd();
+  const issues = validateTLELines(tleLine1, tleLine2);
+  if (issues.length > 0) {
+    throw new ValidationError(`Invalid TLE: ${issues.map(issue => issue.message).join('; ')}`);
+  }
+
+  const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
+  return {
+    noradCatId: decodeCatalogNumber(satrec.satnum) || identity.noradCatId,
+    name: identity.name,
+    tleLine1,
+    tleLine2,
+    epoch: new Date((satrec.jdsatepoch - 2440587.5) * 86400000),
+    fit: null
+  };
+};
+
+const fromOMM = (object, identity) => {
+  let message = object.message;
+  if (typeof message === 'string') {
+    if (object.format && !OMM_FORMATS.includes(object.format)) {
+      throw new ValidationError(`format must be one of: ${OMM_FORMATS.join(', ')}`);
+    }
+    try {
+      [message] = parseOMMMessages(message, object.format);
+    } catch (error) {
+      throw new ValidationError(`Could not read the OMM: ${error.message}`);
+    }
+  }
+  if (!message || typeof message !== 'object') {
+    throw new ValidationError('omm objects need a message: OMM keywords as an object, or the OMM text');
+  }
+
+  // A candidate orbit may not have a catalog number yet
+  const { elements, error } = convertOMMMessage({
+    NORAD_CAT_ID: identity.noradCatId,
+    ...message,
+    ...(message.OBJECT_NAME ? {} : { OBJECT_NAME: identity.name })
+  });
+  if (error) {
+    throw new ValidationError(`Invalid OMM (${error.code}): ${error.message}`);
+  }
+
+  return {
+    noradCatId: elements.noradCatId,
+    name: elements.name,
+    tleLine1: elements.tleLine1,
+    tleLine2: elements.tleLine2,
+    epoch: parseOMMEpoch(message.EPOCH),
+    fit: null
+  };
+};
+
+const fromState = (state, epoch, identity) => {
+  const { elements, fit } = fitMeanElements(state, epoch, identity);
+  return {
+    noradCatId: identity.noradCatId,
+    name: identity.name,
+    tleLine1: elements.tleLine1,
+    tleLine2: elements.tleLine2,
+    epoch,
+    fit
+  };
+};
+
+const fromKeplerian = (object, identity) => {
+  const epoch = parseEpoch(object.epoch, 'epoch');
+  const e = readNumber(object.eccentricity, 'eccentricity', 0);
+  // Circular candidate orbits (missionPlanner.calculateOptimalOrbit) are given by altitude
+  const a = object.semiMajorAxisKm !== undefined
+    ? readNumber(object.semiMajorAxisKm, 'semiMajorAxisKm')
+    : R_EARTH + readNumber(object.altitudeKm, 'semiMajorAxisKm or altitudeKm');
+  checkPerigee(a, e);
+
+  const inclination = readNumber(object.inclinationDeg, 'inclinationDeg');
+  if (inclination < 0 || inclination > 180) {
+    throw new ValidationError('inclinationDeg must be between 0 and 180');
+  }
+
+  const state = elementsToState({
+    a,
+    e,
+    inclination: inclination * DEG,
+    raan: readNumber(object.raanDeg, 'raanDeg', 0) * DEG,
+    argumentOfPerigee: readNumber(object.argumentOfPerigeeDeg, 'argumentOfPerigeeDeg', 0) * DEG,
+    meanAnomaly: readNumber(object.meanAnomalyDeg, 'meanAnomalyDeg', 0) * DEG
+  });
+  return fromState(state, epoch, identity);
+};
+
+const fromStateVector = (object, identity) => {
+  const epoch = parseEpoch(object.epoch, 'epoch');
+  const frame = object.frame || 'TEME';
+  if (!isSupportedFrame(frame)) {
+    throw new ValidationError(`frame ${frame} is not supported`);
+  }
+
+  const state = toTEME({
+    position: readVector(object.position, 'position'),
+    velocity: readVector(object.velocity, 'velocity')
+  }, frame, epoch);
+  const { a, ex, ey } = stateToElements(state);
+  checkPerigee(a, Math.sqrt(ex * ex + ey * ey));
+
+  return fromState(state, epoch, identity);
+};
+
+/**
+ * Turn the request's object description into a catalog-shaped satellite record
+ * @param {Object} object - { type: 'tle' | 'omm' | 'keplerian' | 'stateVector', name, noradCatId, bstar, ... }
+ * @returns {Object} { sat, epoch, fit }
+ */
+const buildHypotheticalObject = (object) => {
+  if (!object || typeof object !== 'object') {
+    throw new ValidationError('object is required');
+  }
+  if (!CONFIG.OBJECT_TYPES.includes(object.type)) {
+    throw new ValidationError(`object.type must be one of: ${CONFIG.OBJECT_TYPES.join(', ')}`);
+  }
+
+  const identity = {
+    noradCatId: object.noradCatId !== undefined
+      ? readNumber(object.noradCatId, 'noradCatId')
+      : CONFIG.HYPOTHETICAL_NORAD_ID,
+    name: object.name || 'HYPOTHETICAL OBJECT',
+    bstar: readNumber(object.bstar, 'bstar', 0)
+  };
+
+  const builders = { tle: fromTLE, omm: fromOMM, keplerian: fromKeplerian, stateVector: fromStateVector };
+  const built = builders[object.type](object, identity);
+
+  // satrec.no is the mean motion in rad/min
+  const satrec = satellite.twoline2satrec(built.tleLine1, built.tleLine2);
+  const semiMajorAxis = Math.cbrt(MU_EARTH / Math.pow(satrec.no / 60, 2));
+
+  return {
+    sat: {
+      noradCatId: built.noradCatId,
+      name: built.name,
+      tleLine1: built.tleLine1,
+      tleLine2: built.tleLine2,
+      orbitalAltitude: semiMajorAxis - R_EARTH
+    },
+    epoch: built.epoch,
+    fit: built.fit
+  };
+};
+
+const resolveWindow = (window, epoch) => {
+  const now = new Date();
+  // A pre-launch element set is screened from its epoch onwards
+  const start = window.start
+    ? parseEpoch(window.start, 'window.start')
+    : new Date(Math.max(now.getTime(), epoch ? epoch.getTime() : 0));
+
+  let end;
+  if (window.end) {
+    end = parseEpoch(window.end, 'window.end');
+  } else {
+    const hours = readNumber(window.hours, 'window.hours', CONFIG.DEFAULT_WINDOW_HOURS);
+    end = new Date(start.getTime() + hours * 3600000);
+  }
+
+  const hours = (end - start) / 3600000;
+  if (hours <= 0) {
+    throw new ValidationError('window.end must be after window.start');
+  }
+  if (hours > CONFIG.MAX_WINDOW_HOURS) {
+    throw new ValidationError(`The screening window is limited to ${CONFIG.MAX_WINDOW_HOURS} hours`);
+  }
+  return { start, end, hours };
+};
+
+/**
+ * Screen a hypothetical object against the stored catalog. Results are returned only.
+ * A noradCatId that is already in the catalog makes the object stand in for that
+ * catalog entry (a post-maneuver orbit is not screened against its own old orbit).
+ * @param {Object} request - { object, window: { start, end | hours }, thresholdKm }
+ * @returns {Promise<Object>} { object, window, thresholdKm, approaches, screening }
+ */
+const screenHypotheticalObject = async ({ object, window = {}, thresholdKm } = {}) => {
+  const { sat, epoch, fit } = buildHypotheticalObject(object);
+  const { start, end, hours } = resolveWindow(window || {}, epoch);
+
+  const threshold = readNumber(thresholdKm, 'thresholdKm', CONFIG.DEFAULT_THRESHOLD_KM);
+  if (threshold <= 0 || threshold > CONFIG.MAX_THRESHOLD_KM) {
+    throw new ValidationError(`thresholdKm must be greater than 0 and at most ${CONFIG.MAX_THRESHOLD_KM}`);
+  }
+
+  const catalog = await Satellite.find({}).lean();
+  const others = catalog.filter(other => other.noradCatId !== sat.noradCatId);
+  const ephemerides = await loadCoveringEphemerides(others.map(other => other.noradCatId), start, end);
+
+  const { approaches, stats } = await screenCatalog([...others, sat], {
+    start,
+    forecastHours: hours,
+    thresholdKm: threshold,
+    intervalSeconds: CONFIG.SAMPLE_INTERVAL_SECONDS,
+    ephemerides,
+    primaries: new Set([sat.noradCatId])
+  });
+
+  const results = [];
+  for (const approach of approaches) {
+    const conjunction = await computeConjunction(approach, {
+      ephemerides,
+      externalCovariances: [],
+      storageThresholdKm: threshold
+    });
+    if (!conjunction) continue;
+
+    const objectIsA = approach.satA === sat;
+    const counterpart = objectIsA ? approach.satB : approach.satA;
+    const states = approach.states || {};
+    const objectState = objectIsA ? states.satA : states.satB;
+    const counterpartState = objectIsA ? states.satB : states.satA;
+
+    results.push({
+      counterpart: { noradCatId: counterpart.noradCatId, name: counterpart.name },
+      timeOfClosestApproach: conjunction.timeOfClosestApproach,
+      missDistanceKm: conjunction.minDistanceKm,
+      relativeVelocity: conjunction.relativeVelocity,
+      // Counterpart in the hypothetical object's RTN frame (km)
+      relativePositionRTN: objectState && counterpartState
+        ? (({ x, y, z }) => ({ radial: x, transverse: y, normal: z }))(toRTN(counterpartState, objectState).position)
+        : null,
+      probabilityOfCollision: conjunction.probabilityOfCollision,
+      probabilityFormatted: conjunction.probabilityFormatted,
+      riskLevel: conjunction.riskLevel,
+      counterpartStateSource: ephemerides.has(counterpart.noradCatId) ? 'ephemeris' : 'sgp4'
+    });
+  }
+
+  results.sort((a, b) => new Date(a.timeOfClosestApproach) - new Date(b.timeOfClosestApproach));
+
+  return {
+    object: {
+      noradCatId: sat.noradCatId,
+      name: sat.name,
+      type: object.type,
+      epoch,
+      tleLine1: sat.tleLine1,
+      tleLine2: sat.tleLine2,
+      replacesCatalogObject: others.length < catalog.length,
+      fit
+    },
+    window: { start, end },
+    thresholdKm: threshold,
+    approaches: results,
+    count: results.length,
+    screening: stats
+  };
+};
+
+module.exports = {
+  screenHypotheticalObject,
+  buildHypotheticalObject,
+  fitMeanElements,
+  CONFIG
+};
@@ -12,9 +12,20 @@ const {
   calculateAtmosphericDensity,
   assessUncontrolledReentry
 } = require('./reentryEngine');
+const numericalPropagator = require('./numericalPropagator');
 
 const SATELLITE_LIFETIME_THRESHOLD_KM = 600;
 
+// 'analytic' uses the decay-rate formula; 'numerical' propagates the orbit with drag
+// from B* for up to a year, which takes around a second per object, so the bulk
+// listings and the single-object endpoint default to 'analytic'
+const LIFETIME_METHODS = ['analytic', 'numerical'];
+const DEFAULT_LIFETIME_METHOD = 'analytic';
+const NUMERICAL_HORIZON_DAYS = 365;
+const NUMERICAL_PROFILE_STEP_DAYS = 10;
+// Decay runs do not need the propagator's default precision
+const NUMERICAL_TOLERANCE = { relative: 1e-8, absolute: 1e-6 };
+
 const LIFETIME_CATEGORIES = {
   critical: { maxDays: 30, label: 'Critical', color: 'red' },
   warning: { maxDays: 90, label: 'Warning', color: 'orange' },
@@ -120,6 +131,80 @@ const estimateBallisticCoefficient = (orbitalParams) => {
   return 0.01;
 };
 
+/**
+ * Propagate the current orbit with drag until reentry or the horizon
+ * @returns {Object|null} null when B* gives no drag or the state cannot be computed
+ */
+const calculateNumericalDecay = (tleLine1, tleLine2, orbitalParams) => {
+  const drag = numericalPropagator.dragFromBstar(orbitalParams.bstar);
+  const now = new Date();
+  const initial = numericalPropagator.stateFromElements({ tleLine1, tleLine2 }, now);
+  if (!drag || !initial) return null;
+
+  const result = numericalPropagator.propagate(initial, {
+    end: new Date(now.getTime() + NUMERICAL_HORIZON_DAYS * 86400000),
+    stepSeconds: NUMERICAL_PROFILE_STEP_DAYS * 86400,
+    forces: { drag },
+    tolerance: NUMERICAL_TOLERANCE
+  });
+
+  // Semi-major axis altitude smooths out the eccentricity of the osculating orbit
+  const mu = numericalPropagator.CONFIG.MU;
+  const profile = result.states.map(state => {
+    const r = Math.hypot(state.position.x, state.position.y, state.position.z);
+    const v = Math.hypot(state.velocity.x, state.velocity.y, state.velocity.z);
+    const semiMajorAxis = 1 / (2 / r - v * v / mu);
+    return {
+      day: Math.round((state.time - now) / 86400000),
+      altitude: Math.round((semiMajorAxis - numericalPropagator.CONFIG.EARTH_RADIUS_KM) * 10) / 10
+    };
+  });
+
+  return {
+    horizonDays: NUMERICAL_HORIZON_DAYS,
+    reentryDays: result.reentry ? (result.reentry.time - now) / 86400000 : null,
+    reentryDate: result.reentry ? result.reentry.time : null,
+    dragCoefficient: drag.coefficient,
+    areaToMass: drag.areaToMass,
+    profile,
+    steps: result.stats.steps
+  };
+};
+
+/**
+ * Replace the analytic reentry estimate with the numerical one where the run decided it:
+ * a reentry inside the horizon, or survival past a horizon the formula fell short of
+ */
+const applyNumericalDecay = (lifetime, decay, satelliteData) => {
+  const reentryDays = decay.reentryDays !== null
+    ? decay.reentryDays
+    : Math.max(lifetime.predictedReentry.estimatedDays, decay.horizonDays);
+  const functionalLifetimeDays = Math.min(reentryDays, estimateOperationalLifetime(satelliteData));
+  const status = getLifetimeCategory(functionalLifetimeDays);
+
+  return {
+    ...lifetime,
+    method: 'numerical',
+    estimatedLifetimeDays: Math.round(functionalLifetimeDays),
+    estimatedLifetimeYears: (functionalLifetimeDays / 365).toFixed(2),
+    decayRateKmPerDay: decay.reentryDays !== null
+      ? ((decay.profile[0].altitude - 100) / decay.reentryDays).toFixed(4)
+      : lifetime.decayRateKmPerDay,
+    status,
+    statusInfo: LIFETIME_CATEGORIES[status],
+    confidence: decay.reentryDays !== null ? 'high' : 'medium',
+    note: decay.reentryDays !== null
+      ? 'Numerical propagation with drag from B*'
+      : `No reentry within the ${decay.horizonDays}-day numerical propagation`,
+    predictedReentry: {
+      altitude: 100,
+      estimatedDays: Math.round(reentryDays),
+      date: decay.reentryDate
+    },
+    numerical: decay
+  };
+};
+
 const estimateOperationalLifetime = (satelliteData) => {
   if (!satelliteData) return 1825;
   
@@ -147,7 +232,20 @@ const estimateOperationalLifetime = (satelliteData) => {
   }
 };
 
-const getLifetimePrediction = async (noradCatId) => {
+/**
+ * Lifetime prediction for one satellite
+ * @param {number} noradCatId
+ * @param {Object} options - { method: 'analytic' | 'numerical' }
+ */
+const getLifetimePrediction = async (noradCatId, options = {}) => {
+  const { method = DEFAULT_LIFETIME_METHOD } = options;
+  if (!LIFETIME_METHODS.includes(method)) {
+    return {
+      error: `method must be one of: ${LIFETIME_METHODS.join(', ')}`,
+      noradCatId
+    };
+  }
+
   const satellite = await Satellite.findOne({ noradCatId });
   
   if (!satellite) {
@@ -169,7 +267,18 @@ const getLifetimePrediction = async (noradCatId) => {
   }
   
   const orbitalParams = getOrbitalParameters(tleLine1, tleLine2);
-  const lifetime = calculateFunctionalLifetime(orbitalParams, satellite);
+  let lifetime = { method: 'analytic', ...calculateFunctionalLifetime(orbitalParams, satellite) };
+
+  if (method === 'numerical' && lifetime.predictedReentry) {
+    try {
+      const decay = calculateNumericalDecay(tleLine1, tleLine2, orbitalParams);
+      if (decay) {
+        lifetime = applyNumericalDecay(lifetime, decay, satellite);
+      }
+    } catch (error) {
+      logger.warn(`Numerical lifetime failed for ${noradCatId}, using analytic estimate`, { error: error.message });
+    }
+  }
   
   const uncontrolledAssessment = assessUncontrolledReentry(satellite, orbitalParams);
   
@@ -363,5 +472,7 @@ module.exports = {
   calculateFunctionalLifetime,
   getLifetimeCategory,
   LIFETIME_CATEGORIES,
+  LIFETIME_METHODS,
+  DEFAULT_LIFETIME_METHOD,
   SATELLITE_LIFETIME_THRESHOLD_KM
 };
@@ -0,0 +1,537 @@
+/**
+ * Maneuver Plan Service
+ * Keeps maneuvers from the planners as reviewable plans instead of one-off results.
+ *
+ * A plan moves draft -> proposed -> approved -> executed, can be sent back from
+ * proposed to draft, and can be cancelled at any point before execution. Each plan
+ * carries its trigger conjunction, delta-V, fuel estimate and the element change it
+ * should produce, and records who proposed, approved or cancelled it.
+ *
+ * Once the burn time has passed, element sets received after it are compared with the
+ * last one before it. An approved plan whose expected change shows up is marked
+ * executed; either way the first post-burn element set is linked so the achieved
+ * change can be compared with the planned one.
+ */
+
+const mongoose = require('mongoose');
+const ManeuverPlan = require('../models/ManeuverPlan');
+const Satellite = require('../models/Satellite');
+const Conjunction = require('../models/Conjunction');
+const TleHistory = require('../models/TleHistory');
+const { estimateFuelMass } = require('./maneuvers');
+const { getElementSetAt } = require('./tleHistoryService');
+const { logger } = require('../utils/logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+
+const MU_EARTH = 398600.4418; // km³/s²
+
+const CONFIG = {
+  DEFAULT_SPACECRAFT_MASS_KG: 1000,
+  MAX_SPACECRAFT_MASS_KG: 1e6,
+  MAX_DELTA_V_MS: 5000,
+  DEFAULT_LIMIT: 100,
+  MAX_LIMIT: 500,
+  // Post-burn element sets examined per plan, and how long after the burn to keep looking
+  MAX_POST_BURN_SETS: 10,
+  DETECTION_WINDOW_DAYS: 14,
+  // Smallest changes that stand out from element set noise
+  MIN_DETECTABLE_SMA_KM: 0.05,
+  MIN_DETECTABLE_INCLINATION_DEG: 0.005,
+  // Fraction of the expected change that must be observed to count as the burn
+  DETECTION_FRACTION: 0.5
+};
+
+const STATUSES = ['draft', 'proposed', 'approved', 'executed', 'cancelled'];
+
+// Allowed next statuses of each status
+const TRANSITIONS = {
+  draft: ['proposed', 'cancelled'],
+  proposed: ['approved', 'draft', 'cancelled'],
+  approved: ['executed', 'cancelled'],
+  executed: [],
+  cancelled: []
+};
+
+const SOURCES = ['avoidance-planner', 'maneuver-options', 'custom-scenario', 'manual'];
+const MANEUVER_TYPES = ['impulsive', 'orbit-change'];
+
+const isFiniteNumber = (value) => typeof value === 'number' && isFinite(value);
+
+const readOptionalString = (value, field) => {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== 'string') {
+    throw new ValidationError(`${field} must be a string`);
+  }
+  return value.trim() || undefined;
+};
+
+const readDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+const checkPlanId = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError('Invalid maneuver plan ID');
+  }
+};
+
+const semiMajorAxisFromMeanMotion = (meanMotion) => {
+  const meanMotionRadS = (meanMotion * 2 * Math.PI) / 86400;
+  return Math.cbrt(MU_EARTH / (meanMotionRadS * meanMotionRadS));
+};
+
+/**
+ * Check a maneuver description and fill in its total delta-V
+ * @param {Object} maneuver - { type, description, scenarioId, burnTime, deltaV (m/s),
+ *   deltaVRTN { radial, transverse, normal } (m/s), targetAltitude, targetInclination }
+ */
+const readManeuver = (maneuver) => {
+  if (!maneuver || typeof maneuver !== 'object') {
+    throw new ValidationError('maneuver is required');
+  }
+
+  const type = maneuver.type || 'impulsive';
+  if (!MANEUVER_TYPES.includes(type)) {
+    throw new ValidationError(`maneuver.type must be one of: ${MANEUVER_TYPES.join(', ')}`);
+  }
+
+  let deltaVRTN;
+  if (maneuver.deltaVRTN) {
+    deltaVRTN = {};
+    ['radial', 'transverse', 'normal'].forEach(axis => {
+      const value = maneuver.deltaVRTN[axis] ?? 0;
+      if (!isFiniteNumber(value)) {
+        throw new ValidationError(`maneuver.deltaVRTN.${axis} must be a number`);
+      }
+      deltaVRTN[axis] = value;
+    });
+  }
+
+  const deltaV = deltaVRTN
+    ? Math.hypot(deltaVRTN.radial, deltaVRTN.transverse, deltaVRTN.normal)
+    : maneuver.deltaV;
+  if (!isFiniteNumber(deltaV) || deltaV <= 0 || deltaV > CONFIG.MAX_DELTA_V_MS) {
+    throw new ValidationError(`maneuver.deltaV must be greater than 0 and at most ${CONFIG.MAX_DELTA_V_MS} m/s`);
+  }
+
+  const burnTime = readDate(maneuver.burnTime, 'maneuver.burnTime');
+  if (type === 'impulsive' && !burnTime) {
+    throw new ValidationError('maneuver.burnTime is required for an impulsive maneuver');
+  }
+  if (type === 'orbit-change' && !isFiniteNumber(maneuver.targetAltitude) && !isFiniteNumber(maneuver.targetInclination)) {
+    throw new ValidationError('An orbit-change maneuver needs targetAltitude or targetInclination');
+  }
+
+  return {
+    type,
+    description: readOptionalString(maneuver.description, 'maneuver.description'),
+    scenarioId: readOptionalString(maneuver.scenarioId, 'maneuver.scenarioId'),
+    burnTime,
+    deltaV,
+    deltaVRTN,
+    targetAltitude: isFiniteNumber(maneuver.targetAltitude) ? maneuver.targetAltitude : undefined,
+    targetInclination: isFiniteNumber(maneuver.targetInclination) ? maneuver.targetInclination : undefined
+  };
+};
+
+/**
+ * Element change a maneuver should produce. A transverse burn changes the
+ * semi-major axis by 2aΔv/v on a near-circular orbit; the effect of a normal burn on
+ * inclination depends on where in the orbit it happens, so it is not predicted.
+ */
+const expectedChange = (maneuver, satellite) => {
+  const semiMajorAxis = satellite.meanMotion > 0
+    ? semiMajorAxisFromMeanMotion(satellite.meanMotion)
+    : null;
+
+  if (maneuver.type === 'orbit-change') {
+    return {
+      semiMajorAxisChangeKm: isFiniteNumber(maneuver.targetAltitude) && isFiniteNumber(satellite.orbitalAltitude)
+        ? maneuver.targetAltitude - satellite.orbitalAltitude
+        : null,
+      inclinationChangeDeg: isFiniteNumber(maneuver.targetInclination) && isFiniteNumber(satellite.inclination)
+        ? maneuver.targetInclination - satellite.inclination
+        : null
+    };
+  }
+
+  if (!maneuver.deltaVRTN || !semiMajorAxis) {
+    return { semiMajorAxisChangeKm: null, inclinationChangeDeg: null };
+  }
+  const velocity = Math.sqrt(MU_EARTH / semiMajorAxis);
+  return {
+    semiMajorAxisChangeKm: 2 * semiMajorAxis * (maneuver.deltaVRTN.transverse / 1000) / velocity,
+    inclinationChangeDeg: null
+  };
+};
+
+const estimateFuel = (deltaV, spacecraftMassKg) => {
+  const fuel = estimateFuelMass(deltaV / 1000, spacecraftMassKg);
+  return { spacecraftMassKg, fuelMassKg: fuel.fuelMassKg, massRatio: fuel.massRatio };
+};
+
+const readSpacecraftMass = (value) => {
+  if (value === undefined || value === null) return undefined;
+  if (!isFiniteNumber(value) || value <= 0 || value > CONFIG.MAX_SPACECRAFT_MASS_KG) {
+    throw new ValidationError(`spacecraftMassKg must be greater than 0 and at most ${CONFIG.MAX_SPACECRAFT_MASS_KG}`);
+  }
+  return value;
+};
+
+/**
+ * Snapshot of the trigger conjunction; it must involve the maneuvering object
+ */
+const describeConjunction = async (conjunctionId, noradCatId) => {
+  if (!mongoose.Types.ObjectId.isValid(conjunctionId)) {
+    throw new ValidationError('Invalid conjunction ID');
+  }
+  const conjunction = await Conjunction.findById(conjunctionId).lean();
+  if (!conjunction) {
+    throw new NotFoundError('Conjunction', conjunctionId);
+  }
+  if (conjunction.satellite1 !== noradCatId && conjunction.satellite2 !== noradCatId) {
+    throw new ValidationError(`Conjunction ${conjunctionId} does not involve satellite ${noradCatId}`);
+  }
+
+  return {
+    conjunctionId: conjunction._id,
+    eventId: conjunction.eventId,
+    counterpart: conjunction.satellite1 === noradCatId ? conjunction.satellite2 : conjunction.satellite1,
+    timeOfClosestApproach: conjunction.timeOfClosestApproach,
+    missDistanceKm: conjunction.closestApproachDistance,
+    probabilityOfCollision: conjunction.probabilityOfCollision
+  };
+};
+
+const findSatellite = async (noradCatId) => {
+  const satellite = await Satellite.findOne({ noradCatId })
+    .select('noradCatId name meanMotion orbitalAltitude inclination')
+    .lean();
+  if (!satellite) {
+    throw new NotFoundError('Satellite', noradCatId);
+  }
+  return satellite;
+};
+
+/**
+ * Plans, most recently updated first
+ * @param {Object} filters - { status, noradCatId, conjunctionId, limit }
+ */
+const listPlans = async ({ status, noradCatId, conjunctionId, limit } = {}) => {
+  const query = {};
+  if (status !== undefined) {
+    if (!STATUSES.includes(status)) {
+      throw new ValidationError(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+    query.status = status;
+  }
+  if (noradCatId !== undefined) query.noradCatId = noradCatId;
+  if (conjunctionId !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(conjunctionId)) {
+      throw new ValidationError('Invalid conjunction ID');
+    }
+    query['conjunction.conjunctionId'] = conjunctionId;
+  }
+
+  return ManeuverPlan.find(query)
+    .sort({ updatedAt: -1 })
+    .limit(Math.min(limit || CONFIG.DEFAULT_LIMIT, CONFIG.MAX_LIMIT))
+    .lean();
+};
+
+const getPlan = async (id) => {
+  checkPlanId(id);
+  const plan = await ManeuverPlan.findById(id).lean();
+  if (!plan) {
+    throw new NotFoundError('Maneuver plan', id);
+  }
+  return plan;
+};
+
+/**
+ * Create a draft plan
+ * @param {Object} fields - { noradCatId, name, source, conjunctionId, maneuver, spacecraftMassKg,
+ *   prediction, notes, createdBy }
+ */
+const createPlan = async (fields = {}) => {
+  const noradCatId = fields.noradCatId;
+  if (!Number.isInteger(noradCatId) || noradCatId <= 0) {
+    throw new ValidationError('Invalid NORAD catalog ID');
+  }
+  const source = fields.source || 'manual';
+  if (!SOURCES.includes(source)) {
+    throw new ValidationError(`source must be one of: ${SOURCES.join(', ')}`);
+  }
+
+  const maneuver = readManeuver(fields.maneuver);
+  const spacecraftMassKg = readSpacecraftMass(fields.spacecraftMassKg) || CONFIG.DEFAULT_SPACECRAFT_MASS_KG;
+  const createdBy = readOptionalString(fields.createdBy, 'createdBy');
+  const satellite = await findSatellite(noradCatId);
+  const conjunction = fields.conjunctionId
+    ? await describeConjunction(fields.conjunctionId, noradCatId)
+    : undefined;
+
+  const plan = await ManeuverPlan.create({
+    noradCatId,
+    name: readOptionalString(fields.name, 'name') || `${satellite.name || `SAT-${noradCatId}`} maneuver`,
+    source,
+    conjunction,
+    maneuver,
+    fuel: estimateFuel(maneuver.deltaV, spacecraftMassKg),
+    expected: expectedChange(maneuver, satellite),
+    prediction: fields.prediction,
+    notes: readOptionalString(fields.notes, 'notes'),
+    createdBy,
+    history: [{ status: 'draft', by: createdBy }]
+  });
+
+  logger.info(`Created maneuver plan for ${noradCatId}`, { service: 'maneuver-plans', planId: String(plan._id) });
+  return plan.toObject();
+};
+
+/**
+ * Change a draft's maneuver, mass, name or notes; other statuses are fixed for review
+ */
+const updatePlan = async (id, fields = {}) => {
+  const plan = await getPlan(id);
+  if (plan.status !== 'draft') {
+    throw new ConflictError(`Only draft plans can be edited; this plan is ${plan.status}`, 'ManeuverPlan');
+  }
+
+  const update = { updatedAt: new Date() };
+  if (fields.name !== undefined) update.name = readOptionalString(fields.name, 'name');
+  if (fields.notes !== undefined) update.notes = readOptionalString(fields.notes, 'notes');
+  if (fields.prediction !== undefined) update.prediction = fields.prediction;
+
+  const maneuver = fields.maneuver !== undefined ? readManeuver(fields.maneuver) : plan.maneuver;
+  const spacecraftMassKg = readSpacecraftMass(fields.spacecraftMassKg) || plan.fuel.spacecraftMassKg;
+  if (fields.maneuver !== undefined) {
+    update.maneuver = maneuver;
+    update.expected = expectedChange(maneuver, await findSatellite(plan.noradCatId));
+  }
+  if (fields.maneuver !== undefined || fields.spacecraftMassKg !== undefined) {
+    update.fuel = estimateFuel(maneuver.deltaV, spacecraftMassKg);
+  }
+
+  const updated = await ManeuverPlan.findOneAndUpdate(
+    { _id: id, status: 'draft' },
+    { $set: update },
+    { new: true, runValidators: true }
+  ).lean();
+  if (!updated) {
+    throw new ConflictError('The plan changed status while it was being edited', 'ManeuverPlan');
+  }
+  return updated;
+};
+
+/**
+ * Remove a draft plan; plans in any other status are kept for the record
+ */
+const deletePlan = async (id) => {
+  checkPlanId(id);
+  const result = await ManeuverPlan.deleteOne({ _id: id, status: 'draft' });
+  if (result.deletedCount === 0) {
+    const plan = await getPlan(id);
+    throw new ConflictError(`Only draft plans can be deleted; this plan is ${plan.status}`, 'ManeuverPlan');
+  }
+  return { id, deleted: true };
+};
+
+const toElementSet = (entry) => ({
+  tleHistoryId: entry._id,
+  epoch: entry.epoch,
+  elementSetNum: entry.elementSetNum,
+  tleLine1: entry.tleLine1,
+  tleLine2: entry.tleLine2,
+  meanMotion: entry.meanMotion,
+  inclination: entry.inclination
+});
+
+/**
+ * Change from the pre-burn element set to a later one. The semi-major axis is compared
+ * with the pre-burn set's own prediction (mean motion plus its first derivative, which
+ * the TLE gives halved), so ordinary decay between the epochs is not read as the burn.
+ */
+const elementChange = (before, after) => {
+  const days = (new Date(after.epoch) - new Date(before.epoch)) / 86400000;
+  const predictedMeanMotion = before.meanMotion + 2 * (before.meanMotionDot || 0) * days;
+  return {
+    semiMajorAxisChangeKm: semiMajorAxisFromMeanMotion(after.meanMotion) - semiMajorAxisFromMeanMotion(predictedMeanMotion),
+    inclinationChangeDeg: after.inclination - before.inclination
+  };
+};
+
+const showsChange = (observed, expected, minimum) =>
+  isFiniteNumber(expected) &&
+  Math.abs(expected) >= minimum &&
+  Math.sign(observed) === Math.sign(expected) &&
+  Math.abs(observed) >= CONFIG.DETECTION_FRACTION * Math.abs(expected);
+
+const showsBurn = (observed, expected) =>
+  showsChange(observed.semiMajorAxisChangeKm, expected.semiMajorAxisChangeKm, CONFIG.MIN_DETECTABLE_SMA_KM) ||
+  showsChange(observed.inclinationChangeDeg, expected.inclinationChangeDeg, CONFIG.MIN_DETECTABLE_INCLINATION_DEG);
+
+const performanceRatio = (observed, expected) => {
+  if (isFiniteNumber(expected.semiMajorAxisChangeKm) && Math.abs(expected.semiMajorAxisChangeKm) >= CONFIG.MIN_DETECTABLE_SMA_KM) {
+    return observed.semiMajorAxisChangeKm / expected.semiMajorAxisChangeKm;
+  }
+  if (isFiniteNumber(expected.inclinationChangeDeg) && Math.abs(expected.inclinationChangeDeg) >= CONFIG.MIN_DETECTABLE_INCLINATION_DEG) {
+    return observed.inclinationChangeDeg / expected.inclinationChangeDeg;
+  }
+  return null;
+};
+
+/**
+ * Look for a plan's burn in the element sets received after it
+ * @param {Object} plan - An approved plan, or an executed one not yet linked
+ * @returns {Promise<Object|null>} The updated plan, or null when nothing was linked
+ */
+const linkPlanExecution = async (plan) => {
+  const burnTime = plan.status === 'executed'
+    ? plan.execution.executedAt
+    : plan.maneuver.burnTime || plan.approval.approvedAt;
+  if (!burnTime) return null;
+
+  const before = await getElementSetAt(plan.noradCatId, burnTime);
+  if (!before || !(before.meanMotion > 0)) return null;
+
+  const candidates = await TleHistory.find({ noradCatId: plan.noradCatId, epoch: { $gt: burnTime } })
+    .sort({ epoch: 1 })
+    .limit(CONFIG.MAX_POST_BURN_SETS)
+    .lean();
+
+  const expected = plan.expected || {};
+  const linked = plan.status === 'executed'
+    ? candidates.find(entry => entry.meanMotion > 0)
+    : candidates.find(entry => entry.meanMotion > 0 && showsBurn(elementChange(before, entry), expected));
+  if (!linked) return null;
+
+  const observed = elementChange(before, linked);
+  const now = new Date();
+  const set = {
+    'execution.preBurnElementSet': toElementSet(before),
+    'execution.elementSet': toElementSet(linked),
+    'execution.observed': observed,
+    'execution.performanceRatio': performanceRatio(observed, expected),
+    'execution.linkedAt': now,
+    updatedAt: now
+  };
+  const update = { $set: set };
+  if (plan.status === 'approved') {
+    set.status = 'executed';
+    set['execution.executedAt'] = burnTime;
+    set['execution.detectedBy'] = 'element-set';
+    update.$push = { history: { status: 'executed', note: `Detected in element set of ${linked.epoch.toISOString()}`, at: now } };
+  }
+
+  const updated = await ManeuverPlan.findOneAndUpdate({ _id: plan._id, status: plan.status }, update, { new: true }).lean();
+  if (updated) {
+    logger.info(`Linked maneuver plan ${plan._id} to element set of ${linked.epoch.toISOString()}`, {
+      service: 'maneuver-plans',
+      noradCatId: plan.noradCatId,
+      performanceRatio: set['execution.performanceRatio']
+    });
+  }
+  return updated;
+};
+
+/**
+ * Move a plan to another status
+ * @param {Object} change - { status, by, note, executedAt }; approving needs `by`
+ */
+const transitionPlan = async (id, { status, by, note, executedAt } = {}) => {
+  const plan = await getPlan(id);
+  if (!STATUSES.includes(status)) {
+    throw new ValidationError(`status must be one of: ${STATUSES.join(', ')}`);
+  }
+  if (!TRANSITIONS[plan.status].includes(status)) {
+    throw new ConflictError(`A plan that is ${plan.status} cannot become ${status}`, 'ManeuverPlan');
+  }
+
+  const actor = readOptionalString(by, 'by');
+  const comment = readOptionalString(note, 'note');
+  if (status === 'approved' && !actor) {
+    throw new ValidationError('by is required to approve a plan');
+  }
+
+  const now = new Date();
+  const set = { status, updatedAt: now };
+  if (status === 'proposed') {
+    set.proposedBy = actor;
+    set.proposedAt = now;
+  } else if (status === 'approved') {
+    set.approval = { approvedBy: actor, approvedAt: now, note: comment };
+  } else if (status === 'cancelled') {
+    set.cancellation = { cancelledBy: actor, cancelledAt: now, reason: comment };
+  } else if (status === 'executed') {
+    const time = readDate(executedAt, 'executedAt') || plan.maneuver.burnTime || now;
+    if (time > now) {
+      throw new ValidationError('executedAt cannot be in the future');
+    }
+    set.execution = { executedAt: time, detectedBy: 'operator' };
+  }
+
+  const updated = await ManeuverPlan.findOneAndUpdate(
+    { _id: id, status: plan.status },
+    { $set: set, $push: { history: { status, by: actor, note: comment, at: now } } },
+    { new: true }
+  ).lean();
+  if (!updated) {
+    throw new ConflictError('The plan changed status while it was being updated', 'ManeuverPlan');
+  }
+
+  logger.info(`Maneuver plan ${id} ${plan.status} -> ${status}`, { service: 'maneuver-plans', by: actor });
+
+  if (status === 'executed') {
+    return (await linkPlanExecution(updated)) || updated;
+  }
+  return updated;
+};
+
+/**
+ * Link recent burns to the element sets that show them. Run after element sets arrive.
+ */
+const linkExecutedManeuvers = async (now = new Date()) => {
+  const since = new Date(now.getTime() - CONFIG.DETECTION_WINDOW_DAYS * 86400000);
+  const plans = await ManeuverPlan.find({
+    $or: [
+      { status: 'approved', 'maneuver.burnTime': { $gte: since, $lte: now } },
+      { status: 'approved', 'maneuver.burnTime': null, 'approval.approvedAt': { $gte: since, $lte: now } },
+      { status: 'executed', 'execution.elementSet': null, 'execution.executedAt': { $gte: since } }
+    ]
+  }).lean();
+
+  let linked = 0;
+  for (const plan of plans) {
+    try {
+      if (await linkPlanExecution(plan)) linked++;
+    } catch (error) {
+      logger.error('Failed to link maneuver plan execution', {
+        service: 'maneuver-plans',
+        planId: String(plan._id),
+        error: error.message
+      });
+    }
+  }
+
+  return { checked: plans.length, linked };
+};
+
+module.exports = {
+  CONFIG,
+  STATUSES,
+  TRANSITIONS,
+  SOURCES,
+  listPlans,
+  getPlan,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  transitionPlan,
+  linkExecutedManeuvers
+};
@@ -2,6 +2,10 @@
  * Maneuver Optimization Service
  * Provides Delta-V calculations and best option suggestions for orbital maneuvers
  * Implements multiple maneuver strategies and automated best option selection
+ *
+ * Scenarios are flown impulsively (Hohmann transfer plus plane change) or as a
+ * low-thrust spiral (Edelbaum), which takes days to weeks and accumulates
+ * conjunction exposure in every shell it passes through.
  */
 
 const Satellite = require('../models/Satellite');
@@ -18,6 +22,24 @@ const ALTITUDE_BANDS = {
   GEO: { min: 35786, max: 35786, optimal: 35786 }
 };
 
+const G0 = 9.80665; // Standard gravity (m/s²)
+const MANEUVER_STRATEGIES = ['impulsive', 'low-thrust', 'both'];
+
+// Typical Hall thruster, used where the request leaves a value out; the mass
+// matches estimateFuelMass so both strategies are costed for the same spacecraft
+const LOW_THRUST_DEFAULTS = {
+  thrustN: 0.08,
+  ispSeconds: 1600,
+  massKg: 1000
+};
+
+// Spiral sampling and conjunction exposure
+const SPIRAL_SAMPLES = 200;
+const EXPOSURE_SHELL_WIDTH_KM = 25;
+// Approaches closer than this count toward the expected number of conjunctions
+const EXPOSURE_SCREENING_KM = 5;
+const EXPOSURE_TOP_SHELLS = 3;
+
 /**
  * Calculate orbital velocity at a given altitude
  * v = sqrt(mu / r) where r = R_earth + altitude
@@ -90,6 +112,148 @@ const calculateCombinedManeuverDeltaV = (currentAlt, newAlt, currentInc, newInc)
   };
 };
 
+/**
+ * Edelbaum Delta-V for a continuous-thrust transfer between circular orbits
+ * with a plane change: Delta-V = sqrt(v1² + v2² - 2*v1*v2*cos(pi/2 * delta_i))
+ * The thrust is yawed out of plane at an angle that stays fixed within each
+ * revolution, so the plane change is spread across the whole spiral.
+ */
+const calculateEdelbaumDeltaV = (r1, r2, inclinationChangeDeg) => {
+  const v1 = Math.sqrt(MU_EARTH / r1);
+  const v2 = Math.sqrt(MU_EARTH / r2);
+  const deltaI = Math.abs(inclinationChangeDeg) * (Math.PI / 180);
+
+  const totalDV = Math.sqrt(v1 * v1 + v2 * v2 - 2 * v1 * v2 * Math.cos((Math.PI / 2) * deltaI));
+  const altitudeDV = Math.abs(v1 - v2);
+  // Initial thrust yaw out of the orbit plane
+  const initialYaw = Math.atan2(Math.sin((Math.PI / 2) * deltaI), v1 / v2 - Math.cos((Math.PI / 2) * deltaI));
+
+  return {
+    altitudeDV,
+    // Extra cost of the plane change over a coplanar spiral
+    inclinationDV: Math.max(0, totalDV - altitudeDV),
+    totalDV,
+    initialYawDeg: initialYaw * (180 / Math.PI)
+  };
+};
+
+/**
+ * Low-thrust spiral between circular orbits: Edelbaum Delta-V, propellant from the
+ * rocket equation, and the time to accumulate that Delta-V at constant thrust
+ * t = m0 * (1 - e^(-dV / ve)) / mdot, with mdot = F / ve and ve = Isp * g0
+ * @param {Object} propulsion - { thrustN, ispSeconds, massKg }
+ * @returns {Object} { deltaV, propellantKg, durationDays, revolutions,
+ *   path: [{ elapsedSeconds, altitude, velocity }] }
+ */
+const estimateLowThrustTransfer = (currentAlt, newAlt, currentInc, newInc, propulsion = {}) => {
+  const { thrustN, ispSeconds, massKg } = { ...LOW_THRUST_DEFAULTS, ...propulsion };
+  if (!(thrustN > 0) || !(ispSeconds > 0) || !(massKg > 0)) {
+    throw new Error('Thrust, Isp and mass must be positive');
+  }
+
+  const r1 = R_EARTH + currentAlt;
+  const r2 = R_EARTH + newAlt;
+  const deltaV = calculateEdelbaumDeltaV(r1, r2, newInc - currentInc);
+
+  const exhaustVelocity = ispSeconds * G0 / 1000; // km/s
+  const massFlow = thrustN / (ispSeconds * G0);    // kg/s
+  const timeFor = (dv) => massKg * (1 - Math.exp(-dv / exhaustVelocity)) / massFlow;
+  const propellantKg = massKg * (1 - Math.exp(-deltaV.totalDV / exhaustVelocity));
+
+  // Edelbaum velocity history: v² = v1² - 2*v1*dV*cos(yaw0) + dV²
+  const v1 = Math.sqrt(MU_EARTH / r1);
+  const cosYaw = Math.cos(deltaV.initialYawDeg * (Math.PI / 180));
+  const path = [];
+  let revolutions = 0;
+  for (let i = 0; i <= SPIRAL_SAMPLES; i++) {
+    const dv = deltaV.totalDV * i / SPIRAL_SAMPLES;
+    const v = Math.sqrt(Math.max(v1 * v1 - 2 * v1 * dv * cosYaw + dv * dv, 1e-12));
+    const r = MU_EARTH / (v * v);
+    const point = { elapsedSeconds: timeFor(dv), altitude: r - R_EARTH, velocity: v };
+    if (i > 0) {
+      const previous = path[i - 1];
+      const meanPeriod = (2 * Math.PI * Math.sqrt(Math.pow(r, 3) / MU_EARTH) +
+        calculateOrbitalPeriod(previous.altitude) * 60) / 2;
+      revolutions += (point.elapsedSeconds - previous.elapsedSeconds) / meanPeriod;
+    }
+    path.push(point);
+  }
+
+  const durationSeconds = timeFor(deltaV.totalDV);
+  return {
+    strategy: 'low-thrust',
+    deltaV,
+    thrustN,
+    ispSeconds,
+    massKg,
+    propellantKg,
+    initialAccelerationMs2: thrustN / massKg,
+    durationDays: durationSeconds / 86400,
+    revolutions,
+    path
+  };
+};
+
+/**
+ * Catalog objects per altitude shell between two altitudes
+ * @returns {Promise<Map>} Shell index (altitude / EXPOSURE_SHELL_WIDTH_KM, floored) → object count
+ */
+const getShellOccupancy = async (minAlt, maxAlt) => {
+  const shells = await Satellite.aggregate([
+    { $match: { orbitalAltitude: { $gte: minAlt - EXPOSURE_SHELL_WIDTH_KM, $lte: maxAlt + EXPOSURE_SHELL_WIDTH_KM } } },
+    { $group: { _id: { $floor: { $divide: ['$orbitalAltitude', EXPOSURE_SHELL_WIDTH_KM] } }, count: { $sum: 1 } } }
+  ]);
+  return new Map(shells.map(shell => [shell._id, shell.count]));
+};
+
+/**
+ * Conjunction exposure along a spiral, from the kinetic-gas flux n * sigma * v_rel
+ * in each shell: n is the shell's object density, sigma the area of a disc of
+ * radius EXPOSURE_SCREENING_KM and v_rel = 4/3 of the circular speed (equal-speed
+ * orbits crossing at random angles)
+ * @param {Array} path - Spiral samples from estimateLowThrustTransfer
+ * @param {Map} occupancy - From getShellOccupancy
+ * @returns {Object} { expectedConjunctions, screeningDistanceKm, busiestShells }
+ */
+const calculateConjunctionExposure = (path, occupancy) => {
+  const crossSection = Math.PI * EXPOSURE_SCREENING_KM * EXPOSURE_SCREENING_KM;
+  const shells = new Map();
+  let expectedConjunctions = 0;
+
+  for (let i = 1; i < path.length; i++) {
+    const altitude = (path[i].altitude + path[i - 1].altitude) / 2;
+    const dwellSeconds = path[i].elapsedSeconds - path[i - 1].elapsedSeconds;
+    const shellIndex = Math.floor(altitude / EXPOSURE_SHELL_WIDTH_KM);
+    const objects = occupancy.get(shellIndex) || 0;
+
+    const r = R_EARTH + (shellIndex + 0.5) * EXPOSURE_SHELL_WIDTH_KM;
+    const density = objects / (4 * Math.PI * r * r * EXPOSURE_SHELL_WIDTH_KM);
+    const relativeVelocity = (4 / 3) * (path[i].velocity + path[i - 1].velocity) / 2;
+    const exposure = density * crossSection * relativeVelocity * dwellSeconds;
+    expectedConjunctions += exposure;
+
+    const shell = shells.get(shellIndex) || {
+      altitudeMin: shellIndex * EXPOSURE_SHELL_WIDTH_KM,
+      altitudeMax: (shellIndex + 1) * EXPOSURE_SHELL_WIDTH_KM,
+      objects,
+      dwellDays: 0,
+      expectedConjunctions: 0
+    };
+    shell.dwellDays += dwellSeconds / 86400;
+    shell.expectedConjunctions += exposure;
+    shells.set(shellIndex, shell);
+  }
+
+  return {
+    expectedConjunctions,
+    screeningDistanceKm: EXPOSURE_SCREENING_KM,
+    shellsCrossed: shells.size,
+    busiestShells: [...shells.values()]
+      .sort((a, b) => b.expectedConjunctions - a.expectedConjunctions)
+      .slice(0, EXPOSURE_TOP_SHELLS)
+  };
+};
+
 /**
  * Estimate fuel mass required (simplified Tsiolkovsky rocket equation)
  * m_fuel = m_initial * (1 - e^(-deltaV / (Isp * g0)))
@@ -111,8 +275,10 @@ const estimateFuelMass = (deltaV, initialMass = 1000) => {
 
 /**
  * Generate multiple maneuver scenarios
+ * @param {Object} options - { strategy: 'impulsive' (default), 'low-thrust' or 'both' }
  */
-const generateManeuverScenarios = (satellite, currentRisk) => {
+const generateManeuverScenarios = (satellite, currentRisk, options = {}) => {
+  const { strategy = 'impulsive' } = options;
   const currentAlt = satellite.orbitalAltitude || 400;
   const currentInc = satellite.inclination || 0;
   const scenarios = [];
@@ -206,13 +372,26 @@ const generateManeuverScenarios = (satellite, currentRisk) => {
     });
   }
   
-  return scenarios.slice(0, MAX_SCENARIOS);
+  const targets = scenarios.slice(0, MAX_SCENARIOS);
+  const impulsive = targets.map(scenario => ({ ...scenario, strategy: 'impulsive' }));
+  // Same targets reached by spiralling with electric propulsion
+  const lowThrust = targets.map(scenario => ({
+    ...scenario,
+    id: `${scenario.id}-low-thrust`,
+    name: `${scenario.name} (Low-Thrust)`,
+    description: `${scenario.description} by low-thrust spiral`,
+    strategy: 'low-thrust'
+  }));
+
+  if (strategy === 'low-thrust') return lowThrust;
+  if (strategy === 'both') return [...impulsive, ...lowThrust];
+  return impulsive;
 };
 
 /**
  * Score a scenario based on multiple factors
  */
-const scoreScenario = (scenario, deltaV, projectedRisk, currentRisk, satelliteCount) => {
+const scoreScenario = (scenario, deltaV, projectedRisk, currentRisk, satelliteCount, fuel) => {
   const riskReduction = currentRisk - projectedRisk;
   
   // Normalize Delta-V cost (lower is better)
@@ -222,7 +401,7 @@ const scoreScenario = (scenario, deltaV, projectedRisk, currentRisk, satelliteCo
   const riskScore = Math.max(0, riskReduction * 100);
   
   // Fuel efficiency score
-  const fuelEst = estimateFuelMass(deltaV.totalDV);
+  const fuelEst = fuel || estimateFuelMass(deltaV.totalDV);
   const fuelScore = Math.max(0, 100 - fuelEst.fuelMassKg / 10);
   
   // Combined weighted score
@@ -283,10 +462,31 @@ const generateRecommendation = (best, allScenarios) => {
   };
 };
 
+/**
+ * Transfer summary for an impulsive scenario: the Hohmann coast, plus the plane
+ * change burn at the target orbit
+ */
+const describeImpulsiveTransfer = (currentAlt, newAlt) => {
+  const a = R_EARTH + (currentAlt + newAlt) / 2;
+  const coastSeconds = currentAlt === newAlt ? 0 : Math.PI * Math.sqrt(Math.pow(a, 3) / MU_EARTH);
+  return {
+    strategy: 'impulsive',
+    durationDays: coastSeconds / 86400,
+    revolutions: currentAlt === newAlt ? 0 : 0.5
+  };
+};
+
 /**
  * Main function: analyze all maneuver options for a satellite
+ * @param {Object} options - { strategy: 'impulsive' | 'low-thrust' | 'both',
+ *   propulsion: { thrustN, ispSeconds, massKg } for low-thrust scenarios }
  */
-const analyzeManeuverOptions = async (noradCatId) => {
+const analyzeManeuverOptions = async (noradCatId, options = {}) => {
+  const { strategy = 'impulsive', propulsion = {} } = options;
+  if (!MANEUVER_STRATEGIES.includes(strategy)) {
+    throw new Error(`Strategy must be one of: ${MANEUVER_STRATEGIES.join(', ')}`);
+  }
+
   const satellite = await Satellite.findOne({ noradCatId });
   
   if (!satellite) {
@@ -303,16 +503,46 @@ const analyzeManeuverOptions = async (noradCatId) => {
   });
   
   // Generate scenarios
-  const scenarios = generateManeuverScenarios(satellite, currentRisk);
+  const scenarios = generateManeuverScenarios(satellite, currentRisk, { strategy });
+
+  // Spirals are worked out first so the shells they cross can be counted in one query
+  const spirals = new Map();
+  scenarios.filter(scenario => scenario.strategy === 'low-thrust').forEach(scenario => {
+    spirals.set(scenario.id, estimateLowThrustTransfer(
+      currentAlt, scenario.newAltitude, currentInc, scenario.newInclination, propulsion));
+  });
+  let occupancy = new Map();
+  if (spirals.size > 0) {
+    const altitudes = [...spirals.values()].flatMap(spiral => spiral.path.map(point => point.altitude));
+    occupancy = await getShellOccupancy(Math.min(...altitudes), Math.max(...altitudes));
+  }
   
   // Calculate Delta-V and risk for each scenario
   const analyzedScenarios = scenarios.map(scenario => {
-    const deltaV = calculateCombinedManeuverDeltaV(
+    const spiral = spirals.get(scenario.id);
+    const deltaV = spiral ? spiral.deltaV : calculateCombinedManeuverDeltaV(
       currentAlt,
       scenario.newAltitude,
       currentInc,
       scenario.newInclination
     );
+
+    // Fuel estimation
+    const fuel = spiral
+      ? { fuelMassKg: spiral.propellantKg, massRatio: 1 - spiral.propellantKg / spiral.massKg, deltaV_ms: deltaV.totalDV * 1000 }
+      : estimateFuelMass(deltaV.totalDV);
+
+    const transfer = spiral ? {
+      strategy: spiral.strategy,
+      durationDays: spiral.durationDays,
+      revolutions: spiral.revolutions,
+      thrustN: spiral.thrustN,
+      ispSeconds: spiral.ispSeconds,
+      massKg: spiral.massKg,
+      initialAccelerationMs2: spiral.initialAccelerationMs2,
+      initialYawDeg: deltaV.initialYawDeg,
+      exposure: calculateConjunctionExposure(spiral.path, occupancy)
+    } : describeImpulsiveTransfer(currentAlt, scenario.newAltitude);
     
     // Simplified risk projection (altitude changes affect congestion)
     const altDiff = Math.abs(scenario.newAltitude - currentAlt);
@@ -325,16 +555,15 @@ const analyzeManeuverOptions = async (noradCatId) => {
       deltaV,
       projectedRisk,
       currentRisk,
-      nearbyCount
+      nearbyCount,
+      fuel
     );
     
-    // Fuel estimation
-    const fuel = estimateFuelMass(deltaV.totalDV);
-    
     return {
       ...scenario,
       deltaV,
       fuel,
+      transfer,
       currentRisk,
       projectedRisk,
       riskReduction: currentRisk - projectedRisk,
@@ -358,6 +587,7 @@ const analyzeManeuverOptions = async (noradCatId) => {
       name: s.name,
       description: s.description,
       priority: s.priority,
+      strategy: s.strategy,
       newAltitude: s.newAltitude,
       newInclination: s.newInclination,
       deltaV: {
@@ -368,6 +598,7 @@ const analyzeManeuverOptions = async (noradCatId) => {
       fuel: {
         massKg: Math.round(s.fuel.fuelMassKg * 10) / 10 || 0
       },
+      transfer: s.transfer,
       risk: {
         current: s.currentRisk,
         projected: Math.round(s.projectedRisk * 10000) / 10000,
@@ -386,6 +617,7 @@ const analyzeManeuverOptions = async (noradCatId) => {
         massKg: Math.round(result.bestOption.fuel.fuelMassKg * 10) / 10 || 0
       }
     },
+    strategy,
     recommendation: result.recommendation
   };
 };
@@ -442,11 +674,16 @@ module.exports = {
   calculateHohmannTransferDeltaV,
   calculateInclinationChangeDeltaV,
   calculateCombinedManeuverDeltaV,
+  calculateEdelbaumDeltaV,
+  estimateLowThrustTransfer,
+  calculateConjunctionExposure,
   estimateFuelMass,
   generateManeuverScenarios,
   analyzeManeuverOptions,
   compareScenarios,
   MU_EARTH,
   R_EARTH,
-  ALTITUDE_BANDS
+  ALTITUDE_BANDS,
+  MANEUVER_STRATEGIES,
+  LOW_THRUST_DEFAULTS
 };
@@ -0,0 +1,387 @@
+/**
+ * Monte Carlo Collision Probability
+ * Sampling-based Pc for encounters the short-encounter methods in pcMethods do not
+ * model well: long encounters, curved relative motion, or uncertainty that stops
+ * being Gaussian once propagated.
+ *
+ * Each sample draws a full 6-D state for both objects from their covariances at
+ * TCA, propagates the two through the encounter on two-body orbits and counts a
+ * hit when their closest approach falls inside the combined hard-body radius.
+ * Samples come from a seeded generator, so the same seed gives the same estimate,
+ * and batches are drawn until the confidence interval is within a target relative
+ * error of the estimate or the sample budget runs out. The event loop gets a turn
+ * between batches, so a long run does not hold up other requests.
+ *
+ * States are km and km/s, covariances m² (position) and m²/s² (velocity).
+ */
+
+const pcMethods = require('./pcMethods');
+
+const MU_EARTH = 398600.4418; // km³/s²
+const SQRT_MU = Math.sqrt(MU_EARTH);
+
+const CONFIG = {
+  DEFAULT_SEED: 1,
+  // Relative half-width of the confidence interval to reach before stopping
+  TARGET_RELATIVE_ERROR: 0.1,
+  CONFIDENCE_LEVEL: 0.95,
+  CONFIDENCE_Z: 1.959963984540054,
+  BATCH_SIZE: 5000,
+  MIN_SAMPLES: 10000,
+  MAX_SAMPLES: parseInt(process.env.MONTE_CARLO_MAX_SAMPLES, 10) || 1000000,
+  // Budget when an API request does not ask for one
+  INTERACTIVE_MAX_SAMPLES: parseInt(process.env.MONTE_CARLO_INTERACTIVE_MAX_SAMPLES, 10) || 100000,
+  // The encounter is searched out to this many combined σ along the relative velocity,
+  // never less than MIN_WINDOW_SECONDS nor more than a quarter of the shorter period
+  ENCOUNTER_SIGMA: 8,
+  MIN_WINDOW_SECONDS: 10,
+  CLOSEST_APPROACH_ITERATIONS: 8,
+  CLOSEST_APPROACH_TOLERANCE_S: 1e-6,
+  KEPLER_ITERATIONS: 30,
+  KEPLER_TOLERANCE: 1e-10
+};
+
+/**
+ * Seeded uniform generator on [0, 1): sfc32 with its state expanded from the seed by splitmix32
+ */
+const createRandom = (seed) => {
+  let s = seed >>> 0;
+  const splitmix = () => {
+    s = (s + 0x9e3779b9) >>> 0;
+    let z = s;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b) >>> 0;
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35) >>> 0;
+    return (z ^ (z >>> 16)) >>> 0;
+  };
+  let a = splitmix();
+  let b = splitmix();
+  let c = splitmix();
+  let d = splitmix();
+
+  return () => {
+    a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+    const t = (a + b + d) >>> 0;
+    d = (d + 1) >>> 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) >>> 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) >>> 0;
+    return t / 4294967296;
+  };
+};
+
+/**
+ * Standard normal deviates from a uniform generator (Box-Muller, both outputs used)
+ */
+const createNormal = (random) => {
+  let spare = null;
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+    let u = 0;
+    while (u === 0) u = random();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    const angle = 2 * Math.PI * random();
+    spare = radius * Math.sin(angle);
+    return radius * Math.cos(angle);
+  };
+};
+
+/**
+ * Lower-triangular L with L Lᵀ = C for a symmetric positive semi-definite n×n matrix;
+ * directions with no variance get a zero column
+ * @param {Array} matrix - Row-major n×n
+ */
+const cholesky = (matrix, n) => {
+  const L = new Array(n * n).fill(0);
+  for (let j = 0; j < n; j++) {
+    let diagonal = matrix[j * n + j];
+    for (let k = 0; k < j; k++) diagonal -= L[j * n + k] * L[j * n + k];
+    const scale = Math.abs(matrix[j * n + j]) || 1;
+    if (diagonal <= 1e-12 * scale) continue;
+
+    const pivot = Math.sqrt(diagonal);
+    L[j * n + j] = pivot;
+    for (let i = j + 1; i < n; i++) {
+      let sum = matrix[i * n + j];
+      for (let k = 0; k < j; k++) sum -= L[i * n + k] * L[j * n + k];
+      L[i * n + j] = sum / pivot;
+    }
+  }
+  return L;
+};
+
+/**
+ * 6x6 inertial state covariance of an object (m², m²/s²)
+ *
+ * The position block is the object's RTN covariance rotated into its state frame.
+ * Unless the state carries its own RTN velocity covariance, the velocity block is
+ * the position block scaled by the square of the orbit's mean motion, the size of
+ * velocity error that goes with a position error on a near-circular orbit, with no
+ * position-velocity correlation.
+ */
+const buildStateCovariance = (state) => {
+  const position = pcMethods.rtnToInertial(state.covariance.toArray(), state);
+  let velocity;
+  if (state.velocityCovariance) {
+    velocity = pcMethods.rtnToInertial(state.velocityCovariance, state);
+  } else {
+    const r = Math.sqrt(state.position.x ** 2 + state.position.y ** 2 + state.position.z ** 2);
+    const meanMotionSq = MU_EARTH / (r * r * r);
+    velocity = position.map(value => value * meanMotionSq);
+  }
+
+  const covariance = new Array(36).fill(0);
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      covariance[i * 6 + j] = position[i * 3 + j];
+      covariance[(i + 3) * 6 + (j + 3)] = velocity[i * 3 + j];
+    }
+  }
+  return covariance;
+};
+
+// Stumpff functions C(z) and S(z)
+const stumpff = (z) => {
+  if (z > 1e-6) {
+    const s = Math.sqrt(z);
+    return { C: (1 - Math.cos(s)) / z, S: (s - Math.sin(s)) / (s * z) };
+  }
+  if (z < -1e-6) {
+    const s = Math.sqrt(-z);
+    return { C: (Math.cosh(s) - 1) / -z, S: (Math.sinh(s) - s) / (s * -z) };
+  }
+  return { C: 1 / 2 - z / 24 + z * z / 720, S: 1 / 6 - z / 120 + z * z / 5040 };
+};
+
+/**
+ * Two-body state dt seconds from (r0, v0), by the universal-variable Kepler equation
+ * @param {Array} r0 - Position [x, y, z] (km)
+ * @param {Array} v0 - Velocity (km/s)
+ * @returns {Object} { position, velocity } as [x, y, z]
+ */
+const propagateTwoBody = (r0, v0, dt) => {
+  if (dt === 0) return { position: r0, velocity: v0 };
+
+  const r0Mag = Math.sqrt(r0[0] * r0[0] + r0[1] * r0[1] + r0[2] * r0[2]);
+  const v0Sq = v0[0] * v0[0] + v0[1] * v0[1] + v0[2] * v0[2];
+  const rv = (r0[0] * v0[0] + r0[1] * v0[1] + r0[2] * v0[2]) / SQRT_MU;
+  const alpha = 2 / r0Mag - v0Sq / MU_EARTH;
+
+  let chi = alpha > 1e-9 ? SQRT_MU * alpha * dt : SQRT_MU * dt / r0Mag;
+  let C = 0.5;
+  let S = 1 / 6;
+  let z = 0;
+  for (let i = 0; i < CONFIG.KEPLER_ITERATIONS; i++) {
+    z = alpha * chi * chi;
+    ({ C, S } = stumpff(z));
+    const chiSq = chi * chi;
+    const F = rv * chiSq * C + (1 - alpha * r0Mag) * chiSq * chi * S + r0Mag * chi - SQRT_MU * dt;
+    const dF = rv * chi * (1 - z * S) + (1 - alpha * r0Mag) * chiSq * C + r0Mag;
+    const step = F / dF;
+    chi -= step;
+    if (Math.abs(step) < CONFIG.KEPLER_TOLERANCE * (1 + Math.abs(chi))) break;
+  }
+  z = alpha * chi * chi;
+  ({ C, S } = stumpff(z));
+
+  const chiSq = chi * chi;
+  const f = 1 - chiSq / r0Mag * C;
+  const g = dt - chiSq * chi / SQRT_MU * S;
+  const position = [
+    f * r0[0] + g * v0[0],
+    f * r0[1] + g * v0[1],
+    f * r0[2] + g * v0[2]
+  ];
+  const rMag = Math.sqrt(position[0] * position[0] + position[1] * position[1] + position[2] * position[2]);
+  const fDot = SQRT_MU / (rMag * r0Mag) * (z * S - 1) * chi;
+  const gDot = 1 - chiSq / rMag * C;
+
+  return {
+    position,
+    velocity: [
+      fDot * r0[0] + gDot * v0[0],
+      fDot * r0[1] + gDot * v0[1],
+      fDot * r0[2] + gDot * v0[2]
+    ]
+  };
+};
+
+/**
+ * Closest approach of two two-body trajectories within ±window seconds of the epoch
+ * of their states, by Newton iteration on the range rate from the straight-line estimate
+ * @returns {number} Minimum separation found (km)
+ */
+const closestApproachDistance = (rA, vA, rB, vB, window) => {
+  const relative = (a, b) => [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+  const rho0 = relative(rA, rB);
+  const rhoDot0 = relative(vA, vB);
+  const speedSq = dot(rhoDot0, rhoDot0);
+  let t = speedSq > 0 ? -dot(rho0, rhoDot0) / speedSq : 0;
+  t = Math.max(-window, Math.min(window, t));
+
+  let best = Infinity;
+  for (let i = 0; i < CONFIG.CLOSEST_APPROACH_ITERATIONS; i++) {
+    const a = propagateTwoBody(rA, vA, t);
+    const b = propagateTwoBody(rB, vB, t);
+    const rho = relative(a.position, b.position);
+    const rhoDot = relative(a.velocity, b.velocity);
+    best = Math.min(best, Math.sqrt(dot(rho, rho)));
+
+    // Relative acceleration from two-body gravity of each object
+    const rAMag = Math.sqrt(dot(a.position, a.position));
+    const rBMag = Math.sqrt(dot(b.position, b.position));
+    const kA = MU_EARTH / (rAMag * rAMag * rAMag);
+    const kB = MU_EARTH / (rBMag * rBMag * rBMag);
+    const rhoDDot = [
+      kA * a.position[0] - kB * b.position[0],
+      kA * a.position[1] - kB * b.position[1],
+      kA * a.position[2] - kB * b.position[2]
+    ];
+
+    const rangeRate = dot(rho, rhoDot);
+    const curvature = dot(rhoDot, rhoDot) + dot(rho, rhoDDot);
+    if (!(curvature > 0)) break;
+    const next = Math.max(-window, Math.min(window, t - rangeRate / curvature));
+    if (Math.abs(next - t) < CONFIG.CLOSEST_APPROACH_TOLERANCE_S) break;
+    t = next;
+  }
+  return best;
+};
+
+/**
+ * Wilson score interval of a binomial proportion; defined for zero hits
+ */
+const wilsonInterval = (hits, samples, z) => {
+  const p = hits / samples;
+  const zSq = z * z;
+  const denominator = 1 + zSq / samples;
+  const centre = (p + zSq / (2 * samples)) / denominator;
+  const halfWidth = z * Math.sqrt(p * (1 - p) / samples + zSq / (4 * samples * samples)) / denominator;
+  return [Math.max(0, centre - halfWidth), Math.min(1, centre + halfWidth)];
+};
+
+// Half-width of the encounter window searched around TCA (s)
+const encounterWindow = (stateA, stateB, combinedCovariance) => {
+  const relativeVelocity = {
+    x: stateB.velocity.x - stateA.velocity.x,
+    y: stateB.velocity.y - stateA.velocity.y,
+    z: stateB.velocity.z - stateA.velocity.z
+  };
+  const speed = Math.sqrt(relativeVelocity.x ** 2 + relativeVelocity.y ** 2 + relativeVelocity.z ** 2) * 1000;
+  const period = (state) => {
+    const r = Math.sqrt(state.position.x ** 2 + state.position.y ** 2 + state.position.z ** 2);
+    const vSq = state.velocity.x ** 2 + state.velocity.y ** 2 + state.velocity.z ** 2;
+    const a = 1 / (2 / r - vSq / MU_EARTH);
+    return a > 0 ? 2 * Math.PI * Math.sqrt(a * a * a / MU_EARTH) : Infinity;
+  };
+  const maxWindow = Math.min(period(stateA), period(stateB)) / 4;
+
+  // Largest combined position σ (m), crossed at the relative speed
+  const sigmaPosition = Math.sqrt(Math.max(
+    combinedCovariance[0], combinedCovariance[7], combinedCovariance[14]
+  ));
+  const window = speed > 0 ? CONFIG.ENCOUNTER_SIGMA * sigmaPosition / speed : maxWindow;
+  return Math.min(maxWindow, Math.max(CONFIG.MIN_WINDOW_SECONDS, window));
+};
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Monte Carlo Pc of two states at TCA
+ * @param {Object} stateA - { position (km), velocity (km/s), covariance: Matrix3 RTN (m²) },
+ *   optionally velocityCovariance (9-element RTN, m²/s²)
+ * @param {Object} stateB - Same shape as stateA
+ * @param {number} hardBodyRadius - Combined hard-body radius (m)
+ * @param {Object} options - { seed, targetRelativeError, maxSamples }
+ * @returns {Promise<Object>} { probabilityOfCollision, method: 'montecarlo', parameters } with
+ *   the confidence interval, samples drawn, hits and whether the target error was reached
+ */
+const computeMonteCarloPc = async (stateA, stateB, hardBodyRadius, options = {}) => {
+  const seed = Number.isInteger(options.seed) ? options.seed : CONFIG.DEFAULT_SEED;
+  const targetRelativeError = options.targetRelativeError > 0 ? options.targetRelativeError : CONFIG.TARGET_RELATIVE_ERROR;
+  const maxSamples = options.maxSamples > 0 ? Math.floor(options.maxSamples) : CONFIG.MAX_SAMPLES;
+  const z = CONFIG.CONFIDENCE_Z;
+
+  const covarianceA = buildStateCovariance(stateA);
+  const covarianceB = buildStateCovariance(stateB);
+  const factorA = cholesky(covarianceA, 6);
+  const factorB = cholesky(covarianceB, 6);
+  const window = encounterWindow(stateA, stateB, covarianceA.map((value, i) => value + covarianceB[i]));
+
+  const nominalA = [stateA.position.x, stateA.position.y, stateA.position.z, stateA.velocity.x, stateA.velocity.y, stateA.velocity.z];
+  const nominalB = [stateB.position.x, stateB.position.y, stateB.position.z, stateB.velocity.x, stateB.velocity.y, stateB.velocity.z];
+  const radiusKm = hardBodyRadius / 1000;
+  const normal = createNormal(createRandom(seed));
+  const deviates = new Array(6);
+
+  // Nominal state plus L·ξ, the perturbation converted from m to km
+  const sample = (nominal, factor) => {
+    for (let i = 0; i < 6; i++) deviates[i] = normal();
+    const state = new Array(6);
+    for (let i = 0; i < 6; i++) {
+      let offset = 0;
+      for (let k = 0; k <= i; k++) offset += factor[i * 6 + k] * deviates[k];
+      state[i] = nominal[i] + offset / 1000;
+    }
+    return state;
+  };
+
+  let samples = 0;
+  let hits = 0;
+  let relativeError = Infinity;
+  let converged = false;
+  while (samples < maxSamples) {
+    const batch = Math.min(CONFIG.BATCH_SIZE, maxSamples - samples);
+    for (let n = 0; n < batch; n++) {
+      const a = sample(nominalA, factorA);
+      const b = sample(nominalB, factorB);
+      const distance = closestApproachDistance(a.slice(0, 3), a.slice(3), b.slice(0, 3), b.slice(3), window);
+      if (distance <= radiusKm) hits++;
+    }
+    samples += batch;
+
+    if (hits > 0) {
+      const p = hits / samples;
+      relativeError = z * Math.sqrt((1 - p) / (samples * p));
+    }
+    if (samples >= CONFIG.MIN_SAMPLES && relativeError <= targetRelativeError) {
+      converged = true;
+      break;
+    }
+    if (samples < maxSamples) await yieldToEventLoop();
+  }
+
+  const [lower, upper] = wilsonInterval(hits, samples, z);
+  return {
+    probabilityOfCollision: hits / samples,
+    method: 'montecarlo',
+    parameters: {
+      hardBodyRadius,
+      seed,
+      samples,
+      hits,
+      confidenceLevel: CONFIG.CONFIDENCE_LEVEL,
+      confidenceInterval: { lower, upper },
+      relativeError: isFinite(relativeError) ? relativeError : null,
+      targetRelativeError,
+      converged,
+      encounterWindowSeconds: window
+    }
+  };
+};
+
+module.exports = {
+  CONFIG,
+  computeMonteCarloPc,
+  buildStateCovariance,
+  propagateTwoBody,
+  closestApproachDistance,
+  createRandom,
+  wilsonInterval
+};
@@ -0,0 +1,754 @@
+/**
+ * Numerical Orbit Propagator
+ * Special-perturbations propagation of a single state vector, for the work SGP4
+ * cannot do: planned burns, a chosen ballistic coefficient and long decay runs.
+ *
+ * Forces: point-mass gravity with the J2-J6 zonal harmonics, drag through an
+ * exponential atmosphere rotating with the Earth, and solar radiation pressure
+ * with a cylindrical Earth shadow. Burns are impulsive (a velocity change at an
+ * instant) or finite (constant thrust along an RTN direction, with mass flow).
+ *
+ * Integration is Dormand-Prince 5(4) with adaptive steps. Burn times and output
+ * times are step boundaries, and the method's continuous extension gives the state
+ * anywhere inside a step.
+ *
+ * States are in the TEME frame (treated as inertial) in km and km/s, like the rest
+ * of the engines; burns are in m/s, thrust in N and mass in kg.
+ */
+
+const satellite = require('satellite.js');
+const { rtnBasis } = require('../utils/frames');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const CONFIG = {
+  MU: 398600.4418,            // km³/s²
+  EARTH_RADIUS_KM: 6378.137,
+  // Unnormalised zonal coefficients J2-J6 (EGM96)
+  ZONAL_COEFFICIENTS: [0, 0, 1.08262668e-3, -2.53265649e-6, -1.61962159e-6, -2.27296083e-7, 5.40681239e-7],
+  MAX_ZONAL_DEGREE: 6,
+  EARTH_ROTATION_RAD_S: 7.292115e-5,
+  DEFAULT_DRAG_COEFFICIENT: 2.2,
+  DEFAULT_REFLECTIVITY: 1.3,
+  DEFAULT_AREA_TO_MASS: 0.01,  // m²/kg
+  DEFAULT_MASS_KG: 1000,
+  // SGP4 reference density used to turn B* into a ballistic coefficient (kg/m² per Earth radius)
+  BSTAR_REFERENCE_DENSITY: 0.15696615,
+  SOLAR_PRESSURE_N_M2: 4.56e-6, // at 1 AU
+  AU_KM: 149597870.7,
+  G0: 9.80665,
+  // Step control
+  RELATIVE_TOLERANCE: 1e-10,
+  ABSOLUTE_TOLERANCE: 1e-9,
+  INITIAL_STEP_SECONDS: 10,
+  MIN_STEP_SECONDS: 1e-4,
+  MAX_STEP_SECONDS: 900,
+  MAX_STEPS: 5000000,
+  // Propagation stops when the object sinks below this altitude
+  REENTRY_ALTITUDE_KM: 100,
+  MAX_DURATION_DAYS: 3650,
+  MAX_OUTPUT_STATES: 100000,
+  // Limits for propagation requested over the API, which runs on the request thread.
+  // LEO takes about 2800 steps per day at the default tolerance, ~14 µs each.
+  REQUEST_MAX_DURATION_DAYS: 30,
+  REQUEST_MAX_STEPS: 100000
+};
+
+// Exponential atmosphere: base altitude (km), density at base (kg/m³), scale height (km)
+const ATMOSPHERE = [
+  [0, 1.225, 7.249],
+  [25, 3.899e-2, 6.349],
+  [30, 1.774e-2, 6.682],
+  [40, 3.972e-3, 7.554],
+  [50, 1.057e-3, 8.382],
+  [60, 3.206e-4, 7.714],
+  [70, 8.770e-5, 6.549],
+  [80, 1.905e-5, 5.799],
+  [90, 3.396e-6, 5.382],
+  [100, 5.297e-7, 5.877],
+  [110, 9.661e-8, 7.263],
+  [120, 2.438e-8, 9.473],
+  [130, 8.484e-9, 12.636],
+  [140, 3.845e-9, 16.149],
+  [150, 2.070e-9, 22.523],
+  [180, 5.464e-10, 29.740],
+  [200, 2.789e-10, 37.105],
+  [250, 7.248e-11, 45.546],
+  [300, 2.418e-11, 53.628],
+  [350, 9.518e-12, 53.298],
+  [400, 3.725e-12, 58.515],
+  [450, 1.585e-12, 60.828],
+  [500, 6.967e-13, 63.822],
+  [600, 1.454e-13, 71.835],
+  [700, 3.614e-14, 88.667],
+  [800, 1.170e-14, 124.64],
+  [900, 5.245e-15, 181.05],
+  [1000, 3.019e-15, 268.00]
+];
+
+// Dormand-Prince 5(4) tableau
+const C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const A = [
+  [],
+  [1 / 5],
+  [3 / 40, 9 / 40],
+  [44 / 45, -56 / 15, 32 / 9],
+  [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+  [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+  [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+// Fifth-order solution minus the embedded fourth-order one
+const E = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+// Continuous extension
+const D = [
+  -12715105075 / 11282082432, 0, 87487479700 / 32700410799, -10690763975 / 1880347072,
+  701980252875 / 199316789632, -1453857185 / 822651844, 69997945 / 29380423
+];
+
+/**
+ * Atmospheric density (kg/m³) at a height above the equatorial radius
+ */
+const atmosphericDensity = (altitudeKm) => {
+  if (altitudeKm < 0) return ATMOSPHERE[0][1];
+  let i = ATMOSPHERE.length - 1;
+  while (i > 0 && altitudeKm < ATMOSPHERE[i][0]) i--;
+  const [base, density, scaleHeight] = ATMOSPHERE[i];
+  return density * Math.exp(-(altitudeKm - base) / scaleHeight);
+};
+
+/**
+ * Low-precision Sun position (km) in the mean equator of date, good to about 0.01°
+ */
+const sunPosition = (timeMs) => {
+  const T = (timeMs / 86400000 + 2440587.5 - 2451545.0) / 36525;
+  const deg = Math.PI / 180;
+  const meanLongitude = 280.460 + 36000.771 * T;
+  const meanAnomaly = (357.5291092 + 35999.05034 * T) * deg;
+  const longitude = (meanLongitude + 1.914666471 * Math.sin(meanAnomaly) + 0.019994643 * Math.sin(2 * meanAnomaly)) * deg;
+  const distance = (1.000140612 - 0.016708617 * Math.cos(meanAnomaly) - 0.000139589 * Math.cos(2 * meanAnomaly)) * CONFIG.AU_KM;
+  const obliquity = (23.439291 - 0.0130042 * T) * deg;
+  return {
+    x: distance * Math.cos(longitude),
+    y: distance * Math.cos(obliquity) * Math.sin(longitude),
+    z: distance * Math.sin(obliquity) * Math.sin(longitude)
+  };
+};
+
+/**
+ * Point-mass and zonal gravity. Each term -μ Jn Rⁿ Pn(z/r) / rⁿ⁺¹ of the potential
+ * is differentiated with the Legendre recursions, so any degree up to 6 is one loop.
+ */
+const gravityAcceleration = (x, y, z, zonalDegree, out) => {
+  const r2 = x * x + y * y + z * z;
+  const r = Math.sqrt(r2);
+  const mu = CONFIG.MU;
+  const muOverR3 = mu / (r2 * r);
+  let ax = -muOverR3 * x;
+  let ay = -muOverR3 * y;
+  let az = -muOverR3 * z;
+
+  if (zonalDegree >= 2) {
+    const u = z / r;
+    // ∂u/∂x = -zx/r³, ∂u/∂y = -zy/r³, ∂u/∂z = 1/r - z²/r³
+    const dux = -u * x / r2;
+    const duy = -u * y / r2;
+    const duz = (1 - u * u) / r;
+    const ratio = CONFIG.EARTH_RADIUS_KM / r;
+
+    let pPrev = 1;        // P0
+    let p = u;            // P1
+    let dpPrev = 0;       // P0'
+    let dp = 1;           // P1'
+    let ratioN = ratio;
+    for (let n = 1; n < zonalDegree; n++) {
+      // Advance to degree n + 1
+      const pNext = ((2 * n + 1) * u * p - n * pPrev) / (n + 1);
+      const dpNext = dpPrev + (2 * n + 1) * p;
+      pPrev = p;
+      p = pNext;
+      dpPrev = dp;
+      dp = dpNext;
+      ratioN *= ratio;
+
+      const degree = n + 1;
+      const J = CONFIG.ZONAL_COEFFICIENTS[degree];
+      // Term potential is -(μ/r) J (R/r)ⁿ Pn(u)
+      const scale = -(mu / r) * J * ratioN;
+      const radial = -(degree + 1) * p / r2;  // from r^-(n+1), times x_i
+      ax += scale * (radial * x + dp * dux);
+      ay += scale * (radial * y + dp * duy);
+      az += scale * (radial * z + dp * duz);
+    }
+  }
+
+  out[0] = ax;
+  out[1] = ay;
+  out[2] = az;
+};
+
+/**
+ * Derivative of the state [x, y, z, vx, vy, vz, m] at a time
+ */
+const createDerivative = (model) => {
+  const gravity = [0, 0, 0];
+  const omega = CONFIG.EARTH_ROTATION_RAD_S;
+
+  return (timeMs, state, out) => {
+    const [x, y, z, vx, vy, vz, mass] = state;
+    gravityAcceleration(x, y, z, model.zonalDegree, gravity);
+    let ax = gravity[0];
+    let ay = gravity[1];
+    let az = gravity[2];
+    let massRate = 0;
+
+    if (model.drag) {
+      const altitude = Math.sqrt(x * x + y * y + z * z) - CONFIG.EARTH_RADIUS_KM;
+      const density = atmosphericDensity(altitude) * model.drag.densityScale;
+      // Velocity relative to the co-rotating atmosphere
+      const rx = vx + omega * y;
+      const ry = vy - omega * x;
+      const rz = vz;
+      const speed = Math.sqrt(rx * rx + ry * ry + rz * rz);
+      // ½ Cd A/m ρ |v| v with v in m/s gives m/s²; in km and km/s that is a factor of 1000
+      const factor = -0.5 * model.drag.coefficient * model.drag.areaToMass * density * speed * 1000;
+      ax += factor * rx;
+      ay += factor * ry;
+      az += factor * rz;
+    }
+
+    if (model.srp) {
+      const sun = sunPosition(timeMs);
+      const sunDistance = Math.sqrt(sun.x * sun.x + sun.y * sun.y + sun.z * sun.z);
+      const along = (x * sun.x + y * sun.y + z * sun.z) / sunDistance;
+      const perpendicular2 = x * x + y * y + z * z - along * along;
+      const inShadow = along < 0 && perpendicular2 < CONFIG.EARTH_RADIUS_KM * CONFIG.EARTH_RADIUS_KM;
+      if (!inShadow) {
+        const dx = x - sun.x;
+        const dy = y - sun.y;
+        const dz = z - sun.z;
+        const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        const pressure = CONFIG.SOLAR_PRESSURE_N_M2 * (CONFIG.AU_KM / d) ** 2;
+        // Away from the Sun, m/s² converted to km/s²
+        const factor = pressure * model.srp.reflectivity * model.srp.areaToMass / 1000 / d;
+        ax += factor * dx;
+        ay += factor * dy;
+        az += factor * dz;
+      }
+    }
+
+    const thrust = model.activeBurn;
+    if (thrust) {
+      const { R, T, N } = rtnBasis({ x, y, z }, { x: vx, y: vy, z: vz });
+      const d = thrust.direction;
+      const accel = thrust.thrustN / mass / 1000;
+      ax += accel * (R.x * d.radial + T.x * d.transverse + N.x * d.normal);
+      ay += accel * (R.y * d.radial + T.y * d.transverse + N.y * d.normal);
+      az += accel * (R.z * d.radial + T.z * d.transverse + N.z * d.normal);
+      massRate = -thrust.thrustN / (thrust.isp * CONFIG.G0);
+    }
+
+    out[0] = vx;
+    out[1] = vy;
+    out[2] = vz;
+    out[3] = ax;
+    out[4] = ay;
+    out[5] = az;
+    out[6] = massRate;
+  };
+};
+
+const toVector = (value, field) => {
+  if (!value || typeof value !== 'object' || !['x', 'y', 'z'].every(axis => Number.isFinite(value[axis]))) {
+    throw new ValidationError(`${field} must be an object with numeric x, y and z`);
+  }
+  return value;
+};
+
+const toTime = (value, field) => {
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  if (!Number.isFinite(time)) {
+    throw new ValidationError(`${field} must be a valid date`);
+  }
+  return time;
+};
+
+const unitRTN = (direction, field) => {
+  const radial = direction?.radial || 0;
+  const transverse = direction?.transverse || 0;
+  const normal = direction?.normal || 0;
+  const norm = Math.hypot(radial, transverse, normal);
+  if (!Number.isFinite(norm) || norm === 0) {
+    throw new ValidationError(`${field} must have a non-zero radial, transverse or normal component`);
+  }
+  return { radial: radial / norm, transverse: transverse / norm, normal: normal / norm };
+};
+
+/**
+ * Drag parameters equivalent to an element set's B*, for objects with no known
+ * area and mass. B* = ρ₀ Cd A/m / 2, so A/m follows once Cd is fixed.
+ * @param {number} bstar - B* in inverse Earth radii
+ * @returns {Object|null} { coefficient, areaToMass } or null when B* is not positive
+ */
+const dragFromBstar = (bstar, coefficient = CONFIG.DEFAULT_DRAG_COEFFICIENT) => {
+  if (!(bstar > 0)) return null;
+  return {
+    coefficient,
+    areaToMass: (2 * bstar / CONFIG.BSTAR_REFERENCE_DENSITY) / coefficient
+  };
+};
+
+/**
+ * Drag parameters from a catalog object's B*, read from the element set when the
+ * record does not carry it
+ * @param {Object} sat - Satellite record
+ */
+const dragFromElements = (sat) => {
+  if (Number.isFinite(sat.bstar)) return dragFromBstar(sat.bstar);
+  const line1 = sat.tleLine1 || sat.tle?.line1;
+  const line2 = sat.tleLine2 || sat.tle?.line2;
+  return line1 && line2 ? dragFromBstar(satellite.twoline2satrec(line1, line2).bstar) : null;
+};
+
+/**
+ * Force model from request options; drag and SRP are off unless given
+ * @param {Object} forces - { zonalDegree (0 or 2-6, default 6),
+ *   drag: { coefficient, areaToMass (m²/kg), densityScale } | false,
+ *   srp: { reflectivity, areaToMass (m²/kg) } | false }
+ */
+const buildForceModel = (forces = {}) => {
+  const zonalDegree = forces.zonalDegree ?? CONFIG.MAX_ZONAL_DEGREE;
+  if (!Number.isInteger(zonalDegree) || zonalDegree < 0 || zonalDegree > CONFIG.MAX_ZONAL_DEGREE || zonalDegree === 1) {
+    throw new ValidationError(`forces.zonalDegree must be 0 or an integer from 2 to ${CONFIG.MAX_ZONAL_DEGREE}`);
+  }
+
+  const positive = (value, fallback, field) => {
+    const number = value ?? fallback;
+    if (!Number.isFinite(number) || number < 0) {
+      throw new ValidationError(`${field} must be a non-negative number`);
+    }
+    return number;
+  };
+
+  return {
+    zonalDegree,
+    drag: forces.drag ? {
+      coefficient: positive(forces.drag.coefficient, CONFIG.DEFAULT_DRAG_COEFFICIENT, 'forces.drag.coefficient'),
+      areaToMass: positive(forces.drag.areaToMass, CONFIG.DEFAULT_AREA_TO_MASS, 'forces.drag.areaToMass'),
+      densityScale: positive(forces.drag.densityScale, 1, 'forces.drag.densityScale')
+    } : null,
+    srp: forces.srp ? {
+      reflectivity: positive(forces.srp.reflectivity, CONFIG.DEFAULT_REFLECTIVITY, 'forces.srp.reflectivity'),
+      areaToMass: positive(forces.srp.areaToMass, CONFIG.DEFAULT_AREA_TO_MASS, 'forces.srp.areaToMass')
+    } : null,
+    activeBurn: null
+  };
+};
+
+/**
+ * Burns sorted by time
+ * @param {Array} burns - Impulsive: { time, deltaV: { radial, transverse, normal } (m/s), isp };
+ *   finite: { start, durationSeconds, thrustN, isp (s), direction: { radial, transverse, normal } }
+ * @returns {Object} { impulses: [{ timeMs, deltaV, isp }], finite: [{ startMs, endMs, thrustN, isp, direction }] }
+ */
+const normalizeBurns = (burns = []) => {
+  if (!Array.isArray(burns)) {
+    throw new ValidationError('burns must be an array');
+  }
+
+  const impulses = [];
+  const finite = [];
+  burns.forEach((burn, index) => {
+    const field = `burns[${index}]`;
+    if (burn.durationSeconds !== undefined || burn.thrustN !== undefined) {
+      const startMs = toTime(burn.start, `${field}.start`);
+      if (!(burn.durationSeconds > 0) || !(burn.thrustN > 0) || !(burn.isp > 0)) {
+        throw new ValidationError(`${field} needs positive durationSeconds, thrustN and isp`);
+      }
+      finite.push({
+        startMs,
+        endMs: startMs + burn.durationSeconds * 1000,
+        thrustN: burn.thrustN,
+        isp: burn.isp,
+        direction: unitRTN(burn.direction, `${field}.direction`)
+      });
+    } else {
+      const deltaV = burn.deltaV || {};
+      const components = ['radial', 'transverse', 'normal'].map(axis => deltaV[axis] ?? 0);
+      if (!components.every(Number.isFinite)) {
+        throw new ValidationError(`${field}.deltaV must have numeric radial, transverse and normal components`);
+      }
+      if (burn.isp !== undefined && !(burn.isp > 0)) {
+        throw new ValidationError(`${field}.isp must be positive`);
+      }
+      impulses.push({
+        timeMs: toTime(burn.time, `${field}.time`),
+        deltaV: { radial: components[0], transverse: components[1], normal: components[2] },
+        isp: burn.isp
+      });
+    }
+  });
+
+  finite.sort((a, b) => a.startMs - b.startMs);
+  for (let i = 1; i < finite.length; i++) {
+    if (finite[i].startMs < finite[i - 1].endMs) {
+      throw new ValidationError('Finite burns must not overlap');
+    }
+  }
+
+  return {
+    impulses: impulses.sort((a, b) => a.timeMs - b.timeMs),
+    finite
+  };
+};
+
+const applyImpulse = (state, impulse) => {
+  const { R, T, N } = rtnBasis(
+    { x: state[0], y: state[1], z: state[2] },
+    { x: state[3], y: state[4], z: state[5] }
+  );
+  const { radial, transverse, normal } = impulse.deltaV;
+  state[3] += (R.x * radial + T.x * transverse + N.x * normal) / 1000;
+  state[4] += (R.y * radial + T.y * transverse + N.y * normal) / 1000;
+  state[5] += (R.z * radial + T.z * transverse + N.z * normal) / 1000;
+  if (impulse.isp) {
+    const magnitude = Math.hypot(radial, transverse, normal);
+    state[6] *= Math.exp(-magnitude / (impulse.isp * CONFIG.G0));
+  }
+};
+
+/**
+ * Step-size tolerances; looser values trade accuracy for speed on long decay runs
+ * @param {Object} tolerance - { relative, absolute }
+ */
+const readTolerance = (tolerance = {}) => {
+  const relative = tolerance.relative ?? CONFIG.RELATIVE_TOLERANCE;
+  const absolute = tolerance.absolute ?? CONFIG.ABSOLUTE_TOLERANCE;
+  if (!(relative > 0 && relative < 1) || !(absolute > 0)) {
+    throw new ValidationError('tolerance.relative must be between 0 and 1 and tolerance.absolute positive');
+  }
+  return { relative, absolute };
+};
+
+const altitudeOf = (state) => Math.sqrt(state[0] * state[0] + state[1] * state[1] + state[2] * state[2]) - CONFIG.EARTH_RADIUS_KM;
+
+/**
+ * One accepted or rejected Dormand-Prince step
+ * @returns {Object} { y, k (stages, k[6] is the derivative at the end), error }
+ */
+const dormandPrinceStep = (f, t, y, k0, hSeconds, scratch, tolerance) => {
+  const n = y.length;
+  const k = scratch.k;
+  k[0] = k0;
+  const yStage = scratch.yStage;
+  for (let s = 1; s < 7; s++) {
+    for (let i = 0; i < n; i++) {
+      let sum = 0;
+      for (let j = 0; j < s; j++) sum += A[s][j] * k[j][i];
+      yStage[i] = y[i] + hSeconds * sum;
+    }
+    if (!k[s] || k[s] === k0) k[s] = new Array(n);
+    f(t + C[s] * hSeconds * 1000, yStage, k[s]);
+  }
+
+  // Stage 7 was evaluated at the fifth-order solution (FSAL)
+  const yNext = yStage.slice();
+  let errorNorm = 0;
+  for (let i = 0; i < n; i++) {
+    let err = 0;
+    for (let j = 0; j < 7; j++) err += E[j] * k[j][i];
+    err *= hSeconds;
+    const scale = tolerance.absolute + tolerance.relative * Math.max(Math.abs(y[i]), Math.abs(yNext[i]));
+    errorNorm += (err / scale) ** 2;
+  }
+
+  return { y: yNext, k: k.map(stage => stage.slice()), error: Math.sqrt(errorNorm / n) };
+};
+
+/**
+ * State inside a step from the continuous extension
+ * @param {Object} step - { t0, h (s), y0, y1, k }
+ * @param {number} timeMs
+ */
+const interpolateStep = (step, timeMs) => {
+  const theta = (timeMs - step.t0) / (step.h * 1000);
+  const theta1 = 1 - theta;
+  const { y0, y1, k, h } = step;
+  const out = new Array(y0.length);
+  for (let i = 0; i < y0.length; i++) {
+    const diff = y1[i] - y0[i];
+    const bspl = h * k[0][i] - diff;
+    const r4 = diff - h * k[6][i] - bspl;
+    let r5 = 0;
+    for (let j = 0; j < 7; j++) r5 += D[j] * k[j][i];
+    r5 *= h;
+    out[i] = y0[i] + theta * (diff + theta1 * (bspl + theta * (r4 + theta1 * r5)));
+  }
+  return out;
+};
+
+/**
+ * Integrate from t0 to t1 with no burn boundary in between
+ * @param {number} maxSteps - Accepted steps allowed over the whole run
+ * @param {Function} onStep - Called with each accepted step; returning true stops early
+ * @returns {Object} { t, y, k0, h, stopped }
+ */
+const integrateSegment = (f, t0, y0, t1, hInitial, tolerance, stats, maxSteps, onStep) => {
+  const n = y0.length;
+  const scratch = { k: new Array(7), yStage: new Array(n) };
+  let t = t0;
+  let y = y0.slice();
+  let k0 = new Array(n);
+  f(t, y, k0);
+  stats.evaluations++;
+  let h = Math.min(hInitial, CONFIG.MAX_STEP_SECONDS);
+
+  while (t < t1) {
+    if (stats.steps >= maxSteps) {
+      throw new ValidationError(
+        `Propagation needs more than ${maxSteps} steps; shorten the span or loosen the tolerance`
+      );
+    }
+    const remaining = (t1 - t) / 1000;
+    const last = h >= remaining;
+    const hStep = last ? remaining : h;
+
+    const result = dormandPrinceStep(f, t, y, k0, hStep, scratch, tolerance);
+    stats.evaluations += 6;
+
+    const factor = result.error === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * result.error ** -0.2));
+    if (result.error <= 1 || hStep <= CONFIG.MIN_STEP_SECONDS) {
+      const step = { t0: t, h: hStep, y0: y, y1: result.y, k: result.k };
+      stats.steps++;
+      t = last ? t1 : t + hStep * 1000;
+      y = result.y;
+      k0 = result.k[6];
+      if (!last) h = Math.min(CONFIG.MAX_STEP_SECONDS, hStep * factor);
+      if (onStep && onStep(step)) {
+        return { t, y, k0, h, stopped: true };
+      }
+    } else {
+      stats.rejected++;
+      h = Math.max(CONFIG.MIN_STEP_SECONDS, hStep * factor);
+    }
+  }
+
+  return { t, y, k0, h, stopped: false };
+};
+
+/**
+ * Time the altitude first falls to the reentry altitude inside a step, by bisection
+ */
+const findReentryTime = (step) => {
+  let low = step.t0;
+  let high = step.t0 + step.h * 1000;
+  for (let i = 0; i < 50 && high - low > 1; i++) {
+    const mid = (low + high) / 2;
+    if (altitudeOf(interpolateStep(step, mid)) <= CONFIG.REENTRY_ALTITUDE_KM) high = mid;
+    else low = mid;
+  }
+  return high;
+};
+
+const toStateVector = (timeMs, y) => ({
+  time: new Date(timeMs),
+  position: { x: y[0], y: y[1], z: y[2] },
+  velocity: { x: y[3], y: y[4], z: y[5] },
+  massKg: y[6],
+  altitude: altitudeOf(y)
+});
+
+/**
+ * Read and check the initial state
+ * @param {Object} initial - { epoch, position {x,y,z} (km), velocity {x,y,z} (km/s), massKg }
+ */
+const readInitialState = (initial) => {
+  if (!initial || typeof initial !== 'object') {
+    throw new ValidationError('initial state is required');
+  }
+  const epochMs = toTime(initial.epoch, 'epoch');
+  const position = toVector(initial.position, 'position');
+  const velocity = toVector(initial.velocity, 'velocity');
+  const massKg = initial.massKg ?? CONFIG.DEFAULT_MASS_KG;
+  if (!(massKg > 0)) {
+    throw new ValidationError('massKg must be positive');
+  }
+  const y = [position.x, position.y, position.z, velocity.x, velocity.y, velocity.z, massKg];
+  if (altitudeOf(y) <= CONFIG.REENTRY_ALTITUDE_KM) {
+    throw new ValidationError(`Initial altitude is below ${CONFIG.REENTRY_ALTITUDE_KM} km`);
+  }
+  return { epochMs, y };
+};
+
+/**
+ * Propagate from the initial state to endMs, handing every accepted step to onStep.
+ * Burns before the epoch or after the end are ignored. options.maxDurationDays and
+ * options.maxSteps tighten the CONFIG limits.
+ * @returns {Object} { endMs, y, reentry: { time, ... } | null, forces, stats }
+ */
+const run = (initial, endMs, options, onStep) => {
+  const { epochMs, y: y0 } = readInitialState(initial);
+  if (!(endMs > epochMs)) {
+    throw new ValidationError('end must be after the initial epoch');
+  }
+  const maxDurationDays = Math.min(options.maxDurationDays ?? Infinity, CONFIG.MAX_DURATION_DAYS);
+  if (endMs - epochMs > maxDurationDays * 86400000) {
+    throw new ValidationError(`Propagation is limited to ${maxDurationDays} days`);
+  }
+  const maxSteps = Math.min(options.maxSteps ?? Infinity, CONFIG.MAX_STEPS);
+
+  const model = buildForceModel(options.forces);
+  const { impulses, finite } = normalizeBurns(options.burns);
+  const f = createDerivative(model);
+  const tolerance = readTolerance(options.tolerance);
+  const stats = { steps: 0, rejected: 0, evaluations: 0 };
+
+  // Segment boundaries: every burn start and end inside the span
+  const boundaries = new Set([endMs]);
+  impulses.forEach(impulse => boundaries.add(impulse.timeMs));
+  finite.forEach(burn => {
+    boundaries.add(burn.startMs);
+    boundaries.add(burn.endMs);
+  });
+  const stops = [...boundaries].filter(time => time > epochMs && time <= endMs).sort((a, b) => a - b);
+
+  let t = epochMs;
+  let y = y0;
+  let h = CONFIG.INITIAL_STEP_SECONDS;
+  let reentry = null;
+  // An impulse at the epoch applies before the first step
+  impulses.filter(impulse => impulse.timeMs === epochMs).forEach(impulse => applyImpulse(y, impulse));
+
+  for (const stop of stops) {
+    model.activeBurn = finite.find(burn => burn.startMs <= t && t < burn.endMs) || null;
+    const segment = integrateSegment(f, t, y, stop, h, tolerance, stats, maxSteps, (step) => {
+      if (altitudeOf(step.y1) <= CONFIG.REENTRY_ALTITUDE_KM) {
+        const timeMs = findReentryTime(step);
+        reentry = toStateVector(timeMs, interpolateStep(step, timeMs));
+        onStep({ ...step, end: timeMs });
+        return true;
+      }
+      onStep(step);
+      return false;
+    });
+    t = segment.t;
+    y = segment.y;
+    h = Math.max(segment.h, CONFIG.INITIAL_STEP_SECONDS);
+    if (segment.stopped) break;
+
+    impulses.filter(impulse => impulse.timeMs === stop).forEach(impulse => applyImpulse(y, impulse));
+  }
+
+  return {
+    endMs: reentry ? reentry.time.getTime() : endMs,
+    y,
+    reentry,
+    forces: { zonalDegree: model.zonalDegree, drag: model.drag, srp: model.srp },
+    stats
+  };
+};
+
+/**
+ * States at a list of times or on a fixed grid
+ * @param {Object} initial - { epoch, position, velocity, massKg }
+ * @param {Object} options - { times: [Date] } or { end, stepSeconds }; plus forces, burns,
+ *   tolerance, maxDurationDays and maxSteps
+ * @returns {Object} { states, reentry, forces, stats }
+ */
+const propagate = (initial, options = {}) => {
+  const epochMs = toTime(initial?.epoch, 'epoch');
+  let times;
+  if (Array.isArray(options.times)) {
+    times = options.times.map((time, i) => toTime(time, `times[${i}]`)).sort((a, b) => a - b);
+    if (times.length === 0 || times[0] < epochMs) {
+      throw new ValidationError('times must be non-empty and not before the initial epoch');
+    }
+  } else {
+    const endMs = toTime(options.end, 'end');
+    const stepMs = (options.stepSeconds ?? 60) * 1000;
+    if (!(stepMs > 0)) {
+      throw new ValidationError('stepSeconds must be positive');
+    }
+    times = [];
+    for (let time = epochMs; time <= endMs; time += stepMs) times.push(time);
+    if (times[times.length - 1] < endMs) times.push(endMs);
+  }
+  if (times.length > CONFIG.MAX_OUTPUT_STATES) {
+    throw new ValidationError(`At most ${CONFIG.MAX_OUTPUT_STATES} output states can be requested`);
+  }
+
+  const states = [];
+  let next = 0;
+  // The initial state (after any impulse at the epoch) answers requests for the epoch itself
+  const result = run(initial, Math.max(times[times.length - 1], epochMs + 1), options, (step) => {
+    const stepEnd = step.end ?? step.t0 + step.h * 1000;
+    while (next < times.length && times[next] <= stepEnd) {
+      states.push(toStateVector(times[next], interpolateStep(step, Math.max(times[next], step.t0))));
+      next++;
+    }
+  });
+
+  return {
+    states,
+    reentry: result.reentry,
+    forces: result.forces,
+    stats: result.stats
+  };
+};
+
+/**
+ * Propagate once and keep every step, so the state at any time in the span can be
+ * looked up afterwards without integrating again
+ * @param {Object} initial - { epoch, position, velocity, massKg }
+ * @param {Object} options - { end, forces, burns, tolerance, maxDurationDays, maxSteps }
+ * @returns {Object} { start, end, reentry, stats, stateAt(time) -> state | null }
+ */
+const createTrajectory = (initial, options = {}) => {
+  const steps = [];
+  const endMs = toTime(options.end, 'end');
+  const result = run(initial, endMs, options, (step) => steps.push(step));
+  const startMs = steps.length > 0 ? steps[0].t0 : endMs;
+
+  const stateAt = (time) => {
+    const timeMs = time instanceof Date ? time.getTime() : time;
+    if (!(timeMs >= startMs && timeMs <= result.endMs) || steps.length === 0) return null;
+    let low = 0;
+    let high = steps.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (steps[mid].t0 <= timeMs) low = mid;
+      else high = mid - 1;
+    }
+    return toStateVector(timeMs, interpolateStep(steps[low], timeMs));
+  };
+
+  return {
+    start: new Date(startMs),
+    end: new Date(result.endMs),
+    reentry: result.reentry,
+    stats: result.stats,
+    stateAt
+  };
+};
+
+/**
+ * SGP4 state of a catalog object as a starting point for numerical propagation
+ * @param {Object} sat - Satellite record with tleLine1/tleLine2 or tle.line1/tle.line2
+ * @returns {Object|null} { epoch, position, velocity } in TEME
+ */
+const stateFromElements = (sat, time) => {
+  const satrec = satellite.twoline2satrec(sat.tleLine1 || sat.tle?.line1, sat.tleLine2 || sat.tle?.line2);
+  const pv = satellite.propagate(satrec, time);
+  if (!pv || !pv.position || !pv.velocity) return null;
+  return { epoch: time, position: pv.position, velocity: pv.velocity };
+};
+
+module.exports = {
+  CONFIG,
+  propagate,
+  createTrajectory,
+  stateFromElements,
+  dragFromBstar,
+  dragFromElements,
+  atmosphericDensity,
+  sunPosition,
+  gravityAcceleration
+};
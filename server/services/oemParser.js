@@ -0,0 +1,189 @@
+/**
+ * CCSDS OEM Parser
+ * Reads Orbit Ephemeris Messages (CCSDS 502.0-B) in KVN and XML into segments of
+ * metadata, state vectors and optional covariance blocks.
+ *
+ * Positions are km and velocities km/s, as the standard requires. Covariances are
+ * kept as the 21-element lower triangle of the 6x6 matrix (km², km²/s, km²/s²).
+ */
+
+const { parseOMMEpoch } = require('./ommParser');
+
+const OEM_FORMATS = ['kvn', 'xml'];
+
+// Lower-triangle keyword order used by the XML covariance block
+const XML_COVARIANCE_KEYS = [
+  'CX_X',
+  'CY_X', 'CY_Y',
+  'CZ_X', 'CZ_Y', 'CZ_Z',
+  'CX_DOT_X', 'CX_DOT_Y', 'CX_DOT_Z', 'CX_DOT_X_DOT',
+  'CY_DOT_X', 'CY_DOT_Y', 'CY_DOT_Z', 'CY_DOT_X_DOT', 'CY_DOT_Y_DOT',
+  'CZ_DOT_X', 'CZ_DOT_Y', 'CZ_DOT_Z', 'CZ_DOT_X_DOT', 'CZ_DOT_Y_DOT', 'CZ_DOT_Z_DOT'
+];
+
+const detectOEMFormat = (data) => {
+  if (typeof data !== 'string') return null;
+  const trimmed = data.trim();
+  if (trimmed.startsWith('<')) return 'xml';
+  if (/^\s*CCSDS_OEM_VERS\s*=/m.test(trimmed)) return 'kvn';
+  return null;
+};
+
+const toNumbers = (tokens) => tokens.map(Number);
+
+const parseKVN = (data) => {
+  const header = {};
+  const segments = [];
+  let segment = null;
+  let mode = 'header';
+  let covariance = null;
+
+  const flushCovariance = () => {
+    if (covariance && covariance.values.length > 0) segment.covariances.push(covariance);
+    covariance = null;
+  };
+
+  for (const rawLine of data.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('COMMENT')) continue;
+
+    if (line === 'META_START') {
+      segment = { metadata: {}, states: [], covariances: [] };
+      segments.push(segment);
+      mode = 'meta';
+      continue;
+    }
+    if (line === 'META_STOP') {
+      mode = 'data';
+      continue;
+    }
+    if (line === 'COVARIANCE_START') {
+      mode = 'covariance';
+      continue;
+    }
+    if (line === 'COVARIANCE_STOP') {
+      flushCovariance();
+      mode = 'data';
+      continue;
+    }
+
+    const separator = line.indexOf('=');
+    if (mode === 'header' || mode === 'meta') {
+      if (separator < 0) continue;
+      const key = line.substring(0, separator).trim().toUpperCase();
+      const value = line.substring(separator + 1).trim();
+      if (mode === 'header') header[key] = value;
+      else segment.metadata[key] = value;
+      continue;
+    }
+
+    if (mode === 'covariance') {
+      if (separator >= 0) {
+        const key = line.substring(0, separator).trim().toUpperCase();
+        const value = line.substring(separator + 1).trim();
+        if (key === 'EPOCH') {
+          flushCovariance();
+          covariance = { epoch: value, refFrame: null, values: [] };
+        } else if (key === 'COV_REF_FRAME' && covariance) {
+          covariance.refFrame = value;
+        }
+      } else if (covariance) {
+        covariance.values.push(...toNumbers(line.split(/\s+/)));
+      }
+      continue;
+    }
+
+    // Data line: EPOCH X Y Z X_DOT Y_DOT Z_DOT [X_DDOT Y_DDOT Z_DDOT]
+    const tokens = line.split(/\s+/);
+    segment.states.push({ epoch: tokens[0], values: toNumbers(tokens.slice(1, 7)) });
+  }
+
+  return { header, segments };
+};
+
+const readXmlLeaves = (block) => {
+  const values = {};
+  const leafPattern = /<([A-Z_]+)(?:\s[^>]*)?>([^<]*)<\/\1>/g;
+  let match;
+  while ((match = leafPattern.exec(block)) !== null) {
+    values[match[1]] = match[2].trim();
+  }
+  return values;
+};
+
+const parseXML = (data) => {
+  const headerBlock = (data.match(/<header>[\s\S]*?<\/header>/i) || [''])[0];
+  const segmentBlocks = data.match(/<segment[\s>][\s\S]*?<\/segment>/gi) || [];
+
+  const segments = segmentBlocks.map(block => {
+    const metadataBlock = (block.match(/<metadata>[\s\S]*?<\/metadata>/i) || [''])[0];
+    const stateBlocks = block.match(/<stateVector>[\s\S]*?<\/stateVector>/gi) || [];
+    const covarianceBlocks = block.match(/<covarianceMatrix>[\s\S]*?<\/covarianceMatrix>/gi) || [];
+
+    return {
+      metadata: readXmlLeaves(metadataBlock),
+      states: stateBlocks.map(stateBlock => {
+        const leaves = readXmlLeaves(stateBlock);
+        return {
+          epoch: leaves.EPOCH,
+          values: toNumbers(['X', 'Y', 'Z', 'X_DOT', 'Y_DOT', 'Z_DOT'].map(key => leaves[key]))
+        };
+      }),
+      covariances: covarianceBlocks.map(covarianceBlock => {
+        const leaves = readXmlLeaves(covarianceBlock);
+        return {
+          epoch: leaves.EPOCH,
+          refFrame: leaves.COV_REF_FRAME || null,
+          values: toNumbers(XML_COVARIANCE_KEYS.map(key => leaves[key]))
+        };
+      })
+    };
+  });
+
+  return { header: readXmlLeaves(headerBlock), segments };
+};
+
+/**
+ * Parse an OEM payload
+ * @returns {Object} { header, segments: [{ metadata, states: [{ epoch, values }], covariances }] }
+ */
+const parseOEM = (data, format = detectOEMFormat(data)) => {
+  if (format === 'kvn') return parseKVN(String(data));
+  if (format === 'xml') return parseXML(String(data));
+  throw new Error(`Unsupported OEM format: ${format}`);
+};
+
+// Offsets from UTC to the time scales an OEM may use (leap seconds as of 2017)
+const TIME_SYSTEM_OFFSETS_S = {
+  UTC: 0,
+  TAI: 37,
+  GPS: 18,
+  TT: 37 + 32.184
+};
+
+/**
+ * Parse an OEM epoch in the segment's time system and return it as UTC
+ */
+const parseOEMEpoch = (epoch, timeSystem = 'UTC') => {
+  const offset = TIME_SYSTEM_OFFSETS_S[String(timeSystem).toUpperCase()];
+  let value = String(epoch || '').trim();
+
+  // Day-of-year form: YYYY-DDDThh:mm:ss
+  const dayOfYear = value.match(/^(\d{4})-(\d{3})T(.*)$/);
+  if (dayOfYear) {
+    const date = new Date(Date.UTC(parseInt(dayOfYear[1], 10), 0, parseInt(dayOfYear[2], 10)));
+    value = `${date.toISOString().substring(0, 10)}T${dayOfYear[3]}`;
+  }
+
+  const date = parseOMMEpoch(value);
+  if (!date || offset === undefined) return null;
+  return new Date(date.getTime() - offset * 1000);
+};
+
+module.exports = {
+  OEM_FORMATS,
+  TIME_SYSTEM_OFFSETS_S,
+  detectOEMFormat,
+  parseOEM,
+  parseOEMEpoch
+};
@@ -0,0 +1,221 @@
+/**
+ * CCSDS OMM Parser
+ * Reads Orbit Mean-Elements Messages (CCSDS 502.0-B) in JSON, XML and KVN,
+ * plus the CSV layout of the same keywords used by GP catalog exports, and converts them to the element set shape used by the TLE ingestion path.
+ *
+ * Only SGP4-theory messages are accepted, since every engine propagates the
+ * stored elements through satellite.js.
+ */
+
+const { formatTLELines, toTLEEpoch, toTLEDesignator } = require('../utils/tleFormat');
+const { parseCsv } = require('../utils/csv');
+
+const OMM_FORMATS = ['json', 'xml', 'kvn', 'csv'];
+
+const REQUIRED_KEYWORDS = [
+  'NORAD_CAT_ID',
+  'EPOCH',
+  'MEAN_MOTION',
+  'ECCENTRICITY',
+  'INCLINATION',
+  'RA_OF_ASC_NODE',
+  'ARG_OF_PERICENTER',
+  'MEAN_ANOMALY'
+];
+
+/**
+ * Guess the OMM encoding of a payload. Returns null if it does not look like OMM.
+ */
+const detectOMMFormat = (data) => {
+  if (data && typeof data === 'object') return 'json';
+  if (typeof data !== 'string') return null;
+
+  const trimmed = data.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+  if (trimmed.startsWith('<')) return 'xml';
+  if (/^\s*CCSDS_OMM_VERS\s*=/m.test(trimmed)) return 'kvn';
+  if (/^[^\n]*NORAD_CAT_ID[^\n]*,/.test(trimmed)) return 'csv';
+  return null;
+};
+
+const parseJSONMessages = (data) => {
+  const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+  return Array.isArray(parsed) ? parsed : [parsed];
+};
+
+const decodeXmlEntities = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const parseXMLMessages = (data) => {
+  // Each <omm> (or bare <segment>) holds one object; keywords are leaf elements
+  const blocks = data.match(/<omm[\s>][\s\S]*?<\/omm>/gi)
+    || data.match(/<segment[\s>][\s\S]*?<\/segment>/gi)
+    || [];
+
+  return blocks.map(block => {
+    const message = {};
+    const leafPattern = /<([A-Z_]+)(?:\s[^>]*)?>([^<]*)<\/\1>/g;
+    let match;
+    while ((match = leafPattern.exec(block)) !== null) {
+      message[match[1]] = decodeXmlEntities(match[2].trim());
+    }
+    return message;
+  });
+};
+
+const parseKVNMessages = (data) => {
+  const messages = [];
+  let current = null;
+
+  for (const rawLine of data.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('COMMENT')) continue;
+
+    const separator = line.indexOf('=');
+    if (separator < 0) continue;
+
+    const key = line.substring(0, separator).trim().toUpperCase();
+    // Drop trailing unit annotations such as "[rev/day]"
+    const value = line.substring(separator + 1).replace(/\[[^\]]*\]\s*$/, '').trim();
+
+    if (key === 'CCSDS_OMM_VERS' || !current) {
+      current = {};
+      messages.push(current);
+    }
+    current[key] = value;
+  }
+
+  return messages;
+};
+
+/**
+ * Split an OMM payload into flat keyword → value objects
+ */
+const parseOMMMessages = (data, format = detectOMMFormat(data)) => {
+  switch (format) {
+    case 'json':
+      return parseJSONMessages(data);
+    case 'xml':
+      return parseXMLMessages(String(data));
+    case 'kvn':
+      return parseKVNMessages(String(data));
+    case 'csv':
+      return parseCsv(String(data));
+    default:
+      throw new Error(`Unsupported OMM format: ${format}`);
+  }
+};
+
+const toNumber = (value, fallback = NaN) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const parsed = Number(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Parse an OMM EPOCH. CCSDS epochs are UTC and may omit the zone designator.
+ */
+const parseOMMEpoch = (epoch) => {
+  if (!epoch) return null;
+  const value = String(epoch).trim();
+  const date = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(value) ? value : `${value}Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const rejectMessage = (code, message) => ({ elements: null, error: { code, message } });
+
+/**
+ * Convert one OMM keyword object into TLE-style elements with synthesized lines.
+ * Returns { elements } on success or { error: { code, message } } explaining the rejection.
+ */
+const convertOMMMessage = (message) => {
+  if (!message || typeof message !== 'object') {
+    return rejectMessage('INVALID_RECORD', 'Record is not a keyword object');
+  }
+
+  const missing = REQUIRED_KEYWORDS.filter(key => message[key] === undefined || message[key] === '');
+  if (missing.length > 0) {
+    return rejectMessage('MISSING_FIELD', `Missing required keywords: ${missing.join(', ')}`);
+  }
+
+  const theory = (message.MEAN_ELEMENT_THEORY || 'SGP4').toUpperCase();
+  if (!theory.startsWith('SGP4')) {
+    return rejectMessage('UNSUPPORTED_THEORY', `Mean element theory ${theory} is not SGP4`);
+  }
+
+  const epoch = parseOMMEpoch(message.EPOCH);
+  if (!epoch) {
+    return rejectMessage('INVALID_EPOCH', `Unreadable EPOCH "${message.EPOCH}"`);
+  }
+
+  const noradCatId = parseInt(message.NORAD_CAT_ID, 10);
+  if (isNaN(noradCatId) || !/^\s*\d+\s*$/.test(String(message.NORAD_CAT_ID))) {
+    return rejectMessage('NON_NUMERIC_FIELD', `NORAD_CAT_ID "${message.NORAD_CAT_ID}" is not a number`);
+  }
+
+  const { epochYear, epochDay } = toTLEEpoch(epoch);
+
+  const elements = {
+    noradCatId,
+    name: (message.OBJECT_NAME || `OBJECT ${noradCatId}`).trim(),
+    classification: (message.CLASSIFICATION_TYPE || 'U').charAt(0),
+    internationalDesignator: toTLEDesignator(message.OBJECT_ID),
+    epochYear,
+    epochDay,
+    meanMotionDot: toNumber(message.MEAN_MOTION_DOT, 0),
+    meanMotionDdot: toNumber(message.MEAN_MOTION_DDOT, 0),
+    bstar: toNumber(message.BSTAR, 0),
+    ephemerisType: toNumber(message.EPHEMERIS_TYPE, 0),
+    elementSetNum: toNumber(message.ELEMENT_SET_NO, 999),
+    inclination: toNumber(message.INCLINATION),
+    eccentricity: toNumber(message.ECCENTRICITY),
+    raan: toNumber(message.RA_OF_ASC_NODE),
+    argumentOfPerigee: toNumber(message.ARG_OF_PERICENTER),
+    meanAnomaly: toNumber(message.MEAN_ANOMALY),
+    meanMotion: toNumber(message.MEAN_MOTION),
+    orbitNumber: toNumber(message.REV_AT_EPOCH, 0)
+  };
+
+  const numericFields = {
+    inclination: 'INCLINATION',
+    eccentricity: 'ECCENTRICITY',
+    raan: 'RA_OF_ASC_NODE',
+    argumentOfPerigee: 'ARG_OF_PERICENTER',
+    meanAnomaly: 'MEAN_ANOMALY',
+    meanMotion: 'MEAN_MOTION'
+  };
+  const nonNumeric = Object.keys(numericFields).filter(field => isNaN(elements[field]));
+  if (nonNumeric.length > 0) {
+    return rejectMessage('NON_NUMERIC_FIELD', `Non-numeric keywords: ${nonNumeric.map(f => numericFields[f]).join(', ')}`);
+  }
+  if (elements.eccentricity < 0 || elements.eccentricity >= 1 || elements.meanMotion <= 0) {
+    return rejectMessage('OUT_OF_RANGE', 'ECCENTRICITY must be in [0, 1) and MEAN_MOTION positive');
+  }
+
+  return {
+    elements: {
+      ...elements,
+      ...formatTLELines(elements)
+    },
+    error: null
+  };
+};
+
+/**
+ * Convert one OMM keyword object into TLE-style elements with synthesized lines.
+ * Returns null when a required keyword is missing or the theory is not SGP4.
+ */
+const ommToElements = (message) => convertOMMMessage(message).elements;
+
+module.exports = {
+  OMM_FORMATS,
+  detectOMMFormat,
+  parseOMMMessages,
+  parseOMMEpoch,
+  convertOMMMessage,
+  ommToElements
+};
@@ -1,19 +1,33 @@
 const satellite = require('satellite.js');
+const { temeToGeodetic } = require('../utils/frames');
 
-const propagateSatellite = (tleLine1, tleLine2) => {
+const GROUND_TRACK_LIMITS = {
+  DEFAULT_STEP_SECONDS: 60,
+  MIN_STEP_SECONDS: 1,
+  MAX_STEP_SECONDS: 3600,
+  MAX_SPAN_HOURS: 7 * 24,
+  MAX_POINTS: 10000
+};
+
+/**
+ * Propagate to a time and return the TEME position (km) and velocity (km/s) with its sub-satellite point
+ * (geodetic latitude/longitude in degrees, altitude above WGS-84 in km)
+ */
+const propagateSatellite = (tleLine1, tleLine2, date = new Date()) => {
   try {
     const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
-    const position = satellite.propagate(satrec, new Date());
+    const position = satellite.propagate(satrec, date);
 
     if (position.position) {
-      // Return ECI position directly - no need for geodetic conversion
+      const { latitude, longitude, altitude } = temeToGeodetic(position.position, date);
       return {
         x: position.position.x,
         y: position.position.y,
         z: position.position.z,
-        latitude: 0,
-        longitude: 0,
-        altitude: 0
+        velocity: position.velocity,
+        latitude,
+        longitude,
+        altitude
       };
     }
     return null;
@@ -23,23 +37,126 @@ const propagateSatellite = (tleLine1, tleLine2) => {
   }
 };
 
-const getOrbitalPositions = (tleLine1, tleLine2, numPoints = 100) => {
+/**
+ * Sub-satellite points between two times, for map tracks and overflight checks.
+ * Longitudes are in [-180, 180]; a point with wrapsLongitude set starts a new
+ * line segment because the track crossed the antimeridian since the previous point.
+ */
+const getGroundTrack = (tleLine1, tleLine2, start, end, stepSeconds = GROUND_TRACK_LIMITS.DEFAULT_STEP_SECONDS) => {
+  const points = [];
+
+  try {
+    const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
+    const stepMs = stepSeconds * 1000;
+
+    for (let t = start.getTime(); t <= end.getTime(); t += stepMs) {
+      const time = new Date(t);
+      const position = satellite.propagate(satrec, time);
+      if (!position.position) continue;
+
+      const { latitude, longitude, altitude } = temeToGeodetic(position.position, time);
+      const previous = points[points.length - 1];
+      points.push({
+        time,
+        latitude,
+        longitude,
+        altitude,
+        wrapsLongitude: Boolean(previous) && Math.abs(longitude - previous.longitude) > 180
+      });
+    }
+  } catch (error) {
+    console.error('Error generating ground track:', error.message);
+  }
+
+  return points;
+};
+
+// Orbital period in minutes from the SGP4 mean motion (rad/min)
+const getOrbitalPeriodMinutes = (tleLine1, tleLine2) => {
+  const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
+  return (2 * Math.PI) / satrec.no;
+};
+
+const ORBIT_SAMPLING = {
+  DEFAULT_POINTS_PER_REVOLUTION: 100,
+  MAX_REVOLUTIONS: 20,
+  MAX_POINTS: 5000,
+  // Below this eccentricity the perigee refinement makes no visible difference
+  ADAPTIVE_MIN_ECCENTRICITY: 0.01
+};
+
+const minutesSinceEpoch = (satrec, date) =>
+  (date.getTime() / 86400000 + 2440587.5 - satrec.jdsatepoch) * 1440;
+
+const solveKepler = (meanAnomaly, eccentricity) => {
+  let E = eccentricity < 0.8 ? meanAnomaly : Math.PI;
+  for (let i = 0; i < 20; i++) {
+    const delta = (E - eccentricity * Math.sin(E) - meanAnomaly) / (1 - eccentricity * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < 1e-12) break;
+  }
+  return E;
+};
+
+/**
+ * Sample times covering whole revolutions from start. Eccentric orbits are sampled
+ * evenly in eccentric anomaly, which packs points around perigee where the object
+ * moves fastest; near-circular orbits are sampled evenly in time.
+ */
+const sampleRevolutionTimes = (satrec, start, revolutions, numPoints) => {
+  const meanMotion = satrec.no; // rad/min
+  const eccentricity = satrec.ecco;
+  const totalMinutes = (2 * Math.PI * revolutions) / meanMotion;
+
+  if (eccentricity < ORBIT_SAMPLING.ADAPTIVE_MIN_ECCENTRICITY) {
+    return Array.from({ length: numPoints }, (_, i) =>
+      new Date(start.getTime() + (i * totalMinutes * 60000) / numPoints));
+  }
+
+  const startMeanAnomaly = satrec.mo + meanMotion * minutesSinceEpoch(satrec, start);
+  const startEccentricAnomaly = solveKepler(
+    ((startMeanAnomaly % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI),
+    eccentricity
+  );
+  const startKepler = startEccentricAnomaly - eccentricity * Math.sin(startEccentricAnomaly);
+
+  return Array.from({ length: numPoints }, (_, i) => {
+    const E = startEccentricAnomaly + (2 * Math.PI * revolutions * i) / numPoints;
+    const minutes = (E - eccentricity * Math.sin(E) - startKepler) / meanMotion;
+    return new Date(start.getTime() + minutes * 60000);
+  });
+};
+
+/**
+ * Orbit path for display, TEME positions in km
+ * @param {Object} options - { start: Date, revolutions: number, stepSeconds: number }
+ *   With stepSeconds the path is sampled evenly in time instead of adaptively.
+ */
+const getOrbitalPositions = (tleLine1, tleLine2, numPoints = ORBIT_SAMPLING.DEFAULT_POINTS_PER_REVOLUTION, options = {}) => {
   const positions = [];
-  const periodMinutes = 96;
+  const { start = new Date(), revolutions = 1, stepSeconds = null } = options;
 
   try {
     const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
-    const now = new Date();
+    let times;
+    if (stepSeconds) {
+      const totalMs = ((2 * Math.PI * revolutions) / satrec.no) * 60000;
+      const count = Math.min(Math.floor(totalMs / (stepSeconds * 1000)) + 1, ORBIT_SAMPLING.MAX_POINTS);
+      times = Array.from({ length: count }, (_, i) => new Date(start.getTime() + i * stepSeconds * 1000));
+    } else {
+      const count = Math.min(Math.round(numPoints * revolutions), ORBIT_SAMPLING.MAX_POINTS);
+      times = sampleRevolutionTimes(satrec, start, revolutions, count);
+    }
 
-    for (let i = 0; i < numPoints; i++) {
-      const time = new Date(now.getTime() + (i * periodMinutes * 60 * 1000) / numPoints);
+    for (const time of times) {
       const position = satellite.propagate(satrec, time);
 
       if (position.position) {
         positions.push({
-          x: position.position.x / 1000,
-          y: position.position.y / 1000,
-          z: position.position.z / 1000
+          x: position.position.x,
+          y: position.position.y,
+          z: position.position.z,
+          time
         });
       }
     }
@@ -88,6 +205,10 @@ const calculateOrbitalParameters = (tleLine1, tleLine2) => {
 
 module.exports = {
   propagateSatellite,
+  getGroundTrack,
+  getOrbitalPeriodMinutes,
+  GROUND_TRACK_LIMITS,
+  ORBIT_SAMPLING,
   getOrbitalPositions,
   calculateOrbitalParameters,
   calculateDistance3D: (pos1, pos2) => {
@@ -96,22 +217,28 @@ module.exports = {
     const dz = pos2.z - pos1.z;
     return Math.sqrt(dx * dx + dy * dy + dz * dz);
   },
-  generatePositions: (tleLine1, tleLine2, startTime, numSamples) => {
+  /**
+   * TEME positions (km) from startTime. By default the samples span one revolution of the
+   * object; pass intervalMs to sample on a fixed time grid instead, which keeps
+   * sample i of different objects at the same instant.
+   */
+  generatePositions: (tleLine1, tleLine2, startTime, numSamples, intervalMs = null) => {
     const positions = [];
-    const periodMinutes = 96;
     
     try {
       const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
+      const times = intervalMs
+        ? Array.from({ length: numSamples }, (_, i) => new Date(startTime.getTime() + i * intervalMs))
+        : sampleRevolutionTimes(satrec, startTime, 1, numSamples);
       
-      for (let i = 0; i < numSamples; i++) {
-        const time = new Date(startTime.getTime() + (i * periodMinutes * 60 * 1000) / numSamples);
+      for (const time of times) {
         const position = satellite.propagate(satrec, time);
         
         if (position.position) {
           positions.push({
-            x: position.position.x / 1000,
-            y: position.position.y / 1000,
-            z: position.position.z / 1000,
+            x: position.position.x,
+            y: position.position.y,
+            z: position.position.z,
             time
           });
         }
@@ -0,0 +1,390 @@
+/**
+ * Short-Encounter Collision Probability Methods
+ * Deterministic Pc for a short-duration encounter: relative motion is a straight
+ * line through TCA, so Pc is the integral of the combined position uncertainty,
+ * projected onto the encounter (B-)plane normal to the relative velocity, over the
+ * disk of the combined hard-body radius.
+ *
+ *   foster - 2D numerical integration over the disk (Foster & Estes, 1992)
+ *   chan   - Chan's series for the equal-area isotropic Gaussian (Chan, 1997)
+ *   alfano - Alfano's error-function series, summed with Simpson's rule (Alfano, 2005)
+ *
+ * 'montecarlo' is also a selectable method, but it samples the full states rather
+ * than a plane projection and is computed by monteCarloPc, not computePc.
+ *
+ * Lengths are metres, covariances m².
+ */
+
+const { rtnBasis } = require('../utils/frames');
+
+const PC_METHODS = ['foster', 'chan', 'alfano', 'montecarlo'];
+
+const CONFIG = {
+  DEFAULT_METHOD: 'foster',
+  // Gauss-Legendre nodes across the radius and trapezoid nodes around the disk
+  FOSTER_RADIAL_NODES: 64,
+  FOSTER_ANGULAR_NODES: 128,
+  CHAN_MAX_TERMS: 100,
+  CHAN_TOLERANCE: 1e-12,
+  // Alfano's term count, m = 5R / min(σx, σy, miss), is kept within these bounds
+  ALFANO_MIN_TERMS: 10,
+  ALFANO_MAX_TERMS: 50,
+  // Below this relative speed (m/s) the encounter is not short and the plane is ill-defined
+  MIN_RELATIVE_SPEED: 1e-3
+};
+
+// Names used for COLLISION_PROBABILITY_METHOD in CCSDS CDMs
+const CDM_METHOD_NAMES = {
+  foster: 'FOSTER-1992',
+  chan: 'CHAN-1997',
+  alfano: 'ALFANO-2005',
+  montecarlo: 'MONTE_CARLO'
+};
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const unit = (v) => {
+  const n = Math.sqrt(dot(v, v));
+  return { x: v.x / n, y: v.y / n, z: v.z / n };
+};
+
+// Quadratic form uᵀ C v for a row-major 3x3 array
+const bilinear = (u, C, v) =>
+  u.x * (C[0] * v.x + C[1] * v.y + C[2] * v.z) +
+  u.y * (C[3] * v.x + C[4] * v.y + C[5] * v.z) +
+  u.z * (C[6] * v.x + C[7] * v.y + C[8] * v.z);
+
+/**
+ * Rotate an RTN position covariance of an object into the inertial frame of its state
+ * @param {Array} covariance - 9-element RTN covariance
+ * @param {Object} state - { position, velocity } of the object the RTN frame belongs to
+ * @returns {Array} 9-element covariance in the state's frame
+ */
+const rtnToInertial = (covariance, state) => {
+  const { R, T, N } = rtnBasis(state.position, state.velocity);
+  const axes = [R, T, N];
+  const result = new Array(9).fill(0);
+  // C_inertial[i][j] = Σ_kl axes[k]_i C_rtn[k][l] axes[l]_j
+  const component = (v, i) => (i === 0 ? v.x : i === 1 ? v.y : v.z);
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      let sum = 0;
+      for (let k = 0; k < 3; k++) {
+        for (let l = 0; l < 3; l++) {
+          sum += component(axes[k], i) * covariance[k * 3 + l] * component(axes[l], j);
+        }
+      }
+      result[i * 3 + j] = sum;
+    }
+  }
+  return result;
+};
+
+/**
+ * Project an encounter onto the plane normal to the relative velocity
+ * @param {Object} relativePosition - Secondary minus primary at TCA (m)
+ * @param {Object} relativeVelocity - Secondary minus primary at TCA (m/s)
+ * @param {Array} covariance - Combined 3x3 position covariance in the same frame (m²)
+ * @returns {Object} { miss: { x, y }, covariance: [cxx, cxy, cyy], missDistance }, x along the miss vector
+ */
+const projectToEncounterPlane = (relativePosition, relativeVelocity, covariance) => {
+  const speed = Math.sqrt(dot(relativeVelocity, relativeVelocity));
+  let normal;
+  if (speed >= CONFIG.MIN_RELATIVE_SPEED) {
+    normal = unit(relativeVelocity);
+  } else {
+    // No usable relative velocity: any plane containing the miss vector
+    const helper = Math.abs(relativePosition.z) < 0.9 * Math.sqrt(dot(relativePosition, relativePosition))
+      ? { x: 0, y: 0, z: 1 }
+      : { x: 1, y: 0, z: 0 };
+    normal = unit(cross(relativePosition, helper));
+  }
+
+  const alongNormal = dot(relativePosition, normal);
+  const inPlane = {
+    x: relativePosition.x - alongNormal * normal.x,
+    y: relativePosition.y - alongNormal * normal.y,
+    z: relativePosition.z - alongNormal * normal.z
+  };
+  const missDistance = Math.sqrt(dot(inPlane, inPlane));
+  const xAxis = missDistance > 1e-9
+    ? unit(inPlane)
+    : unit(cross(normal, Math.abs(normal.z) < 0.9 ? { x: 0, y: 0, z: 1 } : { x: 1, y: 0, z: 0 }));
+  const yAxis = cross(normal, xAxis);
+
+  return {
+    miss: { x: missDistance, y: 0 },
+    covariance: [
+      bilinear(xAxis, covariance, xAxis),
+      bilinear(xAxis, covariance, yAxis),
+      bilinear(yAxis, covariance, yAxis)
+    ],
+    missDistance
+  };
+};
+
+/**
+ * Rotate the encounter-plane Gaussian onto its principal axes, larger σ first
+ */
+const principalAxes = ({ miss, covariance }) => {
+  const [a, b, c] = covariance;
+  const halfTrace = (a + c) / 2;
+  const radius = Math.sqrt(((a - c) / 2) ** 2 + b * b);
+  const angle = 0.5 * Math.atan2(2 * b, a - c);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  return {
+    sigmaX: Math.sqrt(Math.max(halfTrace + radius, 0)),
+    sigmaY: Math.sqrt(Math.max(halfTrace - radius, 0)),
+    xm: miss.x * cos + miss.y * sin,
+    ym: -miss.x * sin + miss.y * cos
+  };
+};
+
+const gaussLegendreCache = new Map();
+
+/**
+ * Gauss-Legendre nodes and weights on [-1, 1]
+ */
+const gaussLegendre = (n) => {
+  if (gaussLegendreCache.has(n)) return gaussLegendreCache.get(n);
+
+  const nodes = new Array(n);
+  const weights = new Array(n);
+  for (let i = 0; i < Math.ceil(n / 2); i++) {
+    let x = Math.cos(Math.PI * (i + 0.75) / (n + 0.5));
+    let derivative = 1;
+    for (let iteration = 0; iteration < 100; iteration++) {
+      let p0 = 1;
+      let p1 = x;
+      for (let k = 2; k <= n; k++) {
+        const p2 = ((2 * k - 1) * x * p1 - (k - 1) * p0) / k;
+        p0 = p1;
+        p1 = p2;
+      }
+      derivative = n * (x * p1 - p0) / (x * x - 1);
+      const step = p1 / derivative;
+      x -= step;
+      if (Math.abs(step) < 1e-15) break;
+    }
+    nodes[i] = -x;
+    nodes[n - 1 - i] = x;
+    weights[i] = weights[n - 1 - i] = 2 / ((1 - x * x) * derivative * derivative);
+  }
+
+  const rule = { nodes, weights };
+  gaussLegendreCache.set(n, rule);
+  return rule;
+};
+
+/**
+ * Complementary error function with relative error below 1.2e-7 everywhere
+ * (Numerical Recipes erfcc), so tail differences keep their precision
+ */
+const erfc = (x) => {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const value = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? value : 2 - value;
+};
+
+// erf(b) - erf(a) for a <= b without cancellation in the tails
+const erfDifference = (a, b) => {
+  if (a >= 0) return erfc(a) - erfc(b);
+  if (b <= 0) return erfc(-b) - erfc(-a);
+  return 2 - erfc(b) - erfc(-a);
+};
+
+/**
+ * Probability mass of the principal-axes Gaussian in the strip at x over the disk chord
+ */
+const chordIntegrand = (x, R, { sigmaX, sigmaY, xm, ym }) => {
+  const halfChord = Math.sqrt(Math.max(R * R - x * x, 0));
+  const density = Math.exp(-((x - xm) ** 2) / (2 * sigmaX * sigmaX)) / (Math.sqrt(2 * Math.PI) * sigmaX);
+  return density * 0.5 * erfDifference(
+    (-ym - halfChord) / (Math.SQRT2 * sigmaY),
+    (-ym + halfChord) / (Math.SQRT2 * sigmaY)
+  );
+};
+
+/**
+ * Foster: integrate the 2D Gaussian density over the hard-body disk in polar
+ * coordinates about the disk centre
+ */
+const fosterPc = (plane, hardBodyRadius) => {
+  const [a, b, c] = plane.covariance;
+  const det = a * c - b * b;
+  const inverse = [c / det, -b / det, a / det];
+  const normalization = 1 / (2 * Math.PI * Math.sqrt(det));
+  const { nodes, weights } = gaussLegendre(CONFIG.FOSTER_RADIAL_NODES);
+  const angularStep = 2 * Math.PI / CONFIG.FOSTER_ANGULAR_NODES;
+
+  let sum = 0;
+  for (let i = 0; i < nodes.length; i++) {
+    const r = hardBodyRadius * (nodes[i] + 1) / 2;
+    let ring = 0;
+    for (let j = 0; j < CONFIG.FOSTER_ANGULAR_NODES; j++) {
+      const theta = j * angularStep;
+      // Point on the disk relative to the Gaussian mean (the miss vector)
+      const dx = r * Math.cos(theta) - plane.miss.x;
+      const dy = r * Math.sin(theta) - plane.miss.y;
+      ring += Math.exp(-0.5 * (inverse[0] * dx * dx + 2 * inverse[1] * dx * dy + inverse[2] * dy * dy));
+    }
+    sum += weights[i] * r * ring * angularStep;
+  }
+
+  return {
+    probabilityOfCollision: normalization * sum * hardBodyRadius / 2,
+    parameters: {
+      radialNodes: CONFIG.FOSTER_RADIAL_NODES,
+      angularNodes: CONFIG.FOSTER_ANGULAR_NODES
+    }
+  };
+};
+
+/**
+ * P(X > m) for X ~ Poisson(mean), summed from whichever side does not cancel
+ */
+const poissonTail = (mean, m) => {
+  if (mean <= 0) return 0;
+  const logTerm = (k) => -mean + k * Math.log(mean) - logFactorial(k);
+  if (mean > m + 1) {
+    let cdf = 0;
+    for (let k = 0; k <= m; k++) cdf += Math.exp(logTerm(k));
+    return Math.max(1 - cdf, 0);
+  }
+  let tail = 0;
+  for (let k = m + 1; k < m + 400; k++) {
+    const term = Math.exp(logTerm(k));
+    tail += term;
+    if (term < 1e-17 * tail) break;
+  }
+  return tail;
+};
+
+const logFactorialCache = [0];
+const logFactorial = (k) => {
+  for (let i = logFactorialCache.length; i <= k; i++) {
+    logFactorialCache[i] = logFactorialCache[i - 1] + Math.log(i);
+  }
+  return logFactorialCache[k];
+};
+
+/**
+ * Chan: replace the ellipse by the isotropic Gaussian of equal area, for which Pc
+ * is a Poisson-weighted series in u = R²/(σxσy) and v = (xm/σx)² + (ym/σy)²
+ */
+const chanPc = (plane, hardBodyRadius) => {
+  const { sigmaX, sigmaY, xm, ym } = principalAxes(plane);
+  const u = hardBodyRadius * hardBodyRadius / (sigmaX * sigmaY);
+  const v = (xm / sigmaX) ** 2 + (ym / sigmaY) ** 2;
+
+  let sum = 0;
+  let terms = 0;
+  let converged = false;
+  for (let m = 0; m < CONFIG.CHAN_MAX_TERMS; m++) {
+    const weight = v > 0
+      ? Math.exp(-v / 2 + m * Math.log(v / 2) - logFactorial(m))
+      : (m === 0 ? 1 : 0);
+    const term = weight * poissonTail(u / 2, m);
+    sum += term;
+    terms = m + 1;
+    // The Poisson weights peak near m = v/2; stop once past it and negligible
+    if (m >= v / 2 && term <= CONFIG.CHAN_TOLERANCE * sum) {
+      converged = true;
+      break;
+    }
+  }
+
+  return {
+    probabilityOfCollision: sum,
+    parameters: { terms, converged, u, v }
+  };
+};
+
+/**
+ * Alfano: the strip-by-strip error-function form of the integral, summed across the
+ * disk with Simpson's rule on 2m intervals
+ */
+const alfanoPc = (plane, hardBodyRadius) => {
+  const axes = principalAxes(plane);
+  const miss = Math.sqrt(axes.xm ** 2 + axes.ym ** 2);
+  const smallest = Math.min(axes.sigmaX, axes.sigmaY, miss > 0 ? miss : Infinity);
+  const m = Math.min(
+    CONFIG.ALFANO_MAX_TERMS,
+    Math.max(CONFIG.ALFANO_MIN_TERMS, Math.floor(5 * hardBodyRadius / smallest))
+  );
+  const intervals = 2 * m;
+  const step = 2 * hardBodyRadius / intervals;
+
+  let sum = 0;
+  for (let i = 0; i <= intervals; i++) {
+    const x = -hardBodyRadius + i * step;
+    const weight = i === 0 || i === intervals ? 1 : i % 2 === 1 ? 4 : 2;
+    sum += weight * chordIntegrand(x, hardBodyRadius, axes);
+  }
+
+  return {
+    probabilityOfCollision: sum * step / 3,
+    parameters: { terms: m, intervals }
+  };
+};
+
+const METHOD_IMPLEMENTATIONS = {
+  foster: fosterPc,
+  chan: chanPc,
+  alfano: alfanoPc
+};
+
+const isPcMethod = (method) => PC_METHODS.includes(method);
+
+/**
+ * Pc of an encounter-plane projection with the chosen method
+ * @returns {Object} { probabilityOfCollision, method, parameters }, parameters including
+ *   the hard-body radius and the plane's σ and miss distance so the value can be reproduced
+ */
+const computePc = (plane, hardBodyRadius, method = CONFIG.DEFAULT_METHOD) => {
+  if (!METHOD_IMPLEMENTATIONS[method]) {
+    throw new Error(`Unknown encounter-plane Pc method ${method}; expected one of ${Object.keys(METHOD_IMPLEMENTATIONS).join(', ')}`);
+  }
+
+  const { sigmaX, sigmaY } = principalAxes(plane);
+  const common = {
+    hardBodyRadius,
+    missDistance: plane.missDistance,
+    sigmaX,
+    sigmaY
+  };
+
+  // A degenerate covariance leaves only whether the miss falls inside the disk
+  if (!(sigmaX > 0) || !(sigmaY > 0) || !isFinite(sigmaX) || !isFinite(sigmaY)) {
+    return {
+      probabilityOfCollision: plane.missDistance <= hardBodyRadius ? 1 : 0,
+      method,
+      parameters: { ...common, degenerateCovariance: true }
+    };
+  }
+
+  const { probabilityOfCollision, parameters } = METHOD_IMPLEMENTATIONS[method](plane, hardBodyRadius);
+  return {
+    probabilityOfCollision: Math.min(Math.max(probabilityOfCollision, 0), 1),
+    method,
+    parameters: { ...common, ...parameters }
+  };
+};
+
+module.exports = {
+  PC_METHODS,
+  CDM_METHOD_NAMES,
+  CONFIG,
+  isPcMethod,
+  rtnToInertial,
+  projectToEncounterPlane,
+  principalAxes,
+  computePc,
+  erfc,
+  gaussLegendre
+};
@@ -0,0 +1,166 @@
+/**
+ * Covariance Sensitivity of Collision Probability
+ * Our covariances are modelled rather than estimated, so a single Pc can mislead.
+ * This scales the combined encounter-plane covariance over a range of factors and
+ * reports Pc against the factor, the maximum Pc over covariance size, and the
+ * maximum over size and orientation together.
+ *
+ * An encounter is in the dilution region when the nominal covariance is larger
+ * than the one that maximises Pc: shrinking the uncertainty would raise Pc, so a
+ * low Pc there reflects how little is known rather than a safe miss.
+ *
+ * Scale factors multiply the covariance, so σ scales by their square root.
+ */
+
+const pcMethods = require('./pcMethods');
+
+const CONFIG = {
+  // Curve from 1/100 to 100 times the nominal covariance, evenly spaced in log
+  CURVE_MIN_SCALE: 0.01,
+  CURVE_MAX_SCALE: 100,
+  CURVE_POINTS: 41,
+  // Bracket and tolerance (decades) of the search for the Pc-maximising scale
+  SEARCH_MIN_LOG_SCALE: -8,
+  SEARCH_MAX_LOG_SCALE: 8,
+  SEARCH_GRID_POINTS: 65,
+  SEARCH_TOLERANCE: 1e-4,
+  // Method used for the curve when the requested one does not work on the plane
+  FALLBACK_METHOD: 'foster'
+};
+
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+
+const scalePlane = (plane, scale) => ({
+  ...plane,
+  covariance: plane.covariance.map(value => value * scale)
+});
+
+/**
+ * The plane's covariance turned so its major axis lies along the miss vector, the
+ * worst orientation for a miss larger than the hard body
+ */
+const alignToMiss = (plane) => {
+  const { sigmaX, sigmaY } = pcMethods.principalAxes(plane);
+  const angle = Math.atan2(plane.miss.y, plane.miss.x);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const major = sigmaX * sigmaX;
+  const minor = sigmaY * sigmaY;
+  return {
+    ...plane,
+    covariance: [
+      major * cos * cos + minor * sin * sin,
+      (major - minor) * cos * sin,
+      major * sin * sin + minor * cos * cos
+    ]
+  };
+};
+
+/**
+ * Largest Pc over covariance scale, by a log-spaced scan refined with golden-section search
+ * @returns {Object} { probabilityOfCollision, scale }
+ */
+const maximizeOverScale = (plane, hardBodyRadius, method) => {
+  const pcAt = (logScale) =>
+    pcMethods.computePc(scalePlane(plane, 10 ** logScale), hardBodyRadius, method).probabilityOfCollision;
+
+  const step = (CONFIG.SEARCH_MAX_LOG_SCALE - CONFIG.SEARCH_MIN_LOG_SCALE) / (CONFIG.SEARCH_GRID_POINTS - 1);
+  let bestIndex = 0;
+  let bestPc = -Infinity;
+  for (let i = 0; i < CONFIG.SEARCH_GRID_POINTS; i++) {
+    const pc = pcAt(CONFIG.SEARCH_MIN_LOG_SCALE + i * step);
+    if (pc > bestPc) {
+      bestPc = pc;
+      bestIndex = i;
+    }
+  }
+
+  let a = CONFIG.SEARCH_MIN_LOG_SCALE + Math.max(0, bestIndex - 1) * step;
+  let b = CONFIG.SEARCH_MIN_LOG_SCALE + Math.min(CONFIG.SEARCH_GRID_POINTS - 1, bestIndex + 1) * step;
+  let c = b - GOLDEN * (b - a);
+  let d = a + GOLDEN * (b - a);
+  let fc = pcAt(c);
+  let fd = pcAt(d);
+  while (b - a > CONFIG.SEARCH_TOLERANCE) {
+    if (fc >= fd) {
+      b = d; d = c; fd = fc;
+      c = b - GOLDEN * (b - a);
+      fc = pcAt(c);
+    } else {
+      a = c; c = d; fc = fd;
+      d = a + GOLDEN * (b - a);
+      fd = pcAt(d);
+    }
+  }
+
+  const logScale = fc >= fd ? c : d;
+  const pc = Math.max(fc, fd);
+  return pc >= bestPc
+    ? { probabilityOfCollision: pc, scale: 10 ** logScale }
+    : { probabilityOfCollision: bestPc, scale: 10 ** (CONFIG.SEARCH_MIN_LOG_SCALE + bestIndex * step) };
+};
+
+/**
+ * Pc against covariance scale for one encounter
+ * @param {Object} plane - Encounter-plane projection from pcMethods.projectToEncounterPlane
+ * @param {number} hardBodyRadius - Combined hard-body radius (m)
+ * @param {Object} options - { method, reportingThreshold }; reportingThreshold is the Pc
+ *   at which a conjunction starts to matter, used to flag dilution that hides risk
+ * @returns {Object} Curve, nominal Pc, maxima and dilution flags
+ */
+const analyzeCovarianceSensitivity = (plane, hardBodyRadius, options = {}) => {
+  const method = options.method && options.method !== 'montecarlo' ? options.method : CONFIG.FALLBACK_METHOD;
+  const reportingThreshold = options.reportingThreshold || 0;
+
+  const logMin = Math.log10(CONFIG.CURVE_MIN_SCALE);
+  const logStep = (Math.log10(CONFIG.CURVE_MAX_SCALE) - logMin) / (CONFIG.CURVE_POINTS - 1);
+  const curve = Array.from({ length: CONFIG.CURVE_POINTS }, (_, i) => {
+    const scale = 10 ** (logMin + i * logStep);
+    return {
+      scale,
+      sigmaScale: Math.sqrt(scale),
+      probabilityOfCollision: pcMethods.computePc(scalePlane(plane, scale), hardBodyRadius, method).probabilityOfCollision
+    };
+  });
+
+  const nominal = pcMethods.computePc(plane, hardBodyRadius, method).probabilityOfCollision;
+
+  // A miss inside the hard body collides outright as the covariance shrinks to nothing
+  const insideHardBody = plane.missDistance <= hardBodyRadius;
+  const overScale = insideHardBody
+    ? { probabilityOfCollision: 1, scale: 0 }
+    : maximizeOverScale(plane, hardBodyRadius, method);
+  const overScaleAndOrientation = insideHardBody
+    ? overScale
+    : maximizeOverScale(alignToMiss(plane), hardBodyRadius, method);
+
+  const dilutionRegion = overScale.scale < 1;
+
+  return {
+    method,
+    hardBodyRadius,
+    missDistance: plane.missDistance,
+    nominalProbability: nominal,
+    curve,
+    maximumOverScale: overScale,
+    maximumProbability: {
+      probabilityOfCollision: Math.max(overScale.probabilityOfCollision, overScaleAndOrientation.probabilityOfCollision),
+      scale: overScaleAndOrientation.scale,
+      alignedWithMiss: !insideHardBody
+    },
+    dilutionRegion,
+    // Below the reporting threshold only because the covariance is too large
+    dilutedBelowThreshold: dilutionRegion &&
+      nominal < reportingThreshold &&
+      overScale.probabilityOfCollision >= reportingThreshold,
+    reportingThreshold
+  };
+};
+
+module.exports = {
+  CONFIG,
+  analyzeCovarianceSensitivity,
+  maximizeOverScale,
+  alignToMiss,
+  scalePlane
+};
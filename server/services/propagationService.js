@@ -0,0 +1,307 @@
+/**
+ * Parallel Propagation Service
+ * Shared SGP4 propagation for the engines that sweep the whole catalog. Work is
+ * split into chunks and run on a worker_threads pool so the HTTP event loop keeps
+ * serving requests while a full-catalog run is in progress.
+ *
+ * Results are compact ephemerides on a fixed time grid:
+ *   { noradCatId, start, intervalMs, count, positions, velocities, valid, validCount }
+ * where positions/velocities are Float64Array(count * 3) in TEME km and km/s,
+ * and valid[i] is 1 when sample i propagated successfully.
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { logger } = require('../utils/logger');
+const { propagateChunk } = require('./workers/propagationWorker');
+
+const CONFIG = {
+  POOL_SIZE: parseInt(process.env.PROPAGATION_WORKERS) || Math.max(1, os.cpus().length - 1),
+  // Objects per message; small enough to spread work, large enough to amortise messaging
+  CHUNK_SIZE: 100,
+  // Below this many samples in total the work is done inline
+  INLINE_SAMPLE_LIMIT: 2000,
+  TASK_TIMEOUT_MS: 5 * 60 * 1000,
+  WORKER_SCRIPT: path.join(__dirname, 'workers', 'propagationWorker.js')
+};
+
+class PropagationPool {
+  constructor(size) {
+    this.size = size;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.pending = new Map();
+    this.nextId = 1;
+  }
+
+  spawn() {
+    const worker = new Worker(CONFIG.WORKER_SCRIPT);
+
+    worker.on('message', ({ id, results, error }) => {
+      // Late reply from a worker already retired after a timeout
+      if (!this.workers.includes(worker)) return;
+      const task = this.pending.get(id);
+      this.pending.delete(id);
+      worker.currentTask = null;
+      if (task) {
+        clearTimeout(task.timer);
+        if (error) task.reject(new Error(error));
+        else task.resolve(results);
+      }
+      this.release(worker);
+    });
+
+    worker.on('error', (error) => this.retire(worker, error));
+    worker.on('exit', (code) => {
+      if (code !== 0) this.retire(worker, new Error(`Propagation worker exited with code ${code}`));
+    });
+    // Idle workers must not keep the process alive (after the listeners, which re-ref the port)
+    worker.unref();
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  // Drop a failed worker, fail its task and start a replacement
+  retire(worker, error) {
+    if (!this.workers.includes(worker)) return;
+    this.workers = this.workers.filter(w => w !== worker);
+    this.idle = this.idle.filter(w => w !== worker);
+
+    const task = worker.currentTask && this.pending.get(worker.currentTask);
+    if (task) {
+      clearTimeout(task.timer);
+      this.pending.delete(worker.currentTask);
+      task.reject(error);
+    }
+
+    logger.error('Propagation worker failed', { service: 'propagation', error: error.message });
+    worker.terminate().catch(() => {});
+    if (this.queue.length > 0) this.release(this.spawn());
+  }
+
+  release(worker) {
+    const next = this.queue.shift();
+    if (!next) {
+      this.idle.push(worker);
+      return;
+    }
+    this.dispatch(worker, next);
+  }
+
+  dispatch(worker, task) {
+    worker.currentTask = task.id;
+    this.pending.set(task.id, task);
+    task.timer = setTimeout(() => {
+      this.retire(worker, new Error('Propagation task timed out'));
+    }, CONFIG.TASK_TIMEOUT_MS);
+    worker.postMessage({ id: task.id, job: task.job });
+  }
+
+  run(job) {
+    return new Promise((resolve, reject) => {
+      const task = { id: this.nextId++, job, resolve, reject };
+      let worker = this.idle.pop();
+      if (!worker && this.workers.length < this.size) worker = this.spawn();
+      if (worker) this.dispatch(worker, task);
+      else this.queue.push(task);
+    });
+  }
+
+  async terminate() {
+    const workers = this.workers;
+    this.workers = [];
+    this.idle = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
+
+let pool = null;
+let poolUnavailable = false;
+
+const getPool = () => {
+  if (!pool && !poolUnavailable) {
+    try {
+      pool = new PropagationPool(CONFIG.POOL_SIZE);
+    } catch (error) {
+      poolUnavailable = true;
+      logger.warn('Propagation pool unavailable, propagating inline', { service: 'propagation', error: error.message });
+    }
+  }
+  return pool;
+};
+
+const getElementLines = (sat) => ({
+  noradCatId: sat.noradCatId,
+  tleLine1: sat.tleLine1 || (sat.tle && sat.tle.line1),
+  tleLine2: sat.tleLine2 || (sat.tle && sat.tle.line2)
+});
+
+/**
+ * Propagate many objects on a common time grid
+ * @param {Array} satellites - Records with noradCatId and TLE lines
+ * @param {Object} options - { start: Date, numSamples, intervalMs, includeVelocity }
+ * @returns {Promise<Map>} noradCatId → ephemeris; objects with no valid sample are left out
+ */
+const propagateCatalog = async (satellites, options = {}) => {
+  const {
+    start = new Date(),
+    numSamples = 1,
+    intervalMs = 60000,
+    includeVelocity = false
+  } = options;
+
+  const objects = satellites.map(getElementLines).filter(o => o.tleLine1 && o.tleLine2);
+  const jobBase = { start: start.getTime(), intervalMs, numSamples, includeVelocity };
+  const chunks = [];
+  for (let i = 0; i < objects.length; i += CONFIG.CHUNK_SIZE) {
+    chunks.push({ ...jobBase, objects: objects.slice(i, i + CONFIG.CHUNK_SIZE) });
+  }
+
+  const workerPool = objects.length * numSamples > CONFIG.INLINE_SAMPLE_LIMIT ? getPool() : null;
+  const startedAt = Date.now();
+  let chunkResults;
+  if (workerPool) {
+    chunkResults = await Promise.all(chunks.map(chunk => workerPool.run(chunk)));
+  } else {
+    chunkResults = chunks.map(chunk => propagateChunk(chunk).results);
+  }
+
+  const ephemerides = new Map();
+  chunkResults.flat().forEach(result => {
+    if (result.validCount === 0) return;
+    ephemerides.set(result.noradCatId, {
+      ...result,
+      start: jobBase.start,
+      intervalMs,
+      count: numSamples
+    });
+  });
+
+  if (workerPool) {
+    logger.debug(`Propagated ${objects.length} objects x ${numSamples} samples`, {
+      service: 'propagation',
+      workers: workerPool.workers.length,
+      durationMs: Date.now() - startedAt
+    });
+  }
+
+  return ephemerides;
+};
+
+/**
+ * Propagate many objects to one instant
+ * @returns {Promise<Map>} noradCatId → { position: {x,y,z}, velocity: {x,y,z} } in TEME km, km/s
+ */
+const propagateCatalogAt = async (satellites, time = new Date()) => {
+  const ephemerides = await propagateCatalog(satellites, { start: time, numSamples: 1, includeVelocity: true });
+  const states = new Map();
+  ephemerides.forEach((ephemeris, noradCatId) => {
+    states.set(noradCatId, {
+      position: getSamplePosition(ephemeris, 0),
+      velocity: {
+        x: ephemeris.velocities[0],
+        y: ephemeris.velocities[1],
+        z: ephemeris.velocities[2]
+      }
+    });
+  });
+  return states;
+};
+
+const getSamplePosition = (ephemeris, index) => ({
+  x: ephemeris.positions[index * 3],
+  y: ephemeris.positions[index * 3 + 1],
+  z: ephemeris.positions[index * 3 + 2]
+});
+
+const getSampleTime = (ephemeris, index) => new Date(ephemeris.start + index * ephemeris.intervalMs);
+
+/**
+ * Closest sample of two ephemerides on the same time grid
+ * @returns {Object} { minDistance (km), timeOfClosestApproach, index }
+ */
+const findClosestSample = (ephemerisA, ephemerisB) => {
+  let minDistanceSq = Infinity;
+  let closestIndex = -1;
+  const count = Math.min(ephemerisA.count, ephemerisB.count);
+  const a = ephemerisA.positions;
+  const b = ephemerisB.positions;
+
+  for (let i = 0; i < count; i++) {
+    if (!ephemerisA.valid[i] || !ephemerisB.valid[i]) continue;
+    const dx = b[i * 3] - a[i * 3];
+    const dy = b[i * 3 + 1] - a[i * 3 + 1];
+    const dz = b[i * 3 + 2] - a[i * 3 + 2];
+    const distanceSq = dx * dx + dy * dy + dz * dz;
+    if (distanceSq < minDistanceSq) {
+      minDistanceSq = distanceSq;
+      closestIndex = i;
+    }
+  }
+
+  return closestIndex < 0
+    ? { minDistance: Infinity, timeOfClosestApproach: null, index: -1 }
+    : {
+      minDistance: Math.sqrt(minDistanceSq),
+      timeOfClosestApproach: getSampleTime(ephemerisA, closestIndex),
+      index: closestIndex
+    };
+};
+
+/**
+ * Build an ephemeris in the same layout from a list of { x, y, z, velocity?, time }
+ * samples on the grid, e.g. one interpolated from an operator OEM
+ */
+const fromPositionList = (noradCatId, samples, start, intervalMs, numSamples) => {
+  const positions = new Float64Array(numSamples * 3);
+  const velocities = samples.length > 0 && samples.every(sample => sample.velocity)
+    ? new Float64Array(numSamples * 3)
+    : null;
+  const valid = new Uint8Array(numSamples);
+  let validCount = 0;
+
+  samples.forEach(sample => {
+    const index = Math.round((sample.time.getTime() - start.getTime()) / intervalMs);
+    if (index < 0 || index >= numSamples) return;
+    positions[index * 3] = sample.x;
+    positions[index * 3 + 1] = sample.y;
+    positions[index * 3 + 2] = sample.z;
+    if (velocities) {
+      velocities[index * 3] = sample.velocity.x;
+      velocities[index * 3 + 1] = sample.velocity.y;
+      velocities[index * 3 + 2] = sample.velocity.z;
+    }
+    if (!valid[index]) validCount++;
+    valid[index] = 1;
+  });
+
+  return {
+    noradCatId,
+    start: start.getTime(),
+    intervalMs,
+    count: numSamples,
+    positions,
+    velocities,
+    valid,
+    validCount
+  };
+};
+
+const shutdownPropagationPool = async () => {
+  if (pool) await pool.terminate();
+  pool = null;
+};
+
+module.exports = {
+  propagateCatalog,
+  propagateCatalogAt,
+  getSamplePosition,
+  getSampleTime,
+  findClosestSample,
+  fromPositionList,
+  shutdownPropagationPool,
+  CONFIG
+};
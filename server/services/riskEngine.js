@@ -1,6 +1,8 @@
 const Satellite = require('../models/Satellite');
 const Conjunction = require('../models/Conjunction');
-const { propagateSatellite } = require('./orbitEngine');
+const { propagateCatalogAt } = require('./propagationService');
+const { temeToGeodetic } = require('../utils/frames');
+const { getCurrentQuality, getQualityWeight } = require('./tleQualityService');
 
 const CONFIG = {
   CLOSE_APPROACH_THRESHOLD_KM: 10,
@@ -38,22 +40,24 @@ const calculateCongestionFactor = (satellites, targetAltitude) => {
   return Math.min(density * 2, 3);
 };
 
-// Optimized position calculation - returns all positions in one pass
+// Current position of every satellite, propagated on the worker pool
 const calculateAllPositions = async (satellites) => {
   const positions = [];
+  const now = new Date();
+  const states = await propagateCatalogAt(satellites, now);
   
   for (const sat of satellites) {
-    const tleLine1 = sat.tleLine1 || (sat.tle && sat.tle.line1);
-    const tleLine2 = sat.tleLine2 || (sat.tle && sat.tle.line2);
-    
-    const pos = propagateSatellite(tleLine1, tleLine2);
-    if (pos) {
+    const state = states.get(sat.noradCatId);
+    if (state) {
+      const pos = { ...state.position, ...temeToGeodetic(state.position, now) };
       positions.push({
         noradCatId: sat.noradCatId,
         name: sat.name,
         position: pos,
         orbitalAltitude: sat.orbitalAltitude || 0,
-        velocity: pos.altitude > 0 ? 7.8 : 3.1
+        velocity: pos.altitude > 0 ? 7.8 : 3.1,
+        quality: getCurrentQuality(sat, now),
+        qualityWeight: getQualityWeight(sat, now)
       });
     }
   }
@@ -72,6 +76,7 @@ const calculateDistancesOptimized = (positions) => {
   for (let i = 0; i < n; i++) {
     let closestDistanceSq = Infinity;
     let closestVelocity = 0;
+    let closestIndex = -1;
     let closeApproachCount = 0;
 
     for (let j = 0; j < n; j++) {
@@ -85,6 +90,7 @@ const calculateDistancesOptimized = (positions) => {
       if (distanceSq < closestDistanceSq) {
         closestDistanceSq = distanceSq;
         closestVelocity = Math.abs(positions[i].velocity - positions[j].velocity);
+        closestIndex = j;
       }
 
       if (distanceSq < squaredThreshold) {
@@ -99,7 +105,12 @@ const calculateDistancesOptimized = (positions) => {
       closestDistance: Math.sqrt(closestDistanceSq),
       closestVelocity,
       closeApproachCount,
-      orbitalAltitude: positions[i].orbitalAltitude
+      orbitalAltitude: positions[i].orbitalAltitude,
+      orbitQuality: positions[i].quality,
+      // A close approach is only as trustworthy as the worse of the two orbits
+      qualityWeight: closestIndex >= 0
+        ? Math.min(positions[i].qualityWeight, positions[closestIndex].qualityWeight)
+        : positions[i].qualityWeight
     });
   }
 
@@ -128,7 +139,7 @@ const calculateAllRiskScores = async () => {
       result.closestDistance,
       result.closestVelocity || 1,
       congestionFactor
-    );
+    ) * result.qualityWeight;
 
     risks.push({
       noradCatId: result.noradCatId,
@@ -136,7 +147,9 @@ const calculateAllRiskScores = async () => {
       riskScore,
       closestDistance: result.closestDistance,
       closeApproachCount: result.closeApproachCount,
-      orbitalAltitude: result.orbitalAltitude
+      orbitalAltitude: result.orbitalAltitude,
+      orbitQuality: result.orbitQuality ? result.orbitQuality.score : null,
+      qualityFlags: result.orbitQuality ? result.orbitQuality.flags : []
     });
 
     bulkOperations.push({
@@ -185,6 +198,12 @@ const getRiskStatistics = async () => {
   };
 };
 
+// Conjunctions screened with stale or suspicious element sets count for less
+const getDataQualityWeight = (conjunction) => {
+  const weight = conjunction.dataQuality?.weight;
+  return typeof weight === 'number' ? weight : 1;
+};
+
 const getConjunctionRiskForSatellite = async (noradCatId, conjunctionCache = null) => {
   const sixHoursAgo = new Date(Date.now() - 6 * 60 * 60 * 1000);
   
@@ -201,13 +220,14 @@ const getConjunctionRiskForSatellite = async (noradCatId, conjunctionCache = nul
     const sorted = satConjunctions.sort((a, b) => a.closestApproachDistance - b.closestApproachDistance);
     const closest = sorted[0];
     const minDistanceKm = closest.closestApproachDistance;
-    const conjunctionRisk = Math.max(0, Math.min(1, 1 - (minDistanceKm / 10)));
+    const conjunctionRisk = Math.max(0, Math.min(1, 1 - (minDistanceKm / 10))) * getDataQualityWeight(closest);
     
     return {
       risk: conjunctionRisk,
       closestDistance: minDistanceKm,
       conjunctionCount: satConjunctions.length,
-      riskLevel: closest.riskLevel
+      riskLevel: closest.riskLevel,
+      lowQuality: Boolean(closest.dataQuality?.lowQuality)
     };
   }
   
@@ -226,13 +246,14 @@ const getConjunctionRiskForSatellite = async (noradCatId, conjunctionCache = nul
   const closestConjunction = conjunctions[0];
   const minDistanceKm = closestConjunction.closestApproachDistance;
   
-  const conjunctionRisk = Math.max(0, Math.min(1, 1 - (minDistanceKm / 10)));
+  const conjunctionRisk = Math.max(0, Math.min(1, 1 - (minDistanceKm / 10))) * getDataQualityWeight(closestConjunction);
   
   return {
     risk: conjunctionRisk,
     closestDistance: minDistanceKm,
     conjunctionCount: conjunctions.length,
-    riskLevel: closestConjunction.riskLevel
+    riskLevel: closestConjunction.riskLevel,
+    lowQuality: Boolean(closestConjunction.dataQuality?.lowQuality)
   };
 };
 
@@ -273,7 +294,7 @@ const calculateAllRiskScoresWithConjunctions = async () => {
       result.closestDistance,
       result.closestVelocity || 1,
       congestionFactor
-    );
+    ) * result.qualityWeight;
 
     // Use cached conjunction data instead of individual queries
     const conjunctionData = await getConjunctionRiskForSatellite(
@@ -296,7 +317,9 @@ const calculateAllRiskScoresWithConjunctions = async () => {
       closeApproachCount: result.closeApproachCount,
       orbitalAltitude: result.orbitalAltitude,
       hasActiveConjunction: conjunctionData.conjunctionCount > 0,
-      conjunctionDetails: conjunctionData
+      conjunctionDetails: conjunctionData,
+      orbitQuality: result.orbitQuality ? result.orbitQuality.score : null,
+      qualityFlags: result.orbitQuality ? result.orbitQuality.flags : []
     });
 
     bulkOperations.push({
@@ -0,0 +1,181 @@
+/**
+ * SATCAT Metadata Ingestion
+ * Enriches Satellite documents with object type, owner, radar cross-section,
+ * launch and decay data from a satellite catalog (SATCAT) in CSV or JSON.
+ *
+ * Accepts both CelesTrak SATCAT columns (OBJECT_TYPE = PAY/R/B/DEB, OWNER, RCS in m²)
+ * and Space-Track SATCAT columns (OBJECT_TYPE = PAYLOAD/..., COUNTRY, RCS_SIZE).
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const Satellite = require('../models/Satellite');
+const { logger } = require('../utils/logger');
+const { withStandardRetry } = require('../utils/retry');
+const { getOrCreateCircuitBreaker } = require('../utils/circuitBreaker');
+const { parseCsv } = require('../utils/csv');
+
+const CONFIG = {
+  SOURCE: (process.env.SATCAT_SOURCE || 'celestrak').toLowerCase(),
+  URL: process.env.SATCAT_URL || 'https://celestrak.org/pub/satcat.csv',
+  LOCAL_FILE: process.env.SATCAT_LOCAL_FILE || './catalog/satcat.csv',
+  BATCH_SIZE: 1000
+};
+
+const OBJECT_TYPES = {
+  PAY: 'PAYLOAD',
+  PAYLOAD: 'PAYLOAD',
+  'R/B': 'ROCKET BODY',
+  'ROCKET BODY': 'ROCKET BODY',
+  DEB: 'DEBRIS',
+  DEBRIS: 'DEBRIS',
+  UNK: 'UNKNOWN',
+  UNKNOWN: 'UNKNOWN',
+  TBA: 'UNKNOWN'
+};
+
+// CelesTrak operational status codes
+const OPS_STATUS = {
+  '+': 'OPERATIONAL',
+  P: 'PARTIALLY OPERATIONAL',
+  B: 'BACKUP',
+  S: 'SPARE',
+  X: 'EXTENDED MISSION',
+  '-': 'NON-OPERATIONAL',
+  D: 'DECAYED',
+  '?': 'UNKNOWN'
+};
+
+/**
+ * Space-Track size classes from a numeric RCS in m²
+ */
+const classifyRcsSize = (rcs) => {
+  if (rcs === null || rcs === undefined || isNaN(rcs)) return null;
+  if (rcs < 0.1) return 'SMALL';
+  if (rcs < 1) return 'MEDIUM';
+  return 'LARGE';
+};
+
+const toDateString = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().substring(0, 10);
+};
+
+/**
+ * Normalize one SATCAT row into Satellite metadata fields
+ */
+const normalizeSatcatRecord = (raw) => {
+  const record = {};
+  Object.keys(raw || {}).forEach(key => {
+    record[key.toUpperCase()] = raw[key];
+  });
+
+  const noradCatId = parseInt(record.NORAD_CAT_ID, 10);
+  if (isNaN(noradCatId)) return null;
+
+  const rcsValue = record.RCS !== undefined && record.RCS !== '' ? parseFloat(record.RCS) : NaN;
+  const rcsSizeRaw = (record.RCS_SIZE || '').toUpperCase();
+  const decayDate = toDateString(record.DECAY_DATE || record.DECAY);
+  const objectType = OBJECT_TYPES[(record.OBJECT_TYPE || '').toUpperCase()] || 'UNKNOWN';
+
+  return {
+    noradCatId,
+    objectType,
+    owner: record.OWNER || record.COUNTRY || null,
+    country: record.COUNTRY || record.OWNER || null,
+    rcs: isNaN(rcsValue) ? null : rcsValue,
+    rcsSize: ['SMALL', 'MEDIUM', 'LARGE'].includes(rcsSizeRaw) ? rcsSizeRaw : classifyRcsSize(rcsValue),
+    launchDate: toDateString(record.LAUNCH_DATE || record.LAUNCH),
+    launchSite: record.LAUNCH_SITE || record.SITE || null,
+    decayDate: decayDate ? new Date(decayDate) : null,
+    operationalStatus: decayDate
+      ? 'DECAYED'
+      : OPS_STATUS[record.OPS_STATUS_CODE] || null
+  };
+};
+
+/**
+ * Parse a SATCAT payload (CSV text, JSON text or an already parsed array)
+ */
+const parseSatcat = (data) => {
+  let rows;
+  if (Array.isArray(data)) {
+    rows = data;
+  } else if (typeof data === 'string' && /^\s*[[{]/.test(data)) {
+    const parsed = JSON.parse(data);
+    rows = Array.isArray(parsed) ? parsed : [parsed];
+  } else if (typeof data === 'string') {
+    rows = parseCsv(data);
+  } else {
+    throw new Error('Unsupported SATCAT payload');
+  }
+
+  return rows.map(normalizeSatcatRecord).filter(Boolean);
+};
+
+const fetchSatcatData = async (source) => {
+  if (source === 'local') {
+    return fs.promises.readFile(CONFIG.LOCAL_FILE, 'utf8');
+  }
+
+  const breaker = getOrCreateCircuitBreaker('satcat', { timeout: 120000, errorThreshold: 40, resetTimeout: 60000 });
+  return breaker.execute(() => withStandardRetry(async () => {
+    const response = await axios.get(CONFIG.URL, {
+      timeout: 60000,
+      headers: { 'User-Agent': 'AstraShield/1.0' },
+      responseType: 'text',
+      transformResponse: body => body
+    });
+    return response.data;
+  }, { operationName: 'fetch-satcat' }));
+};
+
+/**
+ * Fetch SATCAT metadata and apply it to stored objects. Objects that are not in
+ * the Satellite collection are skipped; SATCAT never creates element-set-less objects.
+ * @param {Object} options - { source: 'celestrak' | 'local', data }
+ */
+const ingestSatcat = async (options = {}) => {
+  const source = (options.source || CONFIG.SOURCE).toLowerCase();
+  const data = options.data !== undefined ? options.data : await fetchSatcatData(source);
+  const records = parseSatcat(data);
+
+  if (records.length === 0) {
+    throw new Error('No valid SATCAT records parsed');
+  }
+
+  let matched = 0;
+  let modified = 0;
+
+  for (let i = 0; i < records.length; i += CONFIG.BATCH_SIZE) {
+    const batch = records.slice(i, i + CONFIG.BATCH_SIZE);
+    const operations = batch.map(({ noradCatId, ...metadata }) => ({
+      updateOne: {
+        filter: { noradCatId },
+        update: { $set: { ...metadata, satcatUpdated: new Date() } }
+      }
+    }));
+
+    const result = await Satellite.bulkWrite(operations, { ordered: false });
+    matched += result.matchedCount;
+    modified += result.modifiedCount;
+  }
+
+  logger.info(`SATCAT enrichment complete: ${matched} of ${records.length} records matched`, {
+    service: 'satcat',
+    source,
+    modified
+  });
+
+  return { source, parsed: records.length, matched, modified };
+};
+
+module.exports = {
+  ingestSatcat,
+  parseSatcat,
+  normalizeSatcatRecord,
+  classifyRcsSize,
+  OBJECT_TYPES,
+  CONFIG
+};
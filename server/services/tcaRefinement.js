@@ -0,0 +1,307 @@
+/**
+ * TCA Refinement
+ * Refines a sampled close approach to the instant the range-rate between the two
+ * objects crosses zero, using Brent's method on r·v with full propagation (SGP4 or
+ * operator ephemeris) at every step. Falls back to a golden-section search on the
+ * range when the range-rate does not change sign near the estimate.
+ *
+ * A screening volume that is an ellipsoid rather than a sphere is tested at the
+ * minimum of the ellipsoid-scaled distance over the pass, which need not be the TCA.
+ */
+
+const satellite = require('satellite.js');
+const { interpolateState } = require('./ephemerisService');
+const { toRTN } = require('../utils/frames');
+
+const CONFIG = {
+  TOLERANCE_SECONDS: 0.001,
+  MAX_ITERATIONS: 100,
+  // Half-width of the first bracket around the estimate, and how far it may be walked
+  SEARCH_SECONDS: 60,
+  MAX_SEARCH_SECONDS: 600
+};
+
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+/**
+ * State function of one object: time (ms) → { position, velocity } in TEME km, km/s,
+ * or null where it cannot be propagated. An operator ephemeris wins over the TLE.
+ */
+const createStateProvider = (sat, ephemeris = null, satrec = null) => {
+  if (ephemeris) {
+    return (timeMs) => interpolateState(ephemeris, new Date(timeMs));
+  }
+
+  let record = satrec;
+  if (!record) {
+    const tleLine1 = sat.tleLine1 || (sat.tle && sat.tle.line1);
+    const tleLine2 = sat.tleLine2 || (sat.tle && sat.tle.line2);
+    if (!tleLine1 || !tleLine2) return null;
+    try {
+      record = satellite.twoline2satrec(tleLine1, tleLine2);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return (timeMs) => {
+    const state = satellite.propagate(record, new Date(timeMs));
+    if (!state.position || !Number.isFinite(state.position.x)) return null;
+    return { position: state.position, velocity: state.velocity };
+  };
+};
+
+// Relative state of the secondary with respect to the primary at one instant
+const relativeStateAt = (primary, secondary, timeMs) => {
+  const a = primary(timeMs);
+  const b = secondary(timeMs);
+  if (!a || !b) return null;
+
+  const r = {
+    x: b.position.x - a.position.x,
+    y: b.position.y - a.position.y,
+    z: b.position.z - a.position.z
+  };
+  const v = {
+    x: b.velocity.x - a.velocity.x,
+    y: b.velocity.y - a.velocity.y,
+    z: b.velocity.z - a.velocity.z
+  };
+  return { primary: a, secondary: b, r, v, rDotV: r.x * v.x + r.y * v.y + r.z * v.z };
+};
+
+/**
+ * Brent's method for a root of f in [a, b] where f(a) and f(b) differ in sign
+ */
+const brentRoot = (f, a, b, fa, fb, tolerance) => {
+  let c = b;
+  let fc = fb;
+  let d = b - a;
+  let e = d;
+
+  for (let iteration = 1; iteration <= CONFIG.MAX_ITERATIONS; iteration++) {
+    if ((fb > 0 && fc > 0) || (fb < 0 && fc < 0)) {
+      c = a;
+      fc = fa;
+      d = b - a;
+      e = d;
+    }
+    if (Math.abs(fc) < Math.abs(fb)) {
+      a = b; b = c; c = a;
+      fa = fb; fb = fc; fc = fa;
+    }
+
+    const tol1 = 2 * Number.EPSILON * Math.abs(b) + 0.5 * tolerance;
+    const xm = 0.5 * (c - b);
+    if (Math.abs(xm) <= tol1 || fb === 0) {
+      return { root: b, iterations: iteration, converged: true };
+    }
+
+    if (Math.abs(e) >= tol1 && Math.abs(fa) > Math.abs(fb)) {
+      // Inverse quadratic interpolation, or secant when only two points are distinct
+      const s = fb / fa;
+      let p;
+      let q;
+      if (a === c) {
+        p = 2 * xm * s;
+        q = 1 - s;
+      } else {
+        const qa = fa / fc;
+        const r = fb / fc;
+        p = s * (2 * xm * qa * (qa - r) - (b - a) * (r - 1));
+        q = (qa - 1) * (r - 1) * (s - 1);
+      }
+      if (p > 0) q = -q;
+      p = Math.abs(p);
+      if (2 * p < Math.min(3 * xm * q - Math.abs(tol1 * q), Math.abs(e * q))) {
+        e = d;
+        d = p / q;
+      } else {
+        d = xm;
+        e = d;
+      }
+    } else {
+      d = xm;
+      e = d;
+    }
+
+    a = b;
+    fa = fb;
+    b += Math.abs(d) > tol1 ? d : (xm >= 0 ? tol1 : -tol1);
+    fb = f(b);
+    if (!Number.isFinite(fb)) return null;
+  }
+
+  return { root: b, iterations: CONFIG.MAX_ITERATIONS, converged: false };
+};
+
+/**
+ * Golden-section search for the minimum of f on [a, b]
+ */
+const goldenSectionMinimum = (f, a, b, tolerance) => {
+  let x1 = b - GOLDEN_RATIO * (b - a);
+  let x2 = a + GOLDEN_RATIO * (b - a);
+  let f1 = f(x1);
+  let f2 = f(x2);
+  let iteration = 0;
+
+  while (Math.abs(b - a) > tolerance && iteration < CONFIG.MAX_ITERATIONS) {
+    iteration++;
+    if (!Number.isFinite(f1) || !Number.isFinite(f2)) return null;
+    if (f1 < f2) {
+      b = x2;
+      x2 = x1;
+      f2 = f1;
+      x1 = b - GOLDEN_RATIO * (b - a);
+      f1 = f(x1);
+    } else {
+      a = x1;
+      x1 = x2;
+      f1 = f2;
+      x2 = a + GOLDEN_RATIO * (b - a);
+      f2 = f(x2);
+    }
+  }
+
+  return { root: (a + b) / 2, iterations: iteration, converged: Math.abs(b - a) <= tolerance };
+};
+
+/**
+ * Refine a close approach between two objects
+ * @param {Function} primary - State provider of the primary (see createStateProvider)
+ * @param {Function} secondary - State provider of the secondary
+ * @param {Date|number} estimate - Approximate TCA
+ * @param {Object} options - { searchSeconds, toleranceSeconds }
+ * @returns {Object|null} { timeOfClosestApproach, missDistance (km), relativeVelocity (km/s),
+ *   relativePositionRTN (km, secondary in the primary's RTN frame), states, method,
+ *   iterations, converged }
+ */
+const refineClosestApproach = (primary, secondary, estimate, options = {}) => {
+  const {
+    searchSeconds = CONFIG.SEARCH_SECONDS,
+    toleranceSeconds = CONFIG.TOLERANCE_SECONDS
+  } = options;
+  if (!primary || !secondary) return null;
+
+  // Work in seconds from the estimate so the tolerance is not lost to epoch magnitude
+  const t0 = estimate instanceof Date ? estimate.getTime() : estimate;
+  const rangeRate = (s) => {
+    const state = relativeStateAt(primary, secondary, t0 + s * 1000);
+    return state ? state.rDotV : NaN;
+  };
+  const rangeSq = (s) => {
+    const state = relativeStateAt(primary, secondary, t0 + s * 1000);
+    return state ? state.r.x ** 2 + state.r.y ** 2 + state.r.z ** 2 : NaN;
+  };
+
+  // Walk the bracket towards the minimum until r·v goes from closing to opening
+  let a = -searchSeconds;
+  let b = searchSeconds;
+  let fa = rangeRate(a);
+  let fb = rangeRate(b);
+  if (!Number.isFinite(fa) || !Number.isFinite(fb)) return null;
+
+  while (!(fa <= 0 && fb >= 0) && Math.max(-a, b) < CONFIG.MAX_SEARCH_SECONDS) {
+    if (fb < 0) {
+      a = b; fa = fb;
+      b += searchSeconds; fb = rangeRate(b);
+    } else {
+      b = a; fb = fa;
+      a -= searchSeconds; fa = rangeRate(a);
+    }
+    if (!Number.isFinite(fa) || !Number.isFinite(fb)) return null;
+  }
+
+  let method = 'brent';
+  let solution = fa <= 0 && fb >= 0
+    ? brentRoot(rangeRate, a, b, fa, fb, toleranceSeconds)
+    : null;
+  if (!solution) {
+    method = 'golden-section';
+    solution = goldenSectionMinimum(rangeSq, -searchSeconds, searchSeconds, toleranceSeconds);
+  }
+  if (!solution) return null;
+
+  const tcaMs = t0 + solution.root * 1000;
+  const state = relativeStateAt(primary, secondary, tcaMs);
+  if (!state) return null;
+
+  const rtn = toRTN(state.secondary, state.primary).position;
+
+  return {
+    timeOfClosestApproach: new Date(Math.round(tcaMs)),
+    tcaMs,
+    missDistance: Math.sqrt(state.r.x ** 2 + state.r.y ** 2 + state.r.z ** 2),
+    relativeVelocity: Math.sqrt(state.v.x ** 2 + state.v.y ** 2 + state.v.z ** 2),
+    relativePositionRTN: { radial: rtn.x, transverse: rtn.y, normal: rtn.z },
+    states: { primary: state.primary, secondary: state.secondary },
+    method,
+    iterations: solution.iterations,
+    converged: solution.converged
+  };
+};
+
+/**
+ * Deepest point of a pass inside an ellipsoid centred on the primary and aligned with
+ * its RTN frame: the minimum over the pass of Σ(offsetᵢ/semiAxisᵢ)², with offset the
+ * secondary's position in that frame. Points inside the ellipsoid are no farther than
+ * its largest semi-axis, so the search covers the time the pair takes to close that
+ * distance on either side of the estimate.
+ * @param {Function} primary - State provider of the primary (see createStateProvider)
+ * @param {Function} secondary - State provider of the secondary
+ * @param {Date|number} estimate - TCA of the pass
+ * @param {Object} semiAxes - { radial, transverse, normal } (km)
+ * @param {Object} options - { toleranceSeconds }
+ * @returns {Object|null} { time, scaledDistance (≤ 1 inside), relativePositionRTN (km), states }
+ */
+const minimizeEllipsoidDistance = (primary, secondary, estimate, semiAxes, options = {}) => {
+  const { toleranceSeconds = CONFIG.TOLERANCE_SECONDS } = options;
+  if (!primary || !secondary) return null;
+
+  const t0 = estimate instanceof Date ? estimate.getTime() : estimate;
+  const offsetAt = (s) => {
+    const state = relativeStateAt(primary, secondary, t0 + s * 1000);
+    if (!state) return null;
+    return { state, rtn: toRTN(state.secondary, state.primary).position };
+  };
+  const scaledSq = (s) => {
+    const offset = offsetAt(s);
+    if (!offset) return NaN;
+    return (offset.rtn.x / semiAxes.radial) ** 2 +
+      (offset.rtn.y / semiAxes.transverse) ** 2 +
+      (offset.rtn.z / semiAxes.normal) ** 2;
+  };
+
+  const atEstimate = relativeStateAt(primary, secondary, t0);
+  if (!atEstimate) return null;
+  const speed = Math.sqrt(atEstimate.v.x ** 2 + atEstimate.v.y ** 2 + atEstimate.v.z ** 2);
+  const largestAxis = Math.max(semiAxes.radial, semiAxes.transverse, semiAxes.normal);
+  const halfWidth = speed > 0
+    ? Math.min(CONFIG.MAX_SEARCH_SECONDS, Math.max(largestAxis / speed, toleranceSeconds))
+    : CONFIG.MAX_SEARCH_SECONDS;
+
+  const solution = goldenSectionMinimum(scaledSq, -halfWidth, halfWidth, toleranceSeconds);
+  // The estimate itself is a candidate, in case the bracket ends hold the minimum
+  const candidates = [0, solution && solution.root].filter(s => Number.isFinite(s));
+  let best = null;
+  for (const s of candidates) {
+    const value = scaledSq(s);
+    if (Number.isFinite(value) && (!best || value < best.value)) best = { s, value };
+  }
+  if (!best) return null;
+
+  const { state, rtn } = offsetAt(best.s);
+  return {
+    time: new Date(Math.round(t0 + best.s * 1000)),
+    scaledDistance: Math.sqrt(best.value),
+    relativePositionRTN: { radial: rtn.x, transverse: rtn.y, normal: rtn.z },
+    states: { primary: state.primary, secondary: state.secondary }
+  };
+};
+
+module.exports = {
+  createStateProvider,
+  refineClosestApproach,
+  minimizeEllipsoidDistance,
+  CONFIG
+};
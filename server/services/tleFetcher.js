@@ -1,22 +1,75 @@
-const axios = require('axios');
 const Satellite = require('../models/Satellite');
 const { logger } = require('../utils/logger');
-const { retry, withStandardRetry } = require('../utils/retry');
-const { executeWithCircuitBreaker, circuitBreakers } = require('../utils/circuitBreaker');
+const { decodeCatalogNumber, parseExponentField, fromTLEEpoch } = require('../utils/tleFormat');
+const { OMM_FORMATS, detectOMMFormat, parseOMMMessages, ommToElements } = require('./ommParser');
+const { recordElementSets } = require('./tleHistoryService');
+const { validateTLELines } = require('./tleValidator');
+const { attachQualityScores } = require('./tleQualityService');
+const { loadCatalogSources, fetchFromSource } = require('./catalogSources');
 
-const TLE_URL = 'https://celestrak.org/NORAD/elements/gp.php?GROUP=active&FORMAT=txt';
-const TLE_URL_FALLBACK = 'https://www.celestrak.org/NORAD/elements/gp.php?GROUP=active&FORMAT=txt';
+const MU_EARTH = 398600.4418; // km³/s²
+const EARTH_RADIUS_KM = 6378.137;
 
-const TLE_VALIDATION = {
-  MIN_LINE_LENGTH: 69,
-  MAX_LINE_LENGTH: 69,
-  REQUIRED_FIELDS: ['noradCatId', 'name', 'tleLine1', 'tleLine2']
+// Derived fields shared by every ingestion path so all engines see one document shape
+const buildSatelliteRecord = (elements) => {
+  // a = (μ / n²)^(1/3) with the mean motion in rad/s; altitude above the equatorial radius
+  const meanMotionRadS = (elements.meanMotion * 2 * Math.PI) / 86400;
+  const semiMajorAxis = Math.cbrt(MU_EARTH / (meanMotionRadS * meanMotionRadS));
+  const orbitalAltitude = semiMajorAxis - EARTH_RADIUS_KM;
+
+  return {
+    noradCatId: elements.noradCatId,
+    name: elements.name,
+    tleLine1: elements.tleLine1,
+    tleLine2: elements.tleLine2,
+    classification: elements.classification,
+    internationalDesignator: elements.internationalDesignator,
+    epochYear: elements.epochYear,
+    epochDay: elements.epochDay,
+    epoch: fromTLEEpoch(elements.epochYear, elements.epochDay),
+    meanMotionDot: elements.meanMotionDot,
+    meanMotionDdot: elements.meanMotionDdot,
+    bstar: elements.bstar,
+    ephemerisType: elements.ephemerisType,
+    elementSetNum: elements.elementSetNum,
+    inclination: elements.inclination,
+    eccentricity: elements.eccentricity,
+    raan: elements.raan,
+    argumentOfPerigee: elements.argumentOfPerigee,
+    meanAnomaly: elements.meanAnomaly,
+    meanMotion: elements.meanMotion,
+    orbitNumber: elements.orbitNumber,
+    orbitalAltitude,
+    lastUpdated: new Date()
+  };
 };
 
-// Validation helper
-const isValidTLE = (line1, line2) => {
-  return line1?.length === TLE_VALIDATION.MIN_LINE_LENGTH && 
-         line2?.length === TLE_VALIDATION.MIN_LINE_LENGTH;
+const parseTLERecord = (name, tleLine1, tleLine2) => {
+  const noradCatId = decodeCatalogNumber(tleLine1.substring(2, 7));
+  if (isNaN(noradCatId)) return null;
+
+  return buildSatelliteRecord({
+    noradCatId,
+    name,
+    tleLine1,
+    tleLine2,
+    classification: tleLine1.charAt(7),
+    internationalDesignator: tleLine1.substring(9, 17).trim(),
+    epochYear: parseInt(tleLine1.substring(18, 20)),
+    epochDay: parseFloat(tleLine1.substring(20, 32)),
+    meanMotionDot: parseFloat(tleLine1.substring(33, 43)),
+    meanMotionDdot: parseExponentField(tleLine1.substring(44, 52)),
+    bstar: parseExponentField(tleLine1.substring(53, 61)),
+    ephemerisType: parseInt(tleLine1.charAt(62)),
+    elementSetNum: parseInt(tleLine1.substring(64, 68)),
+    inclination: parseFloat(tleLine2.substring(8, 16)),
+    raan: parseFloat(tleLine2.substring(17, 25)),
+    eccentricity: parseFloat('0.' + tleLine2.substring(26, 33)),
+    argumentOfPerigee: parseFloat(tleLine2.substring(34, 42)),
+    meanAnomaly: parseFloat(tleLine2.substring(43, 51)),
+    meanMotion: parseFloat(tleLine2.substring(52, 63)),
+    orbitNumber: parseInt(tleLine2.substring(63, 68))
+  });
 };
 
 const parseTLE = (tleData) => {
@@ -27,6 +80,7 @@ const parseTLE = (tleData) => {
   
   const lines = tleData.split('\n').filter(line => line.trim());
   const satellites = [];
+  const rejectedByReason = {};
 
   for (let i = 0; i < lines.length; i += 3) {
     if (i + 2 >= lines.length) break;
@@ -35,113 +89,160 @@ const parseTLE = (tleData) => {
     const tleLine1 = lines[i + 1]?.trim();
     const tleLine2 = lines[i + 2]?.trim();
 
-    if (!isValidTLE(tleLine1, tleLine2)) continue;
+    const issues = validateTLELines(tleLine1, tleLine2);
+    if (issues.length > 0) {
+      rejectedByReason[issues[0].code] = (rejectedByReason[issues[0].code] || 0) + 1;
+      logger.debug(`Rejected TLE for ${name}: ${issues[0].message}`, { service: 'tle-fetcher' });
+      continue;
+    }
 
     try {
-      const noradCatId = parseInt(tleLine1.substring(2, 7).trim());
-      if (isNaN(noradCatId)) continue;
-
-      const classification = tleLine1.charAt(7);
-      const internationalDesignator = tleLine1.substring(9, 17).trim();
-      const epochYear = parseInt(tleLine1.substring(18, 20));
-      const epochDay = parseFloat(tleLine1.substring(20, 32));
-      const meanMotionDot = parseFloat(tleLine1.substring(33, 43));
-      const bstar = parseFloat(tleLine1.substring(53, 61)) * 1e-5;
-      const ephemerisType = parseInt(tleLine1.charAt(62));
-      const elementSetNum = parseInt(tleLine1.substring(63, 68));
-
-      const inclination = parseFloat(tleLine2.substring(8, 16));
-      const eccentricity = parseFloat('0.' + tleLine2.substring(17, 25));
-      const raan = parseFloat(tleLine2.substring(26, 34));
-      const argumentOfPerigee = parseFloat(tleLine2.substring(34, 42));
-      const meanAnomaly = parseFloat(tleLine2.substring(43, 51));
-      const meanMotion = parseFloat(tleLine2.substring(52, 63));
-      const orbitNumber = parseInt(tleLine2.substring(63, 68));
-
-      const orbitalPeriod = 1440 / meanMotion;
-      const earthRadius = 6371;
-      const semiMajorAxis = Math.pow((orbitalPeriod / (2 * Math.PI)) * 137.93, 1/3) * earthRadius;
-      const orbitalAltitude = semiMajorAxis - earthRadius;
-
-      satellites.push({
-        noradCatId,
-        name,
-        tleLine1,
-        tleLine2,
-        classification,
-        internationalDesignator,
-        epochYear,
-        epochDay,
-        meanMotionDot,
-        bstar,
-        ephemerisType,
-        elementSetNum,
-        inclination,
-        eccentricity,
-        raan,
-        argumentOfPerigee,
-        meanAnomaly,
-        meanMotion,
-        orbitNumber,
-        orbitalAltitude,
-        lastUpdated: new Date()
-      });
+      const record = parseTLERecord(name, tleLine1, tleLine2);
+      if (record) satellites.push(record);
     } catch (e) {
       logger.debug(`Error parsing TLE for ${name}: ${e.message}`, { service: 'tle-fetcher' });
     }
   }
 
+  const rejected = Object.values(rejectedByReason).reduce((sum, count) => sum + count, 0);
+  if (rejected > 0) {
+    logger.warn(`Rejected ${rejected} invalid TLE records`, { service: 'tle-fetcher', rejectedByReason });
+  }
+
   return satellites;
 };
 
-// Fetch with circuit breaker and retry logic
-const fetchWithRetry = async (url, retries = 3) => {
-  return withStandardRetry(async () => {
-    const response = await axios.get(url, { 
-      timeout: 30000,
-      headers: { 'User-Agent': 'AstraShield/1.0' }
-    });
-    return response.data;
-  }, { operationName: `fetch-tle-${url}` });
+const parseOMM = (ommData, format) => {
+  let messages;
+  try {
+    messages = parseOMMMessages(ommData, format);
+  } catch (e) {
+    logger.warn(`Invalid OMM data received: ${e.message}`, { service: 'tle-fetcher', format });
+    return [];
+  }
+
+  const satellites = [];
+  for (const message of messages) {
+    const elements = ommToElements(message);
+    if (!elements) {
+      logger.debug(`Skipping OMM record for ${message?.OBJECT_NAME || message?.NORAD_CAT_ID || 'unknown object'}`, {
+        service: 'tle-fetcher',
+        format
+      });
+      continue;
+    }
+    satellites.push(buildSatelliteRecord(elements));
+  }
+
+  return satellites;
 };
 
-const fetchAndStoreTLE = async () => {
-  let tleData;
-  
-  // Use circuit breaker for primary source
-  try {
-    logger.info('Fetching TLE data from CelesTrak (primary)...', { service: 'tle-fetcher' });
-    tleData = await executeWithCircuitBreaker('tleApi', async () => {
-      return fetchWithRetry(TLE_URL);
-    });
-  } catch (primaryError) {
-    // Circuit breaker open or primary failed, try fallback
-    logger.warn('Primary TLE source unavailable, trying fallback...', { 
-      service: 'tle-fetcher',
-      error: primaryError.message 
+const detectCatalogFormat = (data) => detectOMMFormat(data) || 'tle';
+
+// Pick the parser that matches the source format
+const parseCatalog = (data, format = detectCatalogFormat(data)) => {
+  if (OMM_FORMATS.includes(format)) {
+    return parseOMM(data, format);
+  }
+  return parseTLE(data);
+};
+
+const getEpochTime = (record) => (record.epoch ? record.epoch.getTime() : 0);
+
+// Fetch and parse every payload of one source, tagging each record with its provenance
+const collectFromSource = async (provider) => {
+  const payloads = await fetchFromSource(provider);
+  const retrievedAt = new Date();
+  const records = [];
+
+  for (const payload of payloads) {
+    const format = payload.format && payload.format !== 'auto'
+      ? payload.format
+      : detectCatalogFormat(payload.data);
+
+    parseCatalog(payload.data, format).forEach(record => {
+      records.push({
+        ...record,
+        provenance: {
+          source: provider.name,
+          type: provider.type,
+          format,
+          label: payload.label,
+          retrievedAt
+        }
+      });
     });
-    
+  }
+
+  return records;
+};
+
+/**
+ * Fetch the catalog from every configured source and store the newest element
+ * set per object.
+ * @param {Object} options - { format, sources: [names], providers }
+ */
+const fetchAndStoreTLE = async (options = {}) => {
+  let providers = options.providers || loadCatalogSources({ format: options.format });
+  if (options.sources && options.sources.length > 0) {
+    providers = providers.filter(provider => options.sources.includes(provider.name));
+  }
+
+  if (providers.length === 0) {
+    throw new Error('No catalog sources configured');
+  }
+
+  const merged = new Map();
+  const allRecords = [];
+  const sourceResults = [];
+
+  for (const provider of providers) {
     try {
-      tleData = await executeWithCircuitBreaker('tleFallback', async () => {
-        return fetchWithRetry(TLE_URL_FALLBACK);
-      });
-    } catch (fallbackError) {
-      logger.error('All TLE sources failed', { 
+      logger.info(`Fetching catalog from ${provider.name}...`, { service: 'tle-fetcher', format: provider.format });
+      const records = await collectFromSource(provider);
+      allRecords.push(...records);
+
+      for (const record of records) {
+        const existing = merged.get(record.noradCatId);
+        const sources = existing ? [...new Set([...existing.sources, provider.name])] : [provider.name];
+
+        // Several sources may carry the same object; keep the newest epoch
+        if (!existing || getEpochTime(record) > getEpochTime(existing)) {
+          merged.set(record.noradCatId, { ...record, sources });
+        } else {
+          existing.sources = sources;
+        }
+      }
+
+      sourceResults.push({ source: provider.name, success: true, parsed: records.length });
+    } catch (error) {
+      logger.error(`Catalog source ${provider.name} failed`, {
         service: 'tle-fetcher',
-        primaryError: primaryError.message,
-        fallbackError: fallbackError.message
+        error: error.message
       });
-      throw new Error(`TLE fetch failed: ${primaryError.message}`);
+      sourceResults.push({ source: provider.name, success: false, error: error.message });
     }
   }
-  
-  const satellites = parseTLE(tleData);
+
+  const satellites = [...merged.values()];
   
   if (satellites.length === 0) {
-    throw new Error('No valid satellites parsed from TLE data');
+    const failures = sourceResults.filter(r => !r.success).map(r => `${r.source}: ${r.error}`);
+    throw new Error(failures.length > 0
+      ? `TLE fetch failed: ${failures.join('; ')}`
+      : 'No valid satellites parsed from TLE data');
   }
   
-  logger.info(`Parsed ${satellites.length} satellites from TLE data`, { service: 'tle-fetcher' });
+  logger.info(`Parsed ${satellites.length} satellites from ${sourceResults.filter(r => r.success).length} sources`, { service: 'tle-fetcher' });
+
+  try {
+    await attachQualityScores(satellites);
+  } catch (qualityError) {
+    logger.error('Failed to score element set quality', {
+      service: 'tle-fetcher',
+      error: qualityError.message
+    });
+  }
 
   // Use bulk operations for efficiency
   const operations = satellites.map(sat => ({
@@ -160,11 +261,33 @@ const fetchAndStoreTLE = async () => {
     modified: result.modifiedCount,
     total: satellites.length
   });
+
+  // Keep every distinct element set from every source; the Satellite document only holds the latest
+  let history = null;
+  try {
+    history = await recordElementSets(allRecords);
+  } catch (historyError) {
+    logger.error('Failed to record element set history', {
+      service: 'tle-fetcher',
+      error: historyError.message
+    });
+  }
+
   return { 
     inserted: result.upsertedCount, 
     updated: result.modifiedCount, 
-    total: satellites.length 
+    total: satellites.length,
+    sources: sourceResults,
+    history
   };
 };
 
-module.exports = { fetchAndStoreTLE, parseTLE };
+module.exports = {
+  fetchAndStoreTLE,
+  parseTLE,
+  parseTLERecord,
+  parseOMM,
+  parseCatalog,
+  detectCatalogFormat,
+  buildSatelliteRecord
+};
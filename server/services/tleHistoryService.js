@@ -0,0 +1,116 @@
+/**
+ * Element Set History Service
+ * Keeps every distinct element set per object so past states can be replayed,
+ * decay fitted and maneuvers detected.
+ */
+
+const TleHistory = require('../models/TleHistory');
+const { logger } = require('../utils/logger');
+
+const CONFIG = {
+  DEFAULT_LIMIT: 500,
+  MAX_LIMIT: 1000
+};
+
+const HISTORY_FIELDS = [
+  'name',
+  'tleLine1',
+  'tleLine2',
+  'meanMotion',
+  'meanMotionDot',
+  'meanMotionDdot',
+  'bstar',
+  'eccentricity',
+  'inclination',
+  'raan',
+  'argumentOfPerigee',
+  'meanAnomaly',
+  'orbitNumber',
+  'orbitalAltitude'
+];
+
+/**
+ * Insert element sets that are not stored yet. Existing epochs are left untouched,
+ * so re-ingesting the same catalog is a no-op.
+ * @param {Array} records - Satellite records as produced by the catalog parsers
+ * @param {string} source - Fallback provenance for records without their own
+ */
+const recordElementSets = async (records, source = 'unknown') => {
+  const operations = records
+    .filter(record => record.epoch instanceof Date && !isNaN(record.epoch.getTime()))
+    .map(record => {
+      const entry = { source: record.provenance?.source || source, ingestedAt: new Date() };
+      HISTORY_FIELDS.forEach(field => {
+        if (record[field] !== undefined) entry[field] = record[field];
+      });
+
+      return {
+        updateOne: {
+          filter: {
+            noradCatId: record.noradCatId,
+            epoch: record.epoch,
+            elementSetNum: record.elementSetNum || 0
+          },
+          update: { $setOnInsert: entry },
+          upsert: true
+        }
+      };
+    });
+
+  if (operations.length === 0) {
+    return { inserted: 0, existing: 0 };
+  }
+
+  const result = await TleHistory.bulkWrite(operations, { ordered: false });
+
+  logger.info(`Element set history: ${result.upsertedCount} new of ${operations.length}`, {
+    service: 'tle-history'
+  });
+
+  return {
+    inserted: result.upsertedCount,
+    existing: operations.length - result.upsertedCount
+  };
+};
+
+/**
+ * Get element set history for one object, oldest first. When the range holds
+ * more than `limit` sets the most recent ones are returned.
+ * @param {number} noradCatId
+ * @param {Object} options - { start, end, limit }
+ */
+const getElementSetHistory = async (noradCatId, options = {}) => {
+  const { start, end } = options;
+  const limit = Math.min(options.limit || CONFIG.DEFAULT_LIMIT, CONFIG.MAX_LIMIT);
+
+  const query = { noradCatId };
+  if (start || end) {
+    query.epoch = {};
+    if (start) query.epoch.$gte = start;
+    if (end) query.epoch.$lte = end;
+  }
+
+  const history = await TleHistory.find(query)
+    .sort({ epoch: -1 })
+    .limit(limit)
+    .select('-__v')
+    .lean();
+
+  return history.reverse();
+};
+
+/**
+ * Get the most recent stored element set before a given time
+ */
+const getElementSetAt = async (noradCatId, time) => {
+  return TleHistory.findOne({ noradCatId, epoch: { $lte: time } })
+    .sort({ epoch: -1 })
+    .lean();
+};
+
+module.exports = {
+  recordElementSets,
+  getElementSetHistory,
+  getElementSetAt,
+  CONFIG
+};
@@ -0,0 +1,225 @@
+/**
+ * Element Set Quality Scoring
+ * Scores each element set from 0 (unusable) to 1 (fresh and consistent) so the
+ * conjunction and risk engines can down-weight or flag stale or suspicious orbits.
+ *
+ * Components:
+ *   epochAge   - how old the epoch is, relative to the update cadence of the regime
+ *   bstar      - whether the B* drag term is physically plausible
+ *   continuity - position jump against the previous set propagated to the new epoch
+ */
+
+const satellite = require('satellite.js');
+const Satellite = require('../models/Satellite');
+
+const CONFIG = {
+  WEIGHTS: { epochAge: 0.4, bstar: 0.2, continuity: 0.4 },
+  // Mean motion above which an orbit is treated as LEO (period under ~128 minutes)
+  LEO_MEAN_MOTION: 11.25,
+  FRESH_DAYS: { leo: 2, other: 7 },
+  HALF_LIFE_DAYS: { leo: 5, other: 15 },
+  BSTAR: {
+    NOMINAL: 1e-3,
+    MAX: 1e-2,
+    MIN_NEGATIVE: -1e-4
+  },
+  CONTINUITY: {
+    BASE_KM: 5,
+    GROWTH_KM_PER_DAY: 10,
+    JUMP_RATIO: 3,
+    MAX_GAP_DAYS: 30
+  },
+  STALE_SCORE: 0.5,
+  SUSPICIOUS_SCORE: 0.5,
+  // Engines never weight an orbit below this, so bad data dims a result instead of hiding it
+  MIN_WEIGHT: 0.25,
+  BATCH_SIZE: 1000
+};
+
+const MS_PER_DAY = 86400000;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const getRegime = (record) => (record.meanMotion >= CONFIG.LEO_MEAN_MOTION ? 'leo' : 'other');
+
+const scoreEpochAge = (record, now = new Date()) => {
+  const epoch = record.epoch ? new Date(record.epoch) : null;
+  if (!epoch || isNaN(epoch.getTime())) return { score: 0, ageDays: null };
+
+  const ageDays = Math.max(0, (now.getTime() - epoch.getTime()) / MS_PER_DAY);
+  const regime = getRegime(record);
+  const excess = ageDays - CONFIG.FRESH_DAYS[regime];
+  const score = excess <= 0 ? 1 : Math.pow(0.5, excess / CONFIG.HALF_LIFE_DAYS[regime]);
+
+  return { score, ageDays };
+};
+
+const scoreBstar = (record) => {
+  const bstar = record.bstar || 0;
+  if (bstar < CONFIG.BSTAR.MIN_NEGATIVE) return 0.4;
+  if (Math.abs(bstar) > CONFIG.BSTAR.MAX) return 0.3;
+  if (Math.abs(bstar) > CONFIG.BSTAR.NOMINAL) return 0.7;
+  return 1;
+};
+
+const propagateAt = (tleLine1, tleLine2, time) => {
+  const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
+  const state = satellite.propagate(satrec, time);
+  return state && state.position ? state.position : null;
+};
+
+/**
+ * Compare the previous set propagated to the new epoch with the new set at epoch.
+ * Returns null when there is nothing comparable.
+ */
+const scoreContinuity = (record, previous) => {
+  if (!previous || !previous.tleLine1 || !previous.tleLine2 || !previous.epoch || !record.epoch) {
+    return null;
+  }
+
+  const gapDays = (new Date(record.epoch).getTime() - new Date(previous.epoch).getTime()) / MS_PER_DAY;
+  if (gapDays <= 0 || gapDays > CONFIG.CONTINUITY.MAX_GAP_DAYS) return null;
+
+  try {
+    const epoch = new Date(record.epoch);
+    const predicted = propagateAt(previous.tleLine1, previous.tleLine2, epoch);
+    const actual = propagateAt(record.tleLine1, record.tleLine2, epoch);
+    if (!predicted || !actual) return null;
+
+    const residualKm = Math.sqrt(
+      Math.pow(predicted.x - actual.x, 2) +
+      Math.pow(predicted.y - actual.y, 2) +
+      Math.pow(predicted.z - actual.z, 2)
+    );
+    const allowedKm = CONFIG.CONTINUITY.BASE_KM + CONFIG.CONTINUITY.GROWTH_KM_PER_DAY * gapDays;
+    const ratio = residualKm / allowedKm;
+
+    return { score: ratio <= 1 ? 1 : 1 / ratio, residualKm, ratio };
+  } catch (error) {
+    return null;
+  }
+};
+
+const combine = (components) => {
+  let weighted = 0;
+  let totalWeight = 0;
+  Object.entries(CONFIG.WEIGHTS).forEach(([name, weight]) => {
+    if (components[name] === null || components[name] === undefined) return;
+    weighted += components[name] * weight;
+    totalWeight += weight;
+  });
+  return totalWeight > 0 ? weighted / totalWeight : 0;
+};
+
+/**
+ * Score one element set
+ * @param {Object} record - Satellite record with epoch, bstar, meanMotion and TLE lines
+ * @param {Object} previous - Previous element set of the same object, if any
+ * @returns {Object} { score, flags, components, epochAgeDays, residualKm, assessedAt }
+ */
+const computeQualityScore = (record, previous = null, now = new Date()) => {
+  const epochAge = scoreEpochAge(record, now);
+  const bstar = scoreBstar(record);
+  const continuity = scoreContinuity(record, previous);
+
+  const components = {
+    epochAge: round(epochAge.score),
+    bstar,
+    continuity: continuity ? round(continuity.score) : null
+  };
+
+  const flags = [];
+  if (epochAge.score < CONFIG.STALE_SCORE) flags.push('STALE_EPOCH');
+  if (bstar < 0.5) flags.push('IMPLAUSIBLE_BSTAR');
+  if (continuity && continuity.ratio > CONFIG.CONTINUITY.JUMP_RATIO) flags.push('ELEMENT_JUMP');
+
+  return {
+    score: round(combine(components)),
+    flags,
+    components,
+    epochAgeDays: epochAge.ageDays === null ? null : round(epochAge.ageDays),
+    residualKm: continuity ? round(continuity.residualKm) : null,
+    assessedAt: now
+  };
+};
+
+/**
+ * Current quality of a stored satellite. The epoch-age component is recomputed
+ * because it keeps decaying after ingestion; the rest comes from the stored score.
+ * Returns null for satellites that were never scored.
+ */
+const getCurrentQuality = (sat, now = new Date()) => {
+  if (!sat || !sat.quality || !sat.quality.components) return null;
+
+  const epochAge = scoreEpochAge(sat, now);
+  const components = { ...sat.quality.components, epochAge: round(epochAge.score) };
+  const flags = (sat.quality.flags || []).filter(flag => flag !== 'STALE_EPOCH');
+  if (epochAge.score < CONFIG.STALE_SCORE) flags.push('STALE_EPOCH');
+
+  return {
+    score: round(combine(components)),
+    flags,
+    components,
+    epochAgeDays: epochAge.ageDays === null ? null : round(epochAge.ageDays)
+  };
+};
+
+/**
+ * Weight an engine should apply to results that depend on this orbit (MIN_WEIGHT to 1).
+ * Unscored satellites get full weight.
+ */
+const getQualityWeight = (sat, now = new Date()) => {
+  const quality = getCurrentQuality(sat, now);
+  if (!quality) return 1;
+  return CONFIG.MIN_WEIGHT + (1 - CONFIG.MIN_WEIGHT) * quality.score;
+};
+
+const isSuspicious = (quality) =>
+  Boolean(quality) && (quality.score < CONFIG.SUSPICIOUS_SCORE || quality.flags.length > 0);
+
+/**
+ * Score freshly parsed records against the element sets currently stored and set
+ * record.quality in place. A record with the same epoch as the stored set keeps
+ * the stored continuity result.
+ */
+const attachQualityScores = async (records, now = new Date()) => {
+  for (let i = 0; i < records.length; i += CONFIG.BATCH_SIZE) {
+    const batch = records.slice(i, i + CONFIG.BATCH_SIZE);
+    const stored = await Satellite.find({ noradCatId: { $in: batch.map(r => r.noradCatId) } })
+      .select('noradCatId tleLine1 tleLine2 epoch quality')
+      .lean();
+    const storedById = new Map(stored.map(sat => [sat.noradCatId, sat]));
+
+    for (const record of batch) {
+      const previous = storedById.get(record.noradCatId);
+      const sameEpoch = previous && previous.epoch && record.epoch &&
+        new Date(previous.epoch).getTime() === record.epoch.getTime();
+
+      if (!sameEpoch) {
+        record.quality = computeQualityScore(record, previous, now);
+        continue;
+      }
+
+      const quality = computeQualityScore(record, null, now);
+      const storedQuality = previous.quality;
+      if (storedQuality && storedQuality.components && typeof storedQuality.components.continuity === 'number') {
+        quality.components.continuity = storedQuality.components.continuity;
+        quality.residualKm = storedQuality.residualKm ?? null;
+        quality.score = round(combine(quality.components));
+        if ((storedQuality.flags || []).includes('ELEMENT_JUMP')) quality.flags.push('ELEMENT_JUMP');
+      }
+      record.quality = quality;
+    }
+  }
+
+  return records;
+};
+
+module.exports = {
+  computeQualityScore,
+  getCurrentQuality,
+  getQualityWeight,
+  isSuspicious,
+  attachQualityScores,
+  CONFIG
+};
@@ -0,0 +1,175 @@
+/**
+ * TLE Validation
+ * Column-level checks on two-line element sets. Every problem is reported with a
+ * reason code so ingestion and import reports can say why a record was rejected:
+ *
+ *   WRONG_LINE_LENGTH  - a line is not exactly 69 characters
+ *   WRONG_LINE_NUMBER  - line 1 does not start with "1" or line 2 with "2"
+ *   CATALOG_MISMATCH   - the catalog numbers on line 1 and line 2 differ
+ *   BAD_CHECKSUM       - the modulo-10 checksum in column 69 does not match
+ *   NON_NUMERIC_FIELD  - a numeric column holds something else
+ *   OUT_OF_RANGE       - eccentricity, inclination or mean motion is not physical
+ *   EPOCH_IN_FUTURE    - the element set epoch lies ahead of the current time
+ */
+
+const { computeChecksum, decodeCatalogNumber } = require('../utils/tleFormat');
+
+const CONFIG = {
+  LINE_LENGTH: 69,
+  // Predicted element sets are published a few hours ahead of their epoch
+  FUTURE_EPOCH_TOLERANCE_MS: 12 * 60 * 60 * 1000,
+  INCLINATION_RANGE_DEG: [0, 180],
+  // Above ~18 rev/day the orbit is inside the atmosphere; below 0.01 it is beyond cislunar space
+  MEAN_MOTION_RANGE_REV_DAY: [0.01, 18],
+  EARTH_RADIUS_KM: 6378.137,
+  MU_EARTH_KM3_S2: 398600.4418
+};
+
+const DECIMAL = /^\s*[+-]?(\d+\.?\d*|\.\d+)\s*$/;
+const EXPONENT = /^\s*[+-]?\d{1,5}\s*[+-]?\d$/;
+const INTEGER = /^\s*\d+$/;
+
+// [label, start, end, pattern] - zero-based substring columns
+const LINE1_FIELDS = [
+  ['epoch year', 18, 20, /^\d{2}$/],
+  ['epoch day', 20, 32, DECIMAL],
+  ['mean motion derivative', 33, 43, DECIMAL],
+  ['mean motion second derivative', 44, 52, EXPONENT],
+  ['B* drag term', 53, 61, EXPONENT],
+  ['ephemeris type', 62, 63, /^[\d ]$/],
+  ['element set number', 64, 68, INTEGER]
+];
+
+const LINE2_FIELDS = [
+  ['inclination', 8, 16, DECIMAL],
+  ['right ascension of ascending node', 17, 25, DECIMAL],
+  ['eccentricity', 26, 33, /^\d{7}$/],
+  ['argument of perigee', 34, 42, DECIMAL],
+  ['mean anomaly', 43, 51, DECIMAL],
+  ['mean motion', 52, 63, DECIMAL],
+  ['revolution number', 63, 68, INTEGER]
+];
+
+const issue = (code, message) => ({ code, message });
+
+const checkChecksum = (line, lineNumber) => {
+  const expected = computeChecksum(line);
+  const actual = line.charAt(68);
+  if (!/^\d$/.test(actual) || parseInt(actual, 10) !== expected) {
+    return issue('BAD_CHECKSUM', `Line ${lineNumber} checksum is "${actual}", expected ${expected}`);
+  }
+  return null;
+};
+
+const checkNumericFields = (line, lineNumber, fields) => {
+  const issues = [];
+  if (isNaN(decodeCatalogNumber(line.substring(2, 7)))) {
+    issues.push(issue('NON_NUMERIC_FIELD', `Line ${lineNumber} catalog number "${line.substring(2, 7)}" is not numeric`));
+  }
+  fields.forEach(([label, start, end, pattern]) => {
+    const value = line.substring(start, end);
+    if (!pattern.test(value)) {
+      issues.push(issue('NON_NUMERIC_FIELD', `Line ${lineNumber} ${label} "${value}" is not numeric`));
+    }
+  });
+  return issues;
+};
+
+const checkLineNumbers = (line1, line2) => {
+  const issues = [];
+  if (!line1.startsWith('1 ')) {
+    issues.push(issue('WRONG_LINE_NUMBER', `Line 1 starts with "${line1.charAt(0)}", expected "1"`));
+  }
+  if (!line2.startsWith('2 ')) {
+    issues.push(issue('WRONG_LINE_NUMBER', `Line 2 starts with "${line2.charAt(0)}", expected "2"`));
+  }
+  return issues;
+};
+
+const checkCatalogConsistency = (line1, line2) => {
+  const catalog1 = decodeCatalogNumber(line1.substring(2, 7));
+  const catalog2 = decodeCatalogNumber(line2.substring(2, 7));
+  if (!isNaN(catalog1) && !isNaN(catalog2) && catalog1 !== catalog2) {
+    return issue('CATALOG_MISMATCH', `Line 1 catalog number ${catalog1} does not match line 2 catalog number ${catalog2}`);
+  }
+  return null;
+};
+
+// Only called once the columns are known to be numeric
+const checkElementRanges = (line2) => {
+  const issues = [];
+  const inclination = parseFloat(line2.substring(8, 16));
+  const eccentricity = parseFloat('0.' + line2.substring(26, 33));
+  const meanMotion = parseFloat(line2.substring(52, 63));
+  const [minInclination, maxInclination] = CONFIG.INCLINATION_RANGE_DEG;
+  const [minMeanMotion, maxMeanMotion] = CONFIG.MEAN_MOTION_RANGE_REV_DAY;
+
+  if (inclination < minInclination || inclination > maxInclination) {
+    issues.push(issue('OUT_OF_RANGE', `Inclination ${inclination}° is outside ${minInclination}-${maxInclination}°`));
+  }
+  if (meanMotion < minMeanMotion || meanMotion > maxMeanMotion) {
+    issues.push(issue('OUT_OF_RANGE', `Mean motion ${meanMotion} rev/day is outside ${minMeanMotion}-${maxMeanMotion}`));
+    return issues;
+  }
+
+  // The TLE field cannot exceed 0.9999999, so the useful bound is a perigee above the surface
+  const meanMotionRadS = meanMotion * 2 * Math.PI / 86400;
+  const semiMajorAxis = Math.cbrt(CONFIG.MU_EARTH_KM3_S2 / (meanMotionRadS * meanMotionRadS));
+  if (semiMajorAxis * (1 - eccentricity) < CONFIG.EARTH_RADIUS_KM) {
+    issues.push(issue('OUT_OF_RANGE', `Eccentricity ${eccentricity} puts perigee below the Earth's surface`));
+  }
+  return issues;
+};
+
+/**
+ * Validate the two element lines of a TLE.
+ * @returns {Array} Issues as { code, message }; empty when the lines are valid
+ */
+const validateTLELines = (line1, line2) => {
+  const lines = [line1 || '', line2 || ''];
+  const lengthIssues = lines
+    .map((line, i) => (line.length === CONFIG.LINE_LENGTH
+      ? null
+      : issue('WRONG_LINE_LENGTH', `Line ${i + 1} has ${line.length} characters, expected ${CONFIG.LINE_LENGTH}`)))
+    .filter(Boolean);
+
+  // Column positions are meaningless once a line has the wrong length
+  if (lengthIssues.length > 0) return lengthIssues;
+
+  const issues = [
+    ...checkLineNumbers(line1, line2),
+    checkCatalogConsistency(line1, line2),
+    checkChecksum(line1, 1),
+    checkChecksum(line2, 2),
+    ...checkNumericFields(line1, 1, LINE1_FIELDS),
+    ...checkNumericFields(line2, 2, LINE2_FIELDS)
+  ].filter(Boolean);
+
+  return issues.length > 0 ? issues : checkElementRanges(line2);
+};
+
+/**
+ * True when the element lines pass every column-level check
+ */
+const isValidTLE = (line1, line2) => validateTLELines(line1, line2).length === 0;
+
+/**
+ * Check an element set epoch against the current time
+ * @returns {Object|null} EPOCH_IN_FUTURE issue, or null
+ */
+const checkEpoch = (epoch, now = new Date()) => {
+  if (!(epoch instanceof Date) || isNaN(epoch.getTime())) {
+    return issue('NON_NUMERIC_FIELD', 'Epoch could not be read');
+  }
+  if (epoch.getTime() - now.getTime() > CONFIG.FUTURE_EPOCH_TOLERANCE_MS) {
+    return issue('EPOCH_IN_FUTURE', `Epoch ${epoch.toISOString()} is in the future`);
+  }
+  return null;
+};
+
+module.exports = {
+  validateTLELines,
+  isValidTLE,
+  checkEpoch,
+  CONFIG
+};
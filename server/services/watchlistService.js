@@ -0,0 +1,445 @@
+/**
+ * Watchlist Service
+ * Screens protected assets against the full catalog, each on its own schedule.
+ * Every asset has its own screening volume (an ellipsoid in the asset's RTN frame),
+ * forecast horizon and cadence; approaches inside the volume are recorded on their
+ * conjunction events, tagged with the asset, and raise alerts scoped to that asset.
+ */
+
+const WatchlistAsset = require('../models/WatchlistAsset');
+const Satellite = require('../models/Satellite');
+const ConjunctionEvent = require('../models/ConjunctionEvent');
+const { logger } = require('../utils/logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { screenCatalog } = require('./conjunctionScreening');
+const { createStateProvider, minimizeEllipsoidDistance } = require('./tcaRefinement');
+const { computeConjunction } = require('./conjunctionEngine');
+const { loadCoveringEphemerides } = require('./ephemerisService');
+const {
+  recordScreeningUpdates,
+  loadExternalCovariances,
+  CONFIG: EVENT_CONFIG
+} = require('./conjunctionEventService');
+const { createWatchlistAlert } = require('./alertService');
+
+const CONFIG = {
+  MAX_HORIZON_HOURS: 720,
+  MIN_CADENCE_MINUTES: 5,
+  MAX_VOLUME_AXIS_KM: 200,
+  SAMPLE_INTERVAL_SECONDS: 60,
+  MAX_UPCOMING_EVENTS: 100
+};
+
+const EDITABLE_FIELDS = ['name', 'screeningVolume', 'horizonHours', 'cadenceMinutes', 'alertThresholds', 'enabled', 'notes'];
+
+let screeningInProgress = false;
+
+const isPositive = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+
+/**
+ * Check the editable fields of an asset; only the fields present are checked
+ */
+const validateAssetFields = (fields) => {
+  const { screeningVolume, horizonHours, cadenceMinutes, alertThresholds, enabled } = fields;
+
+  if (screeningVolume !== undefined) {
+    ['radialKm', 'transverseKm', 'normalKm'].forEach(axis => {
+      const value = screeningVolume[axis];
+      if (value !== undefined && (!isPositive(value) || value > CONFIG.MAX_VOLUME_AXIS_KM)) {
+        throw new ValidationError(`screeningVolume.${axis} must be greater than 0 and at most ${CONFIG.MAX_VOLUME_AXIS_KM} km`);
+      }
+    });
+  }
+  if (horizonHours !== undefined && (!isPositive(horizonHours) || horizonHours > CONFIG.MAX_HORIZON_HOURS)) {
+    throw new ValidationError(`horizonHours must be greater than 0 and at most ${CONFIG.MAX_HORIZON_HOURS}`);
+  }
+  if (cadenceMinutes !== undefined && (!isPositive(cadenceMinutes) || cadenceMinutes < CONFIG.MIN_CADENCE_MINUTES)) {
+    throw new ValidationError(`cadenceMinutes must be at least ${CONFIG.MIN_CADENCE_MINUTES}`);
+  }
+  if (alertThresholds !== undefined) {
+    const { probabilityOfCollision, missDistanceKm } = alertThresholds;
+    if (probabilityOfCollision !== undefined && (!isPositive(probabilityOfCollision) || probabilityOfCollision > 1)) {
+      throw new ValidationError('alertThresholds.probabilityOfCollision must be greater than 0 and at most 1');
+    }
+    if (missDistanceKm !== undefined && !isPositive(missDistanceKm)) {
+      throw new ValidationError('alertThresholds.missDistanceKm must be greater than 0');
+    }
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new ValidationError('enabled must be true or false');
+  }
+};
+
+const pickEditableFields = (fields) => EDITABLE_FIELDS.reduce((picked, key) => {
+  if (fields[key] !== undefined) picked[key] = fields[key];
+  return picked;
+}, {});
+
+/**
+ * Dotted paths so a partial screeningVolume or alertThresholds keeps the other values
+ */
+const toUpdatePaths = (fields) => Object.entries(fields).reduce((paths, [key, value]) => {
+  if ((key === 'screeningVolume' || key === 'alertThresholds') && value && typeof value === 'object') {
+    Object.entries(value).forEach(([subKey, subValue]) => {
+      if (subValue !== undefined) paths[`${key}.${subKey}`] = subValue;
+    });
+  } else {
+    paths[key] = value;
+  }
+  return paths;
+}, {});
+
+/**
+ * Whether the other object enters the asset's ellipsoid during the pass, tested where
+ * the ellipsoid-scaled distance is smallest rather than at the Euclidean TCA
+ */
+const entersVolume = (assetProvider, otherProvider, approach, volume) => {
+  const deepest = minimizeEllipsoidDistance(assetProvider, otherProvider, approach.timeOfClosestApproach, {
+    radial: volume.radialKm,
+    transverse: volume.transverseKm,
+    normal: volume.normalKm
+  });
+  if (deepest) return deepest.scaledDistance <= 1;
+  // Without states only the sphere of the smallest semi-axis is sure to lie inside
+  return approach.minDistance <= Math.min(volume.radialKm, volume.transverseKm, volume.normalKm);
+};
+
+/**
+ * Watchlist assets with the number of upcoming events of each
+ */
+const listAssets = async () => {
+  const assets = await WatchlistAsset.find({}).sort({ noradCatId: 1 }).lean();
+  if (assets.length === 0) return [];
+
+  const counts = await ConjunctionEvent.aggregate([
+    {
+      $match: {
+        watchlistAssets: { $in: assets.map(asset => asset.noradCatId) },
+        status: 'active',
+        timeOfClosestApproach: { $gte: new Date() }
+      }
+    },
+    { $unwind: '$watchlistAssets' },
+    { $group: { _id: '$watchlistAssets', count: { $sum: 1 } } }
+  ]);
+  const countByAsset = new Map(counts.map(entry => [entry._id, entry.count]));
+
+  return assets.map(asset => ({
+    ...asset,
+    upcomingEvents: countByAsset.get(asset.noradCatId) || 0
+  }));
+};
+
+const getAsset = async (noradCatId) => {
+  const asset = await WatchlistAsset.findOne({ noradCatId }).lean();
+  if (!asset) {
+    throw new NotFoundError('Watchlist asset', noradCatId);
+  }
+  return asset;
+};
+
+/**
+ * Add a catalog object to the watchlist; it is screened on the next scheduler run
+ */
+const addAsset = async (noradCatId, fields = {}) => {
+  validateAssetFields(fields);
+
+  const satellite = await Satellite.findOne({ noradCatId }).select('noradCatId name').lean();
+  if (!satellite) {
+    throw new NotFoundError('Satellite', noradCatId);
+  }
+  if (await WatchlistAsset.exists({ noradCatId })) {
+    throw new ConflictError(`Satellite ${noradCatId} is already on the watchlist`, 'WatchlistAsset');
+  }
+
+  const asset = await WatchlistAsset.create({
+    ...pickEditableFields(fields),
+    noradCatId,
+    name: fields.name || satellite.name,
+    nextScreeningAt: new Date()
+  });
+
+  logger.info('Added watchlist asset', { service: 'watchlist', noradCatId });
+  return asset.toObject();
+};
+
+const updateAsset = async (noradCatId, fields = {}) => {
+  validateAssetFields(fields);
+
+  const update = toUpdatePaths(pickEditableFields(fields));
+  // A new cadence applies from now rather than after the old one runs out
+  if (fields.cadenceMinutes !== undefined || fields.enabled === true) {
+    update.nextScreeningAt = new Date();
+  }
+  update.updatedAt = new Date();
+
+  const asset = await WatchlistAsset.findOneAndUpdate(
+    { noradCatId },
+    { $set: update },
+    { new: true, runValidators: true }
+  ).lean();
+  if (!asset) {
+    throw new NotFoundError('Watchlist asset', noradCatId);
+  }
+  return asset;
+};
+
+/**
+ * Remove an asset; its events keep their history but no longer count as its events
+ */
+const removeAsset = async (noradCatId) => {
+  const result = await WatchlistAsset.deleteOne({ noradCatId });
+  if (result.deletedCount === 0) {
+    throw new NotFoundError('Watchlist asset', noradCatId);
+  }
+  await ConjunctionEvent.updateMany(
+    { watchlistAssets: noradCatId },
+    { $pull: { watchlistAssets: noradCatId } }
+  );
+  logger.info('Removed watchlist asset', { service: 'watchlist', noradCatId });
+  return { noradCatId, removed: true };
+};
+
+/**
+ * Active events of an asset with a TCA still ahead, soonest first
+ */
+const getUpcomingEvents = async (noradCatId, limit = CONFIG.MAX_UPCOMING_EVENTS) => {
+  const events = await ConjunctionEvent.find({
+    watchlistAssets: noradCatId,
+    status: 'active',
+    timeOfClosestApproach: { $gte: new Date() }
+  })
+    .select('eventId satellite1 satellite2 timeOfClosestApproach latest updatedAt')
+    .sort({ timeOfClosestApproach: 1 })
+    .limit(limit)
+    .lean();
+
+  const counterpartIds = events.map(event => (event.satellite1 === noradCatId ? event.satellite2 : event.satellite1));
+  const satellites = await Satellite.find({ noradCatId: { $in: counterpartIds } }).select('noradCatId name').lean();
+  const names = new Map(satellites.map(sat => [sat.noradCatId, sat.name]));
+
+  return events.map((event, index) => ({
+    eventId: event.eventId,
+    counterpart: {
+      noradCatId: counterpartIds[index],
+      name: names.get(counterpartIds[index]) || `SAT-${counterpartIds[index]}`
+    },
+    timeOfClosestApproach: event.timeOfClosestApproach,
+    missDistance: event.latest ? event.latest.missDistance : null,
+    probabilityOfCollision: event.latest ? event.latest.probabilityOfCollision : 0,
+    riskLevel: event.latest ? event.latest.riskLevel : null,
+    lastScreenedAt: event.latest ? event.latest.screenedAt : event.updatedAt
+  }));
+};
+
+const shouldAlert = (conjunction, asset) => {
+  const thresholds = asset.alertThresholds || {};
+  return (thresholds.probabilityOfCollision !== undefined &&
+      conjunction.probabilityOfCollision >= thresholds.probabilityOfCollision) ||
+    (thresholds.missDistanceKm !== undefined && conjunction.minDistanceKm <= thresholds.missDistanceKm);
+};
+
+/**
+ * Screen a set of assets in one catalog pass. The pass covers the longest horizon
+ * and largest volume among them; each asset then keeps only the approaches inside
+ * its own horizon and ellipsoid.
+ * @param {Array} assets - WatchlistAsset records
+ * @returns {Promise<Object>} { assets: [{ noradCatId, approaches, alerts, error }], screening }
+ */
+const screenAssets = async (assets) => {
+  const startTime = Date.now();
+  const start = new Date();
+
+  const satellites = await Satellite.find({}).lean();
+  const catalogIds = new Set(satellites.map(sat => sat.noradCatId));
+  const screenable = assets.filter(asset => catalogIds.has(asset.noradCatId));
+
+  const results = new Map(assets.map(asset => [asset.noradCatId, {
+    noradCatId: asset.noradCatId,
+    approaches: 0,
+    alerts: 0,
+    error: catalogIds.has(asset.noradCatId) ? null : 'Object is not in the catalog'
+  }]));
+
+  let screening = null;
+  if (screenable.length > 0) {
+    const horizonHours = Math.max(...screenable.map(asset => asset.horizonHours));
+    // Ellipsoid bounded by the sphere of its largest semi-axis
+    const thresholdKm = Math.max(...screenable.map(asset => {
+      const volume = asset.screeningVolume;
+      return Math.max(volume.radialKm, volume.transverseKm, volume.normalKm);
+    }));
+    const end = new Date(start.getTime() + horizonHours * 3600000);
+
+    const ephemerides = await loadCoveringEphemerides(satellites.map(sat => sat.noradCatId), start, end);
+    const { approaches, stats } = await screenCatalog(satellites, {
+      start,
+      forecastHours: horizonHours,
+      thresholdKm,
+      intervalSeconds: CONFIG.SAMPLE_INTERVAL_SECONDS,
+      ephemerides,
+      primaries: new Set(screenable.map(asset => asset.noradCatId))
+    });
+    screening = stats;
+
+    const matchWindowMs = EVENT_CONFIG.MATCH_WINDOW_MINUTES * 60000;
+    let externalCovariances = [];
+    try {
+      externalCovariances = await loadExternalCovariances(
+        new Date(start.getTime() - matchWindowMs),
+        new Date(end.getTime() + matchWindowMs)
+      );
+    } catch (error) {
+      logger.error('External covariance lookup failed', { service: 'watchlist', error: error.message });
+    }
+
+    const assetsById = new Map(screenable.map(asset => [asset.noradCatId, asset]));
+    const conjunctions = [];
+    const alertCandidates = [];
+
+    for (const approach of approaches) {
+      const tca = new Date(approach.timeOfClosestApproach).getTime();
+      const providers = {
+        satA: createStateProvider(approach.satA, ephemerides.get(approach.satA.noradCatId)),
+        satB: createStateProvider(approach.satB, ephemerides.get(approach.satB.noradCatId))
+      };
+      // Two assets can meet each other; the approach is then checked against both volumes
+      const matching = [
+        [approach.satA, providers.satA, providers.satB],
+        [approach.satB, providers.satB, providers.satA]
+      ]
+        .filter(([sat]) => assetsById.has(sat.noradCatId))
+        .map(([sat, assetProvider, otherProvider]) => ({ asset: assetsById.get(sat.noradCatId), assetProvider, otherProvider }))
+        .filter(({ asset, assetProvider, otherProvider }) => {
+          if (tca > start.getTime() + asset.horizonHours * 3600000) return false;
+          return entersVolume(assetProvider, otherProvider, approach, asset.screeningVolume);
+        })
+        .map(({ asset }) => asset);
+
+      if (matching.length === 0) continue;
+
+      const conjunction = await computeConjunction(approach, {
+        ephemerides,
+        externalCovariances,
+        storageThresholdKm: thresholdKm
+      });
+      if (!conjunction) continue;
+
+      conjunction.watchlistAssets = matching.map(asset => asset.noradCatId);
+      conjunctions.push(conjunction);
+      matching.forEach(asset => {
+        results.get(asset.noradCatId).approaches++;
+        if (shouldAlert(conjunction, asset)) alertCandidates.push({ conjunction, asset });
+      });
+    }
+
+    if (conjunctions.length > 0) {
+      const eventIds = await recordScreeningUpdates(conjunctions, new Date());
+      conjunctions.forEach((conj, index) => {
+        conj.eventId = eventIds[index];
+      });
+    }
+
+    for (const { conjunction, asset } of alertCandidates) {
+      try {
+        await createWatchlistAlert(conjunction, asset);
+        results.get(asset.noradCatId).alerts++;
+      } catch (error) {
+        logger.error('Failed to create watchlist alert', {
+          service: 'watchlist',
+          noradCatId: asset.noradCatId,
+          eventId: conjunction.eventId,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  const screenedAt = new Date();
+  const durationMs = Date.now() - startTime;
+  await WatchlistAsset.bulkWrite(assets.map(asset => {
+    const result = results.get(asset.noradCatId);
+    return {
+      updateOne: {
+        filter: { noradCatId: asset.noradCatId },
+        update: {
+          $set: {
+            lastScreenedAt: screenedAt,
+            nextScreeningAt: new Date(screenedAt.getTime() + asset.cadenceMinutes * 60000),
+            lastScreening: {
+              approaches: result.approaches,
+              alerts: result.alerts,
+              durationMs,
+              error: result.error
+            }
+          }
+        }
+      }
+    };
+  }), { ordered: false });
+
+  logger.info('Watchlist screening completed', {
+    service: 'watchlist',
+    assets: assets.length,
+    approaches: [...results.values()].reduce((sum, result) => sum + result.approaches, 0),
+    durationMs
+  });
+
+  return { assets: [...results.values()], screening };
+};
+
+/**
+ * Screen every enabled asset that is due. Runs are not overlapped; a run still in
+ * progress makes the next call return immediately.
+ */
+const runDueScreenings = async (now = new Date()) => {
+  if (screeningInProgress) {
+    logger.debug('Watchlist screening already in progress', { service: 'watchlist' });
+    return null;
+  }
+
+  screeningInProgress = true;
+  try {
+    const due = await WatchlistAsset.find({
+      enabled: true,
+      $or: [{ nextScreeningAt: { $lte: now } }, { nextScreeningAt: null }]
+    }).lean();
+    if (due.length === 0) return null;
+
+    return await screenAssets(due);
+  } finally {
+    screeningInProgress = false;
+  }
+};
+
+/**
+ * Screen one asset immediately, outside its schedule
+ */
+const screenAssetNow = async (noradCatId) => {
+  const asset = await getAsset(noradCatId);
+  if (screeningInProgress) {
+    throw new ConflictError('A watchlist screening is already in progress');
+  }
+
+  screeningInProgress = true;
+  try {
+    const result = await screenAssets([asset]);
+    return { ...result.assets[0], screening: result.screening };
+  } finally {
+    screeningInProgress = false;
+  }
+};
+
+module.exports = {
+  listAssets,
+  getAsset,
+  addAsset,
+  updateAsset,
+  removeAsset,
+  getUpcomingEvents,
+  screenAssets,
+  runDueScreenings,
+  screenAssetNow,
+  entersVolume,
+  CONFIG
+};
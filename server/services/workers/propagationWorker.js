@@ -0,0 +1,61 @@
+/**
+ * Propagation Worker
+ * Runs SGP4 for a chunk of element sets on a fixed time grid and posts the
+ * results back as typed arrays (buffers are transferred, not copied).
+ */
+
+const { parentPort } = require('worker_threads');
+const satellite = require('satellite.js');
+
+const propagateChunk = ({ objects, start, intervalMs, numSamples, includeVelocity }) => {
+  const results = [];
+  const transfer = [];
+
+  for (const object of objects) {
+    const positions = new Float64Array(numSamples * 3);
+    const velocities = includeVelocity ? new Float64Array(numSamples * 3) : null;
+    const valid = new Uint8Array(numSamples);
+    let validCount = 0;
+
+    try {
+      const satrec = satellite.twoline2satrec(object.tleLine1, object.tleLine2);
+      for (let i = 0; i < numSamples; i++) {
+        const state = satellite.propagate(satrec, new Date(start + i * intervalMs));
+        if (!state.position || !Number.isFinite(state.position.x)) continue;
+
+        positions[i * 3] = state.position.x;
+        positions[i * 3 + 1] = state.position.y;
+        positions[i * 3 + 2] = state.position.z;
+        if (velocities) {
+          velocities[i * 3] = state.velocity.x;
+          velocities[i * 3 + 1] = state.velocity.y;
+          velocities[i * 3 + 2] = state.velocity.z;
+        }
+        valid[i] = 1;
+        validCount++;
+      }
+    } catch (error) {
+      // Unparseable element sets come back with no valid samples
+    }
+
+    results.push({ noradCatId: object.noradCatId, positions, velocities, valid, validCount });
+    transfer.push(positions.buffer, valid.buffer);
+    if (velocities) transfer.push(velocities.buffer);
+  }
+
+  return { results, transfer };
+};
+
+// Also loaded on the main thread for the inline fallback, where there is no parent port
+if (parentPort) {
+  parentPort.on('message', ({ id, job }) => {
+    try {
+      const { results, transfer } = propagateChunk(job);
+      parentPort.postMessage({ id, results }, transfer);
+    } catch (error) {
+      parentPort.postMessage({ id, error: error.message });
+    }
+  });
+}
+
+module.exports = { propagateChunk };
@@ -275,6 +275,17 @@ const circuitBreakers = {
   })
 };
 
+/**
+ * Get a named circuit breaker, creating and registering it on first use.
+ * Lets dynamically configured services (e.g. catalog sources) get their own breaker.
+ */
+const getOrCreateCircuitBreaker = (breakerName, options = {}) => {
+  if (!circuitBreakers[breakerName]) {
+    circuitBreakers[breakerName] = new CircuitBreaker({ name: breakerName, ...options });
+  }
+  return circuitBreakers[breakerName];
+};
+
 /**
  * Execute with circuit breaker
  */
@@ -299,6 +310,7 @@ const getAllCircuitBreakerStatuses = () => {
 module.exports = {
   CircuitBreaker,
   circuitBreakers,
+  getOrCreateCircuitBreaker,
   executeWithCircuitBreaker,
   getAllCircuitBreakerStatuses
 };
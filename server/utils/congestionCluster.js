@@ -1,4 +1,5 @@
-const { propagateSatellite } = require('../services/orbitEngine');
+const { propagateCatalogAt } = require('../services/propagationService');
+const { temeToGeodetic } = require('./frames');
 
 const CONFIG = {
   DEFAULT_BANDS: 20,
@@ -45,18 +46,23 @@ const findHighDensityRegions = (satellites, threshold = CONFIG.DENSITY_THRESHOLD
 
 const calculateClusterPositions = async (satellites, limit = CONFIG.DEFAULT_CLUSTER_LIMIT) => {
   const positions = [];
+  const now = new Date();
 
   // Process only the requested number of satellites
-  for (const sat of satellites.slice(0, limit)) {
-    const pos = propagateSatellite(sat.tleLine1, sat.tleLine2);
-    if (pos) {
+  const selected = satellites.slice(0, limit);
+  const states = await propagateCatalogAt(selected, now);
+
+  for (const sat of selected) {
+    const state = states.get(sat.noradCatId);
+    if (state) {
       positions.push({
         noradCatId: sat.noradCatId,
         name: sat.name,
-        x: pos.x / 1000,
-        y: pos.y / 1000,
-        z: pos.z / 1000,
-        altitude: sat.orbitalAltitude,
+        // TEME, km
+        x: state.position.x,
+        y: state.position.y,
+        z: state.position.z,
+        altitude: temeToGeodetic(state.position, now).altitude,
         riskScore: sat.riskScore
       });
     }
@@ -0,0 +1,55 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 reader for catalog files (SATCAT, GP element sets)
+ */
+
+/**
+ * Split CSV text into row objects keyed by the header line. Handles quoted fields.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let field = '';
+  let row = [];
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+
+  if (rows.length === 0) return [];
+  const header = rows[0].map(name => name.trim().toUpperCase());
+  return rows.slice(1).map(values => {
+    const record = {};
+    header.forEach((name, index) => {
+      record[name] = (values[index] || '').trim();
+    });
+    return record;
+  });
+};
+
+module.exports = { parseCsv };
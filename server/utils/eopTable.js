@@ -0,0 +1,24 @@
+/**
+ * Bundled Earth Orientation Parameters
+ * Half-yearly UT1-UTC (s) and polar motion (arcsec), rounded from IERS Bulletin A.
+ * Good to a few tens of metres on Earth-fixed positions; refresh from the IERS
+ * finals2000A series for anything that needs better. Values outside the table
+ * are held at the nearest end.
+ */
+
+module.exports = [
+  { date: '2020-01-01', dut1: -0.177, xp: 0.077, yp: 0.282 },
+  { date: '2020-07-01', dut1: -0.231, xp: 0.189, yp: 0.426 },
+  { date: '2021-01-01', dut1: -0.175, xp: 0.064, yp: 0.289 },
+  { date: '2021-07-01', dut1: -0.153, xp: 0.205, yp: 0.431 },
+  { date: '2022-01-01', dut1: -0.110, xp: 0.054, yp: 0.276 },
+  { date: '2022-07-01', dut1: -0.062, xp: 0.213, yp: 0.445 },
+  { date: '2023-01-01', dut1: -0.017, xp: 0.035, yp: 0.216 },
+  { date: '2023-07-01', dut1: -0.007, xp: 0.217, yp: 0.451 },
+  { date: '2024-01-01', dut1: 0.013, xp: 0.084, yp: 0.234 },
+  { date: '2024-07-01', dut1: 0.004, xp: 0.206, yp: 0.428 },
+  { date: '2025-01-01', dut1: 0.041, xp: 0.121, yp: 0.258 },
+  { date: '2025-07-01', dut1: 0.085, xp: 0.181, yp: 0.401 },
+  { date: '2026-01-01', dut1: 0.095, xp: 0.140, yp: 0.300 },
+  { date: '2026-07-01', dut1: 0.110, xp: 0.160, yp: 0.360 }
+];
@@ -0,0 +1,367 @@
+/**
+ * Reference Frame Helpers
+ * Conversions between TEME (the frame SGP4 works in), GCRF, ITRF/ECEF, geodetic
+ * coordinates and RTN relative to a primary object.
+ *
+ * Inertial J2000-family frames use IAU-76 precession and the leading IAU-80
+ * nutation terms (sub-arcsecond; the ~20 mas GCRF frame bias is ignored).
+ * Earth-fixed frames use GMST on UT1 and polar motion from the bundled EOP table.
+ */
+
+const satellite = require('satellite.js');
+const EOP_TABLE = require('./eopTable');
+
+const ARCSEC_TO_RAD = Math.PI / (180 * 3600);
+const DEG_TO_RAD = Math.PI / 180;
+const EARTH_ROTATION_RAD_S = 7.292115e-5;
+
+// WGS-84 ellipsoid
+const WGS84_A_KM = 6378.137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+
+const EOP_POINTS = EOP_TABLE.map(entry => ({ ...entry, time: Date.parse(`${entry.date}T00:00:00Z`) }));
+
+const INERTIAL_FRAMES = ['EME2000', 'J2000', 'GCRF', 'ICRF'];
+const EARTH_FIXED_FRAMES = ['ITRF', 'ITRF93', 'ITRF97', 'ITRF2000', 'ITRF2008', 'ITRF2014', 'ITRF2020', 'ECEF', 'EFG'];
+const SUPPORTED_FRAMES = ['TEME', ...INERTIAL_FRAMES, ...EARTH_FIXED_FRAMES];
+
+const normalizeFrameName = (frame) => String(frame || '').toUpperCase().replace(/[-_\s]/g, '');
+
+// Frame rotations (rotate the axes, not the vector)
+const rotX = (a) => [1, 0, 0, 0, Math.cos(a), Math.sin(a), 0, -Math.sin(a), Math.cos(a)];
+const rotY = (a) => [Math.cos(a), 0, -Math.sin(a), 0, 1, 0, Math.sin(a), 0, Math.cos(a)];
+const rotZ = (a) => [Math.cos(a), Math.sin(a), 0, -Math.sin(a), Math.cos(a), 0, 0, 0, 1];
+
+const multiply = (a, b) => {
+  const out = new Array(9);
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      out[i * 3 + j] = a[i * 3] * b[j] + a[i * 3 + 1] * b[3 + j] + a[i * 3 + 2] * b[6 + j];
+    }
+  }
+  return out;
+};
+
+const transpose = (m) => [m[0], m[3], m[6], m[1], m[4], m[7], m[2], m[5], m[8]];
+
+const apply = (m, v) => ({
+  x: m[0] * v.x + m[1] * v.y + m[2] * v.z,
+  y: m[3] * v.x + m[4] * v.y + m[5] * v.z,
+  z: m[6] * v.x + m[7] * v.y + m[8] * v.z
+});
+
+const julianCenturies = (date) => (date.getTime() / 86400000 + 2440587.5 - 2451545.0) / 36525;
+
+/**
+ * Rotation from a J2000-family inertial frame to TEME at the given time
+ */
+const j2000ToTemeMatrix = (date) => {
+  const T = julianCenturies(date);
+
+  const zeta = (2306.2181 * T + 0.30188 * T * T + 0.017998 * T * T * T) * ARCSEC_TO_RAD;
+  const theta = (2004.3109 * T - 0.42665 * T * T - 0.041833 * T * T * T) * ARCSEC_TO_RAD;
+  const z = (2306.2181 * T + 1.09468 * T * T + 0.018203 * T * T * T) * ARCSEC_TO_RAD;
+  const precession = multiply(rotZ(-z), multiply(rotY(theta), rotZ(-zeta)));
+
+  const node = (125.04452 - 1934.136261 * T) * DEG_TO_RAD;
+  const sunLongitude = (280.4665 + 36000.7698 * T) * DEG_TO_RAD;
+  const moonLongitude = (218.3165 + 481267.8813 * T) * DEG_TO_RAD;
+  const dPsi = (-17.20 * Math.sin(node) - 1.32 * Math.sin(2 * sunLongitude)
+    - 0.23 * Math.sin(2 * moonLongitude) + 0.21 * Math.sin(2 * node)) * ARCSEC_TO_RAD;
+  const dEps = (9.20 * Math.cos(node) + 0.57 * Math.cos(2 * sunLongitude)
+    + 0.10 * Math.cos(2 * moonLongitude) - 0.09 * Math.cos(2 * node)) * ARCSEC_TO_RAD;
+  const meanObliquity = (84381.448 - 46.8150 * T) * ARCSEC_TO_RAD;
+  const nutation = multiply(rotX(-(meanObliquity + dEps)), multiply(rotZ(-dPsi), rotX(meanObliquity)));
+
+  // TEME keeps the mean equinox: undo the equation of the equinoxes
+  const equationOfEquinoxes = dPsi * Math.cos(meanObliquity);
+  return multiply(rotZ(equationOfEquinoxes), multiply(nutation, precession));
+};
+
+/**
+ * UT1-UTC (s) and polar motion (arcsec) at a time, interpolated from the bundled table
+ */
+const getEOP = (date) => {
+  const t = date.getTime();
+  if (t <= EOP_POINTS[0].time) return { ...EOP_TABLE[0] };
+  const last = EOP_POINTS[EOP_POINTS.length - 1];
+  if (t >= last.time) return { ...EOP_TABLE[EOP_TABLE.length - 1] };
+
+  const index = EOP_POINTS.findIndex(point => point.time > t);
+  const before = EOP_POINTS[index - 1];
+  const after = EOP_POINTS[index];
+  const f = (t - before.time) / (after.time - before.time);
+  return {
+    dut1: before.dut1 + f * (after.dut1 - before.dut1),
+    xp: before.xp + f * (after.xp - before.xp),
+    yp: before.yp + f * (after.yp - before.yp)
+  };
+};
+
+/**
+ * TEME→PEF rotation (GMST on UT1) and the polar-motion matrix W with r_PEF = W·r_ITRF
+ */
+const earthFixedMatrices = (date) => {
+  const { dut1, xp, yp } = getEOP(date);
+  const gmst = satellite.gstime(new Date(date.getTime() + dut1 * 1000));
+  return {
+    rotation: rotZ(gmst),
+    polarMotion: multiply(rotX(yp * ARCSEC_TO_RAD), rotY(xp * ARCSEC_TO_RAD))
+  };
+};
+
+/**
+ * Convert a position (km) and velocity (km/s) from a supported frame to TEME
+ * @param {Object} state - { position: {x,y,z}, velocity: {x,y,z} }
+ * @param {string} frame - Source frame name (OEM REF_FRAME style)
+ * @param {Date} date - Epoch of the state
+ */
+const toTEME = (state, frame, date) => {
+  const name = normalizeFrameName(frame);
+
+  if (name === 'TEME') return state;
+
+  if (INERTIAL_FRAMES.includes(name)) {
+    const m = j2000ToTemeMatrix(date);
+    return { position: apply(m, state.position), velocity: apply(m, state.velocity) };
+  }
+
+  if (EARTH_FIXED_FRAMES.includes(name)) {
+    const { rotation, polarMotion } = earthFixedMatrices(date);
+    const pef = apply(polarMotion, state.position);
+    const pefVelocity = apply(polarMotion, state.velocity);
+    // Add the Earth's rotation back in before rotating the velocity
+    const inertialVelocity = {
+      x: pefVelocity.x - EARTH_ROTATION_RAD_S * pef.y,
+      y: pefVelocity.y + EARTH_ROTATION_RAD_S * pef.x,
+      z: pefVelocity.z
+    };
+    return { position: apply(transpose(rotation), pef), velocity: apply(transpose(rotation), inertialVelocity) };
+  }
+
+  throw new Error(`Unsupported reference frame: ${frame}`);
+};
+
+/**
+ * Convert a TEME state to TEME, a J2000-family inertial frame or an Earth-fixed frame.
+ * The velocity is optional; position-only states come back position-only.
+ */
+const fromTEME = (state, frame, date) => {
+  const name = normalizeFrameName(frame);
+  const { position, velocity } = state;
+
+  if (name === 'TEME') return state;
+
+  if (INERTIAL_FRAMES.includes(name)) {
+    const m = transpose(j2000ToTemeMatrix(date));
+    return {
+      position: apply(m, position),
+      ...(velocity ? { velocity: apply(m, velocity) } : {})
+    };
+  }
+
+  if (EARTH_FIXED_FRAMES.includes(name)) {
+    const { rotation, polarMotion } = earthFixedMatrices(date);
+    const toItrf = transpose(polarMotion);
+    const pef = apply(rotation, position);
+    const result = { position: apply(toItrf, pef) };
+    if (velocity) {
+      const rotated = apply(rotation, velocity);
+      // Remove the Earth's rotation: v_PEF = R·v_TEME - ω × r_PEF
+      result.velocity = apply(toItrf, {
+        x: rotated.x + EARTH_ROTATION_RAD_S * pef.y,
+        y: rotated.y - EARTH_ROTATION_RAD_S * pef.x,
+        z: rotated.z
+      });
+    }
+    return result;
+  }
+
+  throw new Error(`Unsupported reference frame: ${frame}`);
+};
+
+/**
+ * Rotate a TEME position (km) into ITRF at the given time
+ */
+const temeToEcef = (position, date) => fromTEME({ position }, 'ITRF', date).position;
+
+/**
+ * Geodetic latitude/longitude (degrees) and height above the WGS-84 ellipsoid (km)
+ * of an Earth-fixed position (km)
+ */
+const ecefToGeodetic = ({ x, y, z }) => {
+  const p = Math.sqrt(x * x + y * y);
+  const longitude = Math.atan2(y, x);
+
+  // Fixed-point iteration on latitude; converges to well below a millimetre in a few steps
+  let latitude = Math.atan2(z, p * (1 - WGS84_E2));
+  let height = 0;
+  for (let i = 0; i < 6; i++) {
+    const sinLat = Math.sin(latitude);
+    const n = WGS84_A_KM / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+    height = p / Math.cos(latitude) - n;
+    latitude = Math.atan2(z, p * (1 - WGS84_E2 * n / (n + height)));
+  }
+
+  return {
+    latitude: latitude / DEG_TO_RAD,
+    longitude: longitude / DEG_TO_RAD,
+    altitude: height
+  };
+};
+
+const temeToGeodetic = (position, date) => ecefToGeodetic(temeToEcef(position, date));
+
+const isSupportedFrame = (frame) => SUPPORTED_FRAMES.includes(normalizeFrameName(frame));
+
+/**
+ * Unit vectors of the RTN (radial, transverse, normal) frame of a state
+ */
+const rtnBasis = (position, velocity) => {
+  const norm = (v) => Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+  const cross = (a, b) => ({
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+  });
+  const unit = (v) => {
+    const n = norm(v);
+    return { x: v.x / n, y: v.y / n, z: v.z / n };
+  };
+
+  const R = unit(position);
+  const N = unit(cross(position, velocity));
+  const T = cross(N, R);
+  return { R, T, N };
+};
+
+/**
+ * Position and velocity of an object relative to a primary, in the primary's RTN
+ * frame (x radial, y transverse, z normal). The velocity is taken in the rotating
+ * frame, so a co-orbiting object at rest relative to the primary has zero velocity.
+ */
+const toRTN = (state, primary) => {
+  const { R, T, N } = rtnBasis(primary.position, primary.velocity);
+  const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+  const project = (v) => ({ x: dot(v, R), y: dot(v, T), z: dot(v, N) });
+
+  const dr = {
+    x: state.position.x - primary.position.x,
+    y: state.position.y - primary.position.y,
+    z: state.position.z - primary.position.z
+  };
+  const position = project(dr);
+  if (!state.velocity) return { position };
+
+  const rp = primary.position;
+  const vp = primary.velocity;
+  const r2 = dot(rp, rp);
+  // Angular rate of the RTN frame about N
+  const omega = Math.sqrt(
+    (rp.y * vp.z - rp.z * vp.y) ** 2 + (rp.z * vp.x - rp.x * vp.z) ** 2 + (rp.x * vp.y - rp.y * vp.x) ** 2
+  ) / r2;
+  const dv = project({
+    x: state.velocity.x - vp.x,
+    y: state.velocity.y - vp.y,
+    z: state.velocity.z - vp.z
+  });
+
+  return {
+    position,
+    velocity: {
+      x: dv.x + omega * position.y,
+      y: dv.y - omega * position.x,
+      z: dv.z
+    }
+  };
+};
+
+// Frames an API response can be expressed in, with the names accepted for each
+const OUTPUT_FRAMES = {
+  TEME: ['TEME'],
+  GCRF: ['GCRF', 'ICRF', 'J2000', 'EME2000'],
+  ITRF: EARTH_FIXED_FRAMES,
+  GEODETIC: ['GEODETIC', 'LLA'],
+  RTN: ['RTN', 'RSW', 'RIC']
+};
+
+// Cartesian output units; geodetic altitude is always km and angles degrees
+const UNITS = {
+  km: { scale: 1, position: 'km', velocity: 'km/s' },
+  m: { scale: 1000, position: 'm', velocity: 'm/s' },
+  Mm: { scale: 0.001, position: 'Mm', velocity: 'Mm/s' }
+};
+
+const resolveOutputFrame = (frame) => {
+  const name = normalizeFrameName(frame || 'TEME');
+  return Object.keys(OUTPUT_FRAMES).find(key => OUTPUT_FRAMES[key].includes(name)) || null;
+};
+
+const scaleVector = (v, scale) => ({ x: v.x * scale, y: v.y * scale, z: v.z * scale });
+
+/**
+ * Express a TEME state (km, km/s) in an output frame and units
+ * @param {Object} state - { position, velocity? } in TEME
+ * @param {Date} date - Epoch of the state
+ * @param {Object} options - { frame, units, primary } where primary is the TEME
+ *   state of the RTN origin object at the same epoch
+ * @returns {Object} { position, velocity? } or { latitude, longitude, altitude } for GEODETIC
+ */
+const convertState = (state, date, { frame = 'TEME', units = 'km', primary = null } = {}) => {
+  const target = resolveOutputFrame(frame);
+  if (!target) throw new Error(`Unsupported output frame: ${frame}`);
+  const unit = UNITS[units];
+  if (!unit) throw new Error(`Unsupported units: ${units}`);
+
+  if (target === 'GEODETIC') return temeToGeodetic(state.position, date);
+
+  let converted;
+  if (target === 'RTN') {
+    if (!primary) throw new Error('RTN output needs a primary object');
+    converted = toRTN(state, primary);
+  } else {
+    converted = fromTEME(state, target, date);
+  }
+
+  return {
+    position: scaleVector(converted.position, unit.scale),
+    ...(converted.velocity ? { velocity: scaleVector(converted.velocity, unit.scale) } : {})
+  };
+};
+
+/**
+ * Reference block attached to API responses so every vector says what it is
+ */
+const describeReference = (frame, units, extras = {}) => {
+  const target = resolveOutputFrame(frame);
+  const reference = { frame: target };
+  if (target === 'GEODETIC') {
+    reference.units = { latitude: 'deg', longitude: 'deg', altitude: 'km' };
+    reference.ellipsoid = 'WGS-84';
+  } else {
+    reference.units = { position: UNITS[units].position, velocity: UNITS[units].velocity };
+  }
+  if (target === 'RTN') reference.axes = { x: 'radial', y: 'transverse', z: 'normal' };
+  return { ...reference, ...extras };
+};
+
+module.exports = {
+  toTEME,
+  fromTEME,
+  toRTN,
+  convertState,
+  describeReference,
+  resolveOutputFrame,
+  getEOP,
+  temeToEcef,
+  ecefToGeodetic,
+  temeToGeodetic,
+  isSupportedFrame,
+  normalizeFrameName,
+  j2000ToTemeMatrix,
+  rtnBasis,
+  SUPPORTED_FRAMES,
+  OUTPUT_FRAMES,
+  UNITS
+};
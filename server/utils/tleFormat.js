@@ -0,0 +1,187 @@
+/**
+ * TLE Formatting Utilities
+ * Fixed-column helpers shared by the TLE and OMM ingestion paths
+ */
+
+const ALPHA5_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // I and O are skipped
+const ALPHA5_MAX = 339999;
+
+/**
+ * Modulo-10 checksum over the first 68 characters of a TLE line.
+ * Digits count their value, '-' counts 1, everything else 0.
+ */
+const computeChecksum = (line) => {
+  let sum = 0;
+  for (const ch of line.substring(0, 68)) {
+    if (ch >= '0' && ch <= '9') sum += ch.charCodeAt(0) - 48;
+    else if (ch === '-') sum += 1;
+  }
+  return sum % 10;
+};
+
+/**
+ * Encode a catalog number into the 5-character TLE field.
+ * Numbers above 99999 use the Alpha-5 scheme (A0000 = 100000).
+ * Returns null for numbers that cannot be represented at all.
+ */
+const encodeCatalogNumber = (noradCatId) => {
+  if (!Number.isInteger(noradCatId) || noradCatId < 0 || noradCatId > ALPHA5_MAX) {
+    return null;
+  }
+  if (noradCatId <= 99999) {
+    return String(noradCatId).padStart(5, '0');
+  }
+  const letter = ALPHA5_LETTERS[Math.floor(noradCatId / 10000) - 10];
+  return letter + String(noradCatId % 10000).padStart(4, '0');
+};
+
+/**
+ * Decode the 5-character TLE catalog field, including Alpha-5.
+ */
+const decodeCatalogNumber = (field) => {
+  const value = (field || '').trim();
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  const letterIndex = ALPHA5_LETTERS.indexOf(value.charAt(0).toUpperCase());
+  if (letterIndex >= 0 && /^\d{4}$/.test(value.substring(1))) {
+    return (letterIndex + 10) * 10000 + parseInt(value.substring(1), 10);
+  }
+  return NaN;
+};
+
+/**
+ * Parse an assumed-decimal exponent field such as " 34123-4" or "-11606-4"
+ */
+const parseExponentField = (field) => {
+  const value = (field || '').trim();
+  const match = value.match(/^([+-]?)(\d+)([+-]\d)$/);
+  if (!match) {
+    const plain = parseFloat(value);
+    return isNaN(plain) ? 0 : plain;
+  }
+  const mantissa = parseFloat(`0.${match[2]}`);
+  return (match[1] === '-' ? -1 : 1) * mantissa * Math.pow(10, parseInt(match[3], 10));
+};
+
+/**
+ * Format a value as an assumed-decimal exponent field (8 characters)
+ */
+const formatExponentField = (value) => {
+  if (!value || !isFinite(value)) return ' 00000-0';
+
+  let exponent = Math.floor(Math.log10(Math.abs(value))) + 1;
+  let mantissa = Math.round(Math.abs(value) / Math.pow(10, exponent) * 1e5);
+  if (mantissa >= 1e5) {
+    mantissa = Math.round(mantissa / 10);
+    exponent += 1;
+  }
+  if (exponent > 9 || exponent < -9) return ' 00000-0';
+
+  const sign = value < 0 ? '-' : ' ';
+  const expSign = exponent < 0 ? '-' : '+';
+  return `${sign}${String(mantissa).padStart(5, '0')}${expSign}${Math.abs(exponent)}`;
+};
+
+/**
+ * Format the first derivative of mean motion (10 characters, leading zero dropped)
+ */
+const formatMeanMotionDot = (value) => {
+  const fixed = Math.abs(value || 0).toFixed(8).replace(/^0/, '');
+  return `${value < 0 ? '-' : ' '}${fixed}`.padStart(10, ' ');
+};
+
+/**
+ * Convert a Date into the 2-digit year and fractional day-of-year used by TLEs
+ */
+const toTLEEpoch = (date) => {
+  const year = date.getUTCFullYear();
+  const startOfYear = Date.UTC(year, 0, 1);
+  const epochDay = (date.getTime() - startOfYear) / 86400000 + 1;
+  return { epochYear: year % 100, epochDay };
+};
+
+/**
+ * Convert a TLE 2-digit year and day-of-year back into a Date
+ */
+const fromTLEEpoch = (epochYear, epochDay) => {
+  const fullYear = epochYear < 57 ? 2000 + epochYear : 1900 + epochYear;
+  return new Date(Date.UTC(fullYear, 0, 1) + (epochDay - 1) * 86400000);
+};
+
+/**
+ * Convert a COSPAR designator ("1998-067A") to the TLE form ("98067A")
+ */
+const toTLEDesignator = (objectId) => {
+  const match = (objectId || '').trim().match(/^\d{2}(\d{2})-(\d{3})([A-Z]{0,3})$/i);
+  return match ? `${match[1]}${match[2]}${match[3].toUpperCase()}` : '';
+};
+
+/**
+ * Build checksummed TLE lines from mean elements.
+ * Objects whose catalog number does not fit the 5-column field get "00000";
+ * SGP4 does not use the catalog number, so propagation is unaffected and the
+ * authoritative number stays on the Satellite document.
+ */
+const formatTLELines = (elements) => {
+  const catalog = encodeCatalogNumber(elements.noradCatId) || '00000';
+  const epochDay = elements.epochDay.toFixed(8).padStart(12, '0');
+  const elementSet = String((elements.elementSetNum || 999) % 10000).padStart(4, ' ');
+
+  const body1 = [
+    '1 ',
+    catalog,
+    (elements.classification || 'U').charAt(0),
+    ' ',
+    (elements.internationalDesignator || '').padEnd(8, ' ').substring(0, 8),
+    ' ',
+    String(elements.epochYear).padStart(2, '0'),
+    epochDay,
+    ' ',
+    formatMeanMotionDot(elements.meanMotionDot),
+    ' ',
+    formatExponentField(elements.meanMotionDdot),
+    ' ',
+    formatExponentField(elements.bstar),
+    ' ',
+    String(elements.ephemerisType || 0).charAt(0),
+    ' ',
+    elementSet
+  ].join('');
+
+  const body2 = [
+    '2 ',
+    catalog,
+    ' ',
+    elements.inclination.toFixed(4).padStart(8, ' '),
+    ' ',
+    elements.raan.toFixed(4).padStart(8, ' '),
+    ' ',
+    elements.eccentricity.toFixed(7).substring(2),
+    ' ',
+    elements.argumentOfPerigee.toFixed(4).padStart(8, ' '),
+    ' ',
+    elements.meanAnomaly.toFixed(4).padStart(8, ' '),
+    ' ',
+    elements.meanMotion.toFixed(8).padStart(11, ' '),
+    String((elements.orbitNumber || 0) % 100000).padStart(5, ' ')
+  ].join('');
+
+  return {
+    tleLine1: body1 + computeChecksum(body1),
+    tleLine2: body2 + computeChecksum(body2)
+  };
+};
+
+module.exports = {
+  computeChecksum,
+  encodeCatalogNumber,
+  decodeCatalogNumber,
+  parseExponentField,
+  formatExponentField,
+  toTLEEpoch,
+  fromTLEEpoch,
+  toTLEDesignator,
+  formatTLELines,
+  ALPHA5_MAX
+};